@@ -1,83 +1,232 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { initializeApp } from 'firebase/app';
-import { 
-    getAuth, 
+import React, { useState, useEffect, useMemo, useRef, useCallback, useSyncExternalStore } from 'react';
+import {
+    initializeDataLayer,
+    configError,
+    isLocalBackend,
     onAuthStateChanged,
     createUserWithEmailAndPassword,
     signInWithEmailAndPassword,
     signInWithPopup,
     GoogleAuthProvider,
-    signOut
-} from 'firebase/auth';
-import { 
-    getFirestore,
-    doc,
-    getDoc,
-    setDoc,
-    collection,
-    query,
-    where,
-    getDocs,
-    updateDoc,
+    EmailAuthProvider,
+    signOut,
+    sendPasswordResetEmail,
+    sendEmailVerification,
+    reload,
+    linkWithCredential,
+    linkWithPopup,
+    unlink,
+    verifyBeforeUpdateEmail,
     arrayUnion,
     arrayRemove,
-    deleteDoc,
-    onSnapshot
-} from 'firebase/firestore';
-import { Users, LogOut, Mail, KeyRound, Plus, ArrowLeft, Calendar, Copy, Check, Trash2, X, Printer, Sun, Star, PartyPopper, UserPlus, BookOpen, Share2 } from 'lucide-react';
-
-// --- Firebase Configuration ---
-let firebaseConfig = {};
-let configError = null;
-
-try {
-    firebaseConfig = JSON.parse(import.meta.env.VITE_FIREBASE_CONFIG);
-} catch (e) {
-    console.error("Failed to parse Firebase config from .env.local:", e);
-    configError = "Firebase configuration not found or invalid. Make sure your .env.local is properly set.";
-}
+    deleteField,
+    watchUser,
+    saveUser,
+    updateUser,
+    updateMemberEmail,
+    watchHousehold,
+    updateHousehold,
+    createHousehold,
+    startOwnHousehold,
+    createHouseholdInvite,
+    joinHousehold,
+    moveIntoHousehold,
+    renameKid,
+    watchSchedule,
+    getSchedule,
+    updateSchedule,
+    createSchedule,
+    getScheduleInvite,
+    replaceJoinCode,
+    setJoinRole,
+    joinSchedule,
+    addScheduleToHousehold,
+    forgetSchedule,
+    prepareScheduleChange,
+    watchScheduleHistory,
+    deleteScheduleForGood,
+    watchFriendShare,
+    startFriendSharing,
+    updateFriendShare,
+    stopFriendSharing,
+    createFriendInvite,
+    getFriendInvite,
+    linkFriend,
+    uploadCalendarFeed,
+    publishCalendarFeed,
+    removeCalendarFeed,
+    reauthenticate,
+    deleteAccount
+} from './data.js';
+import {
+    ROLE_LABELS, getScheduleRole, canEditSchedule, getMemberJoin, getMemberRemoval,
+    DELETE_GRACE_PERIOD_DAYS, isScheduleDeleted, getPurgeTime, getDaysUntilPurge,
+    HOUSEHOLD_INVITE_DAYS, TSHIRT_SIZES, getKidProfile, getKidAge, formatKidSummary,
+    generateInviteCode, renameKidInSchedule, generateId, getCellKey, parseCellKey, sortCamps,
+    findCamp, getCampAssignments, migrateLegacyCamps, MAX_SEASON_WEEKS, parseIsoDate, addDays,
+    countSeasonWeeks, formatShortDate, getWeekStartDate, getWeekLabel, getSeasonName,
+    getSeasonEndDate, getBlockedWeekReason, isWeekBlocked, getDefaultSeason, EMPTY_CAMP,
+    toNumberOrNull, normalizeCamp, formatCurrency, formatTime, formatCampHours, formatAgeRange,
+    formatLongDate, toIsoDate, getDaysUntil, getWebsiteUrl, getCampTooltip, WEEKDAYS, DAY_PARTS,
+    getCampDays, getCampTimeRange, campSessionsOverlap, formatCampSession, getKidCampsForWeek,
+    findDoubleBookings, COVERAGE_CELL_STYLES, getSessionDays, getKidCoverage, formatCoverageGaps,
+    formatChildcareNeeded, CHECKLIST_KINDS, getCampChecklist, formatWeekdays, formatChecklistWhen,
+    getWeekChecklist, REGISTRATION_STATUSES, DEFAULT_REGISTRATION_STATUS, STATUS_FILTERS,
+    getAssignmentStatus, getCellAssignments, getCellAttendance, getKidAttendance, applyAttendance,
+    normalizeAttendance, getAttendanceError, formatAttendance, getSessionNote, formatSessionNote, isSessionFillingUp,
+    HISTORY_LIMIT, buildCellsChange, buildCampsChange, getSeasonWeekOffset, buildSeasonChange, normalizeHistoryEntry, getHistorySubject, describeHistoryChanges, getRevertUpdates,
+    toggleKidInCells, moveKid, copyWeek, campFitsAge, suggestPlans, getPlanSnapshots, CARPOOL_SLOTS,
+    getMemberKids, formatNameList, getFamilyLabel, getCampWeekFamilies, isCarpoolWeek,
+    getCarpoolSlots, getEditableClaimUids, getCarpoolClaimPath, migrateLegacyCarpool, countCarpoolGaps, FRIEND_INVITE_DAYS, getFirstName, buildFriendShareKids,
+    getDefaultFamilyName, formatFriend, getLinkedFriendsAtCamp, findFriendOverlaps,
+    formatFriendOverlap, KID_COLORS, getMondayOf, getLiveSchedules, pickCurrentSeason, buildFamilyOverview, isIsoDate,
+    getPacketMonday, buildMorningChecklist, getChecklistTickUpdate, TIMELINE_HOUR_HEIGHT,
+    buildDayTimeline, getTimelineHours, slugify, buildKidCalendar, getCalendarFileName,
+    getCalendarHash, getWebcalUrl, buildScheduleJson, formatScheduleCsv, parseScheduleFile,
+    seasonDiffers, planScheduleImport, PAYMENT_KINDS, roundCents, getFamilyKids, getBudgetCap, calculateBudget,
+    getPaymentStatus, REMINDER_TYPES, formatWeekday, getReminders, formatDaysUntil,
+    keepCurrentReminderIds, getEmailTransport, sendReminderEmails, buildAccountJson,
+    SIGN_IN_METHODS, getSignInMethods, getAccountDeletionPlan, getScheduleSettlement,
+    describeAccountError
+} from './planner.js';
+import { parseRoute, getRoutePath, getJoinLink, getJoinCode } from './routes.js';
+import { Users, LogOut, Mail, KeyRound, Plus, ArrowLeft, Calendar, Copy, Check, Trash2, X, Printer, Sun, Star, PartyPopper, UserPlus, BookOpen, Share2, Wallet, AlertTriangle, Settings, Archive, ArchiveRestore, RotateCcw, ClipboardList, Download, Link, RefreshCw, FileSpreadsheet, Upload, Car, Cloud, CloudOff, History, Undo2, Wand2, ChevronUp, ChevronDown, Smile, Bell, CalendarDays, ClipboardCheck, Backpack, ChevronLeft, ChevronRight, Clock, UserCog, ShieldCheck } from 'lucide-react';
+
+// --- Offline & Sync ---
+// Firestore keeps the user's schedules in a persistent local cache (IndexedDB), so they load
+// without a connection, and applies writes to that cache straight away, sending them once
+// it's back online. A write's promise only settles when the server accepts or rejects it,
+// so edits go through `saveChange`, which counts them as pending until then and keeps
+// rejected ones in a list with a retry rather than just logging them.
+let syncState = { pending: 0, failed: [] };
+const syncListeners = new Set();
+
+const updateSyncState = (update) => {
+    syncState = { ...syncState, ...update(syncState) };
+    syncListeners.forEach(listener => listener());
+};
+
+const subscribeToSyncState = (listener) => {
+    syncListeners.add(listener);
+    return () => syncListeners.delete(listener);
+};
+
+// `write` is a function so a failed change can be sent again as it was. Never rejects.
+const saveChange = (description, write) => {
+    updateSyncState(state => ({ pending: state.pending + 1 }));
+    return write().then(
+        () => updateSyncState(state => ({ pending: state.pending - 1 })),
+        (e) => {
+            console.error(`Error ${description}:`, e);
+            updateSyncState(state => ({
+                pending: state.pending - 1,
+                failed: [...state.failed, { id: generateId(), description, message: e.message, write }],
+            }));
+        },
+    );
+};
+
+const dismissFailedChange = (id) => updateSyncState(state => ({ failed: state.failed.filter(change => change.id !== id) }));
+
+const retryFailedChange = (change) => {
+    dismissFailedChange(change.id);
+    saveChange(change.description, change.write);
+};
+
+const subscribeToOnlineStatus = (listener) => {
+    window.addEventListener('online', listener);
+    window.addEventListener('offline', listener);
+    return () => {
+        window.removeEventListener('online', listener);
+        window.removeEventListener('offline', listener);
+    };
+};
+
+// --- Routing ---
+// `navigate` adds a history entry and tells every `useRoute` caller; back and forward arrive
+// as `popstate`. The routes themselves are in routes.js.
+const routeListeners = new Set();
+
+const subscribeToRoute = (listener) => {
+    routeListeners.add(listener);
+    window.addEventListener('popstate', listener);
+    return () => {
+        routeListeners.delete(listener);
+        window.removeEventListener('popstate', listener);
+    };
+};
+
+const navigate = (name, params, { replace = false } = {}) => {
+    const path = getRoutePath(name, params);
+    if (path === window.location.pathname) return;
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', path);
+    routeListeners.forEach(listener => listener());
+};
+
+const useRoute = () => {
+    const pathname = useSyncExternalStore(subscribeToRoute, () => window.location.pathname);
+    return useMemo(() => parseRoute(pathname), [pathname]);
+};
+
+// --- Friends ---
+// The shares of the families we're linked with, as `{ [householdId]: share }`. A family that
+// stops sharing, or unlinks us, can't be read any more; they show up as null.
+const useLinkedFriendShares = (friendShare) => {
+    const [linkedShares, setLinkedShares] = useState({});
+    const linksKey = ((friendShare && friendShare.links) || []).join('|');
+
+    useEffect(() => {
+        const links = linksKey.split('|').filter(Boolean);
+        const unsubscribers = links.map(householdId => watchFriendShare(householdId, (share) => {
+            setLinkedShares(prev => ({ ...prev, [householdId]: share }));
+        }, () => setLinkedShares(prev => ({ ...prev, [householdId]: null }))));
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, [linksKey]);
+
+    return linkedShares;
+};
 
 // --- Main App Component ---
 export default function App() {
     const [user, setUser] = useState(null);
     const [userData, setUserData] = useState(null);
+    const [household, setHousehold] = useState(null);
+    const [householdError, setHouseholdError] = useState(null);
+    const [householdAttempt, setHouseholdAttempt] = useState(0);
     const [auth, setAuth] = useState(null);
-    const [db, setDb] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(configError || '');
+    const [accountDeletion, setAccountDeletion] = useState(null);
 
     useEffect(() => {
-        if (configError && !Object.keys(firebaseConfig).length) {
+        if (configError) {
             setIsLoading(false);
             return;
         }
         try {
-            const app = initializeApp(firebaseConfig);
-            const authInstance = getAuth(app);
-            const dbInstance = getFirestore(app);
+            const { auth: authInstance } = initializeDataLayer();
             setAuth(authInstance);
-            setDb(dbInstance);
 
+            let unsubUser = () => {};
             const unsubscribe = onAuthStateChanged(authInstance, (user) => {
+                unsubUser();
                 setUser(user);
                 if (user) {
-                    const userDocRef = doc(dbInstance, "users", user.uid);
-                    const unsubUser = onSnapshot(userDocRef, (doc) => {
-                        if (doc.exists()) {
-                            setUserData(doc.data());
-                        } else {
-                            setUserData({ needsOnboarding: true }); 
-                        }
+                    unsubUser = watchUser(user.uid, (data) => {
+                        setUserData(data || { needsOnboarding: true });
                         setIsLoading(false);
-                    });
-                    return () => unsubUser();
+                    }, (e) => console.error("Error loading your account:", e));
                 } else {
+                    unsubUser = () => {};
                     setUserData(null);
                     setIsLoading(false);
                 }
             });
 
-            return () => unsubscribe();
+            return () => {
+                unsubUser();
+                unsubscribe();
+            };
         } catch (e) {
             console.error("Firebase Init Error:", e);
             setError("Failed to initialize Firebase. Check your configuration.");
@@ -85,13 +234,94 @@ export default function App() {
         }
     }, []);
 
+    const householdId = userData && userData.householdId;
+    const hasAccount = Boolean(user && userData && !userData.needsOnboarding);
+
+    // Accounts from before households keep their kids on the user document until now. This can
+    // run more than once before the user document catches up; createHousehold only starts one.
+    useEffect(() => {
+        if (hasAccount && !householdId) {
+            createHousehold(user, { kids: userData.kids || [] }).catch(e => console.error("Error creating household:", e));
+        }
+    }, [user, userData, hasAccount, householdId]);
+
+    useEffect(() => {
+        setHousehold(null);
+        setHouseholdError(null);
+        if (!user || !householdId) return;
+        return watchHousehold(householdId, (data) => {
+            if (data && (data.members || []).includes(user.uid)) {
+                setHousehold(data);
+            } else {
+                // We left it, or it was deleted: start over with a household of our own,
+                // unless our user document has already moved on to another one.
+                startOwnHousehold(user, householdId).catch(e => {
+                    console.error("Error creating household:", e);
+                    setHouseholdError(e);
+                });
+            }
+        }, (e) => {
+            // Not being allowed to read it can be a passing problem, or the moment we move to
+            // another household, so the choice is left to the parent.
+            console.error("Error loading household:", e);
+            setHouseholdError(e);
+        });
+    }, [user, householdId, householdAttempt]);
+
+    // The rest of the app reads kids and schedules from `userData`, so the household's are
+    // folded in here: its kids replace the user's own list and its schedules are added.
+    const accountData = useMemo(() => userData && household ? {
+        ...userData,
+        kids: household.kids || [],
+        kidProfiles: household.kidProfiles || {},
+        schedules: [...new Set([...(userData.schedules || []), ...(household.schedules || [])])],
+    } : userData, [userData, household]);
+
     const handleSignOut = () => {
         if (auth) {
             signOut(auth).catch(error => console.error("Sign out error", error));
         }
     };
 
-    if (isLoading) {
+    // Deleting an account takes many writes, and the user document goes part way through,
+    // which would otherwise swap the app for onboarding. So it runs from here, where its
+    // progress and any failure stay on screen until it's done.
+    const handleDeleteAccount = async (deletion) => {
+        setAccountDeletion({ ...deletion, error: '' });
+        try {
+            await deleteAccount(user, deletion.household, deletion.settlements, deletion.progress);
+            setAccountDeletion(null);
+        } catch (err) {
+            console.error("Error deleting account:", err);
+            setAccountDeletion({ ...deletion, error: describeAccountError(err) });
+        }
+    };
+
+    if (user && accountDeletion) {
+        return (
+            <div className="bg-gradient-to-br from-blue-50 to-indigo-100 min-h-screen flex items-center justify-center p-4">
+                <AccountDeletionProgress user={user} deletion={accountDeletion} onRetry={handleDeleteAccount} onCancel={() => setAccountDeletion(null)} handleSignOut={handleSignOut} />
+            </div>
+        );
+    }
+
+    if (hasAccount && !household && householdError) {
+        return (
+            <div className="bg-gradient-to-br from-blue-50 to-indigo-100 min-h-screen flex items-center justify-center p-4">
+                <div className="p-8 bg-white/80 backdrop-blur-sm shadow-2xl rounded-2xl max-w-lg mx-auto border border-white text-center space-y-4">
+                    <h3 className="text-xl font-bold text-red-600">Couldn't load your household</h3>
+                    <p className="text-gray-700">Check your connection and try again. If another parent took you out of the household, start a new one of your own.</p>
+                    <div className="flex flex-wrap justify-center gap-3">
+                        <button onClick={() => setHouseholdAttempt(attempt => attempt + 1)} className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 font-semibold">Try again</button>
+                        <button onClick={() => startOwnHousehold(user, householdId).catch(e => setHouseholdError(e))} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 font-semibold">Start a new household</button>
+                        <button onClick={handleSignOut} className="px-4 py-2 text-gray-600 hover:text-gray-800 font-semibold">Sign out</button>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    if (isLoading || (hasAccount && !household)) {
         return (
             <div className="bg-gradient-to-br from-blue-50 to-indigo-100 min-h-screen flex justify-center items-center">
                 <div className="animate-spin rounded-full h-24 w-24 border-t-4 border-b-4 border-blue-500"></div>
@@ -115,7 +345,7 @@ export default function App() {
     return (
         <div className="bg-gradient-to-br from-blue-50 to-indigo-100 min-h-screen font-sans text-gray-900">
             {user ? (
-                needsOnboarding ? <OnboardingScreen user={user} db={db} /> : <PlannerScreen user={user} userData={userData} db={db} handleSignOut={handleSignOut} />
+                needsOnboarding ? <OnboardingScreen user={user} /> : <PlannerScreen user={user} userData={accountData} household={household} handleSignOut={handleSignOut} handleDeleteAccount={handleDeleteAccount} />
             ) : <AuthScreen auth={auth} setError={setError} error={error} />}
         </div>
     );
@@ -127,10 +357,12 @@ const AuthScreen = ({ auth, setError, error }) => {
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [isProcessing, setIsProcessing] = useState(false);
+    const [notice, setNotice] = useState('');
 
     const handleAuthAction = async (e) => {
         e.preventDefault();
         setError('');
+        setNotice('');
         if (!email || !password) {
             setError("Please enter both email and password.");
             return;
@@ -140,7 +372,8 @@ const AuthScreen = ({ auth, setError, error }) => {
             if (isLogin) {
                 await signInWithEmailAndPassword(auth, email, password);
             } else {
-                await createUserWithEmailAndPassword(auth, email, password);
+                const { user } = await createUserWithEmailAndPassword(auth, email, password);
+                sendEmailVerification(user).catch(e => console.error("Error sending verification email:", e));
             }
         } catch (err) {
             let msg = "An unexpected error occurred. Please try again.";
@@ -159,6 +392,7 @@ const AuthScreen = ({ auth, setError, error }) => {
     
     const handleGoogleSignIn = async () => {
         setError('');
+        setNotice('');
         setIsProcessing(true);
         const provider = new GoogleAuthProvider();
         try {
@@ -168,12 +402,35 @@ const AuthScreen = ({ auth, setError, error }) => {
             if (err.code === 'auth/popup-closed-by-user') {
                 msg = "Sign-in popup was closed before completion.";
             }
+            // Google and a password are separate accounts until they're linked, from Account settings.
+            if (err.code === 'auth/account-exists-with-different-credential') {
+                msg = "You already have an account with this email. Log in with your password, then link Google from Account settings.";
+            }
             setError(msg);
         } finally {
             setIsProcessing(false);
         }
     };
 
+    // Firebase doesn't say whether the email has an account, and neither do we.
+    const handleForgotPassword = async () => {
+        setError('');
+        setNotice('');
+        if (!email) {
+            setError("Enter your email above, then choose Forgot password.");
+            return;
+        }
+        setIsProcessing(true);
+        try {
+            await sendPasswordResetEmail(auth, email);
+            setNotice(`If there's an account for ${email}, we've emailed it a link to reset the password.`);
+        } catch (err) {
+            setError(err.code === 'auth/invalid-email' ? "Please enter a valid email address." : "Couldn't send the reset email. Please try again.");
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
     return (
         <div className="flex items-center justify-center min-h-screen p-4">
             <div className="w-full max-w-md p-8 space-y-6 bg-white/80 backdrop-blur-sm shadow-2xl rounded-2xl border border-white/50">
@@ -181,22 +438,29 @@ const AuthScreen = ({ auth, setError, error }) => {
                     <h1 className="text-4xl font-bold text-gray-800">Welcome!</h1>
                     <p className="text-gray-600 mt-2">{isLogin ? "Sign in to continue" : "Create an account to get started"}</p>
                 </div>
+                {isLocalBackend && <p className="bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-lg text-sm text-center">Demo mode: accounts and plans are kept in this browser only. Sign up with any email to try the planner.</p>}
                 {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-center"><p>{error}</p></div>}
+                {notice && <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-lg text-center"><p>{notice}</p></div>}
                 <form onSubmit={handleAuthAction} className="space-y-4">
                     <div className="relative"><Mail className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} /><input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="Email" required className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500" /></div>
                     <div className="relative"><KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} /><input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="Password" required className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500" /></div>
+                    {isLogin && !isLocalBackend && <div className="text-right -mt-2"><button type="button" onClick={handleForgotPassword} disabled={isProcessing} className="text-sm font-semibold text-blue-600 hover:text-blue-800 disabled:text-gray-400">Forgot password?</button></div>}
                     <button type="submit" disabled={isProcessing} className="w-full h-10 bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-lg transition-all transform hover:scale-105 shadow-lg hover:shadow-blue-300 flex items-center justify-center disabled:bg-blue-400 disabled:cursor-not-allowed">{isProcessing ? <div className="animate-spin rounded-full h-5 w-5 border-t-2 border-b-2 border-white"></div> : (isLogin ? 'Log In' : 'Sign Up')}</button>
                 </form>
-                <div className="relative flex items-center justify-center"><div className="flex-grow border-t border-gray-300"></div><span className="flex-shrink mx-4 text-gray-500 text-sm">OR</span><div className="flex-grow border-t border-gray-300"></div></div>
-                <button onClick={handleGoogleSignIn} disabled={isProcessing} className="w-full flex items-center justify-center gap-2 py-2 px-4 border border-gray-300 rounded-lg bg-white hover:bg-gray-50 transition-colors shadow-sm disabled:bg-gray-200"><svg className="w-5 h-5" aria-hidden="true" focusable="false" data-prefix="fab" data-icon="google" role="img" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 488 512"><path fill="currentColor" d="M488 261.8C488 403.3 391.1 504 248 504 110.8 504 0 393.2 0 256S110.8 8 248 8c66.8 0 126 21.5 173.5 58.5l-65.2 65.2C337.5 97.2 293.8 80 248 80c-82.8 0-150 67.2-150 150s67.2 150 150 150c94.5 0 135.7-77.6 140.8-112.2H248v-85.3h236.1c2.3 12.7 3.9 24.9 3.9 41.4z"></path></svg>Sign in with Google</button>
-                <p className="text-center text-sm text-gray-600">{isLogin ? "Don't have an account?" : "Already have an account?"}<button onClick={() => { setIsLogin(!isLogin); setError(''); }} disabled={isProcessing} className="font-semibold text-blue-600 hover:text-blue-800 ml-1 disabled:text-gray-400">{isLogin ? 'Sign up' : 'Log in'}</button></p>
+                {!isLocalBackend && (
+                    <>
+                        <div className="relative flex items-center justify-center"><div className="flex-grow border-t border-gray-300"></div><span className="flex-shrink mx-4 text-gray-500 text-sm">OR</span><div className="flex-grow border-t border-gray-300"></div></div>
+                        <button onClick={handleGoogleSignIn} disabled={isProcessing} className="w-full flex items-center justify-center gap-2 py-2 px-4 border border-gray-300 rounded-lg bg-white hover:bg-gray-50 transition-colors shadow-sm disabled:bg-gray-200"><svg className="w-5 h-5" aria-hidden="true" focusable="false" data-prefix="fab" data-icon="google" role="img" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 488 512"><path fill="currentColor" d="M488 261.8C488 403.3 391.1 504 248 504 110.8 504 0 393.2 0 256S110.8 8 248 8c66.8 0 126 21.5 173.5 58.5l-65.2 65.2C337.5 97.2 293.8 80 248 80c-82.8 0-150 67.2-150 150s67.2 150 150 150c94.5 0 135.7-77.6 140.8-112.2H248v-85.3h236.1c2.3 12.7 3.9 24.9 3.9 41.4z"></path></svg>Sign in with Google</button>
+                    </>
+                )}
+                <p className="text-center text-sm text-gray-600">{isLogin ? "Don't have an account?" : "Already have an account?"}<button onClick={() => { setIsLogin(!isLogin); setError(''); setNotice(''); }} disabled={isProcessing} className="font-semibold text-blue-600 hover:text-blue-800 ml-1 disabled:text-gray-400">{isLogin ? 'Sign up' : 'Log in'}</button></p>
             </div>
         </div>
     );
 };
 
 // --- Onboarding Screen Component ---
-const OnboardingScreen = ({ user, db }) => {
+const OnboardingScreen = ({ user }) => {
     const [kidName, setKidName] = useState('');
     const [kids, setKids] = useState([]);
 
@@ -211,13 +475,36 @@ const OnboardingScreen = ({ user, db }) => {
         setKids(kids.filter(name => name !== nameToRemove));
     };
 
+    const [inviteCode, setInviteCode] = useState('');
+    const [joinError, setJoinError] = useState('');
+    const [isJoining, setIsJoining] = useState(false);
+    const [isFinishing, setIsFinishing] = useState(false);
+    const [finishError, setFinishError] = useState('');
+
     const handleFinishSetup = async () => {
-        const userDocRef = doc(db, "users", user.uid);
-        await setDoc(userDocRef, {
-            email: user.email,
-            kids: kids,
-            schedules: []
-        });
+        setFinishError('');
+        setIsFinishing(true);
+        try {
+            await createHousehold(user, { kids, userFields: { email: user.email, schedules: [] } });
+        } catch (error) {
+            console.error("Error finishing setup:", error);
+            setFinishError("Couldn't finish setting up. Please try again.");
+            setIsFinishing(false);
+        }
+    };
+
+    const handleJoinHousehold = async (e) => {
+        e.preventDefault();
+        setJoinError('');
+        setIsJoining(true);
+        try {
+            const householdId = await joinHousehold(user, inviteCode.trim().toUpperCase());
+            await saveUser(user.uid, { email: user.email, schedules: [], householdId });
+        } catch (error) {
+            console.error("Error joining household:", error);
+            setJoinError(error.message || "Couldn't join that household. Check the code and try again.");
+            setIsJoining(false);
+        }
     };
 
     return (
@@ -239,9 +526,18 @@ const OnboardingScreen = ({ user, db }) => {
                     <input type="text" value={kidName} onChange={(e) => setKidName(e.target.value)} placeholder="Kid's Name" className="flex-grow p-2 border border-gray-300 rounded-md shadow-sm" />
                     <button onClick={handleAddKid} className="px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-800 font-semibold">Add Kid</button>
                 </div>
-                <button onClick={handleFinishSetup} className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-3 px-4 rounded-lg text-lg transition-all transform hover:scale-105 shadow-lg">
-                    Finish Setup
+                <button onClick={handleFinishSetup} disabled={isFinishing || isJoining} className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-3 px-4 rounded-lg text-lg transition-all transform hover:scale-105 shadow-lg disabled:bg-gray-400 disabled:cursor-not-allowed disabled:hover:scale-100">
+                    {isFinishing ? 'Setting up...' : 'Finish Setup'}
                 </button>
+                {finishError && <p className="text-red-600 text-sm text-center">{finishError}</p>}
+                <div className="border-t pt-4">
+                    <p className="text-sm text-gray-600 mb-2">Joining another parent who already uses Camp Planner? Enter the invite code from their Household page instead.</p>
+                    <form onSubmit={handleJoinHousehold} className="flex gap-2">
+                        <input type="text" value={inviteCode} onChange={(e) => setInviteCode(e.target.value)} placeholder="Invite code" className="flex-grow p-2 border border-gray-300 rounded-md shadow-sm uppercase tracking-widest" />
+                        <button type="submit" disabled={isJoining || isFinishing || !inviteCode.trim()} className="px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-800 font-semibold disabled:bg-gray-400 disabled:cursor-not-allowed">{isJoining ? 'Joining...' : 'Join'}</button>
+                    </form>
+                    {joinError && <p className="text-red-600 text-sm mt-2">{joinError}</p>}
+                </div>
             </div>
         </div>
     );
@@ -249,11 +545,12 @@ const OnboardingScreen = ({ user, db }) => {
 
 
 // --- Main Planner Screen ---
-const PlannerScreen = ({ user, userData, db, handleSignOut }) => {
-    const [view, setView] = useState('dashboard');
-    const [currentScheduleId, setCurrentScheduleId] = useState(null);
+const PlannerScreen = ({ user, userData, household, handleSignOut, handleDeleteAccount }) => {
+    const route = useRoute();
     const [schedules, setSchedules] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
+    const [friendShare, setFriendShare] = useState(null);
+    const linkedShares = useLinkedFriendShares(friendShare);
 
     useEffect(() => {
         if (!user || !userData || !userData.schedules) {
@@ -262,39 +559,126 @@ const PlannerScreen = ({ user, userData, db, handleSignOut }) => {
         }
         
         if (userData.schedules.length > 0) {
-            const schedulesQuery = query(collection(db, "schedules"), where("__name__", "in", userData.schedules));
-            const unsubscribe = onSnapshot(schedulesQuery, (querySnapshot) => {
-                const schedulesData = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            // One listener per schedule: security rules only let members read a schedule,
+            // so a single "in" query would fail as soon as one ID is no longer shared with us.
+            const scheduleIds = userData.schedules;
+            const loaded = {};
+            const publish = () => {
+                if (Object.keys(loaded).length < scheduleIds.length) return;
+                const schedulesData = Object.values(loaded).filter(s => s && getScheduleRole(s, user.uid, userData.householdId) && (!isScheduleDeleted(s) || getScheduleRole(s, user.uid, userData.householdId) === 'owner'));
                 setSchedules(schedulesData.sort((a,b) => a.kidName.localeCompare(b.kidName)));
                 setIsLoading(false);
-            });
-            return () => unsubscribe();
+            };
+            const unsubscribers = scheduleIds.map(scheduleId => watchSchedule(scheduleId, (data) => {
+                loaded[scheduleId] = data && { ...data, ...migrateLegacyCamps(data) };
+                if (!data) {
+                    // The owner deleted it for good; tidy up our own lists.
+                    forgetSchedule(user.uid, userData.householdId, scheduleId).catch(e => console.error("Error removing deleted schedule:", e));
+                }
+                publish();
+            }, (error) => {
+                console.error(`Error loading schedule ${scheduleId}:`, error);
+                loaded[scheduleId] = null;
+                publish();
+            }));
+            return () => unsubscribers.forEach(unsubscribe => unsubscribe());
         } else {
             setSchedules([]);
             setIsLoading(false);
         }
-    }, [user, userData, db]);
+    }, [user, userData]);
 
-    const handleViewSchedule = (scheduleId) => {
-        setCurrentScheduleId(scheduleId);
-        setView('viewSchedule');
-    };
+    // Schedules made before households are moved into this one, so the other parent sees them too.
+    useEffect(() => {
+        schedules.filter(s => s.ownerId === user.uid && !s.householdId).forEach(schedule => {
+            addScheduleToHousehold(schedule.id, household.id).catch(e => console.error("Error adding schedule to household:", e));
+        });
+    }, [schedules, household, user]);
+
+    // A new sign-in email (once its confirmation link is followed) replaces the old one where
+    // the other parents in the household see it.
+    useEffect(() => {
+        if (!user.email || (userData.email === user.email && (household.memberEmails || {})[user.uid] === user.email)) return;
+        updateMemberEmail(user, household.id).catch(e => console.error("Error updating email:", e));
+    }, [user, userData.email, household]);
+
+    useEffect(() => watchFriendShare(household.id, setFriendShare, (e) => console.error("Error loading friend sharing:", e)), [household.id]);
+
+    // Keep what linked families see in step with our schedules.
+    useEffect(() => {
+        if (!friendShare || isLoading) return;
+        const kids = buildFriendShareKids(household.kids || [], schedules);
+        if (JSON.stringify(kids) === JSON.stringify(friendShare.kids)) return;
+        updateFriendShare(household.id, { kids }).catch(e => console.error("Error updating friend sharing:", e));
+    }, [friendShare, schedules, household, isLoading]);
+
+    const reminders = useMemo(() => isLoading ? [] : getReminders(schedules, userData, user.uid), [isLoading, schedules, userData, user.uid]);
+    const emailTransport = useMemo(() => getEmailTransport(), []);
+    const emailingIds = useRef(new Set());
+
+    // Reminders are emailed while the app is open, once each, when they first show up. Only
+    // to a verified address, as the security rules require, and not at all without a real transport.
+    useEffect(() => {
+        if (!emailTransport.delivers || !userData.reminderEmails || !user.email || !user.emailVerified || emailingIds.current.size) return;
+        const emailed = userData.emailedReminders || [];
+        const due = reminders.filter(reminder => !emailed.includes(reminder.id) && !(userData.dismissedReminders || []).includes(reminder.id));
+        if (!due.length) {
+            const current = keepCurrentReminderIds(emailed, reminders);
+            if (current.length < emailed.length) updateUser(user.uid, { emailedReminders: current }).catch(e => console.error("Error tidying emailed reminders:", e));
+            return;
+        }
+        due.forEach(reminder => emailingIds.current.add(reminder.id));
+        sendReminderEmails(emailTransport, user.email, due)
+            .then(sentIds => sentIds.length && updateUser(user.uid, { emailedReminders: arrayUnion(...sentIds) }))
+            .catch(e => console.error("Error recording emailed reminders:", e))
+            .finally(() => emailingIds.current.clear());
+    }, [reminders, userData.reminderEmails, userData.emailedReminders, userData.dismissedReminders, emailTransport, user]);
+
+    const handleViewSchedule = (scheduleId) => navigate('schedule', { scheduleId });
+    const friendShares = ((friendShare && friendShare.links) || []).map(householdId => linkedShares[householdId]).filter(Boolean);
 
     const renderContent = () => {
-        switch(view) {
-            case 'viewSchedule':
-                return <ScheduleDetailView scheduleId={currentScheduleId} db={db} user={user} setView={setView} />;
+        switch(route.name) {
+            case 'schedule':
+            case 'season':
+            case 'print':
+            case 'cell':
+                return <ScheduleDetailView key={route.params.scheduleId} scheduleId={route.params.scheduleId} route={route} user={user} userData={userData} setView={navigate} />;
+            case 'family':
+                return <FamilyOverview schedules={schedules} userData={userData} currentUid={user.uid} setView={navigate} />;
+            case 'packet':
+            case 'kidPacket':
+                return <WeekPacket schedules={schedules} userData={userData} friendShares={friendShares} week={route.params.week} selectedKid={route.params.kid} currentUid={user.uid} setView={navigate} />;
+            case 'checklist':
+            case 'checklistDay':
+                return <MorningChecklist schedules={schedules} userData={userData} household={household} currentUid={user.uid} date={route.params.date} setView={navigate} />;
+            case 'timeline':
+            case 'timelineDay':
+            case 'timelineWeek':
+                return <DailyTimeline schedules={schedules} userData={userData} currentUid={user.uid} date={route.params.date} isWeek={route.name === 'timelineWeek'} setView={navigate} />;
+            case 'friends':
+                return <FriendsView household={household} friendShare={friendShare} linkedShares={linkedShares} schedules={schedules} setView={navigate} />;
+            case 'household':
+                return <HouseholdSettings household={household} schedules={schedules} user={user} userData={userData} setView={navigate} />;
+            case 'account':
+                return <AccountSettings user={user} userData={userData} household={household} schedules={schedules} setView={navigate} handleDeleteAccount={handleDeleteAccount} />;
+            case 'dashboard':
+                return <Dashboard schedules={schedules} reminders={reminders} setView={navigate} user={user} userData={userData} handleViewSchedule={handleViewSchedule} />;
             default:
-                return <Dashboard schedules={schedules} setView={setView} user={user} userData={userData} db={db} handleViewSchedule={handleViewSchedule} />;
+                return <NotFoundPage message="There's no page at this address." onBack={() => navigate('dashboard')} />;
         }
     };
 
     return (
         <div className="p-8">
-            <header className="flex justify-between items-center max-w-7xl mx-auto">
+            <header className="no-print flex justify-between items-center max-w-7xl mx-auto">
                 <h1 className="text-2xl font-bold text-gray-800">Camp Planner 2</h1>
                 <div className="flex items-center gap-4">
-                    <span className="text-gray-600 text-sm hidden sm:block">{user.email}</span>
+                    {isLocalBackend && <span title="Everything is stored in this browser. Set VITE_FIREBASE_CONFIG to use Firebase." className="px-2 py-1 text-xs font-semibold bg-amber-100 text-amber-800 rounded-full">Demo mode</span>}
+                    <SyncStatusIndicator />
+                    <button onClick={() => navigate('account')} title="Account settings" className="text-gray-600 hover:text-gray-800 text-sm flex items-center gap-1"><UserCog size={18} /><span className="hidden sm:inline">{user.email}</span></button>
+                    <button onClick={() => navigate('friends')} className="bg-white hover:bg-gray-100 text-gray-700 font-bold py-2 px-4 rounded-lg transition-all transform hover:scale-105 shadow-lg flex items-center gap-2"><Smile size={18} />Friends</button>
+                    <button onClick={() => navigate('household')} className="bg-white hover:bg-gray-100 text-gray-700 font-bold py-2 px-4 rounded-lg transition-all transform hover:scale-105 shadow-lg flex items-center gap-2"><Users size={18} />Household</button>
                     <button onClick={handleSignOut} className="bg-gray-700 hover:bg-gray-800 text-white font-bold py-2 px-4 rounded-lg transition-all transform hover:scale-105 shadow-lg flex items-center gap-2"><LogOut size={18} />Sign Out</button>
                 </div>
             </header>
@@ -305,270 +689,1958 @@ const PlannerScreen = ({ user, userData, db, handleSignOut }) => {
     );
 };
 
+// --- Sync Status Indicator ---
+const SyncStatusIndicator = () => {
+    const { pending, failed } = useSyncExternalStore(subscribeToSyncState, () => syncState);
+    const isOnline = useSyncExternalStore(subscribeToOnlineStatus, () => navigator.onLine);
+    const [isExpanded, setIsExpanded] = useState(false);
+
+    const changes = (count) => `${count} change${count === 1 ? '' : 's'}`;
+    let label = isOnline ? 'All changes saved' : 'Offline · all changes saved';
+    let icon = isOnline ? <Cloud size={16}/> : <CloudOff size={16}/>;
+    let colors = 'bg-green-100 text-green-800';
+    if (failed.length) {
+        label = `${changes(failed.length)} not saved`;
+        icon = <AlertTriangle size={16}/>;
+        colors = 'bg-red-100 text-red-800 hover:bg-red-200';
+    } else if (pending) {
+        label = isOnline ? `Saving ${changes(pending)}...` : `Offline · ${changes(pending)} waiting`;
+        icon = isOnline ? <RefreshCw size={16} className="animate-spin"/> : <CloudOff size={16}/>;
+        colors = 'bg-amber-100 text-amber-800';
+    }
+
+    return (
+        <div className="relative">
+            <button onClick={() => failed.length && setIsExpanded(!isExpanded)} title={isOnline ? undefined : "Changes are kept on this device and saved when you're back online."} className={`text-sm font-semibold py-1.5 px-3 rounded-full flex items-center gap-2 transition ${colors} ${failed.length ? 'cursor-pointer' : 'cursor-default'}`}>
+                {icon}{label}
+            </button>
+            {isExpanded && failed.length > 0 && (
+                <div className="absolute right-0 mt-2 w-80 bg-white rounded-xl shadow-2xl border p-4 z-40">
+                    <p className="text-sm text-gray-600 mb-3">These changes were turned down by the server and aren't on the schedule. Retry them, or dismiss them to drop them.</p>
+                    <ul className="space-y-2 max-h-60 overflow-y-auto">
+                        {failed.map(change => (
+                            <li key={change.id} className="p-2 bg-red-50 rounded-md text-sm">
+                                <p className="font-semibold text-red-800">{change.description.charAt(0).toUpperCase() + change.description.slice(1)}</p>
+                                <p className="text-xs text-red-700 break-words">{change.message}</p>
+                                <div className="flex gap-3 mt-1">
+                                    <button onClick={() => retryFailedChange(change)} className="text-blue-600 hover:text-blue-800 font-semibold flex items-center gap-1"><RotateCcw size={14}/>Retry</button>
+                                    <button onClick={() => dismissFailedChange(change.id)} className="text-gray-500 hover:text-gray-700 font-semibold">Dismiss</button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                    <div className="flex justify-between mt-3">
+                        <button onClick={() => failed.forEach(retryFailedChange)} className="text-sm text-blue-600 hover:text-blue-800 font-semibold">Retry all</button>
+                        <button onClick={() => setIsExpanded(false)} className="text-sm text-gray-500 hover:text-gray-700 font-semibold">Close</button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
 // --- Dashboard Component ---
-const Dashboard = ({ schedules, setView, user, userData, db, handleViewSchedule }) => {
+const Dashboard = ({ schedules, reminders, setView, user, userData, handleViewSchedule }) => {
+    const [joinCode, setJoinCode] = useState(() => getJoinCode(window.location.search));
+    const [joinError, setJoinError] = useState('');
+    const [isJoining, setIsJoining] = useState(false);
+    const [newSeason, setNewSeason] = useState(() => ({ kidName: (userData.kids || [])[0] || '', ...getDefaultSeason() }));
+    const [scheduleToDelete, setScheduleToDelete] = useState(null);
+    const [showArchived, setShowArchived] = useState(false);
+    const purgingIds = useRef(new Set());
 
-    const handleCreateSchedule = async (kidName) => {
+    const purgeSchedule = useCallback(async (schedule) => {
+        if (purgingIds.current.has(schedule.id)) return;
+        purgingIds.current.add(schedule.id);
         try {
-            const newScheduleId = Math.random().toString(36).substring(2, 8).toUpperCase();
-            const newScheduleRef = doc(db, "schedules", newScheduleId);
+            await deleteScheduleForGood(user, schedule);
+        } catch (error) {
+            console.error("Error deleting schedule:", error);
+            purgingIds.current.delete(schedule.id);
+        }
+    }, [user]);
+
+    useEffect(() => {
+        const now = Date.now();
+        schedules.filter(s => getScheduleRole(s, user.uid, userData.householdId) === 'owner' && isScheduleDeleted(s) && getPurgeTime(s) <= now).forEach(purgeSchedule);
+    }, [schedules, user, userData.householdId, purgeSchedule]);
 
-            await setDoc(newScheduleRef, {
+    const handleCreateSchedule = async ({ kidName, seasonName, startDate, endDate }) => {
+        try {
+            const newScheduleId = await createSchedule(user, userData.householdId, {
                 kidName: kidName,
                 ownerId: user.uid,
+                householdId: userData.householdId,
                 collaborators: [],
+                roles: {},
+                joinRole: 'viewer',
+                joinCode: generateInviteCode(),
+                memberEmails: { [user.uid]: user.email || '' },
                 camps: [],
                 allKids: [kidName],
                 schedule: {},
-                startDate: '2025-06-23',
-                weekCount: 8,
+                seasonName: seasonName,
+                startDate: startDate,
+                endDate: endDate,
+                weekCount: countSeasonWeeks(startDate, endDate),
+                blockedWeeks: {},
             });
 
-            const userDocRef = doc(db, "users", user.uid);
-            await updateDoc(userDocRef, {
-                schedules: arrayUnion(newScheduleRef.id)
-            });
-            
-            handleViewSchedule(newScheduleRef.id);
+            handleViewSchedule(newScheduleId);
 
         } catch (error) {
             console.error("Error creating schedule:", error);
         }
     };
 
+    const handleUpdateSchedule = (scheduleId, fields) => saveChange("updating schedule", () => updateSchedule(scheduleId, fields));
+
+    const handleDeleteSchedule = () => {
+        handleUpdateSchedule(scheduleToDelete.id, { deletedAt: Date.now() });
+        setScheduleToDelete(null);
+    };
+
+    const handleToggleArchived = (scheduleId, isArchived) => saveChange("archiving schedule", () => updateUser(user.uid, {
+        archivedSchedules: isArchived ? arrayRemove(scheduleId) : arrayUnion(scheduleId)
+    }));
+
+    const readIds = userData.readReminders || [];
+    const dismissedIds = userData.dismissedReminders || [];
+    const inbox = reminders.filter(reminder => !dismissedIds.includes(reminder.id));
+    const unreadCount = inbox.filter(reminder => !readIds.includes(reminder.id)).length;
+
+    const handleMarkRemindersRead = (ids) => saveChange("marking reminders read", () => updateUser(user.uid, {
+        readReminders: [...new Set([...keepCurrentReminderIds(readIds, reminders), ...ids])]
+    }));
+
+    const handleDismissReminder = (id) => saveChange("dismissing reminder", () => updateUser(user.uid, {
+        dismissedReminders: [...keepCurrentReminderIds(dismissedIds, reminders), id]
+    }));
+
+    const handleToggleReminderEmails = (reminderEmails) => saveChange("changing reminder emails", () => updateUser(user.uid, { reminderEmails }));
+
+    const handleJoinSchedule = async (e) => {
+        e.preventDefault();
+        const code = joinCode.trim().toUpperCase();
+        if (!code) return;
+        setJoinError('');
+        setIsJoining(true);
+        try {
+            const invite = await getScheduleInvite(code);
+            if (!invite) {
+                setJoinError("No schedule found with that code.");
+                return;
+            }
+            // Only members can read a schedule, so one that can't be read is one to join.
+            const scheduleData = await getSchedule(invite.scheduleId).catch(() => null);
+            const isMember = Boolean(getScheduleRole(scheduleData, user.uid, userData.householdId));
+            await joinSchedule(user, invite.scheduleId, isMember ? null : getMemberJoin(user, code, invite));
+            setJoinCode('');
+            if (window.location.search) {
+                window.history.replaceState(null, '', window.location.pathname);
+            }
+            handleViewSchedule(invite.scheduleId);
+        } catch (error) {
+            console.error("Error joining schedule:", error);
+            setJoinError("Couldn't join that schedule. Check the code and try again.");
+        } finally {
+            setIsJoining(false);
+        }
+    };
+
     const userKids = userData.kids || [];
-    const scheduledKids = schedules.map(s => s.kidName);
-    const unscheduledKids = userKids.filter(k => !scheduledKids.includes(k));
+    const archivedIds = userData.archivedSchedules || [];
+    const deletedSchedules = schedules.filter(isScheduleDeleted);
+    const liveSchedules = schedules.filter(s => !isScheduleDeleted(s));
+    const activeSchedules = liveSchedules.filter(s => !archivedIds.includes(s.id));
+    const archivedSchedules = liveSchedules.filter(s => archivedIds.includes(s.id));
+    const newSeasonError = !newSeason.kidName ? "Pick a kid."
+        : !newSeason.seasonName.trim() ? "Give the season a name."
+        : !newSeason.startDate || !newSeason.endDate || newSeason.endDate < newSeason.startDate ? "The season has to end after it starts."
+        : countSeasonWeeks(newSeason.startDate, newSeason.endDate) > MAX_SEASON_WEEKS ? `A season can be at most ${MAX_SEASON_WEEKS} weeks long.`
+        : liveSchedules.some(s => getScheduleRole(s, user.uid, userData.householdId) === 'owner' && s.kidName === newSeason.kidName && getSeasonName(s) === newSeason.seasonName.trim()) ? `${newSeason.kidName} already has a ${newSeason.seasonName.trim()} schedule.`
+        : '';
+
+    // Seasons side by side, most recent first.
+    const seasonGroups = [];
+    [...activeSchedules].sort((a, b) => (b.startDate || '').localeCompare(a.startDate || '') || a.kidName.localeCompare(b.kidName)).forEach(schedule => {
+        const seasonName = getSeasonName(schedule);
+        const group = seasonGroups.find(g => g.seasonName === seasonName);
+        if (group) group.schedules.push(schedule);
+        else seasonGroups.push({ seasonName, schedules: [schedule] });
+    });
+
+    const renderCoverageSummary = (schedule) => {
+        const coverages = getFamilyKids(schedule, userData, user.uid).map(kid => getKidCoverage(schedule, kid));
+        const uncoveredWeeks = coverages.reduce((sum, coverage) => sum + coverage.uncoveredWeeks, 0);
+        const partialWeeks = coverages.reduce((sum, coverage) => sum + coverage.partialWeeks, 0);
+        if (!uncoveredWeeks && !partialWeeks) return <p className="text-sm text-green-700 flex items-center gap-1"><Check size={14}/>Every week covered</p>;
+        return (
+            <p className="text-sm text-amber-700">
+                {uncoveredWeeks > 0 && `${uncoveredWeeks} uncovered week${uncoveredWeeks === 1 ? '' : 's'}`}
+                {uncoveredWeeks > 0 && partialWeeks > 0 && ' · '}
+                {partialWeeks > 0 && `${partialWeeks} partly covered`}
+            </p>
+        );
+    };
+
+    const renderScheduleItem = (schedule, isArchived) => {
+        const role = getScheduleRole(schedule, user.uid, userData.householdId);
+        const ownerEmail = schedule.memberEmails && schedule.memberEmails[schedule.ownerId];
+        return (
+            <li key={schedule.id} className="p-4 bg-gray-50 rounded-lg flex justify-between items-center shadow-sm">
+                <div>
+                    <span className="font-semibold text-lg">{schedule.kidName}'s {getSeasonName(schedule)} Schedule</span>
+                    {schedule.startDate && <p className="text-sm text-gray-500">{formatShortDate(schedule.startDate)} – {formatShortDate(getSeasonEndDate(schedule))}</p>}
+                    {renderCoverageSummary(schedule)}
+                    {role !== 'owner' && (
+                        <p className="text-sm text-gray-500">Shared by {ownerEmail || 'another family'} · <span className="font-semibold">{ROLE_LABELS[role]}</span></p>
+                    )}
+                </div>
+                <div className="flex items-center gap-3">
+                    <button onClick={() => handleViewSchedule(schedule.id)} className="text-blue-600 hover:underline font-semibold">{canEditSchedule(role) ? 'View & Manage' : 'View'}</button>
+                    <button onClick={() => handleToggleArchived(schedule.id, isArchived)} title={isArchived ? 'Unarchive' : 'Archive'} className="text-gray-400 hover:text-gray-700">{isArchived ? <ArchiveRestore size={18}/> : <Archive size={18}/>}</button>
+                    {role === 'owner' && <button onClick={() => setScheduleToDelete(schedule)} title="Delete" className="text-red-400 hover:text-red-600"><Trash2 size={18}/></button>}
+                </div>
+            </li>
+        );
+    };
 
     return (
         <div>
             <div className="mb-8 p-6 bg-white/80 backdrop-blur-sm shadow-xl rounded-2xl border border-white/50">
-                <h2 className="text-3xl font-bold mb-4">My Kids' Schedules</h2>
-                {schedules.length > 0 ? (
-                    <ul className="space-y-4">
-                        {schedules.map(schedule => (
-                            <li key={schedule.id} className="p-4 bg-gray-50 rounded-lg flex justify-between items-center shadow-sm">
-                                <span className="font-semibold text-lg">{schedule.kidName}'s Summer Schedule</span>
-                                <button onClick={() => handleViewSchedule(schedule.id)} className="text-blue-600 hover:underline font-semibold">View & Manage</button>
-                            </li>
-                        ))}
+                <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+                    <h2 className="text-2xl font-bold flex items-center gap-2"><Bell size={22}/>Reminders{unreadCount > 0 && <span className="px-2 py-0.5 text-sm bg-red-500 text-white rounded-full">{unreadCount}</span>}</h2>
+                    {unreadCount > 0 && <button onClick={() => handleMarkRemindersRead(inbox.map(reminder => reminder.id))} className="text-sm text-blue-600 hover:underline font-semibold">Mark all as read</button>}
+                </div>
+                {inbox.length > 0 ? (
+                    <ul className="space-y-2">
+                        {inbox.map(reminder => {
+                            const isUnread = !readIds.includes(reminder.id);
+                            return (
+                                <li key={reminder.id} className={`p-3 rounded-lg flex justify-between items-start gap-3 ${isUnread ? 'bg-blue-50' : 'bg-gray-50'}`}>
+                                    <details onToggle={(e) => e.currentTarget.open && isUnread && handleMarkRemindersRead([reminder.id])} className="flex-grow">
+                                        <summary className="cursor-pointer">
+                                            <span className={`px-2 py-0.5 text-xs font-semibold rounded-full mr-2 ${REMINDER_TYPES[reminder.type].className}`}>{REMINDER_TYPES[reminder.type].label}</span>
+                                            <span className={isUnread ? 'font-semibold' : ''}>{reminder.title}</span>
+                                            <span className="text-sm text-gray-500 ml-2">{formatDaysUntil(reminder.daysUntil)}</span>
+                                        </summary>
+                                        <ul className="mt-2 ml-4 text-sm text-gray-700 space-y-0.5">
+                                            {reminder.details.map((line, i) => <li key={i}>{line}</li>)}
+                                        </ul>
+                                        {reminder.scheduleId && schedules.some(s => s.id === reminder.scheduleId) && <button onClick={() => handleViewSchedule(reminder.scheduleId)} className="mt-2 ml-4 text-sm text-blue-600 hover:underline font-semibold">Open schedule</button>}
+                                    </details>
+                                    <button onClick={() => handleDismissReminder(reminder.id)} title="Dismiss" className="text-gray-400 hover:text-gray-700"><X size={18}/></button>
+                                </li>
+                            );
+                        })}
                     </ul>
+                ) : (
+                    <p className="text-gray-600">Nothing due in the next two weeks.</p>
+                )}
+                <label className="mt-4 flex items-center gap-2 text-sm text-gray-700">
+                    <input type="checkbox" checked={Boolean(userData.reminderEmails)} onChange={(e) => handleToggleReminderEmails(e.target.checked)} disabled={!user.email} />
+                    Email me reminders{user.email ? ` at ${user.email}` : ''}{user.email && !user.emailVerified ? ' once it is verified' : ''}
+                </label>
+            </div>
+            <div className="mb-8 p-6 bg-white/80 backdrop-blur-sm shadow-xl rounded-2xl border border-white/50">
+                <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+                    <h2 className="text-3xl font-bold">My Kids' Schedules</h2>
+                    {activeSchedules.length > 0 && (
+                        <div className="flex flex-wrap gap-2">
+                            <button onClick={() => setView('checklist')} className="bg-green-100 text-green-700 font-semibold py-2 px-4 rounded-lg hover:bg-green-200 transition flex items-center gap-2 shadow-sm"><ClipboardCheck size={16}/>Today's Checklist</button>
+                            <button onClick={() => setView('timeline')} className="bg-sky-100 text-sky-700 font-semibold py-2 px-4 rounded-lg hover:bg-sky-200 transition flex items-center gap-2 shadow-sm"><Clock size={16}/>Timeline</button>
+                            <button onClick={() => setView('packet', { week: getPacketMonday() })} className="bg-orange-100 text-orange-700 font-semibold py-2 px-4 rounded-lg hover:bg-orange-200 transition flex items-center gap-2 shadow-sm"><Backpack size={16}/>Week Packet</button>
+                            <button onClick={() => setView('family')} className="bg-indigo-100 text-indigo-700 font-semibold py-2 px-4 rounded-lg hover:bg-indigo-200 transition flex items-center gap-2 shadow-sm"><CalendarDays size={16}/>Family Overview</button>
+                        </div>
+                    )}
+                </div>
+                {seasonGroups.length > 0 ? (
+                    <div className="space-y-6">
+                        {seasonGroups.map(group => (
+                            <section key={group.seasonName}>
+                                <h3 className="font-semibold text-gray-500 uppercase tracking-wide text-sm mb-2">{group.seasonName}</h3>
+                                <ul className="space-y-4">
+                                    {group.schedules.map(schedule => renderScheduleItem(schedule, false))}
+                                </ul>
+                            </section>
+                        ))}
+                    </div>
                 ) : (
                     <p className="text-center text-gray-600 py-4">You haven't created any schedules yet.</p>
                 )}
-                {unscheduledKids.length > 0 && (
+                {archivedSchedules.length > 0 && (
                     <div className="mt-6 border-t pt-4">
-                        <h3 className="font-semibold text-lg mb-2">Create schedules for:</h3>
-                        <div className="flex flex-wrap gap-2">
-                            {unscheduledKids.map(kid => (
-                                <button key={kid} onClick={() => handleCreateSchedule(kid)} className="bg-blue-100 text-blue-700 font-semibold py-2 px-4 rounded-lg hover:bg-blue-200 transition flex items-center gap-2">
-                                    <Plus size={16}/> {kid}
-                                </button>
-                            ))}
+                        <button onClick={() => setShowArchived(!showArchived)} className="font-semibold text-lg flex items-center gap-2 text-gray-700 hover:text-gray-900"><Archive size={18}/>Archived ({archivedSchedules.length})</button>
+                        {showArchived && (
+                            <ul className="space-y-4 mt-3">
+                                {archivedSchedules.map(schedule => renderScheduleItem(schedule, true))}
+                            </ul>
+                        )}
+                    </div>
+                )}
+                {deletedSchedules.length > 0 && (
+                    <div className="mt-6 border-t pt-4">
+                        <h3 className="font-semibold text-lg mb-2 flex items-center gap-2"><Trash2 size={18}/>Recently deleted</h3>
+                        <ul className="space-y-2">
+                            {deletedSchedules.map(schedule => {
+                                const daysLeft = getDaysUntilPurge(schedule);
+                                return (
+                                    <li key={schedule.id} className="p-3 bg-red-50 rounded-lg flex flex-wrap justify-between items-center gap-2">
+                                        <div>
+                                            <span className="font-semibold">{schedule.kidName}'s {getSeasonName(schedule)} Schedule</span>
+                                            <p className="text-sm text-gray-500">Deleted for good in {daysLeft} day{daysLeft === 1 ? '' : 's'}</p>
+                                        </div>
+                                        <div className="flex items-center gap-3">
+                                            <button onClick={() => handleUpdateSchedule(schedule.id, { deletedAt: deleteField() })} className="text-blue-600 hover:text-blue-800 font-semibold flex items-center gap-1"><RotateCcw size={16}/>Restore</button>
+                                            <button onClick={() => purgeSchedule(schedule)} className="text-red-600 hover:text-red-800 font-semibold text-sm">Delete now</button>
+                                        </div>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    </div>
+                )}
+                {userKids.length > 0 && (
+                    <div className="mt-6 border-t pt-4">
+                        <h3 className="font-semibold text-lg mb-2">Plan a new season</h3>
+                        <div className="grid grid-cols-2 sm:grid-cols-5 gap-2 items-end">
+                            <label className="text-sm font-semibold text-gray-700">Kid
+                                <select value={newSeason.kidName} onChange={(e) => setNewSeason({ ...newSeason, kidName: e.target.value })} className="w-full p-2 border border-gray-300 rounded-md shadow-sm">
+                                    {userKids.map(kid => <option key={kid} value={kid}>{kid}</option>)}
+                                </select>
+                            </label>
+                            <label className="text-sm font-semibold text-gray-700">Season
+                                <input type="text" value={newSeason.seasonName} onChange={(e) => setNewSeason({ ...newSeason, seasonName: e.target.value })} placeholder="e.g. Spring Break 2027" className="w-full p-2 border border-gray-300 rounded-md shadow-sm" />
+                            </label>
+                            <label className="text-sm font-semibold text-gray-700">Starts
+                                <input type="date" value={newSeason.startDate} onChange={(e) => setNewSeason({ ...newSeason, startDate: e.target.value })} className="w-full p-2 border border-gray-300 rounded-md shadow-sm" />
+                            </label>
+                            <label className="text-sm font-semibold text-gray-700">Ends
+                                <input type="date" value={newSeason.endDate} onChange={(e) => setNewSeason({ ...newSeason, endDate: e.target.value })} className="w-full p-2 border border-gray-300 rounded-md shadow-sm" />
+                            </label>
+                            <button onClick={() => handleCreateSchedule({ ...newSeason, seasonName: newSeason.seasonName.trim() })} disabled={Boolean(newSeasonError)} className="bg-blue-100 text-blue-700 font-semibold py-2 px-4 rounded-lg hover:bg-blue-200 transition flex items-center justify-center gap-2 disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed">
+                                <Plus size={16}/> Create
+                            </button>
                         </div>
+                        {newSeasonError && newSeason.kidName && <p className="text-sm text-gray-500 mt-2">{newSeasonError}</p>}
                     </div>
                 )}
+                <div className="mt-6 border-t pt-4">
+                    <h3 className="font-semibold text-lg mb-2 flex items-center gap-2"><UserPlus size={18}/>Join schedule by code</h3>
+                    <form onSubmit={handleJoinSchedule} className="flex flex-col sm:flex-row gap-2">
+                        <input type="text" value={joinCode} onChange={(e) => setJoinCode(e.target.value)} placeholder="e.g. K3X9QF7B" className="flex-grow p-2 border border-gray-300 rounded-md shadow-sm uppercase tracking-widest" />
+                        <button type="submit" disabled={isJoining || !joinCode.trim()} className="px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-800 font-semibold disabled:bg-gray-400 disabled:cursor-not-allowed">{isJoining ? 'Joining...' : 'Join'}</button>
+                    </form>
+                    {joinError && <p className="text-red-600 text-sm mt-2">{joinError}</p>}
+                </div>
             </div>
+            <DeleteConfirmationModal isOpen={Boolean(scheduleToDelete)} onClose={() => setScheduleToDelete(null)} onConfirm={handleDeleteSchedule} planName={scheduleToDelete ? `${scheduleToDelete.kidName}'s ${getSeasonName(scheduleToDelete)} Schedule` : ''} />
         </div>
     );
 };
 
 
-// --- Schedule Detail View (The Grid) ---
-const ScheduleDetailView = ({ scheduleId, db, user, setView }) => {
-    const [scheduleData, setScheduleData] = useState(null);
-    const [isLoading, setIsLoading] = useState(true);
-    
-    // Modals state
-    const [isKidsModalOpen, setKidsModalOpen] = useState(false);
-    const [isCampsModalOpen, setCampsModalOpen] = useState(false);
-    const [isScheduleModalOpen, setScheduleModalOpen] = useState(false);
-    const [currentCell, setCurrentCell] = useState({ campIndex: null, weekIndex: null });
-    const [isPrintView, setIsPrintView] = useState(false);
-    const [selectedKidForSummary, setSelectedKidForSummary] = useState('');
+// --- Household Settings ---
+const HouseholdSettings = ({ household, schedules, user, userData, setView }) => {
+    const [newKid, setNewKid] = useState('');
+    const [editingKid, setEditingKid] = useState(null);
+    const [kidToRemove, setKidToRemove] = useState(null);
+    const [renameResult, setRenameResult] = useState(null);
+    const [invite, setInvite] = useState(null);
+    const [copiedInvite, setCopiedInvite] = useState(false);
+    const [joinCode, setJoinCode] = useState('');
+    const [joinError, setJoinError] = useState('');
+    const [isJoining, setIsJoining] = useState(false);
 
-    useEffect(() => {
-        const scheduleDocRef = doc(db, "schedules", scheduleId);
-        const unsubscribe = onSnapshot(scheduleDocRef, (docSnap) => {
-            if (docSnap.exists()) {
-                const data = docSnap.data();
-                setScheduleData({ id: docSnap.id, ...data });
-                if (!selectedKidForSummary && data.allKids && data.allKids.length > 0) {
-                    setSelectedKidForSummary(data.allKids[0]);
-                }
-            } else {
-                setView('dashboard');
-            }
-            setIsLoading(false);
+    const kids = [...(household.kids || [])].sort((a, b) => a.localeCompare(b));
+    const kidProfiles = household.kidProfiles || {};
+    const memberEmails = household.memberEmails || {};
+
+    const handleAddKid = () => {
+        const name = newKid.trim();
+        if (!name || kids.includes(name)) return;
+        saveChange("adding a kid", () => updateHousehold(household.id, { kids: arrayUnion(name) }));
+        setNewKid('');
+    };
+
+    // Schedules keep their own kids lists, so removing a kid here leaves their schedules alone.
+    const handleRemoveKid = (kid) => {
+        const remainingProfiles = Object.fromEntries(Object.entries(kidProfiles).filter(([name]) => name !== kid));
+        saveChange("removing a kid", () => updateHousehold(household.id, { kids: arrayRemove(kid), kidProfiles: remainingProfiles }));
+        setKidToRemove(null);
+    };
+
+    // A rename goes out in one batch with every schedule this parent can edit that names the
+    // kid, and their own payment records. Schedules they can only view, or that already have
+    // a kid by the new name, are left as they are and listed afterwards.
+    const handleSaveKid = (kid, name, profile) => {
+        const otherProfiles = Object.fromEntries(Object.entries(kidProfiles).filter(([other]) => other !== kid));
+        const profileUpdates = { kidProfiles: { ...otherProfiles, [name]: profile } };
+        setEditingKid(null);
+        if (name === kid) {
+            saveChange("updating a kid's profile", () => updateHousehold(household.id, profileUpdates));
+            return;
+        }
+        const renamed = [];
+        const skipped = [];
+        schedules.filter(s => !isScheduleDeleted(s) && renameKidInSchedule(s, kid, name, user.uid)).forEach(schedule => {
+            const title = `${schedule.kidName}'s ${getSeasonName(schedule)} Schedule`;
+            if (!canEditSchedule(getScheduleRole(schedule, user.uid, household.id))) skipped.push(`${title} (view only)`);
+            else if ((schedule.allKids || []).includes(name)) skipped.push(`${title} (already has a kid called ${name})`);
+            else renamed.push(schedule);
         });
-        return () => unsubscribe();
-    }, [scheduleId, db, setView, selectedKidForSummary]);
+        const budgets = userData.budgets || {};
+        const paymentUpdates = Object.fromEntries(Object.keys(budgets)
+            .filter(id => (budgets[id].payments || []).some(payment => payment.kid === kid))
+            .map(id => [`budgets.${id}.payments`, budgets[id].payments.map(payment => payment.kid === kid ? { ...payment, kid: name } : payment)]));
+        saveChange(`renaming ${kid}`, () => renameKid(user.uid, household.id, {
+            householdUpdates: { kids: household.kids.map(k => k === kid ? name : k), ...profileUpdates },
+            scheduleUpdates: Object.fromEntries(renamed.map(schedule => [schedule.id, renameKidInSchedule(schedule, kid, name, user.uid)])),
+            userUpdates: paymentUpdates,
+        }));
+        setRenameResult({ kid, name, renamedCount: renamed.length, skipped });
+    };
 
-    const handleUpdateList = async (listName, newList) => {
-        const sortedList = newList.sort((a,b) => a.localeCompare(b));
+    const handleCreateInvite = async () => {
+        const code = generateInviteCode();
+        const expiresAt = Date.now() + HOUSEHOLD_INVITE_DAYS * 86400000;
         try {
-            await updateDoc(doc(db, "schedules", scheduleId), { [listName]: sortedList });
+            await createHouseholdInvite(code, { householdId: household.id, createdBy: user.uid, expiresAt });
+            setInvite({ code, expiresAt });
         } catch (e) {
-            console.error(`Error updating ${listName}:`, e);
+            console.error("Error creating household invite:", e);
         }
     };
-    
-    const handleScheduleChange = async (updatedAttendees) => {
-        if (currentCell.campIndex === null || currentCell.weekIndex === null) return;
-        const key = `${currentCell.campIndex}-${currentCell.weekIndex}`;
-        const newSchedule = { ...scheduleData.schedule, [key]: updatedAttendees };
+
+    const handleCopyInvite = async () => {
         try {
-            await updateDoc(doc(db, "schedules", scheduleId), { schedule: newSchedule });
-            setScheduleModalOpen(false);
+            await navigator.clipboard.writeText(invite.code);
+            setCopiedInvite(true);
+            setTimeout(() => setCopiedInvite(false), 2000);
         } catch (e) {
-            console.error("Error updating schedule:", e);
+            console.error("Error copying to clipboard:", e);
         }
     };
 
-    if (isLoading || !scheduleData) {
-        return <p>Loading schedule details...</p>;
-    }
-    
-    if (isPrintView) {
-        return <PrintableSummary planData={scheduleData} selectedKid={selectedKidForSummary} setIsPrintView={setIsPrintView} />;
-    }
+    const handleJoin = async (e) => {
+        e.preventDefault();
+        const code = joinCode.trim().toUpperCase();
+        if (!code) return;
+        setJoinError('');
+        setIsJoining(true);
+        try {
+            const householdId = await joinHousehold(user, code);
+            if (householdId === household.id) {
+                setJoinError("You're already in that household.");
+                setIsJoining(false);
+                return;
+            }
+            await moveIntoHousehold(user, household, schedules, householdId);
+        } catch (error) {
+            console.error("Error joining household:", error);
+            setJoinError(error.message || "Couldn't join that household. Check the code and try again.");
+            setIsJoining(false);
+        }
+    };
+
+    // A parent who leaves starts over with an empty household of their own. Only they can
+    // take themselves out.
+    const handleLeaveHousehold = () => saveChange("leaving the household", () => updateHousehold(household.id, {
+        members: arrayRemove(user.uid),
+        [`memberEmails.${user.uid}`]: deleteField(),
+    }));
 
     return (
-        <div className="p-4 sm:p-6 bg-white/80 backdrop-blur-sm border border-white/50 rounded-2xl shadow-2xl w-full max-w-7xl mx-auto">
-             <button onClick={() => setView('dashboard')} className="text-blue-600 hover:text-blue-800 flex items-center mb-6 font-semibold"><ArrowLeft size={18} className="mr-1" />Back to Dashboard</button>
-            <h2 className="text-3xl font-bold text-gray-800">{scheduleData.kidName}'s Summer Schedule</h2>
-            <p className="text-gray-500 mb-6">Schedule ID: {scheduleData.id}</p>
-            
-            <ScheduleGrid 
-                planData={scheduleData} 
-                handleOpenModal={(campIndex, weekIndex) => {
-                    setCurrentCell({ campIndex, weekIndex });
-                    setScheduleModalOpen(true);
-                }}
-                setKidsModalOpen={setKidsModalOpen}
-                setCampsModalOpen={setCampsModalOpen}
-                setSelectedKidForSummary={setSelectedKidForSummary}
-                setIsPrintView={setIsPrintView}
-            />
+        <div className="p-4 sm:p-6 bg-white/80 backdrop-blur-sm border border-white/50 rounded-2xl shadow-2xl w-full max-w-3xl mx-auto">
+            <button onClick={() => setView('dashboard')} className="text-blue-600 hover:text-blue-800 flex items-center mb-6 font-semibold"><ArrowLeft size={18} className="mr-1" />Back to Dashboard</button>
+            <h2 className="text-3xl font-bold text-gray-800 mb-6">Household</h2>
 
-            {/* Modals */}
-            <ManagementModal isOpen={isKidsModalOpen} onClose={() => setKidsModalOpen(false)} title="Manage Kids" items={scheduleData.allKids || []} onSave={(newList) => handleUpdateList('allKids', newList)} placeholder="Add new kid's name" />
-            <ManagementModal isOpen={isCampsModalOpen} onClose={() => setCampsModalOpen(false)} title="Manage Camps" items={scheduleData.camps || []} onSave={(newList) => handleUpdateList('camps', newList)} placeholder="Add new camp name" />
-            <EditScheduleModal modal={{isOpen: isScheduleModalOpen, ...currentCell}} planData={scheduleData} handleCloseModal={() => setScheduleModalOpen(false)} handleScheduleChange={handleScheduleChange} />
+            <section className="mb-8">
+                <h3 className="font-semibold text-lg mb-2">Kids</h3>
+                {renameResult && (
+                    <div className="mb-3 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-900">
+                        <p>Renamed {renameResult.kid} to {renameResult.name}{renameResult.renamedCount > 0 && ` on ${renameResult.renamedCount} schedule${renameResult.renamedCount === 1 ? '' : 's'}`}.</p>
+                        {renameResult.skipped.length > 0 && (
+                            <>
+                                <p className="mt-1">Still under the old name:</p>
+                                <ul className="list-disc list-inside">{renameResult.skipped.map(title => <li key={title}>{title}</li>)}</ul>
+                            </>
+                        )}
+                        <button onClick={() => setRenameResult(null)} className="mt-1 text-blue-700 hover:text-blue-900 font-semibold">Dismiss</button>
+                    </div>
+                )}
+                <ul className="space-y-2 mb-3">
+                    {kids.map(kid => (
+                        <li key={kid} className="p-3 bg-gray-50 rounded-lg flex flex-wrap justify-between items-center gap-2 shadow-sm">
+                            <div>
+                                <span className="font-semibold">{kid}</span>
+                                {formatKidSummary(getKidProfile(household, kid)) && <p className="text-sm text-gray-500">{formatKidSummary(getKidProfile(household, kid))}</p>}
+                            </div>
+                            {kidToRemove === kid ? (
+                                <div className="flex items-center gap-3 text-sm">
+                                    <span className="text-gray-600">Remove {kid} and their profile?</span>
+                                    <button onClick={() => handleRemoveKid(kid)} className="text-red-600 hover:text-red-800 font-semibold">Remove</button>
+                                    <button onClick={() => setKidToRemove(null)} className="text-gray-500 hover:text-gray-700 font-semibold">Cancel</button>
+                                </div>
+                            ) : (
+                                <div className="flex items-center gap-3">
+                                    <button onClick={() => setEditingKid(kid)} className="text-blue-600 hover:underline font-semibold">Edit profile</button>
+                                    <button onClick={() => setKidToRemove(kid)} title="Remove" className="text-red-400 hover:text-red-600"><Trash2 size={18}/></button>
+                                </div>
+                            )}
+                        </li>
+                    ))}
+                    {kids.length === 0 && <p className="text-gray-600">No kids yet.</p>}
+                </ul>
+                <div className="flex gap-2">
+                    <input type="text" value={newKid} onChange={(e) => setNewKid(e.target.value)} placeholder="Kid's Name" className="flex-grow p-2 border border-gray-300 rounded-md shadow-sm" />
+                    <button onClick={handleAddKid} disabled={!newKid.trim() || kids.includes(newKid.trim())} className="px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-800 font-semibold disabled:bg-gray-400 disabled:cursor-not-allowed">Add Kid</button>
+                </div>
+            </section>
+
+            <section>
+                <h3 className="font-semibold text-lg mb-2">Parents</h3>
+                <p className="text-sm text-gray-600 mb-3">Everyone here sees the same kids and owns the same schedules.</p>
+                <ul className="space-y-2 mb-4">
+                    {(household.members || []).map(uid => (
+                        <li key={uid} className="flex items-center justify-between bg-gray-100 p-3 rounded-md gap-2">
+                            <span className="text-gray-800 font-medium truncate">{memberEmails[uid] || uid}{uid === user.uid && <span className="text-gray-500 font-normal"> (you)</span>}</span>
+                            {uid === user.uid && household.members.length > 1 && (
+                                <button onClick={handleLeaveHousehold} className="text-sm text-red-500 hover:text-red-700 font-semibold">Leave</button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+                <div className="p-4 bg-gray-50 rounded-lg mb-4">
+                    <h4 className="font-semibold text-gray-700 mb-1 flex items-center gap-2"><UserPlus size={18}/>Invite a parent</h4>
+                    <p className="text-sm text-gray-600 mb-2">They enter the code under Household, or when they first sign up. It works once and expires after {HOUSEHOLD_INVITE_DAYS} days.</p>
+                    {invite ? (
+                        <div className="flex items-center justify-between bg-white p-3 rounded-md border">
+                            <div>
+                                <span className="font-mono font-bold tracking-widest text-lg">{invite.code}</span>
+                                <p className="text-xs text-gray-500">Expires {new Date(invite.expiresAt).toLocaleDateString()}</p>
+                            </div>
+                            <button onClick={handleCopyInvite} className="text-blue-600 hover:text-blue-800 flex items-center gap-1 text-sm font-semibold">{copiedInvite ? <Check size={16}/> : <Copy size={16}/>}{copiedInvite ? 'Copied' : 'Copy code'}</button>
+                        </div>
+                    ) : (
+                        <button onClick={handleCreateInvite} className="bg-blue-100 text-blue-700 font-semibold py-2 px-4 rounded-lg hover:bg-blue-200 transition">Create invite code</button>
+                    )}
+                </div>
+                <div className="p-4 bg-gray-50 rounded-lg">
+                    <h4 className="font-semibold text-gray-700 mb-1">Join another household</h4>
+                    <p className="text-sm text-gray-600 mb-2">Your kids and the schedules you created move with you.</p>
+                    <form onSubmit={handleJoin} className="flex flex-col sm:flex-row gap-2">
+                        <input type="text" value={joinCode} onChange={(e) => setJoinCode(e.target.value)} placeholder="Invite code" className="flex-grow p-2 border border-gray-300 rounded-md shadow-sm uppercase tracking-widest" />
+                        <button type="submit" disabled={isJoining || !joinCode.trim()} className="px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-800 font-semibold disabled:bg-gray-400 disabled:cursor-not-allowed">{isJoining ? 'Joining...' : 'Join'}</button>
+                    </form>
+                    {joinError && <p className="text-red-600 text-sm mt-2">{joinError}</p>}
+                </div>
+            </section>
+
+            <KidProfileModal key={editingKid} kid={editingKid} profile={getKidProfile(household, editingKid)} otherKids={kids.filter(k => k !== editingKid)} onClose={() => setEditingKid(null)} onSave={handleSaveKid} />
         </div>
     );
 };
 
-// --- Re-integrated components from V1, adapted for V2 ---
-const ScheduleGrid = ({ planData, handleOpenModal, setKidsModalOpen, setCampsModalOpen, setSelectedKidForSummary, setIsPrintView }) => {
-    const kidColors = useMemo(() => [
-        'bg-blue-200 text-blue-800', 'bg-green-200 text-green-800', 'bg-yellow-200 text-yellow-800',
-        'bg-purple-200 text-purple-800', 'bg-pink-200 text-pink-800', 'bg-indigo-200 text-indigo-800',
-        'bg-red-200 text-red-800', 'bg-teal-200 text-teal-800'
-    ], []);
-    
-    const getKidColor = (kidName) => {
-        const sortedKids = [...(planData.allKids || [])].sort((a,b) => a.localeCompare(b));
-        const index = sortedKids.indexOf(kidName);
-        return kidColors[index % kidColors.length];
-    };
 
-    const renderWeekHeader = (weekIndex) => {
-        if (!planData.startDate) return `Week ${weekIndex + 1}`;
+// --- Account Settings ---
+const AccountSettings = ({ user, userData, household, schedules, setView, handleDeleteAccount }) => {
+    const [emailVerified, setEmailVerified] = useState(user.emailVerified);
+    const [newEmail, setNewEmail] = useState('');
+    const [emailPassword, setEmailPassword] = useState('');
+    const [newPassword, setNewPassword] = useState('');
+    const [status, setStatus] = useState(null);
+    const [isBusy, setIsBusy] = useState(false);
+    const [hasExported, setHasExported] = useState(false);
+    const [isDeleteOpen, setIsDeleteOpen] = useState(false);
+
+    const methods = getSignInMethods(user);
+    const hasPassword = methods.includes('password');
+    const availableMethods = Object.keys(SIGN_IN_METHODS).filter(method => !isLocalBackend || method === 'password');
+
+    // Each action reports back under its own section.
+    const runAction = async (section, action) => {
+        setStatus(null);
+        setIsBusy(true);
         try {
-            const parts = planData.startDate.split('-');
-            const baseDate = new Date(Date.UTC(parseInt(parts[0]), parseInt(parts[1]) - 1, parseInt(parts[2])));
-            const weekStartDate = new Date(baseDate);
-            weekStartDate.setUTCDate(baseDate.getUTCDate() + weekIndex * 7);
-            const monthName = weekStartDate.toLocaleString('default', { month: 'short', timeZone: 'UTC' });
-            const dateNum = weekStartDate.getUTCDate();
-            return (
-                <div className="text-center">
-                    <div className="font-semibold text-gray-700">Week {weekIndex + 1}</div>
-                    <div className="text-xs text-gray-500 font-normal">{monthName} {dateNum}</div>
-                </div>
-            );
-        } catch (e) {
-            console.error("Date parsing error:", e);
-            return `Week ${weekIndex + 1}`;
+            setStatus({ section, text: await action() });
+        } catch (err) {
+            console.error("Error updating account:", err);
+            setStatus({ section, text: describeAccountError(err), isError: true });
+        } finally {
+            setIsBusy(false);
         }
     };
 
-    return (
-        <>
-            <div className="flex flex-wrap gap-3 my-6 border-t border-gray-200 pt-4">
-                <button onClick={() => setKidsModalOpen(true)} className="bg-indigo-100 text-indigo-700 font-semibold py-2 px-4 rounded-lg hover:bg-indigo-200 transition flex items-center gap-2 shadow-sm"><Users size={16}/>Manage Kids</button>
-                <button onClick={() => setCampsModalOpen(true)} className="bg-orange-100 text-orange-700 font-semibold py-2 px-4 rounded-lg hover:bg-orange-200 transition flex items-center gap-2 shadow-sm"><Calendar size={16}/>Manage Camps</button>
-            </div>
-            
-            <div className="p-4 bg-gray-50 rounded-lg mb-6 border">
-                <h3 className="font-bold text-lg text-gray-700 mb-2">Printable Summary</h3>
-                <div className="flex flex-col sm:flex-row items-center gap-3">
-                    <select onChange={e => setSelectedKidForSummary(e.target.value)} className="p-2 border border-gray-300 rounded-md w-full sm:w-auto shadow-sm">
-                        <option value="">-- Select a Kid --</option>
-                        {[...(planData.allKids || [])].sort((a,b) => a.localeCompare(b)).map(kid => <option key={kid} value={kid}>{kid}</option>)}
+    const handleSendVerification = () => runAction('email', async () => {
+        await sendEmailVerification(user);
+        return `We've sent a link to ${user.email}. Follow it, then check again here.`;
+    });
+
+    const handleCheckVerification = () => runAction('email', async () => {
+        await reload(user);
+        setEmailVerified(user.emailVerified);
+        return user.emailVerified ? "Your email is verified." : "Not verified yet. Follow the link in the email, then check again.";
+    });
+
+    const handleChangeEmail = (e) => {
+        e.preventDefault();
+        const email = newEmail.trim();
+        runAction('email', async () => {
+            await reauthenticate(user, emailPassword);
+            await verifyBeforeUpdateEmail(user, email);
+            setNewEmail('');
+            setEmailPassword('');
+            return isLocalBackend ? `Your email is now ${email}.` : `We've sent a link to ${email}. Your email changes once you follow it, and you sign in with the new one from then on.`;
+        });
+    };
+
+    const handleLinkGoogle = () => runAction('methods', async () => {
+        await linkWithPopup(user, new GoogleAuthProvider());
+        return "Google is linked. You can sign in with either.";
+    });
+
+    const handleAddPassword = (e) => {
+        e.preventDefault();
+        runAction('methods', async () => {
+            await linkWithCredential(user, EmailAuthProvider.credential(user.email, newPassword));
+            setNewPassword('');
+            return "Password added. You can sign in with your email and password too.";
+        });
+    };
+
+    const handleUnlink = (method) => runAction('methods', async () => {
+        await unlink(user, method);
+        return `${SIGN_IN_METHODS[method]} is no longer linked.`;
+    });
+
+    const handleExport = () => {
+        const url = URL.createObjectURL(new Blob([JSON.stringify(buildAccountJson(user, userData, household, schedules), null, 2)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `camp-planner-account-${toIsoDate(new Date())}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        setHasExported(true);
+    };
+
+    const renderStatus = (section) => status && status.section === section && (
+        <p className={`text-sm mt-2 ${status.isError ? 'text-red-600' : 'text-green-700'}`}>{status.text}</p>
+    );
+
+    return (
+        <div className="p-4 sm:p-6 bg-white/80 backdrop-blur-sm border border-white/50 rounded-2xl shadow-2xl w-full max-w-3xl mx-auto">
+            <button onClick={() => setView('dashboard')} className="text-blue-600 hover:text-blue-800 flex items-center mb-6 font-semibold"><ArrowLeft size={18} className="mr-1" />Back to Dashboard</button>
+            <h2 className="text-3xl font-bold text-gray-800 mb-6">Account</h2>
+
+            <section className="mb-8">
+                <h3 className="font-semibold text-lg mb-2">Email</h3>
+                <div className="flex flex-wrap items-center gap-2 mb-3">
+                    <span className="text-gray-800 font-medium">{user.email}</span>
+                    {emailVerified
+                        ? <span className="px-2 py-0.5 text-xs font-semibold bg-green-100 text-green-800 rounded-full flex items-center gap-1"><ShieldCheck size={14}/>Verified</span>
+                        : <span className="px-2 py-0.5 text-xs font-semibold bg-amber-100 text-amber-800 rounded-full">Not verified</span>}
+                </div>
+                {!emailVerified && (
+                    <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-900 mb-3">
+                        <p>Verify your email so reminders and password resets reach you.</p>
+                        <div className="flex gap-4 mt-2">
+                            <button onClick={handleSendVerification} disabled={isBusy} className="font-semibold text-blue-600 hover:text-blue-800 disabled:text-gray-400">Send verification email</button>
+                            <button onClick={handleCheckVerification} disabled={isBusy} className="font-semibold text-blue-600 hover:text-blue-800 disabled:text-gray-400">I've verified it</button>
+                        </div>
+                    </div>
+                )}
+                <form onSubmit={handleChangeEmail} className="flex flex-col sm:flex-row gap-2">
+                    <input type="email" value={newEmail} onChange={(e) => setNewEmail(e.target.value)} placeholder="New email" className="flex-grow p-2 border border-gray-300 rounded-md shadow-sm" />
+                    {hasPassword && <input type="password" value={emailPassword} onChange={(e) => setEmailPassword(e.target.value)} placeholder="Current password" className="flex-grow p-2 border border-gray-300 rounded-md shadow-sm" />}
+                    <button type="submit" disabled={isBusy || !newEmail.trim() || (hasPassword && !emailPassword)} className="px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-800 font-semibold disabled:bg-gray-400 disabled:cursor-not-allowed">Change email</button>
+                </form>
+                {!hasPassword && <p className="text-xs text-gray-500 mt-1">You'll confirm it's you with Google.</p>}
+                {renderStatus('email')}
+            </section>
+
+            <section className="mb-8">
+                <h3 className="font-semibold text-lg mb-2">Sign-in methods</h3>
+                <p className="text-sm text-gray-600 mb-3">Link more than one to sign in to this same account either way.</p>
+                <ul className="space-y-2">
+                    {availableMethods.map(method => (
+                        <li key={method} className="flex flex-wrap items-center justify-between bg-gray-100 p-3 rounded-md gap-2">
+                            <span className="text-gray-800 font-medium">{SIGN_IN_METHODS[method]}</span>
+                            {methods.includes(method) ? (
+                                <div className="flex items-center gap-3 text-sm">
+                                    <span className="text-green-700 font-semibold flex items-center gap-1"><Check size={16}/>Linked</span>
+                                    {methods.length > 1 && <button onClick={() => handleUnlink(method)} disabled={isBusy} className="text-red-500 hover:text-red-700 font-semibold disabled:text-gray-400">Unlink</button>}
+                                </div>
+                            ) : method === 'google.com' ? (
+                                <button onClick={handleLinkGoogle} disabled={isBusy} className="text-sm bg-blue-100 text-blue-700 font-semibold py-1 px-3 rounded-lg hover:bg-blue-200 transition disabled:bg-gray-200 disabled:text-gray-500">Link Google</button>
+                            ) : (
+                                <form onSubmit={handleAddPassword} className="flex gap-2">
+                                    <input type="password" value={newPassword} onChange={(e) => setNewPassword(e.target.value)} placeholder="New password" className="p-1.5 border border-gray-300 rounded-md shadow-sm text-sm" />
+                                    <button type="submit" disabled={isBusy || !newPassword} className="text-sm bg-blue-100 text-blue-700 font-semibold py-1 px-3 rounded-lg hover:bg-blue-200 transition disabled:bg-gray-200 disabled:text-gray-500">Add password</button>
+                                </form>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+                {renderStatus('methods')}
+            </section>
+
+            <section className="mb-8">
+                <h3 className="font-semibold text-lg mb-2">Your data</h3>
+                <p className="text-sm text-gray-600 mb-3">Download your kids, their profiles, your settings and every schedule you're on as one JSON file. Each schedule in it can be brought back in with Import / Export.</p>
+                <button onClick={handleExport} className="bg-blue-100 text-blue-700 font-semibold py-2 px-4 rounded-lg hover:bg-blue-200 transition flex items-center gap-2"><Download size={18}/>Download my data</button>
+            </section>
+
+            <section className="p-4 border border-red-200 bg-red-50 rounded-lg">
+                <h3 className="font-semibold text-lg text-red-800 mb-1">Delete account</h3>
+                <p className="text-sm text-red-900 mb-3">Your sign-in and settings are deleted. You choose what happens to each schedule you own first.</p>
+                <button onClick={() => setIsDeleteOpen(true)} className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition font-semibold">Delete account...</button>
+            </section>
+
+            {isDeleteOpen && <DeleteAccountModal user={user} household={household} schedules={schedules} hasExported={hasExported} onExport={handleExport} onDelete={handleDeleteAccount} onClose={() => setIsDeleteOpen(false)} />}
+        </div>
+    );
+};
+
+const DeleteAccountModal = ({ user, household, schedules, hasExported, onExport, onDelete, onClose }) => {
+    const [handTo, setHandTo] = useState({});
+    const [password, setPassword] = useState('');
+    const [isDeleting, setIsDeleting] = useState(false);
+    const [error, setError] = useState('');
+
+    const plan = getAccountDeletionPlan(schedules, user, household, handTo);
+    const hasPassword = getSignInMethods(user).includes('password');
+    const otherParents = (household.members || []).filter(uid => uid !== user.uid);
+    const memberEmail = (schedule, uid) => (schedule.memberEmails || {})[uid] || uid;
+
+    // Once it's confirmed, the app takes over and shows how the deletion goes.
+    const handleDelete = async () => {
+        setError('');
+        setIsDeleting(true);
+        try {
+            await reauthenticate(user, password);
+        } catch (err) {
+            console.error("Error confirming it's you:", err);
+            setError(describeAccountError(err));
+            setIsDeleting(false);
+            return;
+        }
+        onDelete({
+            household,
+            settlements: plan.map(step => ({ schedule: step.schedule, updates: getScheduleSettlement(user, household, step) })),
+            progress: { settled: 0 },
+        });
+    };
+
+    const renderOutcome = ({ schedule, outcome, to, candidates }) => {
+        if (outcome === 'leave') return <p className="text-sm text-gray-500">You'll leave it. Its owner keeps it.</p>;
+        if (outcome === 'household') return <p className="text-sm text-gray-500">Stays with {(household.memberEmails || {})[to] || 'the other parents'} in your household.</p>;
+        if (!candidates.length) return <p className="text-sm text-red-600">Deleted for good.</p>;
+        return (
+            <select value={to || ''} onChange={(e) => setHandTo({ ...handTo, [schedule.id]: e.target.value })} className="mt-1 p-1.5 border border-gray-300 rounded-md text-sm w-full">
+                <option value="">Delete it for good</option>
+                {candidates.map(uid => <option key={uid} value={uid}>Hand it to {memberEmail(schedule, uid)} ({ROLE_LABELS[getScheduleRole(schedule, uid)]})</option>)}
+            </select>
+        );
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold text-gray-800">Delete your account</h3>
+                    <button onClick={onClose} disabled={isDeleting} className="text-gray-400 hover:text-gray-600"><X size={24}/></button>
+                </div>
+                <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-900 mb-4">
+                    <p className="mb-2">Before you go, download a copy of your kids, schedules and settings. It can't be recovered afterwards.</p>
+                    <button onClick={onExport} className="font-semibold text-blue-700 hover:text-blue-900 flex items-center gap-1">{hasExported ? <Check size={16}/> : <Download size={16}/>}{hasExported ? 'Downloaded. Download again' : 'Download my data'}</button>
+                </div>
+                {plan.length > 0 && (
+                    <>
+                        <h4 className="font-semibold text-gray-700 mb-2">Your schedules</h4>
+                        <ul className="space-y-2 mb-4">
+                            {plan.map(step => (
+                                <li key={step.schedule.id} className="p-3 bg-gray-50 rounded-lg">
+                                    <span className="font-semibold">{step.schedule.kidName}'s {getSeasonName(step.schedule)} Schedule</span>
+                                    {renderOutcome(step)}
+                                </li>
+                            ))}
+                        </ul>
+                    </>
+                )}
+                <h4 className="font-semibold text-gray-700 mb-1">Your household</h4>
+                <p className="text-sm text-gray-600 mb-4">{otherParents.length
+                    ? `You'll leave it. ${otherParents.map(uid => (household.memberEmails || {})[uid] || 'The other parent').join(', ')} keep${otherParents.length === 1 ? 's' : ''} the kids and their profiles.`
+                    : "It's deleted, with the kids' profiles and your links to friends."} Any household or friend codes you made stop working.</p>
+                <h4 className="font-semibold text-gray-700 mb-1">What stays behind</h4>
+                <p className="text-sm text-gray-600 mb-4">Schedules you leave or hand on keep their history, which lists the changes you made under your email. Calendar links published for kids on those schedules keep working until someone who edits the schedule turns them off.</p>
+                {hasPassword
+                    ? <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="Enter your password to confirm" className="w-full p-2 border border-gray-300 rounded-md shadow-sm" />
+                    : <p className="text-sm text-gray-600">You'll confirm it's you with Google.</p>}
+                {error && <p className="text-red-600 text-sm mt-2">{error}</p>}
+                <div className="flex justify-end space-x-3 mt-6">
+                    <button onClick={onClose} disabled={isDeleting} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition font-semibold">Cancel</button>
+                    <button onClick={handleDelete} disabled={isDeleting || (hasPassword && !password)} className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition font-semibold disabled:bg-red-300 disabled:cursor-not-allowed">{isDeleting ? 'Deleting...' : 'Delete my account'}</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Shown by the app while an account is being deleted, and if it fails part way: by then some
+// of the data may be gone, so the parent can try again (confirming it's them once more, in
+// case the sign-in is what failed) or sign out.
+const AccountDeletionProgress = ({ user, deletion, onRetry, onCancel, handleSignOut }) => {
+    const [password, setPassword] = useState('');
+    const [isConfirming, setIsConfirming] = useState(false);
+    const [error, setError] = useState('');
+
+    const hasPassword = getSignInMethods(user).includes('password');
+    const hasStarted = deletion.progress.settled > 0 || Boolean(deletion.progress.hasLeftHousehold);
+
+    const handleRetry = async () => {
+        setError('');
+        setIsConfirming(true);
+        try {
+            await reauthenticate(user, password);
+        } catch (err) {
+            console.error("Error confirming it's you:", err);
+            setError(describeAccountError(err));
+            setIsConfirming(false);
+            return;
+        }
+        setIsConfirming(false);
+        setPassword('');
+        onRetry(deletion);
+    };
+
+    if (!deletion.error) {
+        return (
+            <div className="p-8 bg-white/80 backdrop-blur-sm shadow-2xl rounded-2xl max-w-lg mx-auto border border-white text-center space-y-4">
+                <div className="animate-spin rounded-full h-12 w-12 border-t-4 border-b-4 border-red-500 mx-auto"></div>
+                <h3 className="text-xl font-bold text-gray-800">Deleting your account...</h3>
+                <p className="text-gray-600">Keep this page open until it's done.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="p-8 bg-white/80 backdrop-blur-sm shadow-2xl rounded-2xl max-w-lg mx-auto border border-white text-center space-y-4">
+            <h3 className="text-xl font-bold text-red-600">{hasStarted ? "Your account is only partly deleted" : "Couldn't delete your account"}</h3>
+            <p className="text-gray-700">{deletion.error}</p>
+            {hasStarted && <p className="text-sm text-gray-600">Some of it is already gone. Try again to finish, from where it stopped.</p>}
+            {hasPassword
+                ? <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="Enter your password to confirm" className="w-full p-2 border border-gray-300 rounded-md shadow-sm" />
+                : <p className="text-sm text-gray-600">You'll confirm it's you with Google.</p>}
+            {error && <p className="text-red-600 text-sm">{error}</p>}
+            <div className="flex flex-wrap justify-center gap-3">
+                <button onClick={handleRetry} disabled={isConfirming || (hasPassword && !password)} className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 font-semibold disabled:bg-red-300 disabled:cursor-not-allowed">{isConfirming ? 'Confirming...' : 'Try again'}</button>
+                {!hasStarted && <button onClick={onCancel} disabled={isConfirming} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 font-semibold">Back to the app</button>}
+                <button onClick={handleSignOut} disabled={isConfirming} className="px-4 py-2 text-gray-600 hover:text-gray-800 font-semibold">Sign out</button>
+            </div>
+        </div>
+    );
+};
+
+// --- Friends View ---
+const FriendsView = ({ household, friendShare, linkedShares, schedules, setView }) => {
+    const [invite, setInvite] = useState(null);
+    const [copiedInvite, setCopiedInvite] = useState(false);
+    const [linkCode, setLinkCode] = useState('');
+    const [linkError, setLinkError] = useState('');
+    const [isLinking, setIsLinking] = useState(false);
+
+    const householdKids = household.kids || [];
+
+    const handleStartSharing = () => saveChange("turning on friend sharing", () => startFriendSharing(household.id, {
+        familyName: getDefaultFamilyName(householdKids),
+        kids: buildFriendShareKids(householdKids, schedules),
+        links: [],
+    }));
+
+    const handleStopSharing = () => saveChange("turning off friend sharing", () => stopFriendSharing(household.id));
+
+    const handleCreateInvite = async () => {
+        const code = generateInviteCode();
+        const expiresAt = Date.now() + FRIEND_INVITE_DAYS * 86400000;
+        try {
+            await createFriendInvite(code, { householdId: household.id, expiresAt });
+            setInvite({ code, expiresAt });
+        } catch (e) {
+            console.error("Error creating friend invite:", e);
+        }
+    };
+
+    const handleCopyInvite = async () => {
+        try {
+            await navigator.clipboard.writeText(invite.code);
+            setCopiedInvite(true);
+            setTimeout(() => setCopiedInvite(false), 2000);
+        } catch (e) {
+            console.error("Error copying to clipboard:", e);
+        }
+    };
+
+    const handleLink = async (e) => {
+        e.preventDefault();
+        const code = linkCode.trim().toUpperCase();
+        if (!code) return;
+        setLinkError('');
+        setIsLinking(true);
+        try {
+            const invite = await getFriendInvite(code);
+            if (!invite || invite.expiresAt < Date.now()) {
+                setLinkError("That code isn't valid. Ask the other family for a new one.");
+                return;
+            }
+            const { householdId } = invite;
+            if (householdId === household.id) {
+                setLinkError("That's your own code. Send it to the other family instead.");
+                return;
+            }
+            await linkFriend(household.id, householdId, code);
+            setLinkCode('');
+        } catch (error) {
+            console.error("Error linking with a family:", error);
+            setLinkError("Couldn't link with that family. They may have stopped sharing.");
+        } finally {
+            setIsLinking(false);
+        }
+    };
+
+    // Unlinking works both ways. Their side may already be gone if they stopped sharing.
+    const handleUnlink = (householdId) => {
+        saveChange("unlinking a family", () => updateFriendShare(household.id, { links: arrayRemove(householdId) }));
+        updateFriendShare(householdId, { links: arrayRemove(household.id) }).catch(e => console.error("Error unlinking from the other family:", e));
+    };
+
+    const links = (friendShare && friendShare.links) || [];
+    const availableShares = links.map(householdId => linkedShares[householdId]).filter(Boolean);
+    const results = findFriendOverlaps(householdKids, schedules, availableShares);
+
+    return (
+        <div className="p-4 sm:p-6 bg-white/80 backdrop-blur-sm border border-white/50 rounded-2xl shadow-2xl w-full max-w-4xl mx-auto">
+            <button onClick={() => setView('dashboard')} className="text-blue-600 hover:text-blue-800 flex items-center mb-6 font-semibold"><ArrowLeft size={18} className="mr-1" />Back to Dashboard</button>
+            <h2 className="text-3xl font-bold text-gray-800">Friends</h2>
+            <p className="text-gray-600 mb-6">See which weeks your kids share a camp with kids from families you've linked with.</p>
+
+            <section className="mb-8">
+                <h3 className="font-semibold text-lg mb-2">Sharing</h3>
+                {friendShare ? (
+                    <div className="p-4 bg-green-50 rounded-lg space-y-3 text-sm">
+                        <p className="text-green-800">Linked families can see your kids' first names ({friendShare.kids.map(kid => kid.name).join(', ') || 'none yet'}) and the camps and weeks they're booked into. Nothing else is shared.</p>
+                        <label className="block font-semibold text-gray-700">Shown to other families as
+                            <input type="text" key={friendShare.familyName} defaultValue={friendShare.familyName} onBlur={(e) => e.target.value.trim() && e.target.value.trim() !== friendShare.familyName && saveChange("renaming your family", () => updateFriendShare(household.id, { familyName: e.target.value.trim() }))} className="w-full p-2 border border-gray-300 rounded-md shadow-sm font-normal" />
+                        </label>
+                        <button onClick={handleStopSharing} className="text-red-600 hover:text-red-800 font-semibold">Stop sharing</button>
+                        <span className="text-gray-500"> · Removes what you've shared and all your links.</span>
+                    </div>
+                ) : (
+                    <div className="p-4 bg-gray-50 rounded-lg text-sm">
+                        <p className="text-gray-700 mb-3">You're not sharing. To see overlaps, both families turn sharing on and link with a code. Only your kids' first names and their camps and weeks are shared, and you can stop at any time.</p>
+                        <button onClick={handleStartSharing} className="bg-blue-100 text-blue-700 font-semibold py-2 px-4 rounded-lg hover:bg-blue-200 transition">Start sharing</button>
+                    </div>
+                )}
+            </section>
+
+            {friendShare && (
+                <section className="mb-8">
+                    <h3 className="font-semibold text-lg mb-2">Linked families</h3>
+                    <ul className="space-y-2 mb-4">
+                        {links.map(householdId => (
+                            <li key={householdId} className="flex items-center justify-between bg-gray-100 p-3 rounded-md gap-2">
+                                <span className="text-gray-800 font-medium">{linkedShares[householdId] ? linkedShares[householdId].familyName : <span className="text-gray-500 italic">No longer sharing</span>}</span>
+                                <button onClick={() => handleUnlink(householdId)} className="text-sm text-red-500 hover:text-red-700 font-semibold">Unlink</button>
+                            </li>
+                        ))}
+                        {links.length === 0 && <p className="text-gray-600 text-sm">No linked families yet.</p>}
+                    </ul>
+                    <div className="grid sm:grid-cols-2 gap-4">
+                        <div className="p-4 bg-gray-50 rounded-lg text-sm">
+                            <h4 className="font-semibold text-gray-700 mb-1">Invite a family</h4>
+                            <p className="text-gray-600 mb-2">Send them this code. It works once and expires after {FRIEND_INVITE_DAYS} days.</p>
+                            {invite ? (
+                                <div className="flex items-center justify-between bg-white p-3 rounded-md border">
+                                    <span className="font-mono font-bold tracking-widest text-lg">{invite.code}</span>
+                                    <button onClick={handleCopyInvite} className="text-blue-600 hover:text-blue-800 flex items-center gap-1 font-semibold">{copiedInvite ? <Check size={16}/> : <Copy size={16}/>}{copiedInvite ? 'Copied' : 'Copy code'}</button>
+                                </div>
+                            ) : (
+                                <button onClick={handleCreateInvite} className="bg-blue-100 text-blue-700 font-semibold py-2 px-4 rounded-lg hover:bg-blue-200 transition">Create code</button>
+                            )}
+                        </div>
+                        <div className="p-4 bg-gray-50 rounded-lg text-sm">
+                            <h4 className="font-semibold text-gray-700 mb-1">Enter a family's code</h4>
+                            <form onSubmit={handleLink} className="flex gap-2 mt-2">
+                                <input type="text" value={linkCode} onChange={(e) => setLinkCode(e.target.value)} placeholder="Code" className="flex-grow p-2 border border-gray-300 rounded-md shadow-sm uppercase tracking-widest" />
+                                <button type="submit" disabled={isLinking || !linkCode.trim()} className="px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-800 font-semibold disabled:bg-gray-400 disabled:cursor-not-allowed">{isLinking ? 'Linking...' : 'Link'}</button>
+                            </form>
+                            {linkError && <p className="text-red-600 mt-2">{linkError}</p>}
+                        </div>
+                    </div>
+                </section>
+            )}
+
+            {friendShare && availableShares.length > 0 && (
+                <section>
+                    <h3 className="font-semibold text-lg mb-2 flex items-center gap-2"><Star size={18} className="text-green-500"/>Overlaps</h3>
+                    {results.length === 0 && <p className="text-gray-600 text-sm">None of your kids share a camp-week with a linked family's kids yet.</p>}
+                    <div className="space-y-4">
+                        {results.map(({ schedule, overlaps, switches }) => (
+                            <div key={schedule.id} className="p-4 bg-gray-50 rounded-lg text-sm">
+                                <h4 className="font-semibold text-gray-800 mb-2">{schedule.kidName}'s {getSeasonName(schedule)} Schedule</h4>
+                                {overlaps.length > 0 && (
+                                    <ul className="space-y-1 mb-2">
+                                        {overlaps.map(overlap => <li key={`${overlap.kid}|${formatFriend(overlap.friend)}`} className="text-green-800">{formatFriendOverlap(overlap)}</li>)}
+                                    </ul>
+                                )}
+                                {switches.length > 0 && (
+                                    <>
+                                        <p className="font-semibold text-gray-700 mt-2">Switches that would put friends together</p>
+                                        <ul className="space-y-1 text-gray-700">
+                                            {switches.map(({ kid, weekIndex, fromCamps, toCamp, friends }) => (
+                                                <li key={`${kid}|${weekIndex}|${toCamp.id}`}>
+                                                    <span className="font-semibold">{getWeekLabel(schedule, weekIndex)}</span> (week {weekIndex + 1}): {kid} {fromCamps.length ? `could switch from ${fromCamps.map(camp => camp.name).join(' and ')} to` : 'has no camp yet; try'} {toCamp.name} to be with {formatNameList(friends.map(formatFriend))}.
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                </section>
+            )}
+        </div>
+    );
+};
+
+
+// --- Family Overview ---
+const FamilyOverview = ({ schedules, userData, currentUid, setView }) => {
+    const liveSchedules = getLiveSchedules(schedules, userData);
+    const seasonNames = [...new Set(liveSchedules.map(getSeasonName))];
+    const [seasonName, setSeasonName] = useState(() => pickCurrentSeason(liveSchedules) || '');
+    const seasonSchedules = liveSchedules.filter(s => getSeasonName(s) === seasonName);
+    const { kids, weeks, cells } = buildFamilyOverview(seasonSchedules, userData, currentUid);
+    const weekClasses = { split: 'bg-amber-50', same: 'bg-green-50' };
+
+    return (
+        <div className="p-4 sm:p-6 bg-white/80 backdrop-blur-sm border border-white/50 rounded-2xl shadow-2xl w-full max-w-7xl mx-auto">
+            <button onClick={() => setView('dashboard')} className="text-blue-600 hover:text-blue-800 flex items-center mb-6 font-semibold"><ArrowLeft size={18} className="mr-1" />Back to Dashboard</button>
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+                <h2 className="text-3xl font-bold text-gray-800">Family Overview</h2>
+                {seasonNames.length > 1 && (
+                    <select value={seasonName} onChange={(e) => setSeasonName(e.target.value)} className="p-2 border border-gray-300 rounded-md shadow-sm">
+                        {seasonNames.map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                )}
+            </div>
+            {kids.length > 0 ? (
+                <>
+                    <p className="text-sm text-gray-600 mb-3">Every kid's camps across all your {seasonName} schedules. Click a camp to edit that week in its schedule, or a week for its printable packet. <span className="px-2 py-0.5 rounded bg-amber-100 text-amber-800 font-semibold">Split</span> weeks mean more than one drop-off; <span className="px-2 py-0.5 rounded bg-green-100 text-green-800 font-semibold">Together</span> weeks have everyone at the same camp.</p>
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full border-collapse text-sm">
+                            <thead>
+                                <tr>
+                                    <th className="sticky left-0 bg-white p-2 text-left font-semibold text-gray-600 border-b">Kid</th>
+                                    {weeks.map(week => (
+                                        <th key={week.monday} className={`p-2 text-center font-semibold text-gray-600 border-b whitespace-nowrap ${weekClasses[week.kind] || ''}`}>
+                                            <button onClick={() => setView('packet', { week: week.monday })} title="Open this week's packet" className="hover:text-blue-700 hover:underline">Week of {formatShortDate(week.monday)}</button>
+                                            {week.kind === 'split' && <span className="block text-xs font-semibold text-amber-800">{week.dropOffs} drop-offs</span>}
+                                            {week.kind === 'same' && <span className="block text-xs font-semibold text-green-800">Together</span>}
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {kids.map((kid, kidIndex) => (
+                                    <tr key={kid}>
+                                        <th className="sticky left-0 bg-white p-2 text-left font-semibold text-gray-800 border-b whitespace-nowrap">{kid}</th>
+                                        {weeks.map(week => {
+                                            const cell = cells[kid][week.monday];
+                                            if (!cell) return <td key={week.monday} className={`p-2 border-b ${weekClasses[week.kind] || ''}`}></td>;
+                                            return (
+                                                <td key={week.monday} className={`p-2 border-b align-top ${weekClasses[week.kind] || ''}`}>
+                                                    {cell.bookings.length > 0 ? (
+                                                        <div className="flex flex-col gap-1">
+                                                            {cell.bookings.map(booking => (
+                                                                <button key={`${booking.scheduleId}|${booking.camp.id}`} onClick={() => setView('cell', { scheduleId: booking.scheduleId, campId: booking.camp.id, week: booking.weekIndex + 1 })} title={`${REGISTRATION_STATUSES[booking.status].label}. Edit this week.`} className={`px-2 py-1 rounded-md text-xs font-semibold text-left hover:ring-2 hover:ring-blue-400 ${REGISTRATION_STATUSES[booking.status].chipClass} ${KID_COLORS[kidIndex % KID_COLORS.length]}`}>
+                                                                    {booking.camp.name}
+                                                                </button>
+                                                            ))}
+                                                        </div>
+                                                    ) : (
+                                                        <button onClick={() => setView('schedule', { scheduleId: cell.scheduleId })} title="Open the schedule" className={`w-full px-2 py-1 rounded-md text-xs ${cell.blocked ? 'bg-gray-200/70 text-gray-500' : 'text-gray-400 hover:bg-gray-100'}`}>{cell.blocked || 'No camp'}</button>
+                                                    )}
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            ) : (
+                <p className="text-center text-gray-600 py-4">No schedules with dates for your kids yet.</p>
+            )}
+        </div>
+    );
+};
+
+// --- Week Packet ---
+const WeekPacket = ({ schedules, userData, friendShares, week, selectedKid, currentUid, setView }) => {
+    const liveSchedules = getLiveSchedules(schedules, userData);
+    const { kids, cells } = buildFamilyOverview(liveSchedules, userData, currentUid);
+
+    if (!isIsoDate(week) || (selectedKid && !kids.includes(selectedKid))) {
+        return <NotFoundPage message={isIsoDate(week) ? `${selectedKid} isn't on any of your schedules.` : "That isn't a week we can show."} onBack={() => setView('dashboard')} />;
+    }
+
+    const monday = getMondayOf(week);
+    const packetKids = selectedKid ? [selectedKid] : kids;
+    const showPacket = (newWeek, kid) => setView(kid ? 'kidPacket' : 'packet', { week: newWeek, kid });
+
+    return (
+        <div className="bg-white p-4 sm:p-8 max-w-4xl mx-auto rounded-2xl shadow-2xl printable-area">
+            <div className="no-print flex flex-wrap justify-between items-center gap-3 mb-8">
+                <button onClick={() => setView('dashboard')} className="text-blue-600 hover:text-blue-800 flex items-center font-semibold"><ArrowLeft size={18} className="mr-1" />Back to Dashboard</button>
+                <div className="flex flex-wrap items-center gap-2">
+                    <button onClick={() => showPacket(addDays(monday, -7), selectedKid)} title="Previous week" className="p-2 bg-gray-100 rounded-md hover:bg-gray-200"><ChevronLeft size={18}/></button>
+                    <span className="font-semibold text-gray-700 whitespace-nowrap">Week of {formatShortDate(monday)}</span>
+                    <button onClick={() => showPacket(addDays(monday, 7), selectedKid)} title="Next week" className="p-2 bg-gray-100 rounded-md hover:bg-gray-200"><ChevronRight size={18}/></button>
+                    <select value={selectedKid || ''} onChange={(e) => showPacket(monday, e.target.value)} className="p-2 border border-gray-300 rounded-md shadow-sm">
+                        <option value="">Whole family</option>
+                        {kids.map(kid => <option key={kid} value={kid}>{kid}</option>)}
+                    </select>
+                    <button onClick={() => window.print()} className="bg-blue-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-600 flex items-center gap-2"><Printer size={18} />Print or Save PDF</button>
+                </div>
+            </div>
+            <div className="text-center mb-10">
+                <h1 className="text-4xl font-bold text-blue-600 flex items-center justify-center gap-3"><Backpack size={40}/>{selectedKid ? `${selectedKid}'s` : 'Family'} Week Packet</h1>
+                <p className="text-xl text-gray-600 mt-2">Week of {formatLongDate(monday)}</p>
+            </div>
+            {packetKids.length > 0 ? (
+                <div className="space-y-6">
+                    {packetKids.map((kid, kidIndex) => {
+                        // Each kid starts a new page, so their sheet can go in their own bag.
+                        const cell = cells[kid][monday];
+                        const bookings = cell ? [...cell.bookings].sort((bookingA, bookingB) => getCampTimeRange(bookingA.camp)[0] - getCampTimeRange(bookingB.camp)[0]) : [];
+                        return (
+                            <section key={kid} className={`p-5 rounded-xl break-inside-avoid ${kidIndex > 0 ? 'print:break-before-page' : ''}`} style={{backgroundColor: kidIndex % 2 === 0 ? '#f0f9ff' : '#fefce8'}}>
+                                <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-3"><Sun className="text-yellow-500" /> {kid}</h2>
+                                <div className="mt-4 pl-10">
+                                    {bookings.length === 0 && <p className="text-xl"><strong className="font-semibold text-gray-700">Camp:</strong> No camp this week{cell && cell.blocked ? `: ${cell.blocked}` : ''}!</p>}
+                                    {bookings.map(booking => {
+                                        const planData = liveSchedules.find(schedule => schedule.id === booking.scheduleId);
+                                        return <CampWeekCard key={`${booking.scheduleId}|${booking.camp.id}`} planData={planData} camp={booking.camp} weekIndex={booking.weekIndex} kid={kid} currentUid={currentUid} linkedFriends={getLinkedFriendsAtCamp(friendShares, planData, booking.camp, booking.weekIndex)} />;
+                                    })}
+                                </div>
+                            </section>
+                        );
+                    })}
+                </div>
+            ) : (
+                <p className="text-center text-gray-600 py-4">No schedules with dates for your kids yet.</p>
+            )}
+        </div>
+    );
+};
+
+// --- Morning Checklist ---
+// Made for a phone at the door: big tick boxes, one day at a time, today by default.
+const MorningChecklist = ({ schedules, userData, household, currentUid, date: routeDate, setView }) => {
+    const today = toIsoDate(new Date());
+    const date = routeDate || today;
+
+    if (!isIsoDate(date)) return <NotFoundPage message="That isn't a day we can show." onBack={() => setView('dashboard')} />;
+
+    const liveSchedules = getLiveSchedules(schedules, userData);
+    const kids = buildMorningChecklist(liveSchedules, userData, currentUid, date);
+    const ticks = (household.checklistTicks || {})[date] || [];
+    const items = kids.flatMap(({ camps }) => camps.flatMap(({ items: campItems }) => campItems));
+    const tickedCount = items.filter(item => ticks.includes(item.key)).length;
+
+    const showDay = (day) => setView(day === today ? 'checklist' : 'checklistDay', { date: day });
+    const handleTick = (key, isTicked) => saveChange("ticking off the checklist", () => updateHousehold(household.id, getChecklistTickUpdate(household, date, key, isTicked, today)));
+
+    return (
+        <div className="p-4 sm:p-6 bg-white/80 backdrop-blur-sm border border-white/50 rounded-2xl shadow-2xl w-full max-w-md mx-auto">
+            <button onClick={() => setView('dashboard')} className="text-blue-600 hover:text-blue-800 flex items-center mb-6 font-semibold"><ArrowLeft size={18} className="mr-1" />Back to Dashboard</button>
+            <div className="flex justify-between items-center gap-2 mb-4">
+                <button onClick={() => showDay(addDays(date, -1))} title="Previous day" className="p-3 bg-gray-100 rounded-full hover:bg-gray-200"><ChevronLeft size={20}/></button>
+                <div className="text-center">
+                    <h2 className="text-2xl font-bold text-gray-800">{date === today ? 'Today' : formatWeekday(date)}</h2>
+                    <p className="text-sm text-gray-600">{formatLongDate(date)}</p>
+                </div>
+                <button onClick={() => showDay(addDays(date, 1))} title="Next day" className="p-3 bg-gray-100 rounded-full hover:bg-gray-200"><ChevronRight size={20}/></button>
+            </div>
+            {items.length > 0 && (
+                <div className="mb-4">
+                    <div className="flex justify-between text-sm font-semibold text-gray-700 mb-1">
+                        <span>{tickedCount === items.length ? 'All set!' : 'Ready to go'}</span>
+                        <span>{tickedCount} of {items.length}</span>
+                    </div>
+                    <div className="h-2 bg-gray-200 rounded-full overflow-hidden"><div className="h-full bg-green-500 transition-all" style={{ width: `${tickedCount / items.length * 100}%` }}></div></div>
+                </div>
+            )}
+            {kids.length > 0 ? (
+                <div className="space-y-5">
+                    {kids.map(({ kid, camps }) => (
+                        <section key={kid}>
+                            <h3 className="text-xl font-bold text-gray-800">{kid}</h3>
+                            {camps.map(({ schedule, camp, items: campItems }) => (
+                                <div key={`${schedule.id}|${camp.id}`} className="mt-2">
+                                    <p className="text-sm text-gray-600"><strong className="text-gray-800">{camp.name}</strong>{formatCampHours(camp) && ` · ${formatCampHours(camp)}`}</p>
+                                    {campItems.length > 0 ? (
+                                        <ul className="mt-2 space-y-2">
+                                            {campItems.map(item => {
+                                                const isTicked = ticks.includes(item.key);
+                                                return (
+                                                    <li key={item.key}>
+                                                        <label className={`flex items-center gap-3 p-3 rounded-lg border cursor-pointer transition ${isTicked ? 'bg-green-50 border-green-200' : 'bg-white border-gray-200'}`}>
+                                                            <input type="checkbox" checked={isTicked} onChange={(e) => handleTick(item.key, e.target.checked)} className="h-6 w-6 shrink-0" />
+                                                            <span className={`text-lg ${isTicked ? 'text-gray-400 line-through' : 'text-gray-800'}`}>{item.text}</span>
+                                                            {item.kind === 'form' && <span className="ml-auto px-2 py-0.5 text-xs font-semibold bg-purple-100 text-purple-800 rounded-full">{CHECKLIST_KINDS.form}</span>}
+                                                        </label>
+                                                    </li>
+                                                );
+                                            })}
+                                        </ul>
+                                    ) : (
+                                        <p className="text-sm text-gray-500 mt-1">Nothing to bring. Add a checklist in the camp's details.</p>
+                                    )}
+                                </div>
+                            ))}
+                        </section>
+                    ))}
+                </div>
+            ) : (
+                <p className="text-center text-gray-600 py-6">No camp {date === today ? 'today' : 'this day'}.</p>
+            )}
+            <button onClick={() => setView('packet', { week: getPacketMonday(date) })} className="mt-6 w-full px-4 py-2 bg-orange-100 text-orange-700 rounded-md hover:bg-orange-200 font-semibold flex items-center justify-center gap-2"><Backpack size={16}/>This Week's Packet</button>
+        </div>
+    );
+};
+
+// --- Daily Timeline ---
+// One column of the timeline, with a lane per kid side by side.
+const TimelineColumn = ({ lanes, hours, kids, showKid, onOpen }) => {
+    const [firstHour, lastHour] = hours;
+    const toPixels = (minutes) => `${(minutes / 60 - firstHour) * TIMELINE_HOUR_HEIGHT}px`;
+
+    return (
+        <div className="relative flex border-l border-gray-200" style={{ height: `${(lastHour - firstHour) * TIMELINE_HOUR_HEIGHT}px` }}>
+            {Array.from({ length: lastHour - firstHour }, (_, i) => <div key={i} className="absolute inset-x-0 border-t border-gray-100" style={{ top: `${i * TIMELINE_HOUR_HEIGHT}px` }}></div>)}
+            {lanes.map(lane => (
+                <div key={lane.kid} className="relative flex-1 min-w-0">
+                    {lane.timed.map(session => {
+                        const [start, end] = getCampTimeRange(session.camp);
+                        const clashes = lane.timed.some(other => other !== session && getCampTimeRange(other.camp)[0] < end && start < getCampTimeRange(other.camp)[1]);
+                        return (
+                            <button key={`${session.schedule.id}|${session.camp.id}`} onClick={() => onOpen(session)} title={`${lane.kid}: ${session.camp.name}, ${formatCampHours(session.camp)} (${REGISTRATION_STATUSES[session.status].label})${clashes ? '. Overlaps another camp.' : ''}`} className={`absolute inset-x-0.5 p-1 rounded-md shadow-sm text-left text-xs overflow-hidden hover:ring-2 hover:ring-blue-400 ${clashes ? 'ring-2 ring-red-500' : ''} ${REGISTRATION_STATUSES[session.status].chipClass} ${KID_COLORS[kids.indexOf(lane.kid) % KID_COLORS.length]}`} style={{ top: toPixels(start), height: `${(end - start) / 60 * TIMELINE_HOUR_HEIGHT}px` }}>
+                                <span className="block font-semibold truncate">{showKid ? `${lane.kid}: ` : ''}{session.camp.name}</span>
+                                <span className="block truncate">{formatCampHours(session.camp)}</span>
+                            </button>
+                        );
+                    })}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const DailyTimeline = ({ schedules, userData, currentUid, date: routeDate, isWeek, setView }) => {
+    const today = toIsoDate(new Date());
+    const date = routeDate || today;
+
+    if (!isIsoDate(date)) return <NotFoundPage message="That isn't a day we can show." onBack={() => setView('dashboard')} />;
+
+    const liveSchedules = getLiveSchedules(schedules, userData);
+    const kids = [...new Set(liveSchedules.filter(s => s.startDate).flatMap(s => getFamilyKids(s, userData, currentUid)))].sort((a, b) => a.localeCompare(b));
+    const monday = getMondayOf(date);
+    // A day has a column per kid; a week has a column per weekday, with the kids side by side in it.
+    const columns = isWeek
+        ? WEEKDAYS.map((day, i) => ({ key: day.key, label: `${day.label} ${formatShortDate(addDays(monday, i))}`, date: addDays(monday, i), lanes: buildDayTimeline(liveSchedules, userData, currentUid, kids, addDays(monday, i)) }))
+        : buildDayTimeline(liveSchedules, userData, currentUid, kids, date).map(lane => ({ key: lane.kid, label: lane.kid, date, lanes: [lane] }));
+    const hours = getTimelineHours(columns.flatMap(column => column.lanes));
+
+    const showDate = (newDate, week = isWeek) => setView(week ? 'timelineWeek' : newDate === today ? 'timeline' : 'timelineDay', { date: newDate });
+    const openSession = (session) => setView('cell', { scheduleId: session.schedule.id, campId: session.camp.id, week: session.weekIndex + 1 });
+
+    return (
+        <div className="p-4 sm:p-6 bg-white/80 backdrop-blur-sm border border-white/50 rounded-2xl shadow-2xl w-full max-w-7xl mx-auto">
+            <button onClick={() => setView('dashboard')} className="text-blue-600 hover:text-blue-800 flex items-center mb-6 font-semibold"><ArrowLeft size={18} className="mr-1" />Back to Dashboard</button>
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+                <h2 className="text-3xl font-bold text-gray-800">{isWeek ? `Week of ${formatShortDate(monday)}` : date === today ? 'Today' : `${formatWeekday(date)}, ${formatShortDate(date)}`}</h2>
+                <div className="flex items-center gap-2">
+                    <button onClick={() => showDate(addDays(isWeek ? monday : date, isWeek ? -7 : -1))} title={isWeek ? 'Previous week' : 'Previous day'} className="p-2 bg-gray-100 rounded-md hover:bg-gray-200"><ChevronLeft size={18}/></button>
+                    <button onClick={() => showDate(today)} className="px-3 py-2 bg-gray-100 rounded-md hover:bg-gray-200 font-semibold text-gray-700">Today</button>
+                    <button onClick={() => showDate(addDays(isWeek ? monday : date, isWeek ? 7 : 1))} title={isWeek ? 'Next week' : 'Next day'} className="p-2 bg-gray-100 rounded-md hover:bg-gray-200"><ChevronRight size={18}/></button>
+                    <div className="flex rounded-md shadow-sm overflow-hidden border border-gray-300">
+                        <button onClick={() => showDate(isWeek ? monday : date, false)} className={`px-3 py-2 font-semibold ${isWeek ? 'bg-white text-gray-700 hover:bg-gray-50' : 'bg-blue-500 text-white'}`}>Day</button>
+                        <button onClick={() => showDate(monday, true)} className={`px-3 py-2 font-semibold ${isWeek ? 'bg-blue-500 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Week</button>
+                    </div>
+                </div>
+            </div>
+            {kids.length > 0 ? (
+                <div className="overflow-x-auto">
+                    <div className="grid text-sm" style={{ gridTemplateColumns: `4rem repeat(${columns.length}, minmax(${isWeek ? '10rem' : '8rem'}, 1fr))` }}>
+                        <div></div>
+                        {columns.map(column => (
+                            <div key={column.key} className="p-2 text-center font-semibold text-gray-700 border-b border-gray-200">
+                                {isWeek ? <button onClick={() => showDate(column.date, false)} className={`hover:text-blue-700 hover:underline ${column.date === today ? 'text-blue-700' : ''}`}>{column.label}</button> : column.label}
+                            </div>
+                        ))}
+                        <div className="p-2 text-xs text-gray-500 text-right">All day</div>
+                        {columns.map(column => {
+                            const untimed = column.lanes.flatMap(lane => lane.untimed.map(session => ({ ...session, kid: lane.kid })));
+                            const blocked = column.lanes.filter(lane => lane.blocked && !lane.timed.length && !lane.untimed.length);
+                            const isEmpty = column.lanes.every(lane => !lane.timed.length && !lane.untimed.length && !lane.blocked);
+                            return (
+                                <div key={column.key} className="p-1 border-l border-b border-gray-200 flex flex-col gap-1 min-h-[2.5rem]">
+                                    {untimed.map(session => (
+                                        <button key={`${session.kid}|${session.schedule.id}|${session.camp.id}`} onClick={() => openSession(session)} title={REGISTRATION_STATUSES[session.status].label} className={`px-2 py-1 rounded-md text-xs font-semibold text-left truncate hover:ring-2 hover:ring-blue-400 ${REGISTRATION_STATUSES[session.status].chipClass} ${KID_COLORS[kids.indexOf(session.kid) % KID_COLORS.length]}`}>
+                                            {isWeek ? `${session.kid}: ` : ''}{session.camp.name} · {DAY_PARTS[session.camp.dayPart] || DAY_PARTS.full}
+                                        </button>
+                                    ))}
+                                    {blocked.map(lane => <span key={lane.kid} className="px-2 py-1 rounded-md text-xs bg-gray-200/70 text-gray-500 truncate">{isWeek ? `${lane.kid}: ` : ''}{lane.blocked}</span>)}
+                                    {isEmpty && <span className="px-2 py-1 text-xs text-gray-400">No camp</span>}
+                                </div>
+                            );
+                        })}
+                        <div className="relative" style={{ height: `${(hours[1] - hours[0]) * TIMELINE_HOUR_HEIGHT}px` }}>
+                            {Array.from({ length: hours[1] - hours[0] }, (_, i) => <span key={i} className="absolute right-2 -translate-y-1/2 text-xs text-gray-500 first:translate-y-0" style={{ top: `${i * TIMELINE_HOUR_HEIGHT}px` }}>{formatTime(`${String(hours[0] + i).padStart(2, '0')}:00`)}</span>)}
+                        </div>
+                        {columns.map(column => <TimelineColumn key={column.key} lanes={column.lanes} hours={hours} kids={kids} showKid={isWeek} onOpen={openSession} />)}
+                    </div>
+                </div>
+            ) : (
+                <p className="text-center text-gray-600 py-4">No schedules with dates for your kids yet.</p>
+            )}
+        </div>
+    );
+};
+
+// --- Not Found & Access Pages ---
+const NotFoundPage = ({ message, onBack, backLabel = 'Back to Dashboard' }) => (
+    <div className="p-6 bg-white/80 backdrop-blur-sm border border-white/50 rounded-2xl shadow-2xl max-w-xl mx-auto text-center">
+        <h2 className="text-2xl font-bold text-gray-800 mb-2">Not found</h2>
+        <p className="text-gray-700 mb-4">{message}</p>
+        <button onClick={onBack} className="text-blue-600 hover:text-blue-800 font-semibold">{backLabel}</button>
+    </div>
+);
+
+// A link to a schedule the user isn't on, or that doesn't exist: only members can read a
+// schedule, so the app can't tell which. A schedule's address never joins it; only its current
+// join code does, entered on the Dashboard or opened as the Share panel's `?join=` link.
+const ScheduleAccessPage = ({ onBack }) => (
+    <div className="p-6 bg-white/80 backdrop-blur-sm border border-white/50 rounded-2xl shadow-2xl max-w-xl mx-auto text-center">
+        <h2 className="text-2xl font-bold text-gray-800 mb-2">Ask for access</h2>
+        <p className="text-gray-700 mb-4">You're not on this schedule, or it doesn't exist. To join, ask its owner to send you the join code or link from their Share panel, then enter the code under Join schedule by code on your Dashboard.</p>
+        <button onClick={onBack} className="text-blue-600 hover:text-blue-800 font-semibold">Enter a join code</button>
+    </div>
+);
+
+
+// --- Schedule Detail View (The Grid) ---
+const ScheduleDetailView = ({ scheduleId, route, user, userData, setView }) => {
+    const [scheduleData, setScheduleData] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isNotFound, setIsNotFound] = useState(false);
+    const [hasNoAccess, setHasNoAccess] = useState(false);
+    
+    // Modals state
+    const [isKidsModalOpen, setKidsModalOpen] = useState(false);
+    const [isCampsModalOpen, setCampsModalOpen] = useState(false);
+    const [isScheduleModalOpen, setScheduleModalOpen] = useState(false);
+    const [isShareModalOpen, setShareModalOpen] = useState(false);
+    const [editingCampId, setEditingCampId] = useState(null);
+    const [detailCampId, setDetailCampId] = useState(null);
+    const [currentCell, setCurrentCell] = useState({ campId: null, weekIndex: null });
+    const [isChildcareView, setIsChildcareView] = useState(false);
+    const [isCalendarModalOpen, setCalendarModalOpen] = useState(false);
+    const [isSuggestModalOpen, setSuggestModalOpen] = useState(false);
+    const [isImportExportModalOpen, setImportExportModalOpen] = useState(false);
+    const [carpoolCell, setCarpoolCell] = useState(null);
+    const [isHistoryOpen, setHistoryOpen] = useState(false);
+    const [history, setHistory] = useState([]);
+    const [selectedKidForSummary, setSelectedKidForSummary] = useState(route.params.kid || '');
+
+    useEffect(() => {
+        const unsubscribe = watchSchedule(scheduleId, (data) => {
+            if (data) {
+                const migration = migrateLegacyCamps(data);
+                const carpoolMigration = migrateLegacyCarpool(data);
+                if (migration && canEditSchedule(getScheduleRole(data, user.uid, userData.householdId))) {
+                    updateSchedule(scheduleId, migration).catch(e => console.error("Error migrating camps:", e));
+                }
+                if (carpoolMigration && getScheduleRole(data, user.uid, userData.householdId) === 'owner') {
+                    updateSchedule(scheduleId, carpoolMigration).catch(e => console.error("Error migrating carpool:", e));
+                }
+                setScheduleData({ ...data, ...migration });
+                if (!selectedKidForSummary && data.allKids && data.allKids.length > 0) {
+                    setSelectedKidForSummary(data.allKids[0]);
+                }
+            } else {
+                setScheduleData(null);
+                setIsNotFound(true);
+            }
+            setIsLoading(false);
+        }, (e) => {
+            console.error("Error loading schedule:", e);
+            if (e.code === 'permission-denied') setHasNoAccess(true);
+            else setIsNotFound(true);
+            setIsLoading(false);
+        });
+        return () => unsubscribe();
+    }, [scheduleId, user, userData.householdId, selectedKidForSummary]);
+
+    useEffect(() => {
+        const unsubscribe = watchScheduleHistory(scheduleId, HISTORY_LIMIT, entries => setHistory(entries.map(normalizeHistoryEntry)), (e) => console.error("Error loading history:", e));
+        return () => unsubscribe();
+    }, [scheduleId]);
+
+    // A link to one camp-week (from the family overview) opens its editor for editors, then
+    // leaves the schedule's own address in the location bar.
+    useEffect(() => {
+        if (route.name !== 'cell' || !scheduleData) return;
+        const weekIndex = Number(route.params.week) - 1;
+        const isEditable = canEditSchedule(getScheduleRole(scheduleData, user.uid, userData.householdId)) && !isScheduleDeleted(scheduleData);
+        const isCell = (scheduleData.camps || []).some(camp => camp.id === route.params.campId) && Number.isInteger(weekIndex) && weekIndex >= 0 && weekIndex < scheduleData.weekCount;
+        if (isEditable && isCell && !isWeekBlocked(scheduleData, weekIndex)) {
+            setCurrentCell({ campId: route.params.campId, weekIndex });
+            setScheduleModalOpen(true);
+        }
+        setView('schedule', { scheduleId }, { replace: true });
+    }, [route, scheduleData, scheduleId, user, userData.householdId, setView]);
+
+    // Record which of the schedule's kids are this member's, so carpools know whose kids
+    // are going. Members can only change their own entry.
+    useEffect(() => {
+        if (!scheduleData || !getScheduleRole(scheduleData, user.uid, userData.householdId) || isScheduleDeleted(scheduleData)) return;
+        const memberKids = getMemberKids(scheduleData, userData, user.uid);
+        if (memberKids.join('|') === ((scheduleData.memberKids || {})[user.uid] || []).join('|')) return;
+        updateSchedule(scheduleId, { [`memberKids.${user.uid}`]: memberKids })
+            .catch(e => console.error("Error updating member kids:", e));
+    }, [scheduleData, scheduleId, user, userData]);
+
+    // Schedules from before join codes get one the first time their owner opens them.
+    useEffect(() => {
+        if (!scheduleData || scheduleData.joinCode || isScheduleDeleted(scheduleData) || getScheduleRole(scheduleData, user.uid, userData.householdId) !== 'owner') return;
+        replaceJoinCode(user, scheduleData, generateInviteCode()).catch(e => console.error("Error creating a join code:", e));
+    }, [scheduleData, user, userData.householdId]);
+
+    // Keep subscribed calendars in step with the plan. Whichever editor has the schedule open
+    // uploads a kid's feed again when its content no longer matches the stored hash. A kid
+    // whose upload is still going is skipped; the hash it writes brings us back here.
+    const refreshingFeeds = useRef(new Set());
+    useEffect(() => {
+        if (!scheduleData || !canEditSchedule(getScheduleRole(scheduleData, user.uid, userData.householdId))) return;
+        const feeds = scheduleData.calendarFeeds || {};
+        const staleKids = Object.keys(feeds).filter(kid => feeds[kid].hash !== getCalendarHash(scheduleData, kid) && !refreshingFeeds.current.has(kid));
+        staleKids.forEach(async kid => {
+            refreshingFeeds.current.add(kid);
+            try {
+                const hash = getCalendarHash(scheduleData, kid);
+                await uploadCalendarFeed(feeds[kid].path, buildKidCalendar(scheduleData, kid));
+                await updateSchedule(scheduleId, { [`calendarFeeds.${kid}`]: { ...feeds[kid], hash } });
+            } catch (e) {
+                console.error("Error refreshing calendar feed:", e);
+            }
+            refreshingFeeds.current.delete(kid);
+        });
+    }, [scheduleData, scheduleId, user, userData.householdId]);
+
+    // Applies `updates` and records the change in the schedule's history, in one write.
+    const commitChange = (description, updates, entry) => saveChange(description, prepareScheduleChange(scheduleId, updates, {
+        ...entry,
+        by: user.uid,
+        byEmail: user.email || '',
+        at: Date.now(),
+    }));
+
+    const handleUpdateList = (listName, newList) => {
+        const sortedList = newList.sort((a,b) => a.localeCompare(b));
+        commitChange(`updating ${listName}`, { [listName]: sortedList }, { kind: 'list', field: listName, before: scheduleData[listName] || [], after: sortedList });
+    };
+
+    // Changes that clear or move camp-weeks are recorded in the history when they do.
+    const saveScheduleChange = (description, { updates, entry }) => entry
+        ? commitChange(description, updates, entry)
+        : saveChange(description, () => updateSchedule(scheduleId, updates));
+
+    // The weeks of any camp that was removed are cleared in the same write as the camp list.
+    const handleUpdateCamps = (newCamps) => saveScheduleChange("updating camps", buildCampsChange(scheduleData, newCamps, getEditableClaimUids(scheduleData, user.uid, userData.householdId)));
+
+    const handleUpdateSeason = (season) => saveScheduleChange("updating season settings", buildSeasonChange(scheduleData, season, getEditableClaimUids(scheduleData, user.uid, userData.householdId)));
+
+    const handleImport = (preview) => saveScheduleChange("importing schedule", preview);
+
+    const handleUpdateBudget = (fields) => {
+        const updates = {};
+        Object.entries(fields).forEach(([field, value]) => {
+            updates[`budgets.${scheduleId}.${field}`] = value;
+        });
+        saveChange("updating budget", () => updateUser(user.uid, updates));
+    };
+
+    // Members only ever claim or release their own slots.
+    const handleClaimCarpoolSlot = (campId, weekIndex, day, slot, isClaiming) => saveChange("updating carpool", () => updateSchedule(scheduleId, {
+        [getCarpoolClaimPath(user.uid, campId, weekIndex, day, slot)]: isClaiming || deleteField(),
+    }));
+
+    // The change shows in the grid straight away, even offline, so the modal closes without
+    // waiting for the server; a rejected write turns up in the header's sync status.
+    const handleScheduleChange = (updatedAttendees, cellStatuses, sessionNote, cellAttendance) => {
+        if (currentCell.campId === null || currentCell.weekIndex === null) return;
+        const key = getCellKey(currentCell.campId, currentCell.weekIndex);
+        handleCellsChange("updating schedule", { [key]: { attendees: updatedAttendees, statuses: cellStatuses, attendance: cellAttendance, sessionNote } });
+        setScheduleModalOpen(false);
+    };
+
+    // One write however many camp-weeks change, so bulk edits from the grid land together.
+    const handleCellsChange = (description, snapshotsByKey) => {
+        const change = buildCellsChange(scheduleData, snapshotsByKey);
+        if (change) commitChange(description, change.updates, change.entry);
+    };
+
+    const handleRevert = (entry) => {
+        const revert = getRevertUpdates(scheduleData, entry);
+        if (revert) commitChange("reverting a change", revert.updates, { ...revert.entry, revertOf: entry.id });
+    };
+
+    if (hasNoAccess) {
+        return <ScheduleAccessPage onBack={() => setView('dashboard')} />;
+    }
+
+    if (isNotFound) {
+        return <NotFoundPage message="There's no schedule at this link. It may have been deleted, or the link was copied wrong." onBack={() => setView('dashboard')} />;
+    }
+
+    if (isLoading || !scheduleData) {
+        return <p>Loading schedule details...</p>;
+    }
+
+    const role = getScheduleRole(scheduleData, user.uid, userData.householdId);
+    if (!role && !isScheduleDeleted(scheduleData)) {
+        return <ScheduleAccessPage onBack={() => setView('dashboard')} />;
+    }
+    if (!role || isScheduleDeleted(scheduleData)) {
+        return <NotFoundPage message="This schedule has been deleted." onBack={() => setView('dashboard')} />;
+    }
+    const isReadOnly = !canEditSchedule(role);
+    const claimUids = getEditableClaimUids(scheduleData, user.uid, userData.householdId);
+    const familyKids = getFamilyKids(scheduleData, userData, user.uid);
+    const budget = (userData.budgets && userData.budgets[scheduleId]) || {};
+    const kidAges = Object.fromEntries((scheduleData.allKids || []).map(kid => [kid, getKidAge(getKidProfile(userData, kid).birthdate, scheduleData.startDate || undefined)]));
+    // Undo takes back this member's own most recent change that hasn't been reverted yet.
+    const revertedIds = new Set(history.filter(entry => entry.revertOf).map(entry => entry.revertOf));
+    const undoEntry = history.find(entry => entry.by === user.uid && !entry.revertOf && !revertedIds.has(entry.id));
+    const canUndo = !isReadOnly && undoEntry && getRevertUpdates(scheduleData, undoEntry) !== null;
+    
+    if (route.name === 'print') {
+        if (!(scheduleData.allKids || []).includes(route.params.kid)) {
+            return <NotFoundPage message={`${route.params.kid} isn't on this schedule.`} onBack={() => setView('schedule', { scheduleId })} backLabel="Back to Schedule" />;
+        }
+        return <PrintableSummary planData={scheduleData} selectedKid={route.params.kid} onBack={() => setView('schedule', { scheduleId })} currentUid={user.uid} />;
+    }
+
+    if (isChildcareView) {
+        return <ChildcareNeededSummary planData={scheduleData} familyKids={familyKids} onBack={() => setIsChildcareView(false)} />;
+    }
+
+    return (
+        <div className="p-4 sm:p-6 bg-white/80 backdrop-blur-sm border border-white/50 rounded-2xl shadow-2xl w-full max-w-7xl mx-auto">
+             <button onClick={() => setView('dashboard')} className="text-blue-600 hover:text-blue-800 flex items-center mb-6 font-semibold"><ArrowLeft size={18} className="mr-1" />Back to Dashboard</button>
+            <div className="flex flex-wrap justify-between items-start gap-4 mb-6">
+                <div>
+                    <h2 className="text-3xl font-bold text-gray-800">{scheduleData.kidName}'s {getSeasonName(scheduleData)} Schedule</h2>
+                    {scheduleData.startDate && <p className="text-gray-600">{formatLongDate(scheduleData.startDate)} – {formatLongDate(getSeasonEndDate(scheduleData))}</p>}
+                    <p className="text-gray-500">Schedule ID: {scheduleData.id} · {ROLE_LABELS[role]}</p>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                    {!isReadOnly && <button onClick={() => handleRevert(undoEntry)} disabled={!canUndo} title={canUndo ? `Undo your change to ${getHistorySubject(scheduleData, undoEntry)}` : 'Nothing to undo'} className="bg-gray-100 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"><Undo2 size={16}/>Undo</button>}
+                    {!isReadOnly && <button onClick={() => setSuggestModalOpen(true)} className="bg-gray-100 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 shadow-sm"><Wand2 size={16}/>Suggest a Plan</button>}
+                    <button onClick={() => setHistoryOpen(true)} className="bg-gray-100 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 shadow-sm"><History size={16}/>History</button>
+                    <button onClick={() => setImportExportModalOpen(true)} className="bg-gray-100 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 shadow-sm"><FileSpreadsheet size={16}/>Import / Export</button>
+                    <button onClick={() => setShareModalOpen(true)} className="bg-blue-100 text-blue-700 font-semibold py-2 px-4 rounded-lg hover:bg-blue-200 transition flex items-center gap-2 shadow-sm"><Share2 size={16}/>Share</button>
+                </div>
+            </div>
+            
+            <ScheduleGrid 
+                planData={scheduleData} 
+                isReadOnly={isReadOnly}
+                handleOpenModal={(campId, weekIndex) => {
+                    setCurrentCell({ campId, weekIndex });
+                    setScheduleModalOpen(true);
+                }}
+                setSeasonModalOpen={(isOpen) => setView(isOpen ? 'season' : 'schedule', { scheduleId })}
+                setKidsModalOpen={setKidsModalOpen}
+                setCampsModalOpen={setCampsModalOpen}
+                setDetailCampId={setDetailCampId}
+                setSelectedKidForSummary={setSelectedKidForSummary}
+                onViewSummary={() => selectedKidForSummary && setView('print', { scheduleId, kid: selectedKidForSummary })}
+                familyKids={familyKids}
+                setIsChildcareView={setIsChildcareView}
+                setCalendarModalOpen={setCalendarModalOpen}
+                setCarpoolCell={setCarpoolCell}
+                onCellsChange={handleCellsChange}
+            />
+
+            <BudgetPanel planData={scheduleData} familyKids={familyKids} budget={budget} onUpdateBudget={handleUpdateBudget} />
+
+            {/* Modals */}
+            <SeasonSettingsModal isOpen={route.name === 'season' && !isReadOnly} onClose={() => setView('schedule', { scheduleId })} planData={scheduleData} claimUids={claimUids} onSave={handleUpdateSeason} />
+            <ManagementModal isOpen={isKidsModalOpen} onClose={() => setKidsModalOpen(false)} title="Manage Kids" items={scheduleData.allKids || []} onSave={(newList) => handleUpdateList('allKids', newList)} placeholder="Add new kid's name" />
+            <ManageCampsModal isOpen={isCampsModalOpen} onClose={() => { setCampsModalOpen(false); setEditingCampId(null); }} planData={scheduleData} initialCampId={editingCampId} onSave={handleUpdateCamps} />
+            <CampDetailPanel camp={findCamp(scheduleData, detailCampId)} onClose={() => setDetailCampId(null)} onEdit={isReadOnly ? null : (campId) => { setDetailCampId(null); setEditingCampId(campId); setCampsModalOpen(true); }} />
+            <EditScheduleModal modal={{isOpen: isScheduleModalOpen, ...currentCell}} planData={scheduleData} familyKids={familyKids} budget={budget} handleCloseModal={() => setScheduleModalOpen(false)} handleScheduleChange={handleScheduleChange} />
+            <ShareModal isOpen={isShareModalOpen} onClose={() => setShareModalOpen(false)} scheduleData={scheduleData} user={user} householdId={userData.householdId} />
+            <HistoryDrawer isOpen={isHistoryOpen} onClose={() => setHistoryOpen(false)} planData={scheduleData} history={history} currentUid={user.uid} canRevert={!isReadOnly} onRevert={handleRevert} />
+            <CarpoolModal cell={carpoolCell} onClose={() => setCarpoolCell(null)} planData={scheduleData} currentUid={user.uid} onClaim={handleClaimCarpoolSlot} />
+            <ImportExportModal isOpen={isImportExportModalOpen} onClose={() => setImportExportModalOpen(false)} planData={scheduleData} claimUids={claimUids} isReadOnly={isReadOnly} onImport={handleImport} />
+            <SuggestPlanModal isOpen={isSuggestModalOpen} onClose={() => setSuggestModalOpen(false)} planData={scheduleData} familyKids={familyKids} kidAges={kidAges} budget={budget} onAccept={(snapshots) => handleCellsChange("applying a suggested plan", snapshots)} />
+            <CalendarModal isOpen={isCalendarModalOpen} onClose={() => setCalendarModalOpen(false)} planData={scheduleData} initialKid={selectedKidForSummary} isReadOnly={isReadOnly} />
+        </div>
+    );
+};
+
+// --- Re-integrated components from V1, adapted for V2 ---
+const ScheduleGrid = ({ planData, isReadOnly, handleOpenModal, setSeasonModalOpen, setKidsModalOpen, setCampsModalOpen, setDetailCampId, setSelectedKidForSummary, onViewSummary, familyKids, setIsChildcareView, setCalendarModalOpen, setCarpoolCell, onCellsChange }) => {
+    const [statusFilter, setStatusFilter] = useState('all');
+    // The focused cell, plus (with Shift) a range of weeks in the same camp's row.
+    const [selection, setSelection] = useState(null);
+    const [draggedChip, setDraggedChip] = useState(null);
+    const [dropTargetKey, setDropTargetKey] = useState(null);
+    const [copySourceWeek, setCopySourceWeek] = useState(null);
+    const cellRefs = useRef({});
+    
+    // Kids are numbered in this order for the 1–9 keys, and coloured by it.
+    const sortedKids = [...(planData.allKids || [])].sort((a,b) => a.localeCompare(b));
+    const getKidColor = (kidName) => KID_COLORS[sortedKids.indexOf(kidName) % KID_COLORS.length];
+
+    const camps = sortCamps(planData.camps);
+    // Until a cell is clicked, the first one is selected, so the keys work as soon as the grid has focus.
+    const activeSelection = selection || (camps[0] ? { campId: camps[0].id, anchorWeek: 0, focusWeek: 0 } : null);
+    const selectionStart = activeSelection ? Math.min(activeSelection.anchorWeek, activeSelection.focusWeek) : 0;
+    const selectionEnd = activeSelection ? Math.max(activeSelection.anchorWeek, activeSelection.focusWeek) : -1;
+    const selectedKeys = activeSelection ? Array.from({ length: selectionEnd - selectionStart + 1 }, (_, i) => getCellKey(activeSelection.campId, selectionStart + i)) : [];
+    const isCellSelected = (campId, weekIndex) => Boolean(activeSelection) && activeSelection.campId === campId && weekIndex >= selectionStart && weekIndex <= selectionEnd;
+    const isCellFocused = (campId, weekIndex) => Boolean(activeSelection) && activeSelection.campId === campId && activeSelection.focusWeek === weekIndex;
+
+    const focusCell = (campId, weekIndex, extend) => {
+        setSelection(prev => extend && prev && prev.campId === campId ? { ...prev, focusWeek: weekIndex } : { campId, anchorWeek: weekIndex, focusWeek: weekIndex });
+        const cell = cellRefs.current[getCellKey(campId, weekIndex)];
+        if (cell) cell.focus();
+    };
+
+    const toggleKid = (kid) => onCellsChange(`updating ${kid}'s weeks`, toggleKidInCells(planData, selectedKeys, kid));
+
+    const handleCellKeyDown = (e, campIndex, weekIndex) => {
+        const camp = camps[campIndex];
+        const moves = { ArrowLeft: [0, -1], ArrowRight: [0, 1], ArrowUp: [-1, 0], ArrowDown: [1, 0] };
+        if (moves[e.key]) {
+            e.preventDefault();
+            const nextCamp = camps[Math.min(Math.max(campIndex + moves[e.key][0], 0), camps.length - 1)];
+            focusCell(nextCamp.id, Math.min(Math.max(weekIndex + moves[e.key][1], 0), planData.weekCount - 1), e.shiftKey);
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            if (!isReadOnly && !isWeekBlocked(planData, weekIndex)) handleOpenModal(camp.id, weekIndex);
+        } else if (e.key === 'Escape') {
+            focusCell(camp.id, weekIndex, false);
+        } else if (/^[1-9]$/.test(e.key) && !e.ctrlKey && !e.metaKey && !e.altKey && !isReadOnly && sortedKids[Number(e.key) - 1]) {
+            e.preventDefault();
+            toggleKid(sortedKids[Number(e.key) - 1]);
+        }
+    };
+
+    const handleDrop = (e, key) => {
+        e.preventDefault();
+        if (draggedChip) onCellsChange(`moving ${draggedChip.kid}`, moveKid(planData, draggedChip.fromKey, key, draggedChip.kid));
+        setDraggedChip(null);
+        setDropTargetKey(null);
+    };
+
+    // `${kid}|${campId}|${weekIndex}` -> names of the other camps that kid is double-booked with.
+    const doubleBookings = findDoubleBookings(planData);
+    const clashesByChip = {};
+    doubleBookings.forEach(({ kid, weekIndex, camps: [campA, campB] }) => {
+        const keyA = `${kid}|${campA.id}|${weekIndex}`;
+        const keyB = `${kid}|${campB.id}|${weekIndex}`;
+        clashesByChip[keyA] = [...(clashesByChip[keyA] || []), campB.name];
+        clashesByChip[keyB] = [...(clashesByChip[keyB] || []), campA.name];
+    });
+
+    const carpoolGaps = countCarpoolGaps(planData);
+    const filteredStatuses = STATUS_FILTERS[statusFilter].statuses;
+    let matchingAssignments = null;
+    if (statusFilter !== 'all') {
+        matchingAssignments = 0;
+        sortCamps(planData.camps).forEach(camp => {
+            for (let weekIndex = 0; weekIndex < planData.weekCount; weekIndex++) {
+                matchingAssignments += getCellAssignments(planData, getCellKey(camp.id, weekIndex)).filter(({ status }) => filteredStatuses.includes(status)).length;
+            }
+        });
+    }
+
+    const renderWeekHeader = (weekIndex) => {
+        const weekStart = getWeekStartDate(planData, weekIndex);
+        const blockedReason = getBlockedWeekReason(planData, weekIndex);
+        return (
+            <div className="text-center">
+                <div className="font-semibold text-gray-700">Week {weekIndex + 1}</div>
+                {weekStart && <div className="text-xs text-gray-500 font-normal">{formatShortDate(weekStart)}</div>}
+                {blockedReason !== null && <div className="text-xs text-gray-500 font-normal italic">{blockedReason || 'Blocked'}</div>}
+                {!isReadOnly && blockedReason === null && <button onClick={() => setCopySourceWeek(weekIndex)} className="no-print text-xs text-blue-600 hover:text-blue-800 font-normal">Copy to…</button>}
+            </div>
+        );
+    };
+
+    const editableSelectedKeys = selectedKeys.filter(key => !isWeekBlocked(planData, parseCellKey(key).weekIndex));
+
+    return (
+        <>
+            {isReadOnly ? (
+                <div className="my-6 border-t border-gray-200 pt-4">
+                    <p className="bg-gray-100 text-gray-600 text-sm px-4 py-2 rounded-lg">You have view-only access to this schedule.</p>
+                </div>
+            ) : (
+                <div className="flex flex-wrap gap-3 my-6 border-t border-gray-200 pt-4">
+                    <button onClick={() => setSeasonModalOpen(true)} className="bg-sky-100 text-sky-700 font-semibold py-2 px-4 rounded-lg hover:bg-sky-200 transition flex items-center gap-2 shadow-sm"><Settings size={16}/>Season Settings</button>
+                    <button onClick={() => setKidsModalOpen(true)} className="bg-indigo-100 text-indigo-700 font-semibold py-2 px-4 rounded-lg hover:bg-indigo-200 transition flex items-center gap-2 shadow-sm"><Users size={16}/>Manage Kids</button>
+                    <button onClick={() => setCampsModalOpen(true)} className="bg-orange-100 text-orange-700 font-semibold py-2 px-4 rounded-lg hover:bg-orange-200 transition flex items-center gap-2 shadow-sm"><Calendar size={16}/>Manage Camps</button>
+                    <p className="w-full text-xs text-gray-500">Drag a kid to move them to another week or camp. Shift-click (or Shift + arrow keys) to select several weeks of a camp. Arrow keys move between cells, 1–9 add or remove a kid, Enter opens the editor.</p>
+                </div>
+            )}
+            
+            <div className="p-4 bg-gray-50 rounded-lg mb-6 border">
+                <h3 className="font-bold text-lg text-gray-700 mb-2">Printable Summary</h3>
+                <div className="flex flex-col sm:flex-row items-center gap-3">
+                    <select onChange={e => setSelectedKidForSummary(e.target.value)} className="p-2 border border-gray-300 rounded-md w-full sm:w-auto shadow-sm">
+                        <option value="">-- Select a Kid --</option>
+                        {[...(planData.allKids || [])].sort((a,b) => a.localeCompare(b)).map(kid => <option key={kid} value={kid}>{kid}</option>)}
                     </select>
-                    <button onClick={() => setIsPrintView(true)} className="bg-green-500 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-600 transition flex items-center gap-2 w-full sm:w-auto justify-center shadow-sm">
+                    <button onClick={onViewSummary} className="bg-green-500 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-600 transition flex items-center gap-2 w-full sm:w-auto justify-center shadow-sm">
                         <Printer size={16}/> View Summary
                     </button>
+                    <button onClick={() => setIsChildcareView(true)} className="bg-amber-100 text-amber-800 font-semibold py-2 px-4 rounded-lg hover:bg-amber-200 transition flex items-center gap-2 w-full sm:w-auto justify-center shadow-sm">
+                        <ClipboardList size={16}/> Childcare Needed
+                    </button>
+                    <button onClick={() => setCalendarModalOpen(true)} className="bg-blue-100 text-blue-700 font-semibold py-2 px-4 rounded-lg hover:bg-blue-200 transition flex items-center gap-2 w-full sm:w-auto justify-center shadow-sm">
+                        <Calendar size={16}/> Add to Calendar
+                    </button>
                 </div>
             </div>
 
+            <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+                <label className="flex items-center gap-2 font-semibold text-gray-700">
+                    Show
+                    <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="p-2 border border-gray-300 rounded-md shadow-sm font-normal">
+                        {Object.entries(STATUS_FILTERS).map(([filter, { label }]) => <option key={filter} value={filter}>{label}</option>)}
+                    </select>
+                </label>
+                {matchingAssignments !== null && <span className="text-gray-600">{matchingAssignments} matching booking{matchingAssignments === 1 ? '' : 's'} · <button onClick={() => setStatusFilter('all')} className="text-blue-600 hover:text-blue-800 font-semibold">Show all</button></span>}
+            </div>
+
+            {!isReadOnly && editableSelectedKeys.length > 1 && (
+                <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm flex flex-wrap items-center gap-2">
+                    <span className="font-semibold text-blue-800">{findCamp(planData, activeSelection.campId).name}, weeks {selectionStart + 1}–{selectionEnd + 1}:</span>
+                    {sortedKids.map((kid, i) => {
+                        const isInAll = editableSelectedKeys.every(key => (planData.schedule[key] || []).includes(kid));
+                        return <button key={kid} onClick={() => toggleKid(kid)} className={`px-2.5 py-1 text-xs font-semibold rounded-full shadow-sm ${getKidColor(kid)}`}>{isInAll ? `Remove ${kid}` : `Add ${kid}`}{i < 9 && <span className="font-normal opacity-75"> ({i + 1})</span>}</button>;
+                    })}
+                    <button onClick={() => focusCell(activeSelection.campId, activeSelection.focusWeek, false)} className="ml-auto text-gray-500 hover:text-gray-700 font-semibold">Clear selection</button>
+                </div>
+            )}
+
+            {doubleBookings.length > 0 && (
+                <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+                    <p className="font-semibold flex items-center gap-2"><AlertTriangle size={16}/>{doubleBookings.length} double-booking{doubleBookings.length === 1 ? '' : 's'}</p>
+                    <ul className="list-disc pl-6 mt-1">
+                        {doubleBookings.map(({ kid, weekIndex, camps: [campA, campB] }) => <li key={`${kid}|${weekIndex}|${campA.id}|${campB.id}`}>{kid}, {getWeekLabel(planData, weekIndex)}: {campA.name} and {campB.name} overlap</li>)}
+                    </ul>
+                </div>
+            )}
+
+            {carpoolGaps > 0 && (
+                <div className="mb-4 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800 flex items-center gap-2">
+                    <Car size={16}/>{carpoolGaps} carpool drop-off and pickup slot{carpoolGaps === 1 ? ' still needs' : 's still need'} a driver. Use a camp-week's carpool badge to claim one.
+                </div>
+            )}
+
             <div className="overflow-x-auto">
                 <table className="min-w-full border-collapse">
                     <thead>
                         <tr>
                             <th className="sticky left-0 bg-gray-100 p-3 text-sm font-semibold text-gray-800 text-left border-b-2 border-gray-300 z-10 rounded-tl-lg">Camp</th>
                             {Array.from({ length: planData.weekCount }, (_, i) => (
-                                <th key={i} className="p-3 text-sm border-b-2 border-gray-300">{renderWeekHeader(i)}</th>
+                                <th key={i} className={`p-3 text-sm border-b-2 border-gray-300 ${isWeekBlocked(planData, i) ? 'bg-gray-200/70' : ''}`}>{renderWeekHeader(i)}</th>
                             ))}
                         </tr>
                     </thead>
                     <tbody>
-                        {(planData.camps || []).map((camp, campIndex) => (
-                            <tr key={campIndex} className="even:bg-gray-50/70">
-                                <td className="sticky left-0 bg-white even:bg-gray-50/70 p-3 font-bold text-gray-800 border-b border-gray-200 z-10 shadow-sm">{camp}</td>
+                        {camps.map((camp, campIndex) => (
+                            <tr key={camp.id} className="even:bg-gray-50/70">
+                                <td className="sticky left-0 bg-white even:bg-gray-50/70 p-3 border-b border-gray-200 z-10 shadow-sm">
+                                    <button onClick={() => setDetailCampId(camp.id)} title="Camp details" className="text-left font-bold text-gray-800 hover:text-blue-600 transition">{camp.name}</button>
+                                    {formatCampSession(camp) && <div className="text-xs text-gray-500 font-normal">{formatCampSession(camp)}</div>}
+                                    {formatCampHours(camp) && <div className="text-xs text-gray-500 font-normal">{formatCampHours(camp)}</div>}
+                                </td>
                                 {Array.from({ length: planData.weekCount }, (_, weekIndex) => {
-                                    const key = `${campIndex}-${weekIndex}`;
+                                    const key = getCellKey(camp.id, weekIndex);
                                     const attendees = planData.schedule[key] || [];
+                                    const assignments = getCellAssignments(planData, key).filter(({ status }) => filteredStatuses.includes(status));
+                                    const sessionNote = getSessionNote(planData, key);
+                                    const isBlocked = isWeekBlocked(planData, weekIndex);
+                                    const isEditable = !isReadOnly && !isBlocked;
+                                    const openCarpoolSlots = isCarpoolWeek(planData, camp.id, weekIndex) ? getCarpoolSlots(planData, camp, weekIndex).filter(slot => !slot.driver).length : null;
                                     return (
-                                        <td key={weekIndex} onClick={() => handleOpenModal(campIndex, weekIndex)} className="p-2 border-b border-gray-200 text-center cursor-pointer hover:bg-blue-100/50 transition min-w-[140px]">
+                                        <td
+                                            key={weekIndex}
+                                            ref={(cell) => { cellRefs.current[key] = cell; }}
+                                            tabIndex={isCellFocused(camp.id, weekIndex) ? 0 : -1}
+                                            title={getCampTooltip(camp)}
+                                            onMouseDown={(e) => { if (e.shiftKey) e.preventDefault(); }}
+                                            onClick={(e) => {
+                                                focusCell(camp.id, weekIndex, e.shiftKey);
+                                                if (isEditable && !e.shiftKey) handleOpenModal(camp.id, weekIndex);
+                                            }}
+                                            onKeyDown={(e) => handleCellKeyDown(e, campIndex, weekIndex)}
+                                            onDragOver={draggedChip && isEditable ? (e) => { e.preventDefault(); setDropTargetKey(key); } : undefined}
+                                            onDragLeave={() => setDropTargetKey(null)}
+                                            onDrop={draggedChip && isEditable ? (e) => handleDrop(e, key) : undefined}
+                                            className={`p-2 border-b border-gray-200 text-center transition min-w-[140px] focus:outline-none focus:ring-2 focus:ring-inset focus:ring-blue-500 ${isBlocked ? 'bg-gray-200/70' : ''} ${isEditable ? 'cursor-pointer hover:bg-blue-100/50' : ''} ${isCellSelected(camp.id, weekIndex) && selectedKeys.length > 1 ? 'bg-blue-50 ring-2 ring-inset ring-blue-300' : ''} ${dropTargetKey === key ? 'bg-blue-100 ring-2 ring-inset ring-blue-500' : ''}`}
+                                        >
                                             <div className="flex flex-wrap justify-center items-center gap-1 min-h-[48px]">
-                                                {attendees.map(kid => <span key={kid} className={`px-2.5 py-1 text-xs font-semibold rounded-full shadow-sm ${getKidColor(kid)}`}>{kid}</span>)}
-                                                {attendees.length === 0 && <Plus size={16} className="text-gray-400" />}
+                                                {assignments.map(({ kid, status }) => {
+                                                    const clashes = status !== 'cancelled' && clashesByChip[`${kid}|${camp.id}|${weekIndex}`];
+                                                    const statusLabel = REGISTRATION_STATUSES[status].label;
+                                                    // Kids there for only part of the week show which days and hours.
+                                                    const attendance = status !== 'cancelled' && getKidAttendance(planData, key, kid);
+                                                    const partialDays = attendance && <span title={`${kid} goes ${formatAttendance(attendance)}`} className="font-normal opacity-75 flex items-center gap-0.5"><Clock size={11}/>{attendance.days.length ? formatWeekdays(attendance.days) : formatCampHours(attendance)}</span>;
+                                                    const dragProps = isEditable && status !== 'cancelled' ? {
+                                                        draggable: true,
+                                                        onDragStart: (e) => { e.dataTransfer.effectAllowed = 'move'; e.dataTransfer.setData('text/plain', kid); setDraggedChip({ kid, fromKey: key }); },
+                                                        onDragEnd: () => { setDraggedChip(null); setDropTargetKey(null); },
+                                                    } : {};
+                                                    return clashes ? (
+                                                        <span key={kid} {...dragProps} title={`${kid} is double-booked with ${clashes.join(' and ')}`} className={`px-2.5 py-1 text-xs font-semibold rounded-full shadow-sm ring-2 ring-red-500 flex items-center gap-1 ${isEditable ? 'cursor-grab' : ''} ${getKidColor(kid)}`}><AlertTriangle size={12} className="text-red-600"/>{kid}<span className="font-normal opacity-75">· {statusLabel}</span>{partialDays}</span>
+                                                    ) : (
+                                                        <span key={kid} {...dragProps} title={`${kid}: ${statusLabel}${attendance ? `, ${formatAttendance(attendance)}` : ''}`} className={`px-2.5 py-1 text-xs font-semibold rounded-full shadow-sm flex items-center gap-1 ${isEditable && status !== 'cancelled' ? 'cursor-grab' : ''} ${REGISTRATION_STATUSES[status].chipClass} ${getKidColor(kid)}`}>{kid}<span className="font-normal opacity-75">· {statusLabel}</span>{partialDays}</span>
+                                                    );
+                                                })}
+                                                {attendees.length === 0 && isEditable && <Plus size={16} className="text-gray-400" />}
                                             </div>
+                                            {formatSessionNote(sessionNote) && <div className={`mt-1 text-xs font-semibold ${isSessionFillingUp(sessionNote) ? 'text-red-600' : 'text-gray-500'}`}>{formatSessionNote(sessionNote)}</div>}
+                                            {openCarpoolSlots !== null && (
+                                                <button onClick={(e) => { e.stopPropagation(); setCarpoolCell({ campId: camp.id, weekIndex }); }} title="Carpool" className={`mt-1 mx-auto px-2 py-0.5 text-xs font-semibold rounded-full flex items-center gap-1 ${openCarpoolSlots ? 'bg-amber-100 text-amber-800 hover:bg-amber-200' : 'bg-green-100 text-green-700 hover:bg-green-200'}`}>
+                                                    <Car size={12}/>{openCarpoolSlots ? `${openCarpoolSlots} open` : 'Carpool set'}
+                                                </button>
+                                            )}
                                         </td>
                                     );
                                 })}
                             </tr>
                         ))}
+                        <tr>
+                            <td colSpan={planData.weekCount + 1} className="sticky left-0 pt-6 pb-2 text-sm font-semibold text-gray-600 uppercase tracking-wide">Childcare coverage</td>
+                        </tr>
+                        {familyKids.map(kid => (
+                            <tr key={kid}>
+                                <td className="sticky left-0 bg-white p-3 border-b border-gray-200 z-10 shadow-sm"><span className={`px-2.5 py-1 text-xs font-semibold rounded-full shadow-sm ${getKidColor(kid)}`}>{kid}</span></td>
+                                {getKidCoverage(planData, kid).weeks.map(({ weekIndex, status, gaps }) => (
+                                    <td key={weekIndex} className={`p-2 border-b border-gray-200 text-center text-xs font-semibold ${COVERAGE_CELL_STYLES[status]}`}>
+                                        {status === 'covered' ? <Check size={16} className="mx-auto"/> : status === 'uncovered' ? 'No camp' : status === 'blocked' ? '' : formatCoverageGaps(gaps)}
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
                     </tbody>
                 </table>
             </div>
+
+            <CopyWeekModal
+                key={copySourceWeek}
+                sourceWeek={copySourceWeek}
+                onClose={() => setCopySourceWeek(null)}
+                planData={planData}
+                onCopy={(targetWeeks) => {
+                    onCellsChange(`copying ${getWeekLabel(planData, copySourceWeek)}`, copyWeek(planData, copySourceWeek, targetWeeks));
+                    setCopySourceWeek(null);
+                }}
+            />
         </>
     );
 };
 
-const PrintableSummary = ({ planData, selectedKid, setIsPrintView }) => {
+// One camp in a kid's week, as printed in the season summary and in week packets. Friends are
+// the other kids booked into it on the schedule, plus any from linked families.
+const CampWeekCard = ({ planData, camp, weekIndex, kid, currentUid, linkedFriends = [] }) => {
+    const scheduleFriends = (planData.schedule[getCellKey(camp.id, weekIndex)] || []).filter(name => name !== kid);
+    const friends = [...scheduleFriends, ...linkedFriends.filter(friend => !scheduleFriends.map(getFirstName).includes(getFirstName(friend)))];
+    const checklist = getWeekChecklist(planData, kid, camp, weekIndex);
+    const isWaitlisted = getAssignmentStatus(planData, getCellKey(camp.id, weekIndex), kid) === 'waitlisted';
+
+    return (
+        <div className="mt-4 first:mt-0">
+            <p className="text-xl"><strong className="font-semibold text-gray-700">Camp:</strong> {camp.name}{formatCampSession(camp) && <span className="text-gray-600"> ({formatCampSession(camp)})</span>}{isWaitlisted && <span className="ml-2 text-base font-semibold text-amber-700">Waitlisted</span>}</p>
+            {formatCampHours(camp) && <p className="text-lg text-gray-700 mt-1"><strong className="font-semibold">Hours:</strong> {formatCampHours(camp)}</p>}
+            {camp.address && <p className="text-lg text-gray-700 mt-1"><strong className="font-semibold">Where:</strong> {camp.address}</p>}
+            {friends.length > 0 && (
+                <div className="mt-3">
+                    <p className="text-xl flex items-center gap-2"><Star className="text-green-500" /> <strong className="font-semibold text-gray-700">Friends you'll see:</strong></p>
+                    <div className="flex flex-wrap gap-2 mt-2">
+                        {friends.map(friend => <span key={friend} className="bg-green-200 text-green-800 font-medium px-3 py-1 rounded-full">{friend}</span>)}
+                    </div>
+                </div>
+            )}
+            {checklist.length > 0 && (
+                <div className="mt-3">
+                    <p className="text-xl flex items-center gap-2"><Backpack className="text-orange-500" /> <strong className="font-semibold text-gray-700">What to bring:</strong></p>
+                    <ul className="mt-2 space-y-1 text-lg text-gray-700">
+                        {checklist.map(item => (
+                            <li key={item.id} className="flex items-center gap-2">
+                                <span className="inline-block w-4 h-4 border-2 border-gray-500 rounded-sm shrink-0"></span>
+                                {item.text} <span className="text-base text-gray-500">· {item.when}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+            {isCarpoolWeek(planData, camp.id, weekIndex) && (
+                <div className="mt-3">
+                    <p className="text-xl flex items-center gap-2"><Car className="text-blue-500" /> <strong className="font-semibold text-gray-700">Who's driving:</strong></p>
+                    <ul className="mt-2 space-y-1 text-lg text-gray-700">
+                        {getSessionDays(planData, camp, weekIndex).map(({ day, date }) => (
+                            <li key={day}>
+                                <strong className="font-semibold">{WEEKDAYS.find(weekday => weekday.key === day).label} {formatShortDate(date)}:</strong>{' '}
+                                {getCarpoolSlots(planData, camp, weekIndex).filter(slot => slot.day === day).map(({ slot, driver }, i) => (
+                                    <span key={slot}>
+                                        {i > 0 && ' · '}{CARPOOL_SLOTS[slot]} {driver === currentUid ? <strong className="text-blue-700">you</strong> : driver ? getFamilyLabel(planData, driver) : <span className="text-red-600">needs a driver</span>}
+                                    </span>
+                                ))}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const PrintableSummary = ({ planData, selectedKid, onBack, currentUid }) => {
     const renderWeekHeader = (weekIndex) => {
-        if (!planData.startDate) return `Week ${weekIndex + 1}`;
-        try {
-            const parts = planData.startDate.split('-');
-            const baseDate = new Date(Date.UTC(parseInt(parts[0]), parseInt(parts[1]) - 1, parseInt(parts[2])));
-            const weekStartDate = new Date(baseDate);
-            weekStartDate.setUTCDate(baseDate.getUTCDate() + weekIndex * 7);
-            const monthName = weekStartDate.toLocaleString('default', { month: 'long', timeZone: 'UTC' });
-            const dateNum = weekStartDate.getUTCDate();
-            return `Week of ${monthName} ${dateNum}`;
-        } catch (e) {
-            return `Week ${weekIndex + 1}`;
-        }
+        const weekStart = getWeekStartDate(planData, weekIndex);
+        if (!weekStart) return `Week ${weekIndex + 1}`;
+        return `Week of ${parseIsoDate(weekStart).toLocaleString('default', { month: 'long', day: 'numeric', timeZone: 'UTC' })}`;
     };
 
     return (
         <div className="bg-white p-4 sm:p-8 max-w-4xl mx-auto printable-area">
             <div className="no-print flex justify-between items-center mb-8">
-                <button onClick={() => setIsPrintView(false)} className="bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition flex items-center gap-2">
+                <button onClick={onBack} className="bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition flex items-center gap-2">
                     <ArrowLeft size={18} /> Back to Grid
                 </button>
                 <button onClick={() => window.print()} className="bg-blue-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-600 flex items-center gap-2">
@@ -576,37 +2648,227 @@ const PrintableSummary = ({ planData, selectedKid, setIsPrintView }) => {
                 </button>
             </div>
             <div className="text-center mb-10">
-                <h1 className="text-4xl font-bold text-blue-600 flex items-center justify-center gap-3"><PartyPopper size={40}/>{selectedKid}'s Summer Camp Plan!</h1>
+                <h1 className="text-4xl font-bold text-blue-600 flex items-center justify-center gap-3"><PartyPopper size={40}/>{selectedKid}'s {getSeasonName(planData)} Camp Plan!</h1>
             </div>
             <div className="space-y-6">
                 {Array.from({ length: planData.weekCount }, (_, weekIndex) => {
-                    let kidCamp = "No camp this week!";
-                    let friends = [];
-                    for (let campIndex = 0; campIndex < planData.camps.length; campIndex++) {
-                        const key = `${campIndex}-${weekIndex}`;
-                        const attendees = planData.schedule[key] || [];
-                        if (attendees.includes(selectedKid)) {
-                            kidCamp = planData.camps[campIndex];
-                            friends = attendees.filter(name => name !== selectedKid);
-                            break;
-                        }
-                    }
+                    // Split weeks (a morning and an afternoon camp, say) list every camp, in day order.
+                    const kidCamps = getKidCampsForWeek(planData, selectedKid, weekIndex).sort((campA, campB) => getCampTimeRange(campA)[0] - getCampTimeRange(campB)[0]);
 
                     return (
                         <div key={weekIndex} className="p-5 rounded-xl" style={{backgroundColor: weekIndex % 2 === 0 ? '#f0f9ff' : '#fefce8'}}>
                             <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-3"><Sun className="text-yellow-500" /> {renderWeekHeader(weekIndex)}</h2>
                             <div className="mt-4 pl-10">
-                                <p className="text-xl"><strong className="font-semibold text-gray-700">Camp:</strong> {kidCamp}</p>
-                                {friends.length > 0 && (
-                                    <div className="mt-3">
-                                        <p className="text-xl flex items-center gap-2"><Star className="text-green-500" /> <strong className="font-semibold text-gray-700">Friends you'll see:</strong></p>
-                                        <div className="flex flex-wrap gap-2 mt-2">
-                                            {friends.map(friend => <span key={friend} className="bg-green-200 text-green-800 font-medium px-3 py-1 rounded-full">{friend}</span>)}
-                                        </div>
+                                {kidCamps.length === 0 && <p className="text-xl"><strong className="font-semibold text-gray-700">Camp:</strong> {isWeekBlocked(planData, weekIndex) ? `No camp this week: ${getBlockedWeekReason(planData, weekIndex) || 'time off'}!` : "No camp this week!"}</p>}
+                                {kidCamps.map(camp => <CampWeekCard key={camp.id} planData={planData} camp={camp} weekIndex={weekIndex} kid={selectedKid} currentUid={currentUid} />)}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+const BudgetPanel = ({ planData, familyKids, budget, onUpdateBudget }) => {
+    const [capInput, setCapInput] = useState(budget.cap ?? '');
+    const [paymentForm, setPaymentForm] = useState(null);
+
+    useEffect(() => {
+        setCapInput(budget.cap ?? '');
+    }, [budget.cap]);
+
+    const payments = budget.payments || [];
+    const summary = calculateBudget(planData, familyKids, payments);
+    const cap = getBudgetCap(budget);
+    const isOverBudget = cap !== null && summary.total > cap;
+
+    const handleSaveCap = () => {
+        const newCap = toNumberOrNull(capInput);
+        if (newCap !== (budget.cap ?? null)) onUpdateBudget({ cap: newCap });
+    };
+
+    const handleRecordPayment = (e) => {
+        e.preventDefault();
+        const amount = toNumberOrNull(paymentForm.amount);
+        if (!amount || amount <= 0) return;
+        const payment = { id: generateId(), kid: paymentForm.kid, campId: paymentForm.campId, kind: paymentForm.kind, amount: roundCents(amount), date: paymentForm.date };
+        onUpdateBudget({ payments: arrayUnion(payment) });
+        setPaymentForm(null);
+    };
+
+    const startPayment = (booking) => {
+        const kind = booking.deposit > 0 && booking.paid < booking.deposit ? 'deposit' : 'balance';
+        const suggested = kind === 'deposit' ? booking.deposit - booking.paid : booking.balance;
+        setPaymentForm({ kid: booking.kid, campId: booking.camp.id, kind, amount: suggested > 0 ? String(roundCents(suggested)) : '', date: toIsoDate(new Date()) });
+    };
+
+    return (
+        <div className="mt-8 p-4 bg-gray-50 rounded-lg border">
+            <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+                <h3 className="font-bold text-lg text-gray-700 flex items-center gap-2"><Wallet size={20}/>Budget</h3>
+                <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+                    Season budget ($)
+                    <input type="number" min="0" value={capInput} onChange={(e) => setCapInput(e.target.value)} onBlur={handleSaveCap} placeholder="No cap" className="w-28 p-2 border border-gray-300 rounded-md shadow-sm" />
+                </label>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-4">
+                <div className={`p-3 rounded-lg ${isOverBudget ? 'bg-red-100 text-red-800' : 'bg-white'}`}>
+                    <p className="text-sm font-semibold text-gray-500">Season total</p>
+                    <p className="text-2xl font-bold">{formatCurrency(summary.total)}</p>
+                    {cap !== null && <p className="text-sm">{isOverBudget ? `${formatCurrency(roundCents(summary.total - cap))} over budget` : `${formatCurrency(roundCents(cap - summary.total))} left of ${formatCurrency(cap)}`}</p>}
+                </div>
+                <div className="p-3 rounded-lg bg-white">
+                    <p className="text-sm font-semibold text-gray-500">Paid so far</p>
+                    <p className="text-2xl font-bold">{formatCurrency(summary.totalPaid)}</p>
+                </div>
+                <div className="p-3 rounded-lg bg-white">
+                    <p className="text-sm font-semibold text-gray-500">Still owed</p>
+                    <p className="text-2xl font-bold">{formatCurrency(Math.max(summary.balance, 0))}</p>
+                </div>
+            </div>
+
+            <div className="overflow-x-auto mb-4">
+                <table className="min-w-full text-sm">
+                    <thead>
+                        <tr className="text-gray-600">
+                            <th className="p-2 text-left">Kid</th>
+                            {summary.weekTotals.map((_, weekIndex) => <th key={weekIndex} className="p-2 text-right whitespace-nowrap">{getWeekLabel(planData, weekIndex)}</th>)}
+                            <th className="p-2 text-right">Season</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {familyKids.map(kid => (
+                            <tr key={kid} className="border-t border-gray-200">
+                                <td className="p-2 font-semibold">{kid}</td>
+                                {summary.weekTotals.map((_, weekIndex) => {
+                                    const cost = (summary.weekCosts[kid] || {})[weekIndex];
+                                    return <td key={weekIndex} className="p-2 text-right text-gray-700">{cost ? formatCurrency(cost) : '–'}</td>;
+                                })}
+                                <td className="p-2 text-right font-bold">{formatCurrency(summary.kidTotals[kid] || 0)}</td>
+                            </tr>
+                        ))}
+                        <tr className="border-t-2 border-gray-300 font-bold">
+                            <td className="p-2">Total</td>
+                            {summary.weekTotals.map((cost, weekIndex) => <td key={weekIndex} className="p-2 text-right">{cost ? formatCurrency(cost) : '–'}</td>)}
+                            <td className="p-2 text-right">{formatCurrency(summary.total)}</td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+
+            {summary.bookings.length > 0 && (
+                <div className="space-y-2">
+                    <h4 className="font-semibold text-gray-700">Payments</h4>
+                    {summary.bookings.map(booking => {
+                        const status = getPaymentStatus(booking);
+                        const bookingPayments = payments.filter(payment => payment.kid === booking.kid && payment.campId === booking.camp.id);
+                        const isRecording = paymentForm && paymentForm.kid === booking.kid && paymentForm.campId === booking.camp.id;
+                        return (
+                            <div key={`${booking.kid}|${booking.camp.id}`} className="p-3 bg-white rounded-lg shadow-sm">
+                                <div className="flex flex-wrap justify-between items-center gap-2">
+                                    <div>
+                                        <span className="font-semibold">{booking.kid} · {booking.camp.name}</span>
+                                        <span className="text-gray-500 text-sm ml-2">{booking.weeks.length} week{booking.weeks.length === 1 ? '' : 's'} · {formatCurrency(booking.cost)}{booking.deposit > 0 && ` · ${formatCurrency(booking.deposit)} deposit`}</span>
                                     </div>
+                                    <div className="flex items-center gap-2">
+                                        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${status.className}`}>{status.label}</span>
+                                        {booking.balance > 0 && <span className="text-sm text-gray-600">{formatCurrency(booking.balance)} due</span>}
+                                        {!isRecording && <button onClick={() => startPayment(booking)} className="text-blue-600 hover:text-blue-800 text-sm font-semibold">Record payment</button>}
+                                    </div>
+                                </div>
+                                {bookingPayments.length > 0 && (
+                                    <ul className="mt-2 text-sm text-gray-600 space-y-1">
+                                        {bookingPayments.map(payment => (
+                                            <li key={payment.id} className="flex items-center gap-2">
+                                                <Check size={14} className="text-green-600"/>{PAYMENT_KINDS[payment.kind] || 'Payment'} of {formatCurrency(payment.amount)}{payment.date && ` on ${formatLongDate(payment.date)}`}
+                                                <button onClick={() => onUpdateBudget({ payments: arrayRemove(payment) })} className="text-red-400 hover:text-red-600"><X size={14}/></button>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                                {isRecording && (
+                                    <form onSubmit={handleRecordPayment} className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+                                        <select value={paymentForm.kind} onChange={(e) => setPaymentForm({ ...paymentForm, kind: e.target.value })} className="p-1 border border-gray-300 rounded-md">
+                                            {Object.entries(PAYMENT_KINDS).map(([kind, label]) => <option key={kind} value={kind}>{label}</option>)}
+                                        </select>
+                                        <input type="number" min="0" step="0.01" value={paymentForm.amount} onChange={(e) => setPaymentForm({ ...paymentForm, amount: e.target.value })} placeholder="Amount" className="w-24 p-1 border border-gray-300 rounded-md" />
+                                        <input type="date" value={paymentForm.date} onChange={(e) => setPaymentForm({ ...paymentForm, date: e.target.value })} className="p-1 border border-gray-300 rounded-md" />
+                                        <button type="submit" className="px-3 py-1 bg-blue-500 text-white rounded-md hover:bg-blue-600 font-semibold">Save</button>
+                                        <button type="button" onClick={() => setPaymentForm(null)} className="px-3 py-1 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 font-semibold">Cancel</button>
+                                    </form>
                                 )}
                             </div>
-                        </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const ChildcareNeededSummary = ({ planData, familyKids, onBack }) => {
+    const [isCopied, setIsCopied] = useState(false);
+    const coverages = familyKids.map(kid => getKidCoverage(planData, kid));
+    const listText = formatChildcareNeeded(planData, coverages);
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(listText);
+            setIsCopied(true);
+            setTimeout(() => setIsCopied(false), 2000);
+        } catch (e) {
+            console.error("Error copying to clipboard:", e);
+        }
+    };
+
+    const handleDownload = () => {
+        const url = URL.createObjectURL(new Blob([listText], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `childcare-needed-${slugify(getSeasonName(planData))}.txt`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <div className="bg-white p-4 sm:p-8 max-w-4xl mx-auto printable-area">
+            <div className="no-print flex flex-wrap justify-between items-center gap-2 mb-8">
+                <button onClick={onBack} className="bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition flex items-center gap-2">
+                    <ArrowLeft size={18} /> Back to Grid
+                </button>
+                <div className="flex gap-2">
+                    <button onClick={handleCopy} className="bg-gray-100 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-200 flex items-center gap-2">{isCopied ? <Check size={18}/> : <Copy size={18}/>}{isCopied ? 'Copied' : 'Copy'}</button>
+                    <button onClick={handleDownload} className="bg-gray-100 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-200 flex items-center gap-2"><Download size={18}/>Download</button>
+                    <button onClick={() => window.print()} className="bg-blue-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-600 flex items-center gap-2">
+                        <Printer size={18} /> Print
+                    </button>
+                </div>
+            </div>
+            <div className="text-center mb-10">
+                <h1 className="text-4xl font-bold text-amber-700 flex items-center justify-center gap-3"><ClipboardList size={40}/>Childcare Needed</h1>
+                <p className="text-gray-600 mt-2">{getSeasonName(planData)}{planData.startDate && `, ${formatLongDate(planData.startDate)} – ${formatLongDate(getSeasonEndDate(planData))}`}</p>
+            </div>
+            <div className="space-y-8">
+                {coverages.map(({ kid, weeks }) => {
+                    const gapWeeks = weeks.filter(week => week.gaps.length);
+                    return (
+                        <section key={kid}>
+                            <h2 className="text-2xl font-bold text-gray-800 mb-3">{kid}</h2>
+                            {gapWeeks.length === 0 ? (
+                                <p className="text-lg text-green-700">Every week is covered!</p>
+                            ) : (
+                                <ul className="space-y-2">
+                                    {gapWeeks.map(({ weekIndex, status, gaps }) => (
+                                        <li key={weekIndex} className={`p-3 rounded-lg ${status === 'uncovered' ? 'bg-red-50' : 'bg-amber-50'}`}>
+                                            <p className="font-semibold text-gray-800">{getWeekLabel(planData, weekIndex)}: {status === 'uncovered' ? 'All week' : formatCoverageGaps(gaps)}</p>
+                                            {gaps.some(gap => gap.date) && <p className="text-sm text-gray-600">{gaps.filter(gap => gap.date).map(gap => formatShortDate(gap.date)).join(', ')}</p>}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </section>
                     );
                 })}
             </div>
@@ -614,39 +2876,527 @@ const PrintableSummary = ({ planData, selectedKid, setIsPrintView }) => {
     );
 };
 
-const EditScheduleModal = ({ modal, planData, handleCloseModal, handleScheduleChange }) => {
-    if (!modal.isOpen || !planData) return null;
-    const allKids = [...(planData.allKids || [])].sort((a,b) => a.localeCompare(b));
-    const key = `${modal.campIndex}-${modal.weekIndex}`;
-    const currentAttendees = planData.schedule[key] || [];
-    const [selectedKids, setSelectedKids] = useState(new Set(currentAttendees));
-    const handleCheckboxChange = (kidName) => setSelectedKids(prev => { const newSet = new Set(prev); if (newSet.has(kidName)) newSet.delete(kidName); else newSet.add(kidName); return newSet; });
-    const handleSave = () => handleScheduleChange(Array.from(selectedKids));
+const EditScheduleModal = ({ modal, planData, familyKids, budget, handleCloseModal, handleScheduleChange }) => {
+    const [draft, setDraft] = useState(null);
+    const [draftKey, setDraftKey] = useState(null);
+    const key = modal.isOpen && planData ? getCellKey(modal.campId, modal.weekIndex) : null;
+
+    // The draft starts from the camp-week when the modal opens on it. Snapshots that arrive
+    // while it's open don't reset the choices being made.
+    if (key !== draftKey) {
+        setDraftKey(key);
+        setDraft(key && {
+            statuses: Object.fromEntries(getCellAssignments(planData, key).map(({ kid, status }) => [kid, status])),
+            attendance: { ...getCellAttendance(planData, key) },
+            capacity: getSessionNote(planData, key).capacity ?? '',
+            spotsLeft: getSessionNote(planData, key).spotsLeft ?? '',
+        });
+    }
+
+    if (!key || !draft) return null;
+    const allKids = [...(planData.allKids || [])].sort((a,b) => a.localeCompare(b));
+    // A kid with a status is in this camp-week unless they cancelled.
+    const selectedKids = new Set(allKids.filter(kid => draft.statuses[kid] && draft.statuses[kid] !== 'cancelled'));
+    const handleCheckboxChange = (kidName) => setDraft(prev => {
+        const statuses = { ...prev.statuses };
+        if (statuses[kidName]) delete statuses[kidName];
+        else statuses[kidName] = DEFAULT_REGISTRATION_STATUS;
+        return { ...prev, statuses };
+    });
+    const handleStatusChange = (kidName, status) => setDraft(prev => ({ ...prev, statuses: { ...prev.statuses, [kidName]: status } }));
+    const handleAttendanceChange = (kidName, attendance) => setDraft(prev => ({ ...prev, attendance: { ...prev.attendance, [kidName]: attendance } }));
+
+    const camp = findCamp(planData, modal.campId) || {};
+    const kidAttendance = Object.fromEntries(Array.from(selectedKids)
+        .map(kid => [kid, draft.attendance[kid] ? normalizeAttendance(camp, draft.attendance[kid]) : null])
+        .filter(([, attendance]) => attendance));
+    const attendanceError = Array.from(selectedKids).sort((a, b) => a.localeCompare(b)).map(kid => getAttendanceError(kid, draft.attendance[kid])).find(Boolean) || '';
+    const handleSave = () => handleScheduleChange(
+        Array.from(selectedKids),
+        Object.fromEntries(Object.entries(draft.statuses).filter(([, status]) => status !== DEFAULT_REGISTRATION_STATUS)),
+        { capacity: toNumberOrNull(draft.capacity), spotsLeft: toNumberOrNull(draft.spotsLeft) },
+        kidAttendance,
+    );
+
+    // Kids who'd end up in two overlapping camps this week, on the days and at the hours they'd be there.
+    const doubleBookingWarnings = Array.from(selectedKids).sort((a, b) => a.localeCompare(b)).flatMap(kid => getKidCampsForWeek(planData, kid, modal.weekIndex)
+        .filter(otherCamp => otherCamp.id !== modal.campId && campSessionsOverlap(applyAttendance(camp, kidAttendance[kid]), otherCamp))
+        .map(otherCamp => `${kid} is already at ${otherCamp.name} this week.`));
+
+    // Flag a change that would take the season over the family's budget cap.
+    let budgetWarning = '';
+    const budgetCap = getBudgetCap(budget);
+    if (budgetCap !== null) {
+        const currentTotal = calculateBudget(planData, familyKids).total;
+        const projectedTotal = calculateBudget({ ...planData, schedule: { ...planData.schedule, [key]: Array.from(selectedKids) } }, familyKids).total;
+        if (projectedTotal > budgetCap && projectedTotal > currentTotal) {
+            budgetWarning = `This brings the season to ${formatCurrency(projectedTotal)}, ${formatCurrency(roundCents(projectedTotal - budgetCap))} over your ${formatCurrency(budgetCap)} budget.`;
+        }
+    }
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4 transition-opacity duration-300">
+            <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-md transform transition-all duration-300 scale-100">
+                <h3 className="text-xl font-bold mb-1">Edit Attendees</h3>
+                <p className="text-gray-600 mb-4">For <span className="font-semibold">{camp.name}</span>, <span className="font-semibold">{getWeekLabel(planData, modal.weekIndex)}</span></p>
+                <div className="space-y-2 max-h-60 overflow-y-auto pr-2">
+                    {allKids.map(kid => (
+                        <div key={kid} className="p-3 rounded-lg hover:bg-gray-100 transition-colors">
+                            <div className="flex items-center justify-between gap-2">
+                                <label className="flex items-center flex-1 cursor-pointer">
+                                    <input type="checkbox" checked={Boolean(draft.statuses[kid])} onChange={() => handleCheckboxChange(kid)} className="h-5 w-5 rounded border-gray-300 text-blue-600 focus:ring-blue-500" />
+                                    <span className={`ml-3 font-medium ${draft.statuses[kid] === 'cancelled' ? 'text-gray-400 line-through' : 'text-gray-800'}`}>{kid}</span>
+                                </label>
+                                {draft.statuses[kid] && (
+                                    <select value={draft.statuses[kid]} onChange={(e) => handleStatusChange(kid, e.target.value)} className="p-1 border border-gray-300 rounded-md text-sm">
+                                        {Object.entries(REGISTRATION_STATUSES).map(([status, { label }]) => <option key={status} value={status}>{label}</option>)}
+                                    </select>
+                                )}
+                            </div>
+                            {selectedKids.has(kid) && <AttendancePicker camp={camp} attendance={draft.attendance[kid]} onChange={(attendance) => handleAttendanceChange(kid, attendance)} />}
+                        </div>
+                    ))}
+                </div>
+                <div className="mt-4 grid grid-cols-2 gap-3">
+                    <label className="block text-sm font-semibold text-gray-700">Capacity<input type="number" min="0" value={draft.capacity} onChange={(e) => setDraft(prev => ({ ...prev, capacity: e.target.value }))} placeholder="Optional" className="mt-1 w-full p-2 border border-gray-300 rounded-md font-normal" /></label>
+                    <label className="block text-sm font-semibold text-gray-700">Spots left<input type="number" min="0" value={draft.spotsLeft} onChange={(e) => setDraft(prev => ({ ...prev, spotsLeft: e.target.value }))} placeholder="Optional" className="mt-1 w-full p-2 border border-gray-300 rounded-md font-normal" /></label>
+                </div>
+                {doubleBookingWarnings.length > 0 && (
+                    <div className="mt-4 p-3 bg-red-50 border border-red-200 text-red-800 rounded-lg text-sm flex gap-2">
+                        <AlertTriangle size={18} className="shrink-0"/>
+                        <div>{doubleBookingWarnings.map(warning => <p key={warning}>{warning}</p>)}</div>
+                    </div>
+                )}
+                {budgetWarning && <p className="mt-4 p-3 bg-amber-50 border border-amber-300 text-amber-800 rounded-lg text-sm flex gap-2"><AlertTriangle size={18} className="shrink-0"/>{budgetWarning}</p>}
+                {attendanceError && <p className="text-red-600 text-sm mt-4">{attendanceError}</p>}
+                <div className="mt-6 flex justify-end space-x-3">
+                    <button onClick={handleCloseModal} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition font-semibold">Cancel</button>
+                    <button onClick={handleSave} disabled={Boolean(attendanceError)} className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition font-semibold disabled:bg-blue-300 disabled:cursor-not-allowed">{budgetWarning || doubleBookingWarnings.length ? 'Save Anyway' : 'Save'}</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// A kid's days and hours for one camp-week, folded away to a summary until it's opened.
+const AttendancePicker = ({ camp, attendance, onChange }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const campDays = getCampDays(camp);
+    const days = attendance && attendance.days && attendance.days.length ? attendance.days : campDays;
+    const startTime = (attendance && attendance.startTime) || '';
+    const endTime = (attendance && attendance.endTime) || '';
+    const update = (changes) => onChange({ days, startTime, endTime, ...changes });
+
+    if (!isOpen) {
+        return <button type="button" onClick={() => setIsOpen(true)} title="Pick the days and hours this kid goes" className="ml-8 mt-1 text-xs font-semibold text-blue-600 hover:text-blue-800 flex items-center gap-1"><Clock size={12}/>{formatAttendance(normalizeAttendance(camp, { days, startTime, endTime }))}</button>;
+    }
+    return (
+        <div className="ml-8 mt-2 space-y-2">
+            <div className="flex gap-1">
+                {WEEKDAYS.filter(day => campDays.includes(day.key)).map(day => {
+                    const isOn = days.includes(day.key);
+                    // At least one day stays on; unticking the kid takes them out of the week.
+                    return <button key={day.key} type="button" onClick={() => update({ days: isOn ? days.filter(key => key !== day.key) : [...days, day.key] })} disabled={isOn && days.length === 1} className={`px-2 py-1 rounded-md text-xs font-semibold ${isOn ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-600'}`}>{day.label}</button>;
+                })}
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+                <label className="block text-xs font-semibold text-gray-600">Drop-off
+                    <input type="time" value={startTime} onChange={(e) => update({ startTime: e.target.value })} title={camp.startTime ? `The camp's is ${formatTime(camp.startTime)}` : undefined} className="mt-1 w-full p-1 border border-gray-300 rounded-md font-normal" />
+                </label>
+                <label className="block text-xs font-semibold text-gray-600">Pickup
+                    <input type="time" value={endTime} onChange={(e) => update({ endTime: e.target.value })} title={camp.endTime ? `The camp's is ${formatTime(camp.endTime)}` : undefined} className="mt-1 w-full p-1 border border-gray-300 rounded-md font-normal" />
+                </label>
+            </div>
+            <p className="text-xs text-gray-500">Leave the times empty for the camp's own{formatCampHours(camp) ? ` (${formatCampHours(camp)})` : ''}.</p>
+        </div>
+    );
+};
+
+const SeasonSettingsModal = ({ isOpen, onClose, planData, claimUids, onSave }) => {
+    const [seasonName, setSeasonName] = useState('');
+    const [startDate, setStartDate] = useState('');
+    const [endDate, setEndDate] = useState('');
+    // Keyed by week index in the *saved* calendar, so moving the start date back and forth
+    // while editing never loses which weeks were blocked.
+    const [blockedWeeks, setBlockedWeeks] = useState({});
+    const [wasOpen, setWasOpen] = useState(false);
+
+    // The draft starts from the schedule when the modal opens. Snapshots that arrive while
+    // it's open (another member's edit, or our own sync) don't reset what's being typed.
+    if (isOpen !== wasOpen) {
+        setWasOpen(isOpen);
+        if (isOpen) {
+            const defaultSeason = getDefaultSeason();
+            setSeasonName(getSeasonName(planData));
+            setStartDate(planData.startDate || defaultSeason.startDate);
+            setEndDate(getSeasonEndDate(planData) || defaultSeason.endDate);
+            setBlockedWeeks({ ...(planData.blockedWeeks || {}) });
+        }
+    }
+
+    if (!isOpen) return null;
+
+    const isValidRange = Boolean(startDate && endDate && endDate >= startDate);
+    const weekCount = isValidRange ? countSeasonWeeks(startDate, endDate) : 0;
+    // Kids stay on the same calendar weeks when the start date moves: week `w` of the
+    // edited season is week `w + weekOffset` of the saved one.
+    const weekOffset = getSeasonWeekOffset(planData, startDate);
+    const isBlocked = (weekIndex) => Object.prototype.hasOwnProperty.call(blockedWeeks, weekIndex + weekOffset);
+    // Claims we can't move would be left on the wrong weeks.
+    const claims = planData.carpoolClaims || {};
+    const hasOtherClaims = Object.keys(claims).some(uid => !claimUids.includes(uid) && Object.keys(claims[uid] || {}).length);
+
+    const error = !seasonName.trim() ? "Give the season a name."
+        : !isValidRange ? "The season has to end after it starts."
+        : weekCount > MAX_SEASON_WEEKS ? `A season can be at most ${MAX_SEASON_WEEKS} weeks long.`
+        : weekOffset !== 0 && hasOtherClaims ? "Other families have carpool slots on this schedule, so only its owner can move the season by whole weeks."
+        : '';
+
+    const clearedCells = Object.entries(planData.schedule || {}).map(([key, attendees]) => {
+        const { campId, weekIndex } = parseCellKey(key);
+        return { campId, savedWeekIndex: weekIndex, weekIndex: weekIndex - weekOffset, attendees: attendees || [] };
+    }).filter(cell => cell.attendees.length && (cell.weekIndex < 0 || cell.weekIndex >= weekCount || isBlocked(cell.weekIndex)));
+
+    const handleToggleBlocked = (weekIndex) => {
+        setBlockedWeeks(prev => {
+            const next = { ...prev };
+            if (isBlocked(weekIndex)) delete next[weekIndex + weekOffset];
+            else next[weekIndex + weekOffset] = '';
+            return next;
+        });
+    };
+
+    const handleSave = () => {
+        const newBlockedWeeks = {};
+        for (let weekIndex = 0; weekIndex < weekCount; weekIndex++) {
+            if (isBlocked(weekIndex)) newBlockedWeeks[weekIndex] = blockedWeeks[weekIndex + weekOffset].trim();
+        }
+        onSave({ seasonName: seasonName.trim(), startDate, endDate, weekCount, blockedWeeks: newBlockedWeeks });
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-lg">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold flex items-center gap-2"><Settings size={20}/>Season Settings</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X size={24}/></button>
+                </div>
+                <div className="grid grid-cols-2 gap-3 mb-4">
+                    <label className="col-span-2 block text-sm font-semibold text-gray-700">Season name
+                        <input type="text" value={seasonName} onChange={(e) => setSeasonName(e.target.value)} placeholder="e.g. Summer 2026" className="w-full p-2 border border-gray-300 rounded-md shadow-sm" />
+                    </label>
+                    <label className="block text-sm font-semibold text-gray-700">First day
+                        <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md shadow-sm" />
+                    </label>
+                    <label className="block text-sm font-semibold text-gray-700">Last day
+                        <input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md shadow-sm" />
+                    </label>
+                </div>
+                {!error && (
+                    <>
+                        <h4 className="font-semibold text-gray-700 mb-1">{weekCount} week{weekCount === 1 ? '' : 's'}</h4>
+                        <p className="text-sm text-gray-500 mb-2">Block holiday or vacation weeks so nobody gets booked into camp.</p>
+                        <div className="space-y-1 max-h-64 overflow-y-auto pr-2">
+                            {Array.from({ length: weekCount }, (_, weekIndex) => {
+                                const weekStart = addDays(startDate, weekIndex * 7);
+                                const blocked = isBlocked(weekIndex);
+                                return (
+                                    <div key={weekIndex} className={`flex items-center gap-3 p-2 rounded-md ${blocked ? 'bg-gray-200' : 'bg-gray-50'}`}>
+                                        <label className="flex items-center gap-2 w-44 shrink-0 cursor-pointer">
+                                            <input type="checkbox" checked={blocked} onChange={() => handleToggleBlocked(weekIndex)} className="h-4 w-4 rounded border-gray-300" />
+                                            <span className="text-sm font-medium">Week {weekIndex + 1} · {formatShortDate(weekStart)}</span>
+                                        </label>
+                                        {blocked && <input type="text" value={blockedWeeks[weekIndex + weekOffset]} onChange={(e) => setBlockedWeeks({ ...blockedWeeks, [weekIndex + weekOffset]: e.target.value })} placeholder="e.g. July 4th, family trip" className="flex-grow p-1 text-sm border border-gray-300 rounded-md" />}
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </>
+                )}
+                {clearedCells.length > 0 && !error && (
+                    <div className="mt-4 p-2 bg-red-50 border border-red-200 rounded-md text-sm text-red-800">
+                        <p className="font-semibold">These bookings fall outside the season or in a blocked week and will be cleared:</p>
+                        <ul className="list-disc pl-5 mt-1">
+                            {clearedCells.map(cell => <li key={getCellKey(cell.campId, cell.savedWeekIndex)}>{(findCamp(planData, cell.campId) || {}).name}, {getWeekLabel(planData, cell.savedWeekIndex)}: {cell.attendees.join(', ')}</li>)}
+                        </ul>
+                    </div>
+                )}
+                {error && <p className="text-red-600 text-sm">{error}</p>}
+                <p className="text-xs text-gray-500 mt-4">Planning another season too? Create it from the Dashboard to keep both side by side.</p>
+                <div className="flex justify-end space-x-3 mt-4">
+                    <button onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition font-semibold">Cancel</button>
+                    <button onClick={handleSave} disabled={Boolean(error)} className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition font-semibold disabled:bg-blue-300 disabled:cursor-not-allowed">Save Changes</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const ManageCampsModal = ({ isOpen, onClose, planData, initialCampId, onSave }) => {
+    const [currentCamps, setCurrentCamps] = useState([]);
+    const [selectedCampId, setSelectedCampId] = useState(null);
+    const [pendingRemovalId, setPendingRemovalId] = useState(null);
+    const [wasOpen, setWasOpen] = useState(false);
+
+    // Copied from the schedule only when the modal opens, so a remote change to the camps
+    // doesn't wipe out edits in progress.
+    if (isOpen !== wasOpen) {
+        setWasOpen(isOpen);
+        if (isOpen) {
+            const camps = sortCamps(planData.camps);
+            setCurrentCamps(camps);
+            setSelectedCampId(initialCampId || (camps[0] && camps[0].id) || null);
+            setPendingRemovalId(null);
+        }
+    }
+
+    if (!isOpen) return null;
+
+    const isNameTaken = (name, exceptId) => currentCamps.some(camp => camp.id !== exceptId && camp.name.trim().toLowerCase() === name.trim().toLowerCase());
+    const getCampError = (camp) => {
+        if (!camp.name.trim()) return "Every camp needs a name.";
+        if (isNameTaken(camp.name, camp.id)) return `There's already a camp called ${camp.name.trim()}.`;
+        if (camp.startTime && camp.endTime && camp.startTime >= camp.endTime) return "The camp day has to end after it starts.";
+        if (camp.days && camp.days.length === 0) return "A camp has to run on at least one day.";
+        const minAge = toNumberOrNull(camp.minAge);
+        const maxAge = toNumberOrNull(camp.maxAge);
+        if (minAge !== null && maxAge !== null && minAge > maxAge) return "The minimum age can't be above the maximum age.";
+        return '';
+    };
+    const invalidCamp = currentCamps.find(camp => getCampError(camp));
+    const selectedCamp = currentCamps.find(camp => camp.id === selectedCampId);
+
+    const handleAddCamp = () => {
+        const newCamp = { ...EMPTY_CAMP, id: generateId(), name: '' };
+        setCurrentCamps(prevCamps => [...prevCamps, newCamp]);
+        setSelectedCampId(newCamp.id);
+    };
+
+    const handleCampFieldChange = (field, value) => {
+        setCurrentCamps(prevCamps => prevCamps.map(camp => camp.id === selectedCampId ? { ...camp, [field]: value } : camp));
+    };
+
+    // Edited as stored, so a new item's empty text box isn't dropped before it's filled in.
+    const checklist = selectedCamp ? (Array.isArray(selectedCamp.checklist) ? selectedCamp.checklist : getCampChecklist(selectedCamp)) : [];
+    const handleChecklistItemChange = (itemId, changes) => handleCampFieldChange('checklist', checklist.map(item => item.id === itemId ? { ...item, ...changes } : item));
+
+    const handleRemoveCamp = (campId) => {
+        const remainingCamps = currentCamps.filter(camp => camp.id !== campId);
+        setCurrentCamps(remainingCamps);
+        setSelectedCampId(remainingCamps[0] ? remainingCamps[0].id : null);
+        setPendingRemovalId(null);
+    };
+
+    const handleSave = () => {
+        onSave(currentCamps.map(normalizeCamp));
+        onClose();
+    };
+
+    const assignments = selectedCamp ? getCampAssignments(planData, selectedCamp.id) : [];
+    const fieldClass = "w-full p-2 border border-gray-300 rounded-md shadow-sm";
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-3xl">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold">Manage Camps</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X size={24}/></button>
+                </div>
+                <div className="flex flex-col sm:flex-row gap-4">
+                    <div className="sm:w-1/3 space-y-2">
+                        <div className="space-y-1 max-h-80 overflow-y-auto pr-1">
+                            {currentCamps.map(camp => (
+                                <button key={camp.id} onClick={() => { setSelectedCampId(camp.id); setPendingRemovalId(null); }} className={`w-full text-left p-2 rounded-md font-medium transition ${camp.id === selectedCampId ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-800 hover:bg-gray-200'} ${getCampError(camp) ? 'ring-1 ring-red-400' : ''}`}>
+                                    {camp.name.trim() || 'New camp'}
+                                </button>
+                            ))}
+                        </div>
+                        <button onClick={handleAddCamp} className="w-full px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-800 font-semibold flex items-center justify-center gap-2"><Plus size={16}/>Add Camp</button>
+                    </div>
+                    <div className="sm:w-2/3">
+                        {selectedCamp ? (
+                            <div className="space-y-3 max-h-96 overflow-y-auto pr-2">
+                                <label className="block text-sm font-semibold text-gray-700">Name
+                                    <input type="text" value={selectedCamp.name} onChange={(e) => handleCampFieldChange('name', e.target.value)} placeholder="e.g. Zoo Camp" className={fieldClass} />
+                                </label>
+                                <div className="grid grid-cols-2 gap-3">
+                                    <label className="block text-sm font-semibold text-gray-700">Cost per week ($)
+                                        <input type="number" min="0" step="0.01" value={selectedCamp.weeklyCost ?? ''} onChange={(e) => handleCampFieldChange('weeklyCost', e.target.value)} className={fieldClass} />
+                                    </label>
+                                    <label className="block text-sm font-semibold text-gray-700">Register by
+                                        <input type="date" value={selectedCamp.registrationDeadline || ''} onChange={(e) => handleCampFieldChange('registrationDeadline', e.target.value)} className={fieldClass} />
+                                    </label>
+                                    <label className="block text-sm font-semibold text-gray-700">Drop-off
+                                        <input type="time" value={selectedCamp.startTime || ''} onChange={(e) => handleCampFieldChange('startTime', e.target.value)} className={fieldClass} />
+                                    </label>
+                                    <label className="block text-sm font-semibold text-gray-700">Pickup
+                                        <input type="time" value={selectedCamp.endTime || ''} onChange={(e) => handleCampFieldChange('endTime', e.target.value)} className={fieldClass} />
+                                    </label>
+                                    <label className="block text-sm font-semibold text-gray-700">Minimum age
+                                        <input type="number" min="0" value={selectedCamp.minAge ?? ''} onChange={(e) => handleCampFieldChange('minAge', e.target.value)} className={fieldClass} />
+                                    </label>
+                                    <label className="block text-sm font-semibold text-gray-700">Maximum age
+                                        <input type="number" min="0" value={selectedCamp.maxAge ?? ''} onChange={(e) => handleCampFieldChange('maxAge', e.target.value)} className={fieldClass} />
+                                    </label>
+                                </div>
+                                <div className="grid grid-cols-2 gap-3">
+                                    <div className="text-sm font-semibold text-gray-700">Runs on
+                                        <div className="flex gap-1 mt-1">
+                                            {WEEKDAYS.map(day => {
+                                                const isOn = getCampDays(selectedCamp).includes(day.key);
+                                                return <button key={day.key} type="button" onClick={() => handleCampFieldChange('days', isOn ? getCampDays(selectedCamp).filter(key => key !== day.key) : [...getCampDays(selectedCamp), day.key])} className={`px-2 py-1 rounded-md text-xs font-semibold ${isOn ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-600'}`}>{day.label}</button>;
+                                            })}
+                                        </div>
+                                    </div>
+                                    <label className="block text-sm font-semibold text-gray-700">Day length
+                                        <select value={selectedCamp.dayPart || 'full'} onChange={(e) => handleCampFieldChange('dayPart', e.target.value)} disabled={Boolean(selectedCamp.startTime && selectedCamp.endTime)} title={selectedCamp.startTime && selectedCamp.endTime ? 'Worked out from the drop-off and pickup times' : undefined} className={fieldClass}>
+                                            {Object.entries(DAY_PARTS).map(([dayPart, label]) => <option key={dayPart} value={dayPart}>{label}</option>)}
+                                        </select>
+                                    </label>
+                                </div>
+                                <div className="grid grid-cols-2 gap-3">
+                                    <label className="block text-sm font-semibold text-gray-700">Deposit per week ($)
+                                        <input type="number" min="0" step="0.01" value={selectedCamp.deposit ?? ''} onChange={(e) => handleCampFieldChange('deposit', e.target.value)} className={fieldClass} />
+                                    </label>
+                                    <label className="block text-sm font-semibold text-gray-700">Pay balance by
+                                        <input type="date" value={selectedCamp.paymentDueDate || ''} onChange={(e) => handleCampFieldChange('paymentDueDate', e.target.value)} title="Leave empty if it's due on the first day" className={fieldClass} />
+                                    </label>
+                                    <label className="block text-sm font-semibold text-gray-700">Sibling discount (%)
+                                        <input type="number" min="0" max="100" value={selectedCamp.siblingDiscount ?? ''} onChange={(e) => handleCampFieldChange('siblingDiscount', e.target.value)} className={fieldClass} />
+                                    </label>
+                                    <label className="block text-sm font-semibold text-gray-700">Multi-week discount (%)
+                                        <input type="number" min="0" max="100" value={selectedCamp.multiWeekDiscount ?? ''} onChange={(e) => handleCampFieldChange('multiWeekDiscount', e.target.value)} className={fieldClass} />
+                                    </label>
+                                    <label className="block text-sm font-semibold text-gray-700">...when booking at least
+                                        <input type="number" min="2" value={selectedCamp.multiWeekMinimum ?? ''} onChange={(e) => handleCampFieldChange('multiWeekMinimum', e.target.value)} placeholder="weeks" className={fieldClass} />
+                                    </label>
+                                </div>
+                                <label className="block text-sm font-semibold text-gray-700">Address
+                                    <input type="text" value={selectedCamp.address || ''} onChange={(e) => handleCampFieldChange('address', e.target.value)} placeholder="Street, city" className={fieldClass} />
+                                </label>
+                                <label className="block text-sm font-semibold text-gray-700">Website
+                                    <input type="url" value={selectedCamp.website || ''} onChange={(e) => handleCampFieldChange('website', e.target.value)} placeholder="https://" className={fieldClass} />
+                                </label>
+                                <div className="text-sm font-semibold text-gray-700">Checklist
+                                    <p className="text-xs font-normal text-gray-500">What to pack, on every camp day unless you pick days, and forms to hand in on the first day.</p>
+                                    <div className="space-y-2 mt-1">
+                                        {checklist.map(item => (
+                                            <div key={item.id} className="flex flex-wrap items-center gap-2">
+                                                <input type="text" value={item.text} onChange={(e) => handleChecklistItemChange(item.id, { text: e.target.value })} placeholder={item.kind === 'form' ? 'e.g. Signed waiver' : 'e.g. Swimsuit'} className="flex-1 min-w-[8rem] p-2 border border-gray-300 rounded-md shadow-sm font-normal" />
+                                                <select value={item.kind} onChange={(e) => handleChecklistItemChange(item.id, { kind: e.target.value })} className="p-2 border border-gray-300 rounded-md shadow-sm font-normal">
+                                                    {Object.entries(CHECKLIST_KINDS).map(([kind, label]) => <option key={kind} value={kind}>{label}</option>)}
+                                                </select>
+                                                {item.kind === 'pack' && (
+                                                    <div className="flex gap-1" title="Pick none for every camp day">
+                                                        {WEEKDAYS.filter(day => getCampDays(selectedCamp).includes(day.key)).map(day => {
+                                                            const days = item.days || [];
+                                                            const isOn = days.includes(day.key);
+                                                            return <button key={day.key} type="button" onClick={() => handleChecklistItemChange(item.id, { days: isOn ? days.filter(key => key !== day.key) : [...days, day.key] })} className={`px-2 py-1 rounded-md text-xs font-semibold ${isOn ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-600'}`}>{day.label}</button>;
+                                                        })}
+                                                    </div>
+                                                )}
+                                                <button type="button" onClick={() => handleCampFieldChange('checklist', checklist.filter(other => other.id !== item.id))} title="Remove item" className="text-gray-400 hover:text-red-600"><X size={16}/></button>
+                                            </div>
+                                        ))}
+                                    </div>
+                                    <button type="button" onClick={() => handleCampFieldChange('checklist', [...checklist, { id: generateId(), text: '', kind: 'pack', days: [] }])} className="mt-2 text-blue-600 hover:text-blue-800 font-semibold flex items-center gap-1"><Plus size={16}/>Add item</button>
+                                </div>
+                                {pendingRemovalId === selectedCamp.id ? (
+                                    <div className="p-2 bg-red-50 border border-red-200 rounded-md text-sm text-red-800">
+                                        <p className="font-semibold">Removing {selectedCamp.name || 'this camp'} will clear:</p>
+                                        <ul className="list-disc pl-5 my-1">
+                                            {assignments.map(({ kid, weeks }) => <li key={kid}>{kid}: {weeks.map(weekIndex => getWeekLabel(planData, weekIndex)).join(', ')}</li>)}
+                                        </ul>
+                                        <div className="flex justify-end gap-2 mt-2">
+                                            <button onClick={() => setPendingRemovalId(null)} className="px-3 py-1 bg-white border border-gray-300 rounded-md hover:bg-gray-50 font-semibold">Keep</button>
+                                            <button onClick={() => handleRemoveCamp(selectedCamp.id)} className="px-3 py-1 bg-red-600 text-white rounded-md hover:bg-red-700 font-semibold">Remove</button>
+                                        </div>
+                                    </div>
+                                ) : (
+                                    <button onClick={() => assignments.length ? setPendingRemovalId(selectedCamp.id) : handleRemoveCamp(selectedCamp.id)} className="text-red-600 hover:text-red-800 font-semibold text-sm flex items-center gap-1"><Trash2 size={16}/>Remove camp</button>
+                                )}
+                            </div>
+                        ) : (
+                            <p className="text-gray-500 text-center py-10">No camps yet. Add one to get started.</p>
+                        )}
+                    </div>
+                </div>
+                {invalidCamp && <p className="text-red-600 text-sm mt-4">{getCampError(invalidCamp)}</p>}
+                <div className="flex justify-end space-x-3 mt-6">
+                    <button onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition font-semibold">Cancel</button>
+                    <button onClick={handleSave} disabled={Boolean(invalidCamp)} className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition font-semibold disabled:bg-blue-300 disabled:cursor-not-allowed">Save Changes</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const CampDetailPanel = ({ camp, onClose, onEdit }) => {
+    if (!camp) return null;
+
+    const daysUntilDeadline = camp.registrationDeadline ? getDaysUntil(camp.registrationDeadline) : null;
+    const details = [
+        ['Runs', formatCampSession(camp)],
+        ['Hours', formatCampHours(camp)],
+        ['Cost', camp.weeklyCost !== null && camp.weeklyCost !== undefined ? `${formatCurrency(camp.weeklyCost)} per week` : ''],
+        ['Ages', formatAgeRange(camp)],
+        ['Address', camp.address],
+    ].filter(([, value]) => value);
+    const checklist = getCampChecklist(camp);
+
     return (
-        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4 transition-opacity duration-300">
-            <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-sm transform transition-all duration-300 scale-100">
-                <h3 className="text-xl font-bold mb-1">Edit Attendees</h3>
-                <p className="text-gray-600 mb-4">For <span className="font-semibold">{planData.camps[modal.campIndex]}</span>, Week <span className="font-semibold">{modal.weekIndex + 1}</span></p>
-                <div className="space-y-2 max-h-60 overflow-y-auto pr-2">
-                    {allKids.map(kid => (
-                        <label key={kid} className="flex items-center p-3 rounded-lg hover:bg-gray-100 cursor-pointer transition-colors">
-                            <input type="checkbox" checked={selectedKids.has(kid)} onChange={() => handleCheckboxChange(kid)} className="h-5 w-5 rounded border-gray-300 text-blue-600 focus:ring-blue-500" />
-                            <span className="ml-3 text-gray-800 font-medium">{kid}</span>
-                        </label>
-                    ))}
-                </div>
-                <div className="mt-6 flex justify-end space-x-3">
-                    <button onClick={handleCloseModal} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition font-semibold">Cancel</button>
-                    <button onClick={handleSave} className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition font-semibold">Save</button>
+        <div className="fixed inset-0 z-40 flex justify-end" onClick={onClose}>
+            <aside className="h-full w-full max-w-sm bg-white shadow-2xl p-6 overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+                <div className="flex justify-between items-center mb-6">
+                    <h3 className="text-2xl font-bold text-gray-800">{camp.name}</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X size={24}/></button>
                 </div>
-            </div>
+                <dl className="space-y-3">
+                    {details.map(([label, value]) => (
+                        <div key={label}>
+                            <dt className="text-sm font-semibold text-gray-500">{label}</dt>
+                            <dd className="text-gray-800">{value}</dd>
+                        </div>
+                    ))}
+                    {camp.registrationDeadline && (
+                        <div>
+                            <dt className="text-sm font-semibold text-gray-500">Register by</dt>
+                            <dd className="text-gray-800">
+                                {formatLongDate(camp.registrationDeadline)}
+                                <span className={`ml-2 text-sm font-semibold ${daysUntilDeadline < 0 ? 'text-gray-500' : daysUntilDeadline <= 14 ? 'text-red-600' : 'text-green-700'}`}>
+                                    {daysUntilDeadline < 0 ? '(closed)' : daysUntilDeadline === 0 ? '(today!)' : `(${daysUntilDeadline} day${daysUntilDeadline === 1 ? '' : 's'} left)`}
+                                </span>
+                            </dd>
+                        </div>
+                    )}
+                    {camp.paymentDueDate && (
+                        <div>
+                            <dt className="text-sm font-semibold text-gray-500">Pay balance by</dt>
+                            <dd className="text-gray-800">{formatLongDate(camp.paymentDueDate)}</dd>
+                        </div>
+                    )}
+                    {checklist.length > 0 && (
+                        <div>
+                            <dt className="text-sm font-semibold text-gray-500">Checklist</dt>
+                            <dd><ul className="list-disc pl-5 text-gray-800">{checklist.map(item => <li key={item.id}>{item.text} <span className="text-sm text-gray-500">· {formatChecklistWhen(item)}</span></li>)}</ul></dd>
+                        </div>
+                    )}
+                    {camp.website && (
+                        <div>
+                            <dt className="text-sm font-semibold text-gray-500">Website</dt>
+                            <dd><a href={getWebsiteUrl(camp.website)} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline break-all">{camp.website}</a></dd>
+                        </div>
+                    )}
+                </dl>
+                {details.length === 0 && !camp.registrationDeadline && !camp.paymentDueDate && !checklist.length && !camp.website && <p className="text-gray-500">No details yet.</p>}
+                {onEdit && <button onClick={() => onEdit(camp.id)} className="mt-8 w-full px-4 py-2 bg-orange-100 text-orange-700 rounded-md hover:bg-orange-200 font-semibold">Edit Camp Details</button>}
+            </aside>
         </div>
     );
 };
 
 const ManagementModal = ({ isOpen, onClose, title, items, onSave, placeholder }) => {
-    if (!isOpen) return null;
-
     const [currentItems, setCurrentItems] = useState([]);
     const [newItem, setNewItem] = useState('');
 
@@ -656,6 +3406,8 @@ const ManagementModal = ({ isOpen, onClose, title, items, onSave, placeholder })
         }
     }, [isOpen, items]);
 
+    if (!isOpen) return null;
+
     const handleAddItem = () => {
         if (newItem.trim() && !currentItems.includes(newItem.trim())) {
             setCurrentItems(prevItems => [...prevItems, newItem.trim()].sort((a, b) => a.localeCompare(b)));
@@ -700,6 +3452,745 @@ const ManagementModal = ({ isOpen, onClose, title, items, onSave, placeholder })
     );
 };
 
+const ShareModal = ({ isOpen, onClose, scheduleData, user, householdId }) => {
+    const [copiedField, setCopiedField] = useState('');
+
+    if (!isOpen) return null;
+
+    const isOwner = getScheduleRole(scheduleData, user.uid, householdId) === 'owner';
+    const joinCode = scheduleData.joinCode || '';
+    const joinLink = getJoinLink(window.location.origin, joinCode);
+    const memberEmails = scheduleData.memberEmails || {};
+    const members = (scheduleData.collaborators || []).map(uid => ({ uid, email: memberEmails[uid] || uid, role: getScheduleRole(scheduleData, uid) }));
+
+    const handleCopy = async (field, text) => {
+        try {
+            await navigator.clipboard.writeText(text);
+            setCopiedField(field);
+            setTimeout(() => setCopiedField(''), 2000);
+        } catch (e) {
+            console.error("Error copying to clipboard:", e);
+        }
+    };
+
+    const handleUpdateSharing = (fields) => saveChange("updating sharing settings", () => updateSchedule(scheduleData.id, fields));
+
+    // A new join code goes out with every removal, so nobody can rejoin with the one they had.
+    const handleRemoveMember = (uid) => saveChange("removing a member", () => replaceJoinCode(user, scheduleData, generateInviteCode(), getMemberRemoval(scheduleData, uid)));
+
+    const handleNewJoinCode = () => saveChange("replacing the join code", () => replaceJoinCode(user, scheduleData, generateInviteCode()));
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-md">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold flex items-center gap-2"><Share2 size={20}/>Share Schedule</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X size={24}/></button>
+                </div>
+                <p className="text-gray-600 text-sm mb-4">Other families can join this schedule from their Dashboard with the join code, or by following the link.{isOwner && ' A new code stops the old one working.'}</p>
+                <div className="space-y-2 mb-6">
+                    <div className="flex items-center justify-between bg-gray-100 p-3 rounded-md gap-2">
+                        <span className="font-mono font-bold tracking-widest text-lg">{joinCode || '…'}</span>
+                        <div className="flex items-center gap-3 shrink-0">
+                            {isOwner && <button onClick={handleNewJoinCode} className="text-gray-600 hover:text-gray-800 flex items-center gap-1 text-sm font-semibold"><RefreshCw size={16}/>New code</button>}
+                            <button onClick={() => handleCopy('code', joinCode)} disabled={!joinCode} className="text-blue-600 hover:text-blue-800 flex items-center gap-1 text-sm font-semibold">{copiedField === 'code' ? <Check size={16}/> : <Copy size={16}/>}{copiedField === 'code' ? 'Copied' : 'Copy code'}</button>
+                        </div>
+                    </div>
+                    <div className="flex items-center justify-between bg-gray-100 p-3 rounded-md gap-2">
+                        <span className="text-sm text-gray-700 truncate">{joinLink}</span>
+                        <button onClick={() => handleCopy('link', joinLink)} disabled={!joinCode} className="text-blue-600 hover:text-blue-800 flex items-center gap-1 text-sm font-semibold shrink-0">{copiedField === 'link' ? <Check size={16}/> : <Copy size={16}/>}{copiedField === 'link' ? 'Copied' : 'Copy link'}</button>
+                    </div>
+                </div>
+                {isOwner && (
+                    <label className="flex items-center justify-between mb-6 text-sm">
+                        <span className="font-semibold text-gray-700">People who join get</span>
+                        <select value={scheduleData.joinRole || 'viewer'} onChange={(e) => saveChange("updating sharing settings", () => setJoinRole(scheduleData, e.target.value))} className="p-2 border border-gray-300 rounded-md shadow-sm">
+                            <option value="viewer">View-only access</option>
+                            <option value="editor">Edit access</option>
+                        </select>
+                    </label>
+                )}
+                <h4 className="font-semibold text-gray-700 mb-2">Members</h4>
+                <div className="space-y-2 max-h-60 overflow-y-auto pr-2">
+                    <div className="flex items-center justify-between bg-gray-100 p-3 rounded-md">
+                        <span className="text-gray-800 font-medium truncate">{memberEmails[scheduleData.ownerId] || 'Owner'}</span>
+                        <span className="text-sm text-gray-500">{ROLE_LABELS.owner}</span>
+                    </div>
+                    {members.map(member => (
+                        <div key={member.uid} className="flex items-center justify-between bg-gray-100 p-3 rounded-md gap-2">
+                            <span className="text-gray-800 font-medium truncate">{member.email}</span>
+                            {isOwner ? (
+                                <div className="flex items-center gap-2 shrink-0">
+                                    <select value={member.role} onChange={(e) => handleUpdateSharing({ [`roles.${member.uid}`]: e.target.value })} className="p-1 border border-gray-300 rounded-md text-sm">
+                                        <option value="editor">{ROLE_LABELS.editor}</option>
+                                        <option value="viewer">{ROLE_LABELS.viewer}</option>
+                                    </select>
+                                    <button onClick={() => handleRemoveMember(member.uid)} className="text-red-500 hover:text-red-700"><Trash2 size={18} /></button>
+                                </div>
+                            ) : (
+                                <span className="text-sm text-gray-500">{ROLE_LABELS[member.role]}</span>
+                            )}
+                        </div>
+                    ))}
+                </div>
+                <div className="mt-6 flex justify-end">
+                    <button onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition font-semibold">Done</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const CalendarModal = ({ isOpen, onClose, planData, initialKid, isReadOnly }) => {
+    const [chosenKid, setChosenKid] = useState('');
+    const [copiedField, setCopiedField] = useState('');
+    const [isPublishing, setIsPublishing] = useState(false);
+    const [error, setError] = useState('');
+
+    if (!isOpen) return null;
+
+    const kids = [...(planData.allKids || [])].sort((a, b) => a.localeCompare(b));
+    const kid = chosenKid || initialKid || kids[0] || '';
+    const feeds = planData.calendarFeeds || {};
+    const feed = feeds[kid];
+
+    const handleClose = () => {
+        setChosenKid('');
+        setError('');
+        onClose();
+    };
+
+    const handleDownload = () => {
+        const url = URL.createObjectURL(new Blob([buildKidCalendar(planData, kid)], { type: 'text/calendar' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = getCalendarFileName(planData, kid);
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const handleCopy = async (field, text) => {
+        try {
+            await navigator.clipboard.writeText(text);
+            setCopiedField(field);
+            setTimeout(() => setCopiedField(''), 2000);
+        } catch (e) {
+            console.error("Error copying to clipboard:", e);
+        }
+    };
+
+    // Publishing under a fresh random path is also how a link gets reset: the old URL stops
+    // working once its file is removed.
+    const handleUpdateFeed = async ({ publish }) => {
+        setIsPublishing(true);
+        setError('');
+        try {
+            if (feed) await removeCalendarFeed(feed.path);
+            let newFeed = deleteField();
+            if (publish) {
+                const path = `calendars/${planData.id}/${generateId()}${generateId()}.ics`;
+                const url = await publishCalendarFeed(path, buildKidCalendar(planData, kid));
+                newFeed = { path, url, hash: getCalendarHash(planData, kid) };
+            }
+            await updateSchedule(planData.id, { [`calendarFeeds.${kid}`]: newFeed });
+        } catch (e) {
+            console.error("Error updating calendar feed:", e);
+            setError("Couldn't update the calendar link. Please try again.");
+        }
+        setIsPublishing(false);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-md">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold flex items-center gap-2"><Calendar size={20}/>Add to Calendar</h3>
+                    <button onClick={handleClose} className="text-gray-400 hover:text-gray-600"><X size={24}/></button>
+                </div>
+                {kids.length === 0 ? (
+                    <p className="text-gray-600 text-sm">Add a kid to the schedule first.</p>
+                ) : (
+                    <>
+                        <select value={kid} onChange={e => setChosenKid(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md shadow-sm mb-4">
+                            {kids.map(name => <option key={name} value={name}>{name}</option>)}
+                        </select>
+                        {!planData.startDate && <p className="text-amber-700 text-sm mb-4">Set the season's start date in Season Settings so camps can be put on the calendar.</p>}
+                        <h4 className="font-semibold text-gray-700 mb-1">Download</h4>
+                        <p className="text-gray-600 text-sm mb-2">A one-off .ics file with one event per camp week. Importing it again later updates the same events instead of adding copies.</p>
+                        <button onClick={handleDownload} className="w-full bg-gray-100 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-200 flex items-center justify-center gap-2 mb-6"><Download size={18}/>Download {getCalendarFileName(planData, kid)}</button>
+                        <h4 className="font-semibold text-gray-700 mb-1">Subscribe</h4>
+                        <p className="text-gray-600 text-sm mb-2">A private link your calendar app checks for changes, so {kid}'s calendar stays up to date as the plan changes. Anyone with the link can see it.</p>
+                        {feed ? (
+                            <div className="space-y-2">
+                                <div className="flex items-center justify-between bg-gray-100 p-3 rounded-md gap-2">
+                                    <span className="text-sm text-gray-700 truncate">{feed.url}</span>
+                                    <button onClick={() => handleCopy('feed', feed.url)} className="text-blue-600 hover:text-blue-800 flex items-center gap-1 text-sm font-semibold shrink-0">{copiedField === 'feed' ? <Check size={16}/> : <Copy size={16}/>}{copiedField === 'feed' ? 'Copied' : 'Copy link'}</button>
+                                </div>
+                                <a href={getWebcalUrl(feed.url)} className="w-full bg-blue-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-600 flex items-center justify-center gap-2"><Link size={18}/>Subscribe in Calendar App</a>
+                                {!isReadOnly && (
+                                    <div className="flex justify-between pt-1">
+                                        <button onClick={() => handleUpdateFeed({ publish: true })} disabled={isPublishing} className="text-sm text-gray-600 hover:text-gray-800 font-semibold flex items-center gap-1 disabled:opacity-50"><RefreshCw size={14}/>Reset link</button>
+                                        <button onClick={() => handleUpdateFeed({ publish: false })} disabled={isPublishing} className="text-sm text-red-600 hover:text-red-800 font-semibold disabled:opacity-50">Turn off link</button>
+                                    </div>
+                                )}
+                            </div>
+                        ) : isReadOnly ? (
+                            <p className="text-sm text-gray-500 italic">No calendar link yet. Ask an editor to create one.</p>
+                        ) : (
+                            <button onClick={() => handleUpdateFeed({ publish: true })} disabled={isPublishing} className="w-full bg-blue-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-600 flex items-center justify-center gap-2 disabled:bg-blue-300"><Link size={18}/>{isPublishing ? 'Creating link...' : 'Create calendar link'}</button>
+                        )}
+                        {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+                    </>
+                )}
+                <div className="mt-6 flex justify-end">
+                    <button onClick={handleClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition font-semibold">Done</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const HistoryDrawer = ({ isOpen, onClose, planData, history, currentUid, canRevert, onRevert }) => {
+    if (!isOpen) return null;
+
+    const revertedIds = new Set(history.filter(entry => entry.revertOf).map(entry => entry.revertOf));
+    const getAuthor = (entry) => entry.by === currentUid ? 'You' : entry.byEmail || (planData.memberEmails || {})[entry.by] || 'A former member';
+    const formatWhen = (at) => new Date(at).toLocaleString('default', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+    return (
+        <div className="fixed inset-0 z-40 flex justify-end" onClick={onClose}>
+            <aside className="h-full w-full max-w-md bg-white shadow-2xl p-6 overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+                <div className="flex justify-between items-center mb-2">
+                    <h3 className="text-2xl font-bold text-gray-800 flex items-center gap-2"><History size={22}/>History</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X size={24}/></button>
+                </div>
+                <p className="text-sm text-gray-500 mb-6">The last {HISTORY_LIMIT} changes to attendees, statuses, spots left and the kids list. Reverting a change only undoes that change.</p>
+                {history.length === 0 && <p className="text-gray-500 italic">No changes recorded yet.</p>}
+                <ul className="space-y-3">
+                    {history.map(entry => {
+                        const changes = describeHistoryChanges(planData, entry);
+                        const isReverted = revertedIds.has(entry.id);
+                        const isRevertable = canRevert && !isReverted && getRevertUpdates(planData, entry) !== null;
+                        return (
+                            <li key={entry.id} className={`p-3 rounded-lg border ${isReverted ? 'bg-gray-50 text-gray-400' : 'bg-white'}`}>
+                                <div className="flex justify-between items-start gap-2">
+                                    <p className="text-sm"><span className="font-semibold text-gray-800">{getAuthor(entry)}</span> {entry.revertOf ? 'reverted a change to' : 'changed'} <span className="font-semibold">{getHistorySubject(planData, entry)}</span></p>
+                                    <span className="text-xs text-gray-400 whitespace-nowrap">{formatWhen(entry.at)}</span>
+                                </div>
+                                {changes.length > 0 && <ul className="mt-1 text-sm text-gray-600 list-disc list-inside">{changes.map(change => <li key={change}>{change}</li>)}</ul>}
+                                <div className="mt-2 flex items-center gap-3 text-sm">
+                                    {isReverted && <span className="italic">Reverted</span>}
+                                    {isRevertable && <button onClick={() => onRevert(entry)} className="text-blue-600 hover:text-blue-800 font-semibold flex items-center gap-1"><RotateCcw size={14}/>Revert</button>}
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            </aside>
+        </div>
+    );
+};
+
+const CarpoolModal = ({ cell, onClose, planData, currentUid, onClaim }) => {
+    const camp = cell && findCamp(planData, cell.campId);
+    if (!camp) return null;
+
+    const families = getCampWeekFamilies(planData, camp.id, cell.weekIndex);
+    const isFamilyGoing = families.some(family => family.uid === currentUid);
+    const slots = getCarpoolSlots(planData, camp, cell.weekIndex);
+    const slotTimes = { dropoff: formatTime(camp.startTime), pickup: formatTime(camp.endTime) };
+
+    const renderSlot = ({ day, slot, driver }) => {
+        if (driver) {
+            return (
+                <div className="flex items-center justify-between gap-2">
+                    <span className={driver === currentUid ? 'font-semibold text-blue-700' : 'text-gray-800'}>{driver === currentUid ? 'You' : getFamilyLabel(planData, driver)}</span>
+                    {driver === currentUid && <button onClick={() => onClaim(camp.id, cell.weekIndex, day, slot, false)} className="text-xs text-gray-500 hover:text-red-600 font-semibold">Release</button>}
+                </div>
+            );
+        }
+        return isFamilyGoing ? (
+            <button onClick={() => onClaim(camp.id, cell.weekIndex, day, slot, true)} className="w-full px-2 py-1 bg-amber-100 text-amber-800 rounded-md hover:bg-amber-200 font-semibold">I'll drive</button>
+        ) : (
+            <span className="text-amber-700 font-semibold">Needs a driver</span>
+        );
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+                <div className="flex justify-between items-start mb-4">
+                    <div>
+                        <h3 className="text-xl font-bold flex items-center gap-2"><Car size={20}/>Carpool: {camp.name}</h3>
+                        <p className="text-sm text-gray-500">{getWeekLabel(planData, cell.weekIndex)}{formatCampHours(camp) && ` · ${formatCampHours(camp)}`}</p>
+                    </div>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X size={24}/></button>
+                </div>
+                <h4 className="font-semibold text-gray-700 mb-2">Families this week</h4>
+                <ul className="space-y-1 mb-4 text-sm">
+                    {families.map(family => <li key={family.uid} className="flex justify-between bg-gray-100 p-2 rounded-md"><span className="font-medium text-gray-800">{family.uid === currentUid ? 'Your family' : getFamilyLabel(planData, family.uid)}</span><span className="text-gray-600">{family.kids.join(', ')}</span></li>)}
+                </ul>
+                {slots.length === 0 ? (
+                    <p className="text-sm text-gray-500 italic">None of this camp's days fall inside the season this week.</p>
+                ) : (
+                    <table className="w-full text-sm border-collapse">
+                        <thead>
+                            <tr className="text-left text-gray-600">
+                                <th className="p-2 border-b">Day</th>
+                                {Object.entries(CARPOOL_SLOTS).map(([slot, label]) => <th key={slot} className="p-2 border-b">{label}{slotTimes[slot] && <span className="font-normal text-gray-400"> {slotTimes[slot]}</span>}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {getSessionDays(planData, camp, cell.weekIndex).map(({ day, date }) => (
+                                <tr key={day}>
+                                    <td className="p-2 border-b font-medium text-gray-700 whitespace-nowrap">{WEEKDAYS.find(weekday => weekday.key === day).label} {formatShortDate(date)}</td>
+                                    {slots.filter(slot => slot.day === day).map(slot => <td key={slot.slot} className="p-2 border-b">{renderSlot(slot)}</td>)}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+                {!isFamilyGoing && <p className="text-xs text-gray-500 mt-3">Only families with kids at this camp this week can claim a slot.</p>}
+                <div className="mt-6 flex justify-end">
+                    <button onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition font-semibold">Done</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const ImportExportModal = ({ isOpen, onClose, planData, claimUids, isReadOnly, onImport }) => {
+    const [pendingImport, setPendingImport] = useState(null);
+    const [addUnknownKids, setAddUnknownKids] = useState(true);
+    const [applySeason, setApplySeason] = useState(false);
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+
+    if (!isOpen) return null;
+
+    const fileBaseName = `${slugify(planData.kidName || 'schedule')}-${slugify(getSeasonName(planData))}-camps`;
+    const preview = pendingImport && planScheduleImport(planData, pendingImport.imported, { addUnknownKids, applySeason, claimUids });
+    const formatCell = ({ camp, weekIndex }) => `${getWeekLabel(planData, weekIndex)} · ${camp.name}`;
+    const formatNames = (names) => names.length ? names.join(', ') : 'nobody';
+
+    const handleClose = () => {
+        setPendingImport(null);
+        setMessage('');
+        setError('');
+        onClose();
+    };
+
+    const handleDownload = (text, type, extension) => {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${fileBaseName}.${extension}`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const handleFileChosen = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setMessage('');
+        setError('');
+        try {
+            const imported = parseScheduleFile(file.name, await file.text());
+            setPendingImport({ fileName: file.name, imported });
+            setAddUnknownKids(true);
+            setApplySeason(false);
+        } catch (err) {
+            setPendingImport(null);
+            setError(err.message);
+        }
+    };
+
+    const handleImport = () => {
+        onImport(preview);
+        setPendingImport(null);
+        setMessage(`Imported ${pendingImport.fileName}.`);
+    };
+
+    const hasChanges = preview && (preview.changedCells.length || preview.newCamps.length || preview.updatedCamps.length || (addUnknownKids && preview.unknownKids.length) || (applySeason && seasonDiffers(planData, pendingImport.imported.season)));
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold flex items-center gap-2"><FileSpreadsheet size={20}/>Import & Export</h3>
+                    <button onClick={handleClose} className="text-gray-400 hover:text-gray-600"><X size={24}/></button>
+                </div>
+                <h4 className="font-semibold text-gray-700 mb-1">Export</h4>
+                <p className="text-gray-600 text-sm mb-2">CSV opens in any spreadsheet. JSON keeps every camp detail and is the one to use for backups.</p>
+                <div className="flex gap-2 mb-6">
+                    <button onClick={() => handleDownload(formatScheduleCsv(planData), 'text/csv', 'csv')} className="flex-1 bg-gray-100 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-200 flex items-center justify-center gap-2"><Download size={18}/>CSV</button>
+                    <button onClick={() => handleDownload(JSON.stringify(buildScheduleJson(planData), null, 2), 'application/json', 'json')} className="flex-1 bg-gray-100 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-200 flex items-center justify-center gap-2"><Download size={18}/>JSON</button>
+                </div>
+                {!isReadOnly && (
+                    <>
+                        <h4 className="font-semibold text-gray-700 mb-1">Import</h4>
+                        <p className="text-gray-600 text-sm mb-2">Each camp-week in the file replaces that week on this schedule. Camps and weeks the file doesn't mention are left as they are. Nothing is saved until you confirm.</p>
+                        <label className="w-full bg-blue-100 text-blue-700 font-semibold py-2 px-4 rounded-lg hover:bg-blue-200 transition flex items-center justify-center gap-2 cursor-pointer">
+                            <Upload size={18}/>Choose a CSV or JSON file
+                            <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChosen} className="hidden" />
+                        </label>
+                        {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+                        {message && <p className="text-green-700 text-sm mt-2">{message}</p>}
+                        {preview && (
+                            <div className="mt-4 p-4 bg-gray-50 border rounded-lg space-y-3 text-sm">
+                                <p className="font-semibold text-gray-800">Preview of {pendingImport.fileName}</p>
+                                {seasonDiffers(planData, pendingImport.imported.season) && (
+                                    <label className="flex items-start gap-2 p-2 bg-sky-50 rounded-md text-sky-800">
+                                        <input type="checkbox" checked={applySeason} onChange={e => setApplySeason(e.target.checked)} className="mt-1" />
+                                        <span>Use the file's season: {pendingImport.imported.season.seasonName}, {formatLongDate(pendingImport.imported.season.startDate)} – {formatLongDate(pendingImport.imported.season.endDate)}. Otherwise weeks are matched by number.</span>
+                                    </label>
+                                )}
+                                {preview.newCamps.length > 0 && <p><span className="font-semibold text-gray-700">New camps:</span> {preview.newCamps.map(camp => camp.name).join(', ')}</p>}
+                                {preview.updatedCamps.length > 0 && <p><span className="font-semibold text-gray-700">Updated camp details:</span> {preview.updatedCamps.map(camp => camp.name).join(', ')}</p>}
+                                {preview.unknownKids.length > 0 && (
+                                    <div className="p-2 bg-amber-50 rounded-md text-amber-800">
+                                        <p><span className="font-semibold">Kids not on this schedule:</span> {preview.unknownKids.join(', ')}</p>
+                                        <label className="flex items-center gap-2 mt-1">
+                                            <input type="checkbox" checked={addUnknownKids} onChange={e => setAddUnknownKids(e.target.checked)} />
+                                            Add them to this schedule's kids (otherwise they're left out)
+                                        </label>
+                                    </div>
+                                )}
+                                <p><span className="font-semibold text-gray-700">Camp-weeks that change:</span> {preview.changedCells.length}</p>
+                                {(preview.overwrittenCells.length > 0 || preview.newDoubleBookings.length > 0 || preview.skippedCells.length > 0) && (
+                                    <div className="p-2 bg-red-50 rounded-md text-red-800 space-y-1">
+                                        <p className="font-semibold flex items-center gap-2"><AlertTriangle size={16}/>Conflicts</p>
+                                        <ul className="list-disc list-inside space-y-1">
+                                            {preview.overwrittenCells.map(cell => <li key={`overwrite-${cell.camp.id}-${cell.weekIndex}`}>{formatCell(cell)}: {formatNames(cell.before)} → {formatNames(cell.after)}</li>)}
+                                            {preview.newDoubleBookings.map(({ kid, weekIndex, camps: [campA, campB] }) => <li key={`double-${kid}-${weekIndex}-${campA.id}-${campB.id}`}>{kid} would be double-booked in {getWeekLabel(planData, weekIndex)}: {campA.name} and {campB.name}</li>)}
+                                            {preview.skippedCells.map(cell => <li key={`skip-${cell.camp.id}-${cell.weekIndex}`}>{cell.reason}, not imported: {formatCell(cell)} ({formatNames(cell.names)})</li>)}
+                                        </ul>
+                                    </div>
+                                )}
+                                {!hasChanges && <p className="text-gray-600 italic">This schedule already matches the file.</p>}
+                                <div className="flex justify-end gap-2 pt-1">
+                                    <button onClick={() => setPendingImport(null)} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition font-semibold">Cancel</button>
+                                    <button onClick={handleImport} disabled={!hasChanges} className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition font-semibold disabled:bg-blue-300">Import</button>
+                                </div>
+                            </div>
+                        )}
+                    </>
+                )}
+                <div className="mt-6 flex justify-end">
+                    <button onClick={handleClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition font-semibold">Done</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const KidProfileModal = ({ kid, profile, otherKids, onClose, onSave }) => {
+    const [name, setName] = useState(kid || '');
+    const [draft, setDraft] = useState(profile);
+
+    if (!kid) return null;
+
+    const setField = (field, value) => setDraft({ ...draft, [field]: value });
+    const setContact = (id, field, value) => setField('emergencyContacts', draft.emergencyContacts.map(contact => contact.id === id ? { ...contact, [field]: value } : contact));
+    const trimmedName = name.trim();
+    const nameError = !trimmedName ? "Enter a name." : otherKids.includes(trimmedName) ? `There's already a kid called ${trimmedName}.` : '';
+    const inputClass = "w-full p-2 border border-gray-300 rounded-md shadow-sm font-normal";
+
+    const handleSave = () => onSave(kid, trimmedName, {
+        ...draft,
+        emergencyContacts: draft.emergencyContacts.filter(contact => contact.name.trim() || contact.phone.trim()),
+    });
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold">{kid}'s Profile</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X size={24}/></button>
+                </div>
+                <div className="space-y-3 text-sm font-semibold text-gray-700">
+                    <label className="block">Name
+                        <input type="text" value={name} onChange={(e) => setName(e.target.value)} className={inputClass} />
+                        {trimmedName !== kid && !nameError && <span className="block text-xs font-normal text-gray-500 mt-1">Renames {kid} on every schedule you can edit.</span>}
+                        {nameError && <span className="block text-xs font-normal text-red-600 mt-1">{nameError}</span>}
+                    </label>
+                    <div className="grid grid-cols-3 gap-2">
+                        <label>Birthdate
+                            <input type="date" value={draft.birthdate} onChange={(e) => setField('birthdate', e.target.value)} className={inputClass} />
+                        </label>
+                        <label>Grade
+                            <input type="text" value={draft.grade} onChange={(e) => setField('grade', e.target.value)} placeholder="e.g. 3 or K" className={inputClass} />
+                        </label>
+                        <label>T-shirt size
+                            <select value={draft.tshirtSize} onChange={(e) => setField('tshirtSize', e.target.value)} className={inputClass}>
+                                <option value="">—</option>
+                                {TSHIRT_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+                            </select>
+                        </label>
+                    </div>
+                    <label className="block">Allergies
+                        <input type="text" value={draft.allergies} onChange={(e) => setField('allergies', e.target.value)} placeholder="e.g. peanuts, bee stings" className={inputClass} />
+                    </label>
+                    <label className="block">Medical notes
+                        <textarea value={draft.medicalNotes} onChange={(e) => setField('medicalNotes', e.target.value)} rows={3} placeholder="Medications, conditions, anything camp staff should know" className={inputClass} />
+                    </label>
+                    <div>
+                        <p className="mb-1">Emergency contacts</p>
+                        <div className="space-y-2">
+                            {draft.emergencyContacts.map(contact => (
+                                <div key={contact.id} className="flex gap-2 items-center">
+                                    <input type="text" value={contact.name} onChange={(e) => setContact(contact.id, 'name', e.target.value)} placeholder="Name" className={inputClass} />
+                                    <input type="text" value={contact.relationship} onChange={(e) => setContact(contact.id, 'relationship', e.target.value)} placeholder="Relationship" className={inputClass} />
+                                    <input type="tel" value={contact.phone} onChange={(e) => setContact(contact.id, 'phone', e.target.value)} placeholder="Phone" className={inputClass} />
+                                    <button onClick={() => setField('emergencyContacts', draft.emergencyContacts.filter(c => c.id !== contact.id))} className="text-red-500 hover:text-red-700 shrink-0"><Trash2 size={18}/></button>
+                                </div>
+                            ))}
+                        </div>
+                        <button onClick={() => setField('emergencyContacts', [...draft.emergencyContacts, { id: generateId(), name: '', relationship: '', phone: '' }])} className="mt-2 text-blue-600 hover:text-blue-800 flex items-center gap-1"><Plus size={16}/>Add contact</button>
+                    </div>
+                </div>
+                <div className="mt-6 flex justify-end space-x-3">
+                    <button onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition font-semibold">Cancel</button>
+                    <button onClick={handleSave} disabled={Boolean(nameError)} className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition font-semibold disabled:bg-blue-300">Save Changes</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const SuggestPlanModal = ({ isOpen, onClose, planData, familyKids, kidAges, budget, onAccept }) => {
+    const [preferences, setPreferences] = useState(() => ({
+        kids: familyKids,
+        choices: {},
+        budgetCap: budget.cap ?? '',
+        maxWeeksPerCamp: '',
+        together: [],
+        ageFit: true,
+        requireCoverage: false,
+        keepExisting: true,
+    }));
+    const [plans, setPlans] = useState(null);
+    const [planIndex, setPlanIndex] = useState(0);
+
+    if (!isOpen) return null;
+
+    const camps = sortCamps(planData.camps);
+    const allKids = [...(planData.allKids || [])].sort((a, b) => a.localeCompare(b));
+    const setPreference = (field, value) => setPreferences({ ...preferences, [field]: value });
+    const toggleIn = (field, kid) => setPreference(field, preferences[field].includes(kid) ? preferences[field].filter(k => k !== kid) : [...preferences[field], kid]);
+    const getChoices = (kid) => preferences.choices[kid] || [];
+    const setChoices = (kid, campIds) => setPreference('choices', { ...preferences.choices, [kid]: campIds });
+    const moveChoice = (kid, index, offset) => {
+        const campIds = [...getChoices(kid)];
+        [campIds[index], campIds[index + offset]] = [campIds[index + offset], campIds[index]];
+        setChoices(kid, campIds);
+    };
+    const plannedKids = allKids.filter(kid => preferences.kids.includes(kid));
+
+    const handleClose = () => {
+        setPlans(null);
+        onClose();
+    };
+
+    const handleSuggest = () => {
+        setPlans(suggestPlans(planData, familyKids, {
+            ...preferences,
+            kids: plannedKids,
+            together: preferences.together.length > 1 ? preferences.together : [],
+            budgetCap: toNumberOrNull(preferences.budgetCap),
+            maxWeeksPerCamp: toNumberOrNull(preferences.maxWeeksPerCamp),
+        }, kidAges));
+        setPlanIndex(0);
+    };
+
+    // Each planned kid's camps week by week, marking what the plan adds and takes away.
+    const renderDiff = (schedule) => (
+        <div className="overflow-x-auto border rounded-lg">
+            <table className="w-full text-xs border-collapse">
+                <thead>
+                    <tr className="bg-gray-100">
+                        <th className="p-2 text-left">Kid</th>
+                        {Array.from({ length: planData.weekCount }, (_, weekIndex) => <th key={weekIndex} className="p-2 text-left whitespace-nowrap">{getWeekLabel(planData, weekIndex)}</th>)}
+                    </tr>
+                </thead>
+                <tbody>
+                    {plannedKids.map(kid => (
+                        <tr key={kid} className="border-t">
+                            <td className="p-2 font-semibold">{kid}</td>
+                            {Array.from({ length: planData.weekCount }, (_, weekIndex) => {
+                                if (isWeekBlocked(planData, weekIndex)) return <td key={weekIndex} className="p-2 bg-gray-200/70"></td>;
+                                const inCamp = (campSchedule, camp) => (campSchedule[getCellKey(camp.id, weekIndex)] || []).includes(kid);
+                                return (
+                                    <td key={weekIndex} className="p-2 align-top">
+                                        {camps.filter(camp => inCamp(planData.schedule, camp) || inCamp(schedule, camp)).map(camp => {
+                                            const change = !inCamp(planData.schedule, camp) ? 'added' : !inCamp(schedule, camp) ? 'removed' : 'same';
+                                            return <div key={camp.id} className={change === 'added' ? 'text-green-700 font-semibold' : change === 'removed' ? 'text-red-600 line-through' : 'text-gray-700'}>{change === 'added' && '+ '}{camp.name}</div>;
+                                        })}
+                                    </td>
+                                );
+                            })}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+
+    const plan = plans && plans[planIndex];
+    const planChanges = plan ? getPlanSnapshots(planData, plan.schedule) : {};
+    const hasPlanChanges = Object.keys(planChanges).length > 0;
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+                <div className="flex justify-between items-start mb-4">
+                    <div>
+                        <h3 className="text-xl font-bold flex items-center gap-2"><Wand2 size={20}/>Suggest a Plan</h3>
+                        <p className="text-sm text-gray-500">Rank camps for each kid and set your limits. Nothing changes until you accept a plan.</p>
+                    </div>
+                    <button onClick={handleClose} className="text-gray-400 hover:text-gray-600"><X size={24}/></button>
+                </div>
+                {!plans ? (
+                    <div className="space-y-5 text-sm">
+                        <div>
+                            <h4 className="font-semibold text-gray-700 mb-2">Plan for</h4>
+                            <div className="flex flex-wrap gap-3">
+                                {allKids.map(kid => <label key={kid} className="flex items-center gap-2"><input type="checkbox" checked={preferences.kids.includes(kid)} onChange={() => toggleIn('kids', kid)} />{kid}</label>)}
+                            </div>
+                        </div>
+                        <div>
+                            <h4 className="font-semibold text-gray-700 mb-2">Camp choices, best first</h4>
+                            <div className="grid sm:grid-cols-2 gap-3">
+                                {plannedKids.map(kid => (
+                                    <div key={kid} className="p-3 bg-gray-50 rounded-lg">
+                                        <p className="font-semibold mb-2">{kid}{kidAges[kid] !== null && kidAges[kid] !== undefined && <span className="font-normal text-gray-500"> · age {kidAges[kid]}</span>}</p>
+                                        <ol className="space-y-1 mb-2">
+                                            {getChoices(kid).map((campId, index) => {
+                                                const camp = findCamp(planData, campId);
+                                                if (!camp) return null;
+                                                return (
+                                                    <li key={campId} className="flex items-center justify-between gap-2 bg-white p-2 rounded-md border">
+                                                        <span>{index + 1}. {camp.name}{!campFitsAge(camp, kidAges[kid]) && <span className="text-amber-700"> · {formatAgeRange(camp)}</span>}</span>
+                                                        <span className="flex items-center gap-1 shrink-0">
+                                                            <button onClick={() => moveChoice(kid, index, -1)} disabled={index === 0} title="Move up" className="text-gray-500 hover:text-gray-800 disabled:opacity-30"><ChevronUp size={16}/></button>
+                                                            <button onClick={() => moveChoice(kid, index, 1)} disabled={index === getChoices(kid).length - 1} title="Move down" className="text-gray-500 hover:text-gray-800 disabled:opacity-30"><ChevronDown size={16}/></button>
+                                                            <button onClick={() => setChoices(kid, getChoices(kid).filter(id => id !== campId))} title="Remove" className="text-red-400 hover:text-red-600"><X size={16}/></button>
+                                                        </span>
+                                                    </li>
+                                                );
+                                            })}
+                                        </ol>
+                                        <select value="" onChange={(e) => e.target.value && setChoices(kid, [...getChoices(kid), e.target.value])} className="w-full p-2 border border-gray-300 rounded-md shadow-sm">
+                                            <option value="">Add a choice…</option>
+                                            {camps.filter(camp => !getChoices(kid).includes(camp.id)).map(camp => <option key={camp.id} value={camp.id}>{camp.name}{formatAgeRange(camp) && ` (${formatAgeRange(camp)})`}</option>)}
+                                        </select>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                        <div className="grid sm:grid-cols-2 gap-3">
+                            <label className="font-semibold text-gray-700">Budget cap for the season
+                                <input type="number" min="0" value={preferences.budgetCap} onChange={(e) => setPreference('budgetCap', e.target.value)} placeholder="No cap" className="w-full p-2 border border-gray-300 rounded-md shadow-sm font-normal" />
+                            </label>
+                            <label className="font-semibold text-gray-700">Most weeks at any one camp
+                                <input type="number" min="1" value={preferences.maxWeeksPerCamp} onChange={(e) => setPreference('maxWeeksPerCamp', e.target.value)} placeholder="No limit" className="w-full p-2 border border-gray-300 rounded-md shadow-sm font-normal" />
+                            </label>
+                        </div>
+                        {plannedKids.length > 1 && (
+                            <div>
+                                <h4 className="font-semibold text-gray-700 mb-1">Keep together</h4>
+                                <p className="text-gray-500 mb-2">These kids go to the same camp in any week they both have one.</p>
+                                <div className="flex flex-wrap gap-3">
+                                    {allKids.map(kid => <label key={kid} className="flex items-center gap-2"><input type="checkbox" checked={preferences.together.includes(kid)} onChange={() => toggleIn('together', kid)} />{kid}</label>)}
+                                </div>
+                            </div>
+                        )}
+                        <div className="space-y-2">
+                            <label className="flex items-center gap-2"><input type="checkbox" checked={preferences.ageFit} onChange={() => setPreference('ageFit', !preferences.ageFit)} />Only camps that fit each kid's age (from their household profile)</label>
+                            <label className="flex items-center gap-2"><input type="checkbox" checked={preferences.requireCoverage} onChange={() => setPreference('requireCoverage', !preferences.requireCoverage)} />Every open week needs full-day childcare</label>
+                            <label className="flex items-center gap-2"><input type="checkbox" checked={preferences.keepExisting} onChange={() => setPreference('keepExisting', !preferences.keepExisting)} />Keep what's already on the grid and only fill empty weeks</label>
+                            <p className="text-gray-500">Blocked weeks are always left empty.</p>
+                        </div>
+                        <div className="flex justify-end gap-2">
+                            <button onClick={handleClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition font-semibold">Cancel</button>
+                            <button onClick={handleSuggest} disabled={!plannedKids.length} className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition font-semibold disabled:bg-blue-300">Suggest</button>
+                        </div>
+                    </div>
+                ) : (
+                    <div className="space-y-4 text-sm">
+                        {plans.length === 0 ? (
+                            <p className="p-3 bg-amber-50 rounded-md text-amber-800">No plan meets every limit. Try adding more choices, raising the budget or the weeks per camp, or turning off full-day childcare.</p>
+                        ) : (
+                            <>
+                                <div className="flex flex-wrap gap-2">
+                                    {plans.map((option, index) => (
+                                        <button key={index} onClick={() => setPlanIndex(index)} className={`px-3 py-2 rounded-lg font-semibold text-left ${index === planIndex ? 'bg-blue-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}>
+                                            Plan {index + 1}
+                                            <span className="block text-xs font-normal">{formatCurrency(option.total)} · {option.firstChoiceWeeks} of {option.plannedWeeks} weeks first choice{option.emptyWeeks > 0 && ` · ${option.emptyWeeks} left empty`}</span>
+                                        </button>
+                                    ))}
+                                </div>
+                                {!hasPlanChanges ? <p className="text-gray-600 italic">This plan matches the grid already.</p> : renderDiff(plan.schedule)}
+                            </>
+                        )}
+                        <div className="flex justify-end gap-2">
+                            <button onClick={() => setPlans(null)} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition font-semibold">Back</button>
+                            {plan && <button onClick={() => { onAccept(planChanges); handleClose(); }} disabled={!hasPlanChanges} className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition font-semibold disabled:bg-blue-300">Use Plan {planIndex + 1}</button>}
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+const CopyWeekModal = ({ sourceWeek, onClose, planData, onCopy }) => {
+    const [targetWeeks, setTargetWeeks] = useState([]);
+    if (sourceWeek === null) return null;
+
+    const bookedCamps = sortCamps(planData.camps).filter(camp => (planData.schedule[getCellKey(camp.id, sourceWeek)] || []).length > 0);
+    const toggleWeek = (weekIndex) => setTargetWeeks(prev => prev.includes(weekIndex) ? prev.filter(w => w !== weekIndex) : [...prev, weekIndex].sort((a, b) => a - b));
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+                <div className="flex justify-between items-start mb-4">
+                    <div>
+                        <h3 className="text-xl font-bold">Copy {getWeekLabel(planData, sourceWeek)} to…</h3>
+                        <p className="text-sm text-gray-500">Adds each camp's kids to the same camp in the weeks you pick. Nobody already booked there is removed.</p>
+                    </div>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X size={24}/></button>
+                </div>
+                {bookedCamps.length === 0 ? (
+                    <p className="text-gray-600 italic">Nobody is booked into a camp this week yet.</p>
+                ) : (
+                    <>
+                        <ul className="mb-4 text-sm space-y-1">
+                            {bookedCamps.map(camp => <li key={camp.id} className="flex justify-between bg-gray-100 p-2 rounded-md"><span className="font-medium text-gray-800">{camp.name}</span><span className="text-gray-600">{planData.schedule[getCellKey(camp.id, sourceWeek)].join(', ')}</span></li>)}
+                        </ul>
+                        <div className="space-y-1 text-sm">
+                            {Array.from({ length: planData.weekCount }, (_, weekIndex) => weekIndex).filter(weekIndex => weekIndex !== sourceWeek).map(weekIndex => {
+                                const blockedReason = getBlockedWeekReason(planData, weekIndex);
+                                return (
+                                    <label key={weekIndex} className={`flex items-center gap-2 p-2 rounded-md ${blockedReason !== null ? 'text-gray-400' : 'hover:bg-gray-100 cursor-pointer'}`}>
+                                        <input type="checkbox" checked={targetWeeks.includes(weekIndex)} disabled={blockedReason !== null} onChange={() => toggleWeek(weekIndex)} />
+                                        {getWeekLabel(planData, weekIndex)}{blockedReason !== null && <span className="italic"> · {blockedReason || 'Blocked'}</span>}
+                                    </label>
+                                );
+                            })}
+                        </div>
+                    </>
+                )}
+                <div className="mt-6 flex justify-end gap-2">
+                    <button onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition font-semibold">Cancel</button>
+                    <button onClick={() => onCopy(targetWeeks)} disabled={targetWeeks.length === 0 || bookedCamps.length === 0} className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition font-semibold disabled:bg-blue-300">Copy</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
 const DeleteConfirmationModal = ({ isOpen, onClose, onConfirm, planName }) => {
     if (!isOpen) return null;
 
@@ -707,7 +4198,7 @@ const DeleteConfirmationModal = ({ isOpen, onClose, onConfirm, planName }) => {
         <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4">
             <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-md">
                 <h3 className="text-xl font-bold text-gray-800">Confirm Deletion</h3>
-                <p className="text-gray-600 my-4">Are you sure you want to delete the plan: <strong className="font-semibold">{planName}</strong>? This action cannot be undone.</p>
+                <p className="text-gray-600 my-4">Are you sure you want to delete the plan: <strong className="font-semibold">{planName}</strong>? It disappears for everyone it's shared with. You can restore it from your Dashboard for {DELETE_GRACE_PERIOD_DAYS} days, then it's gone for good.</p>
                 <div className="flex justify-end space-x-3 mt-6">
                     <button onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition font-semibold">Cancel</button>
                     <button onClick={onConfirm} className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition font-semibold">Delete Plan</button>
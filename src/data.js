@@ -0,0 +1,945 @@
+import { initializeApp } from 'firebase/app';
+import * as firebaseAuth from 'firebase/auth';
+import * as firestore from 'firebase/firestore';
+import * as firebaseStorage from 'firebase/storage';
+
+// --- Data Layer ---
+// Everything the app stores, and signing in, goes through this module. Each backend offers the
+// parts of the Firebase Auth, Firestore and Storage APIs the app needs, under the same names and
+// with the same shapes, and the app reads and writes through operations built on top of them
+// (see Operations below), so it works the same whichever backend is behind it:
+//
+// - `firebase`, the real thing, used when VITE_FIREBASE_CONFIG is set.
+// - `local`, a store kept in the browser's localStorage (or only in memory where there is
+//   none, such as under Node), so the planner can be tried or demoed without a Firebase project.
+//   It doesn't enforce firestore.rules: everyone signed in on the device can read everything.
+//
+// VITE_DATA_BACKEND=local picks the local store even when a Firebase config is set.
+
+// --- Firebase Backend ---
+// Firestore keeps the user's schedules in a persistent local cache (IndexedDB), so they load
+// without a connection. The app and its services are created once, however often React
+// mounts the App.
+const createFirebaseBackend = (config, { useEmulators = false } = {}) => {
+    let instances = null;
+    const initialize = () => {
+        if (instances) return instances;
+        const app = initializeApp(config);
+        const auth = firebaseAuth.getAuth(app);
+        const db = firestore.initializeFirestore(app, { localCache: firestore.persistentLocalCache({ tabManager: firestore.persistentMultipleTabManager() }) });
+        if (useEmulators) {
+            firebaseAuth.connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+            firestore.connectFirestoreEmulator(db, '127.0.0.1', 8080);
+            firebaseStorage.connectStorageEmulator(firebaseStorage.getStorage(app), '127.0.0.1', 9199);
+        }
+        instances = { auth, db };
+        return instances;
+    };
+
+    return {
+        name: 'firebase',
+        initialize,
+        onAuthStateChanged: firebaseAuth.onAuthStateChanged,
+        createUserWithEmailAndPassword: firebaseAuth.createUserWithEmailAndPassword,
+        signInWithEmailAndPassword: firebaseAuth.signInWithEmailAndPassword,
+        signInWithPopup: firebaseAuth.signInWithPopup,
+        GoogleAuthProvider: firebaseAuth.GoogleAuthProvider,
+        EmailAuthProvider: firebaseAuth.EmailAuthProvider,
+        signOut: firebaseAuth.signOut,
+        sendPasswordResetEmail: firebaseAuth.sendPasswordResetEmail,
+        sendEmailVerification: firebaseAuth.sendEmailVerification,
+        reload: firebaseAuth.reload,
+        reauthenticateWithCredential: firebaseAuth.reauthenticateWithCredential,
+        reauthenticateWithPopup: firebaseAuth.reauthenticateWithPopup,
+        linkWithCredential: firebaseAuth.linkWithCredential,
+        linkWithPopup: firebaseAuth.linkWithPopup,
+        unlink: firebaseAuth.unlink,
+        verifyBeforeUpdateEmail: firebaseAuth.verifyBeforeUpdateEmail,
+        deleteUser: firebaseAuth.deleteUser,
+        doc: firestore.doc,
+        collection: firestore.collection,
+        query: firestore.query,
+        where: firestore.where,
+        orderBy: firestore.orderBy,
+        limit: firestore.limit,
+        getDoc: firestore.getDoc,
+        getDocs: firestore.getDocs,
+        setDoc: firestore.setDoc,
+        addDoc: firestore.addDoc,
+        updateDoc: firestore.updateDoc,
+        deleteDoc: firestore.deleteDoc,
+        writeBatch: firestore.writeBatch,
+        runTransaction: firestore.runTransaction,
+        onSnapshot: firestore.onSnapshot,
+        arrayUnion: firestore.arrayUnion,
+        arrayRemove: firestore.arrayRemove,
+        deleteField: firestore.deleteField,
+        getStorage: firebaseStorage.getStorage,
+        storageRef: firebaseStorage.ref,
+        uploadString: firebaseStorage.uploadString,
+        getDownloadURL: firebaseStorage.getDownloadURL,
+        deleteObject: firebaseStorage.deleteObject,
+    };
+};
+
+// --- Local Backend ---
+// Documents are kept flat, keyed by their full path ("schedules/K3X9QF/history/abc"), and the
+// whole store is written back to localStorage after every change. Writes apply straight away
+// and listeners hear about them on the next tick, as with Firestore's local cache. Another tab
+// changing the store notifies this one's listeners too.
+const LOCAL_STORE_KEY = 'camp-planner-local-store';
+
+const AUTO_ID_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const generateAutoId = () => Array.from({ length: 20 }, () => AUTO_ID_CHARACTERS[Math.floor(Math.random() * AUTO_ID_CHARACTERS.length)]).join('');
+
+// Errors carry a `code` like Firebase's, so the app can tell them apart the same way.
+const createLocalError = (code, message) => Object.assign(new Error(message), { code });
+
+// What arrayUnion, arrayRemove and deleteField return: an instruction applied when written.
+class FieldOperation {
+    constructor(kind, elements = []) {
+        this.kind = kind;
+        this.elements = elements;
+    }
+}
+
+const clone = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof FieldOperation);
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const applyFieldOperation = (current, operation) => {
+    const existing = Array.isArray(current) ? current : [];
+    if (operation.kind === 'arrayUnion') return [...existing, ...operation.elements.filter((element, i) => !existing.some(item => isSameValue(item, element)) && operation.elements.findIndex(other => isSameValue(other, element)) === i).map(clone)];
+    if (operation.kind === 'arrayRemove') return existing.filter(item => !operation.elements.some(element => isSameValue(item, element)));
+    return undefined;
+};
+
+// Sets one field, where `value` may be a field operation. Returns the object it was given.
+const writeField = (target, key, value) => {
+    const next = value instanceof FieldOperation ? applyFieldOperation(target[key], value) : clone(value);
+    if (next === undefined) delete target[key];
+    else target[key] = next;
+    return target;
+};
+
+// setDoc without merge: field operations count as if the field had been empty.
+const resolveData = (data) => Object.entries(data).reduce((result, [key, value]) => writeField(result, key, isPlainObject(value) ? resolveData(value) : value), {});
+
+// setDoc with merge: nested maps are merged key by key rather than replaced.
+const mergeData = (target, data) => {
+    Object.entries(data).forEach(([key, value]) => {
+        if (isPlainObject(value)) target[key] = mergeData(isPlainObject(target[key]) ? target[key] : {}, value);
+        else writeField(target, key, value);
+    });
+    return target;
+};
+
+// updateDoc: "budgets.K3X9QF.payments" sets that nested field, creating maps on the way.
+const updateData = (target, fields) => {
+    Object.entries(fields).forEach(([fieldPath, value]) => {
+        const keys = fieldPath.split('.');
+        const parent = keys.slice(0, -1).reduce((map, key) => {
+            if (!isPlainObject(map[key])) map[key] = {};
+            return map[key];
+        }, target);
+        writeField(parent, keys[keys.length - 1], value);
+    });
+    return target;
+};
+
+const getParentPath = (path) => path.split('/').slice(0, -1).join('/');
+
+const hashPassword = async (password) => {
+    const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(password));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Passwords are hashed, but the store is only as private as the browser profile it lives in.
+const createLocalBackend = ({ storage = globalThis.localStorage, storageKey = LOCAL_STORE_KEY } = {}) => {
+    const readStore = () => {
+        try {
+            return { docs: {}, files: {}, accounts: {}, currentUid: null, ...JSON.parse((storage && storage.getItem(storageKey)) || '{}') };
+        } catch (e) {
+            console.error("Error reading the local store:", e);
+            return { docs: {}, files: {}, accounts: {}, currentUid: null };
+        }
+    };
+
+    let store = readStore();
+    const snapshotListeners = new Set();
+    const authListeners = new Set();
+    const db = { type: 'firestore', app: { name: 'local' } };
+    const auth = { currentUser: null };
+
+    const getUser = (uid) => {
+        const account = uid && store.accounts[uid];
+        return account ? { uid, email: account.email, emailVerified: true, providerData: [{ providerId: 'password', email: account.email }] } : null;
+    };
+
+    const notifyAuth = () => {
+        auth.currentUser = getUser(store.currentUid);
+        authListeners.forEach(listener => listener(auth.currentUser));
+    };
+
+    const saveStore = () => {
+        if (!storage) return;
+        try {
+            storage.setItem(storageKey, JSON.stringify(store));
+        } catch (e) {
+            console.error("Error saving the local store:", e);
+        }
+    };
+
+    // --- Refs & Snapshots ---
+    const makeCollectionRef = (path) => ({ type: 'collection', path, id: path.split('/').pop() });
+
+    const makeDocRef = (path) => ({ type: 'document', path, id: path.split('/').pop(), parent: makeCollectionRef(getParentPath(path)) });
+
+    const doc = (parent, ...segments) => {
+        if (parent.type === 'collection') return makeDocRef([parent.path, ...(segments.length ? segments : [generateAutoId()])].join('/'));
+        const path = segments.join('/');
+        if (path.split('/').length % 2) throw createLocalError('invalid-argument', `"${path}" is a collection, not a document.`);
+        return makeDocRef(path);
+    };
+
+    const collection = (parent, ...segments) => makeCollectionRef([...(parent.type === 'document' ? [parent.path] : []), ...segments].join('/'));
+
+    // Only equality is needed so far.
+    const where = (field, op, value) => ({ type: 'where', field, op, value });
+
+    const orderBy = (field, direction = 'asc') => ({ type: 'orderBy', field, direction });
+
+    const limit = (count) => ({ type: 'limit', count });
+
+    const query = (collectionRef, ...constraints) => ({ type: 'query', path: collectionRef.path, constraints });
+
+    const makeDocSnapshot = (path) => {
+        const data = store.docs[path];
+        return { id: path.split('/').pop(), ref: makeDocRef(path), exists: () => data !== undefined, data: () => clone(data) };
+    };
+
+    const makeQuerySnapshot = (target) => {
+        let paths = Object.keys(store.docs).filter(path => getParentPath(path) === target.path);
+        (target.constraints || []).forEach(constraint => {
+            if (constraint.type === 'where') paths = paths.filter(path => store.docs[path][constraint.field] === constraint.value);
+            if (constraint.type === 'orderBy') {
+                const sign = constraint.direction === 'desc' ? -1 : 1;
+                const valueOf = (path) => store.docs[path][constraint.field];
+                paths = paths.filter(path => valueOf(path) !== undefined).sort((a, b) => valueOf(a) < valueOf(b) ? -sign : valueOf(a) > valueOf(b) ? sign : 0);
+            }
+            if (constraint.type === 'limit') paths = paths.slice(0, constraint.count);
+        });
+        const docs = paths.map(makeDocSnapshot);
+        return { docs, size: docs.length, empty: !docs.length, forEach: (callback) => docs.forEach(callback) };
+    };
+
+    const makeSnapshot = (target) => target.type === 'document' ? makeDocSnapshot(target.path) : makeQuerySnapshot(target);
+
+    // Listeners only hear about changes to what they're watching. As with Firestore, one that's
+    // turned down hears about it once, through its error callback, and then stops.
+    const notifySnapshots = () => snapshotListeners.forEach(listener => {
+        if (!store.currentUid) {
+            snapshotListeners.delete(listener);
+            if (listener.error) listener.error(createLocalError('permission-denied', "Sign in first."));
+            return;
+        }
+        const snapshot = makeSnapshot(listener.target);
+        const json = JSON.stringify(listener.target.type === 'document' ? snapshot.data() ?? null : snapshot.docs.map(docSnap => [docSnap.id, docSnap.data()]));
+        if (json === listener.lastJson) return;
+        listener.lastJson = json;
+        listener.next(snapshot);
+    });
+
+    // --- Writes ---
+    // A batch checks every write first, so it applies completely or not at all.
+    const commitWrites = (writes) => {
+        if (!store.currentUid) return Promise.reject(createLocalError('permission-denied', "Sign in first."));
+        const docs = { ...store.docs };
+        for (const { kind, path, data, options } of writes) {
+            if (kind === 'set') docs[path] = options && options.merge ? mergeData(clone(docs[path]) || {}, data) : resolveData(data);
+            if (kind === 'update') {
+                if (docs[path] === undefined) return Promise.reject(createLocalError('not-found', `No document to update: ${path}`));
+                docs[path] = updateData(clone(docs[path]), data);
+            }
+            if (kind === 'delete') delete docs[path];
+        }
+        store = { ...store, docs };
+        saveStore();
+        setTimeout(notifySnapshots, 0);
+        return Promise.resolve();
+    };
+
+    const setDoc = (ref, data, options) => commitWrites([{ kind: 'set', path: ref.path, data, options }]);
+
+    const updateDoc = (ref, data) => commitWrites([{ kind: 'update', path: ref.path, data }]);
+
+    const deleteDoc = (ref) => commitWrites([{ kind: 'delete', path: ref.path }]);
+
+    const addDoc = async (collectionRef, data) => {
+        const ref = doc(collectionRef);
+        await setDoc(ref, data);
+        return ref;
+    };
+
+    const writeBatch = () => {
+        const writes = [];
+        const batch = {
+            set: (ref, data, options) => { writes.push({ kind: 'set', path: ref.path, data, options }); return batch; },
+            update: (ref, data) => { writes.push({ kind: 'update', path: ref.path, data }); return batch; },
+            delete: (ref) => { writes.push({ kind: 'delete', path: ref.path }); return batch; },
+            commit: () => commitWrites(writes),
+        };
+        return batch;
+    };
+
+    // Writes are saved together once `updateFunction` resolves, as with a batch. Nothing else
+    // in this tab runs between its reads and that, unless it awaits something else first.
+    const runTransaction = async (dbInstance, updateFunction) => {
+        const batch = writeBatch();
+        const transaction = {
+            get: (ref) => getDoc(ref),
+            set: (ref, data, options) => { batch.set(ref, data, options); return transaction; },
+            update: (ref, data) => { batch.update(ref, data); return transaction; },
+            delete: (ref) => { batch.delete(ref); return transaction; },
+        };
+        const result = await updateFunction(transaction);
+        await batch.commit();
+        return result;
+    };
+
+    // --- Reads ---
+    // Everything is readable once signed in, and nothing before.
+    const checkSignedIn = () => {
+        if (!store.currentUid) throw createLocalError('permission-denied', "Sign in first.");
+    };
+
+    const getDoc = async (ref) => {
+        checkSignedIn();
+        return makeDocSnapshot(ref.path);
+    };
+
+    const getDocs = async (target) => {
+        checkSignedIn();
+        return makeQuerySnapshot(target);
+    };
+
+    const onSnapshot = (target, next, error) => {
+        const listener = { target, next, error, lastJson: null };
+        snapshotListeners.add(listener);
+        setTimeout(() => snapshotListeners.has(listener) && notifySnapshots(), 0);
+        return () => snapshotListeners.delete(listener);
+    };
+
+    // --- Auth ---
+    const onAuthStateChanged = (authInstance, listener) => {
+        authListeners.add(listener);
+        setTimeout(() => authListeners.has(listener) && listener(auth.currentUser), 0);
+        return () => authListeners.delete(listener);
+    };
+
+    const findAccount = (email) => Object.keys(store.accounts).find(uid => store.accounts[uid].email === email.trim().toLowerCase());
+
+    const signInAs = (uid) => {
+        store = { ...store, currentUid: uid };
+        saveStore();
+        notifyAuth();
+        return { user: auth.currentUser };
+    };
+
+    const createUserWithEmailAndPassword = async (authInstance, email, password) => {
+        if (!EMAIL_PATTERN.test(email.trim())) throw createLocalError('auth/invalid-email', "Invalid email.");
+        if (password.length < 6) throw createLocalError('auth/weak-password', "Password should be at least 6 characters.");
+        if (findAccount(email)) throw createLocalError('auth/email-already-in-use', "Email already in use.");
+        const uid = generateAutoId();
+        store = { ...store, accounts: { ...store.accounts, [uid]: { email: email.trim().toLowerCase(), passwordHash: await hashPassword(password) } } };
+        return signInAs(uid);
+    };
+
+    const signInWithEmailAndPassword = async (authInstance, email, password) => {
+        const uid = findAccount(email);
+        if (!uid || store.accounts[uid].passwordHash !== await hashPassword(password)) throw createLocalError('auth/invalid-credential', "Invalid email or password.");
+        return signInAs(uid);
+    };
+
+    const signInWithPopup = async () => {
+        throw createLocalError('auth/operation-not-supported-in-this-environment', "Google sign-in needs Firebase.");
+    };
+
+    const signOut = async () => {
+        store = { ...store, currentUid: null };
+        saveStore();
+        notifyAuth();
+    };
+
+    // --- Account ---
+    // Local accounts only ever have a password, and count as verified since there's no mail to
+    // send. A new email applies straight away instead of once its confirmation link is followed.
+    const sendPasswordResetEmail = async () => {
+        throw createLocalError('auth/operation-not-supported-in-this-environment', "Password reset emails need Firebase.");
+    };
+
+    const sendEmailVerification = async () => {};
+
+    const reload = async () => {};
+
+    const reauthenticateWithCredential = async (user, credential) => {
+        const account = store.accounts[user.uid];
+        if (!account || account.email !== credential.email.trim().toLowerCase() || account.passwordHash !== await hashPassword(credential.password)) {
+            throw createLocalError('auth/invalid-credential', "Invalid email or password.");
+        }
+        return { user: auth.currentUser };
+    };
+
+    const linkWithCredential = async () => {
+        throw createLocalError('auth/provider-already-linked', "This account already has a password.");
+    };
+
+    const unlink = async () => {
+        throw createLocalError('auth/no-such-provider', "Local accounts can only sign in with a password.");
+    };
+
+    const verifyBeforeUpdateEmail = async (user, newEmail) => {
+        if (!EMAIL_PATTERN.test(newEmail.trim())) throw createLocalError('auth/invalid-email', "Invalid email.");
+        const existing = findAccount(newEmail);
+        if (existing && existing !== user.uid) throw createLocalError('auth/email-already-in-use', "Email already in use.");
+        store = { ...store, accounts: { ...store.accounts, [user.uid]: { ...store.accounts[user.uid], email: newEmail.trim().toLowerCase() } } };
+        saveStore();
+        notifyAuth();
+    };
+
+    const deleteUser = async (user) => {
+        const accounts = Object.fromEntries(Object.entries(store.accounts).filter(([uid]) => uid !== user.uid));
+        store = { ...store, accounts, currentUid: store.currentUid === user.uid ? null : store.currentUid };
+        saveStore();
+        notifyAuth();
+    };
+
+    // --- Files ---
+    // Calendar feeds become data: URLs, which download but can't be subscribed to.
+    const getStorage = () => ({ type: 'storage' });
+
+    const storageRef = (storageInstance, path) => ({ type: 'file', path });
+
+    const uploadString = async (ref, text, format, metadata = {}) => {
+        store = { ...store, files: { ...store.files, [ref.path]: { text, contentType: metadata.contentType || 'text/plain' } } };
+        saveStore();
+    };
+
+    const getDownloadURL = async (ref) => {
+        const file = store.files[ref.path];
+        if (!file) throw createLocalError('storage/object-not-found', `No file at ${ref.path}`);
+        return `data:${file.contentType},${encodeURIComponent(file.text)}`;
+    };
+
+    const deleteObject = async (ref) => {
+        if (!store.files[ref.path]) throw createLocalError('storage/object-not-found', `No file at ${ref.path}`);
+        store = { ...store, files: Object.fromEntries(Object.entries(store.files).filter(([path]) => path !== ref.path)) };
+        saveStore();
+    };
+
+    if (typeof window !== 'undefined' && storage) {
+        window.addEventListener('storage', (e) => {
+            if (e.key !== storageKey) return;
+            const previousUid = store.currentUid;
+            store = readStore();
+            notifySnapshots();
+            if (store.currentUid !== previousUid) notifyAuth();
+        });
+    }
+
+    auth.currentUser = getUser(store.currentUid);
+
+    return {
+        name: 'local',
+        initialize: () => ({ auth, db }),
+        onAuthStateChanged,
+        createUserWithEmailAndPassword,
+        signInWithEmailAndPassword,
+        signInWithPopup,
+        GoogleAuthProvider: class GoogleAuthProvider {},
+        EmailAuthProvider: class EmailAuthProvider {
+            static credential(email, password) {
+                return { providerId: 'password', email, password };
+            }
+        },
+        signOut,
+        sendPasswordResetEmail,
+        sendEmailVerification,
+        reload,
+        reauthenticateWithCredential,
+        reauthenticateWithPopup: signInWithPopup,
+        linkWithCredential,
+        linkWithPopup: signInWithPopup,
+        unlink,
+        verifyBeforeUpdateEmail,
+        deleteUser,
+        doc,
+        collection,
+        query,
+        where,
+        orderBy,
+        limit,
+        getDoc,
+        getDocs,
+        setDoc,
+        addDoc,
+        updateDoc,
+        deleteDoc,
+        writeBatch,
+        runTransaction,
+        onSnapshot,
+        arrayUnion: (...elements) => new FieldOperation('arrayUnion', elements),
+        arrayRemove: (...elements) => new FieldOperation('arrayRemove', elements),
+        deleteField: () => new FieldOperation('delete'),
+        getStorage,
+        storageRef,
+        uploadString,
+        getDownloadURL,
+        deleteObject,
+    };
+};
+
+// --- Operations ---
+// What the app stores, named for what it does rather than where it's kept. They're made for
+// one backend, so tests can run them against an in-memory local store. The planner works out
+// the fields to write; these only read and write them. Watchers call `next` with the
+// document's data (and its `id`), or null when there's no such document, and `error` when it
+// can't be read. Each returns a function that stops watching.
+const createDataOperations = (backend) => {
+    const { doc, collection, query, where, orderBy, limit, getDoc, getDocs, setDoc, addDoc, updateDoc, deleteDoc, writeBatch, runTransaction, onSnapshot, arrayUnion, arrayRemove, deleteField } = backend;
+    const getDb = () => backend.initialize().db;
+    const ref = (...path) => doc(getDb(), ...path);
+    const fileRef = (path) => backend.storageRef(backend.getStorage(getDb().app), path);
+    const toData = (docSnap) => docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null;
+    const watchDoc = (path, next, error) => onSnapshot(ref(...path), docSnap => next(toData(docSnap)), error);
+
+    // --- Users ---
+    // A user document has no `id` of its own: it's always the signed-in user's uid.
+    const watchUser = (uid, next, error) => onSnapshot(ref("users", uid), docSnap => next(docSnap.exists() ? docSnap.data() : null), error);
+
+    const saveUser = (uid, fields) => setDoc(ref("users", uid), fields);
+
+    const updateUser = (uid, fields) => updateDoc(ref("users", uid), fields);
+
+    // A new sign-in email replaces the old one where the other parents in the household see it.
+    const updateMemberEmail = (user, householdId) => {
+        const batch = writeBatch(getDb());
+        batch.update(ref("users", user.uid), { email: user.email });
+        batch.update(ref("households", householdId), { [`memberEmails.${user.uid}`]: user.email });
+        return batch.commit();
+    };
+
+    // --- Households ---
+    const watchHousehold = (householdId, next, error) => watchDoc(["households", householdId], next, error);
+
+    const updateHousehold = (householdId, fields) => updateDoc(ref("households", householdId), fields);
+
+    const getNewHousehold = (user, kids = []) => ({ members: [user.uid], memberEmails: { [user.uid]: user.email || '' }, kids, kidProfiles: {}, schedules: [] });
+
+    // Starts a household for a parent who doesn't have one yet, in the same transaction as any
+    // other fields their user document needs. The user document is read first, and nothing is
+    // written if it already points at a household, so two tries at once (a double-click, or an
+    // effect run twice) don't leave one of them orphaned. Resolves with whether one was started.
+    const createHousehold = (user, { kids = [], userFields = {} } = {}) => runTransaction(getDb(), async (transaction) => {
+        const userSnap = await transaction.get(ref("users", user.uid));
+        if (userSnap.exists() && userSnap.data().householdId) return false;
+        const householdRef = doc(collection(getDb(), "households"));
+        transaction.set(householdRef, getNewHousehold(user, kids));
+        transaction.set(ref("users", user.uid), { ...userFields, householdId: householdRef.id }, { merge: true });
+        return true;
+    });
+
+    // For a parent who is no longer in the household their user document points to, because
+    // they left it or it was deleted. The user document is read in the same transaction, and
+    // nothing is written unless it still points there; joining another household moves it on
+    // first. Resolves with whether a household was started.
+    const startOwnHousehold = (user, formerHouseholdId) => runTransaction(getDb(), async (transaction) => {
+        const userSnap = await transaction.get(ref("users", user.uid));
+        if (!userSnap.exists() || userSnap.data().householdId !== formerHouseholdId) return false;
+        const householdRef = doc(collection(getDb(), "households"));
+        transaction.set(householdRef, getNewHousehold(user));
+        transaction.update(ref("users", user.uid), { householdId: householdRef.id });
+        return true;
+    });
+
+    const createHouseholdInvite = (code, invite) => setDoc(ref("householdInvites", code), invite);
+
+    // Unused household and friend codes, found by the household they're for. `isMine` picks
+    // which of them to delete, or all of them without it.
+    const deleteHouseholdCodes = async (collectionName, householdId, isMine = () => true) => {
+        const codesSnap = await getDocs(query(collection(getDb(), collectionName), where("householdId", "==", householdId)));
+        await Promise.all(codesSnap.docs.filter(codeDoc => isMine(codeDoc.data())).map(codeDoc => deleteDoc(codeDoc.ref)));
+    };
+
+    // Adds the parent to the household the invite is for and uses up the invite. Their user
+    // document is pointed at the household afterwards, by the caller, once the household lists them;
+    // otherwise the first read of it would be turned down.
+    const joinHousehold = async (user, code) => {
+        const inviteRef = ref("householdInvites", code);
+        const inviteSnap = await getDoc(inviteRef);
+        if (!inviteSnap.exists() || inviteSnap.data().expiresAt < Date.now()) {
+            throw new Error("That invite code isn't valid. Ask for a new one.");
+        }
+        const { householdId } = inviteSnap.data();
+        const batch = writeBatch(getDb());
+        batch.update(ref("households", householdId), { members: arrayUnion(user.uid), [`memberEmails.${user.uid}`]: user.email || '', inviteCode: code });
+        batch.delete(inviteRef);
+        await batch.commit();
+        return householdId;
+    };
+
+    // Brings a parent's kids, profiles and schedules with them into the household they joined.
+    // The one they leave is deleted if nobody else is in it; otherwise the parents still there
+    // keep the schedules they created.
+    const moveIntoHousehold = async (user, fromHousehold, schedules, toHouseholdId) => {
+        const toRef = ref("households", toHouseholdId);
+        const toHousehold = (await getDoc(toRef)).data();
+        const isLastMember = fromHousehold.members.length === 1;
+        const movedSchedules = schedules.filter(s => s.householdId === fromHousehold.id && (isLastMember || s.ownerId === user.uid));
+        const batch = writeBatch(getDb());
+        batch.update(toRef, {
+            kids: [...new Set([...(toHousehold.kids || []), ...(fromHousehold.kids || [])])],
+            kidProfiles: { ...(fromHousehold.kidProfiles || {}), ...(toHousehold.kidProfiles || {}) },
+            schedules: [...new Set([...(toHousehold.schedules || []), ...movedSchedules.map(s => s.id)])],
+        });
+        movedSchedules.forEach(s => batch.update(ref("schedules", s.id), { householdId: toHouseholdId }));
+        const fromRef = ref("households", fromHousehold.id);
+        if (isLastMember) {
+            batch.delete(fromRef);
+        } else {
+            batch.update(fromRef, {
+                members: arrayRemove(user.uid),
+                [`memberEmails.${user.uid}`]: deleteField(),
+                schedules: (fromHousehold.schedules || []).filter(id => !movedSchedules.some(s => s.id === id)),
+            });
+        }
+        batch.update(ref("users", user.uid), { householdId: toHouseholdId });
+        await batch.commit();
+    };
+
+    // A kid's new name goes out in one batch: the household, each schedule in
+    // `scheduleUpdates` (by ID) and the parent's own user document.
+    const renameKid = (uid, householdId, { householdUpdates, scheduleUpdates = {}, userUpdates = {} }) => {
+        const batch = writeBatch(getDb());
+        batch.update(ref("households", householdId), householdUpdates);
+        Object.entries(scheduleUpdates).forEach(([scheduleId, updates]) => batch.update(ref("schedules", scheduleId), updates));
+        if (Object.keys(userUpdates).length) batch.update(ref("users", uid), userUpdates);
+        return batch.commit();
+    };
+
+    // --- Schedules ---
+    const watchSchedule = (scheduleId, next, error) => watchDoc(["schedules", scheduleId], next, error);
+
+    const getSchedule = async (scheduleId) => toData(await getDoc(ref("schedules", scheduleId)));
+
+    const updateSchedule = (scheduleId, fields) => updateDoc(ref("schedules", scheduleId), fields);
+
+    // The schedule's join code (`fields.joinCode`) is created along with it, and it goes on
+    // the creator's and their household's lists. Resolves with its ID.
+    const createSchedule = async (user, householdId, fields) => {
+        const scheduleId = Math.random().toString(36).substring(2, 8).toUpperCase();
+        const batch = writeBatch(getDb());
+        batch.set(ref("schedules", scheduleId), fields);
+        batch.set(ref("scheduleInvites", fields.joinCode), { scheduleId, createdBy: user.uid, joinRole: fields.joinRole || 'viewer' });
+        await batch.commit();
+        await updateDoc(ref("users", user.uid), { schedules: arrayUnion(scheduleId) });
+        await updateDoc(ref("households", householdId), { schedules: arrayUnion(scheduleId) });
+        return scheduleId;
+    };
+
+    const getScheduleInvite = async (code) => toData(await getDoc(ref("scheduleInvites", code)));
+
+    // Gives the schedule a new join code, so the old one stops working, along with any other
+    // `updates` (such as taking a member off) in the same batch.
+    const replaceJoinCode = (user, schedule, code, updates = {}) => {
+        const batch = writeBatch(getDb());
+        if (schedule.joinCode) batch.delete(ref("scheduleInvites", schedule.joinCode));
+        batch.set(ref("scheduleInvites", code), { scheduleId: schedule.id, createdBy: user.uid, joinRole: updates.joinRole || schedule.joinRole || 'viewer' });
+        batch.update(ref("schedules", schedule.id), { ...updates, joinCode: code });
+        return batch.commit();
+    };
+
+    // The invite says which role new members get, so people joining know it without reading
+    // the schedule.
+    const setJoinRole = (schedule, joinRole) => {
+        const batch = writeBatch(getDb());
+        batch.update(ref("schedules", schedule.id), { joinRole });
+        if (schedule.joinCode) batch.update(ref("scheduleInvites", schedule.joinCode), { joinRole });
+        return batch.commit();
+    };
+
+    // `memberFields` are the ones to add to the schedule for a new member, or null when they
+    // already are one and it only needs to go on their Dashboard.
+    const joinSchedule = async (user, scheduleId, memberFields) => {
+        if (memberFields) await updateDoc(ref("schedules", scheduleId), memberFields);
+        await updateDoc(ref("users", user.uid), { schedules: arrayUnion(scheduleId) });
+    };
+
+    const addScheduleToHousehold = (scheduleId, householdId) => {
+        const batch = writeBatch(getDb());
+        batch.update(ref("schedules", scheduleId), { householdId });
+        batch.update(ref("households", householdId), { schedules: arrayUnion(scheduleId) });
+        return batch.commit();
+    };
+
+    // Takes a schedule that's gone off the user's and their household's lists.
+    const forgetSchedule = (uid, householdId, scheduleId) => Promise.all([
+        updateDoc(ref("users", uid), { schedules: arrayRemove(scheduleId) }),
+        updateDoc(ref("households", householdId), { schedules: arrayRemove(scheduleId) }),
+    ]);
+
+    // Applies `updates` and adds the history entry in one batch. The entry's ID is picked
+    // here, so running the returned write again after a failure doesn't record it twice.
+    const prepareScheduleChange = (scheduleId, updates, entry) => {
+        const entryRef = doc(collection(getDb(), "schedules", scheduleId, "history"));
+        return () => {
+            const batch = writeBatch(getDb());
+            batch.update(ref("schedules", scheduleId), updates);
+            batch.set(entryRef, entry);
+            return batch.commit();
+        };
+    };
+
+    // The latest `count` history entries, newest first.
+    const watchScheduleHistory = (scheduleId, count, next, error) => onSnapshot(
+        query(collection(getDb(), "schedules", scheduleId, "history"), orderBy('at', 'desc'), limit(count)),
+        snapshot => next(snapshot.docs.map(toData)),
+        error,
+    );
+
+    // Removes the schedule from every member's list, then deletes the document. Members are
+    // updated first because the security rules check schedule ownership while it still exists.
+    const deleteScheduleForGood = async (user, schedule) => {
+        await updateDoc(ref("users", user.uid), { schedules: arrayRemove(schedule.id), archivedSchedules: arrayRemove(schedule.id) });
+        if (schedule.householdId) {
+            await updateDoc(ref("households", schedule.householdId), { schedules: arrayRemove(schedule.id) });
+        }
+        const results = await Promise.allSettled((schedule.collaborators || []).map(uid => updateDoc(ref("users", uid), { schedules: arrayRemove(schedule.id) })));
+        results.filter(result => result.status === 'rejected').forEach(result => console.error("Error removing schedule from a member:", result.reason));
+        const feedResults = await Promise.allSettled(Object.values(schedule.calendarFeeds || {}).map(feed => removeCalendarFeed(feed.path)));
+        feedResults.filter(result => result.status === 'rejected').forEach(result => console.error("Error removing a calendar feed:", result.reason));
+        if (schedule.joinCode) await deleteDoc(ref("scheduleInvites", schedule.joinCode));
+        // Firestore doesn't delete subcollections along with their document.
+        const historySnap = await getDocs(collection(getDb(), "schedules", schedule.id, "history"));
+        await Promise.all(historySnap.docs.map(entryDoc => deleteDoc(entryDoc.ref)));
+        await deleteDoc(ref("schedules", schedule.id));
+    };
+
+    // --- Friend Sharing ---
+    const watchFriendShare = (householdId, next, error) => watchDoc(["friendShares", householdId], next, error);
+
+    const startFriendSharing = (householdId, share) => setDoc(ref("friendShares", householdId), share);
+
+    const updateFriendShare = (householdId, fields) => updateDoc(ref("friendShares", householdId), fields);
+
+    // Deleting the share is what opts out: linked families lose access at once. We take
+    // ourselves out of their links first, or we could still read their shares. A family that
+    // stopped sharing before us has nothing left to update. Codes we handed out go too.
+    const stopFriendSharing = async (householdId) => {
+        const share = toData(await getDoc(ref("friendShares", householdId)));
+        if (!share) return;
+        const results = await Promise.allSettled((share.links || []).map(otherHouseholdId => updateDoc(ref("friendShares", otherHouseholdId), { links: arrayRemove(householdId) })));
+        results.filter(result => result.status === 'rejected').forEach(result => console.error("Error unlinking from a family:", result.reason));
+        await deleteHouseholdCodes("friendInvites", householdId);
+        await deleteDoc(ref("friendShares", householdId));
+    };
+
+    const createFriendInvite = (code, invite) => setDoc(ref("friendInvites", code), invite);
+
+    const getFriendInvite = async (code) => toData(await getDoc(ref("friendInvites", code)));
+
+    // Links both ways in one batch, using up the other family's invite.
+    const linkFriend = (householdId, otherHouseholdId, code) => {
+        const batch = writeBatch(getDb());
+        batch.update(ref("friendShares", otherHouseholdId), { links: arrayUnion(householdId), linkCode: code });
+        batch.update(ref("friendShares", householdId), { links: arrayUnion(otherHouseholdId) });
+        batch.delete(ref("friendInvites", code));
+        return batch.commit();
+    };
+
+    // --- Mail & Files ---
+    // `mail` is read by the Trigger Email extension, which sends each message it finds there.
+    const queueMail = (to, message) => addDoc(collection(getDb(), "mail"), { to, message });
+
+    // Uploading to the same path again keeps the file's download URL, so subscriptions carry
+    // on. The URL is only fetched once, when the feed is first published.
+    const uploadCalendarFeed = (path, calendar) => backend.uploadString(fileRef(path), calendar, 'raw', { contentType: 'text/calendar; charset=utf-8', cacheControl: 'public, max-age=300' })
+        .then(() => undefined);
+
+    const publishCalendarFeed = async (path, calendar) => {
+        await uploadCalendarFeed(path, calendar);
+        return backend.getDownloadURL(fileRef(path));
+    };
+
+    const removeCalendarFeed = async (path) => {
+        try {
+            await backend.deleteObject(fileRef(path));
+        } catch (e) {
+            if (e.code !== 'storage/object-not-found') throw e;
+        }
+    };
+
+    // --- Account ---
+    // Firebase wants a recent sign-in before an email change or deletion: the password when the
+    // account has one, otherwise Google again.
+    const reauthenticate = (user, password) => (user.providerData || []).some(provider => provider.providerId === 'password')
+        ? backend.reauthenticateWithCredential(user, backend.EmailAuthProvider.credential(user.email, password))
+        : backend.reauthenticateWithPopup(user, new backend.GoogleAuthProvider());
+
+    // Each of `settlements` is `{ schedule, updates }`, where no updates means the schedule is
+    // deleted for good. `progress` records how far it got, so that after a failure the same
+    // call with the same `progress` picks up where it stopped. Household codes the user made
+    // go first (all of them, with its friend sharing, if they're its last parent), while the
+    // rules still see them in the household. The user document is deleted before the household
+    // is left, so the app doesn't start a new household for them when it sees they're no
+    // longer in theirs.
+    const deleteAccount = async (user, household, settlements, progress = { settled: 0 }) => {
+        // The rules only let an owner hand schedules on while this is set.
+        if (progress.settled < settlements.length) await updateUser(user.uid, { deletingAccount: true });
+        for (; progress.settled < settlements.length; progress.settled++) {
+            const { schedule, updates } = settlements[progress.settled];
+            if (updates) await updateSchedule(schedule.id, updates);
+            else await deleteScheduleForGood(user, schedule);
+        }
+        if (!progress.hasLeftHousehold) {
+            const isLastParent = (household.members || []).length <= 1;
+            await deleteHouseholdCodes("householdInvites", household.id, invite => isLastParent || invite.createdBy === user.uid);
+            if (isLastParent) await stopFriendSharing(household.id);
+            await deleteDoc(ref("users", user.uid));
+            if (isLastParent) {
+                await deleteDoc(ref("households", household.id));
+            } else {
+                await updateHousehold(household.id, { members: arrayRemove(user.uid), [`memberEmails.${user.uid}`]: deleteField() });
+            }
+            progress.hasLeftHousehold = true;
+        }
+        await backend.deleteUser(user);
+    };
+
+    return {
+        watchUser,
+        saveUser,
+        updateUser,
+        updateMemberEmail,
+        watchHousehold,
+        updateHousehold,
+        createHousehold,
+        startOwnHousehold,
+        createHouseholdInvite,
+        joinHousehold,
+        moveIntoHousehold,
+        renameKid,
+        watchSchedule,
+        getSchedule,
+        updateSchedule,
+        createSchedule,
+        getScheduleInvite,
+        replaceJoinCode,
+        setJoinRole,
+        joinSchedule,
+        addScheduleToHousehold,
+        forgetSchedule,
+        prepareScheduleChange,
+        watchScheduleHistory,
+        deleteScheduleForGood,
+        watchFriendShare,
+        startFriendSharing,
+        updateFriendShare,
+        stopFriendSharing,
+        createFriendInvite,
+        getFriendInvite,
+        linkFriend,
+        queueMail,
+        uploadCalendarFeed,
+        publishCalendarFeed,
+        removeCalendarFeed,
+        reauthenticate,
+        deleteAccount,
+    };
+};
+
+// --- Backend Selection ---
+const selectBackend = (env) => {
+    if (env.VITE_DATA_BACKEND === 'local' || !env.VITE_FIREBASE_CONFIG) return { backend: createLocalBackend(), configError: null };
+    try {
+        return { backend: createFirebaseBackend(JSON.parse(env.VITE_FIREBASE_CONFIG), { useEmulators: env.VITE_USE_FIREBASE_EMULATORS === 'true' }), configError: null };
+    } catch (e) {
+        console.error("Failed to parse Firebase config from .env.local:", e);
+        return { backend: null, configError: "Firebase configuration is invalid. Fix VITE_FIREBASE_CONFIG in your .env.local, or remove it to run on the local store." };
+    }
+};
+
+const { backend, configError } = selectBackend(import.meta.env || {});
+
+const dataLayer = backend || createLocalBackend({ storage: null });
+
+export { configError, createLocalBackend, createFirebaseBackend, createDataOperations };
+
+export const isLocalBackend = dataLayer.name === 'local';
+
+export const {
+    initialize: initializeDataLayer,
+    onAuthStateChanged,
+    createUserWithEmailAndPassword,
+    signInWithEmailAndPassword,
+    signInWithPopup,
+    GoogleAuthProvider,
+    EmailAuthProvider,
+    signOut,
+    sendPasswordResetEmail,
+    sendEmailVerification,
+    reload,
+    linkWithCredential,
+    linkWithPopup,
+    unlink,
+    verifyBeforeUpdateEmail,
+    arrayUnion,
+    arrayRemove,
+    deleteField,
+} = dataLayer;
+
+export const {
+    watchUser,
+    saveUser,
+    updateUser,
+    updateMemberEmail,
+    watchHousehold,
+    updateHousehold,
+    createHousehold,
+    startOwnHousehold,
+    createHouseholdInvite,
+    joinHousehold,
+    moveIntoHousehold,
+    renameKid,
+    watchSchedule,
+    getSchedule,
+    updateSchedule,
+    createSchedule,
+    getScheduleInvite,
+    replaceJoinCode,
+    setJoinRole,
+    joinSchedule,
+    addScheduleToHousehold,
+    forgetSchedule,
+    prepareScheduleChange,
+    watchScheduleHistory,
+    deleteScheduleForGood,
+    watchFriendShare,
+    startFriendSharing,
+    updateFriendShare,
+    stopFriendSharing,
+    createFriendInvite,
+    getFriendInvite,
+    linkFriend,
+    queueMail,
+    uploadCalendarFeed,
+    publishCalendarFeed,
+    removeCalendarFeed,
+    reauthenticate,
+    deleteAccount,
+} = createDataOperations(dataLayer);
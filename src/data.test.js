@@ -0,0 +1,314 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createLocalBackend, createDataOperations } from './data.js';
+
+// Snapshot listeners hear about changes on the next tick.
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const createMemoryStorage = () => {
+    const items = {};
+    return {
+        getItem: (key) => items[key] ?? null,
+        setItem: (key, value) => { items[key] = value; },
+    };
+};
+
+const signUp = async (backend, email) => (await backend.createUserWithEmailAndPassword(null, email, 'secret123')).user;
+
+describe('local backend', () => {
+    let backend;
+    let db;
+
+    beforeEach(async () => {
+        backend = createLocalBackend({ storage: null });
+        db = backend.initialize().db;
+        await signUp(backend, 'parent@example.com');
+    });
+
+    it('applies dotted paths and field operations on update', async () => {
+        const ref = backend.doc(db, 'schedules', 'K3X9QF');
+        await backend.setDoc(ref, { schedule: { 'a-0': ['Ada'] }, collaborators: ['u1'] });
+        await backend.updateDoc(ref, {
+            'schedule.a-1': ['Ada', 'Ben'],
+            'schedule.a-0': backend.deleteField(),
+            collaborators: backend.arrayUnion('u1', 'u2'),
+            'roles.u2': 'editor',
+        });
+        await backend.updateDoc(ref, { collaborators: backend.arrayRemove('u1') });
+        expect((await backend.getDoc(ref)).data()).toEqual({ schedule: { 'a-1': ['Ada', 'Ben'] }, collaborators: ['u2'], roles: { u2: 'editor' } });
+    });
+
+    it('merges nested maps with set and merge', async () => {
+        const ref = backend.doc(db, 'users', 'u1');
+        await backend.setDoc(ref, { budgets: { K3X9QF: { cap: 500 } }, email: 'a@example.com' });
+        await backend.setDoc(ref, { budgets: { K3X9QF: { payments: [] } } }, { merge: true });
+        expect((await backend.getDoc(ref)).data()).toEqual({ budgets: { K3X9QF: { cap: 500, payments: [] } }, email: 'a@example.com' });
+    });
+
+    it('applies a batch completely or not at all', async () => {
+        const ref = backend.doc(db, 'households', 'h1');
+        await backend.setDoc(ref, { kids: ['Ada'] });
+        const batch = backend.writeBatch(db);
+        batch.update(ref, { kids: ['Ada', 'Ben'] });
+        batch.update(backend.doc(db, 'households', 'missing'), { kids: [] });
+        await expect(batch.commit()).rejects.toMatchObject({ code: 'not-found' });
+        expect((await backend.getDoc(ref)).data()).toEqual({ kids: ['Ada'] });
+    });
+
+    it('orders and limits queries', async () => {
+        const history = backend.collection(db, 'schedules', 'K3X9QF', 'history');
+        await Promise.all([3, 1, 2].map(at => backend.setDoc(backend.doc(history, `e${at}`), { at })));
+        await backend.setDoc(backend.doc(db, 'schedules', 'OTHER', 'history', 'e9'), { at: 9 });
+        const snapshot = await backend.getDocs(backend.query(history, backend.orderBy('at', 'desc'), backend.limit(2)));
+        expect(snapshot.docs.map(entryDoc => entryDoc.id)).toEqual(['e3', 'e2']);
+    });
+
+    it('only tells listeners about changes to what they watch', async () => {
+        const ref = backend.doc(db, 'schedules', 'K3X9QF');
+        const seen = [];
+        const unsubscribe = backend.onSnapshot(ref, docSnap => seen.push(docSnap.exists() ? docSnap.data() : null));
+        await tick();
+        await backend.setDoc(ref, { kidName: 'Ada' });
+        await backend.setDoc(backend.doc(db, 'schedules', 'OTHER'), { kidName: 'Ben' });
+        await tick();
+        unsubscribe();
+        await backend.updateDoc(ref, { kidName: 'Cy' });
+        await tick();
+        expect(seen).toEqual([null, { kidName: 'Ada' }]);
+    });
+
+    it('turns down reads and writes when signed out', async () => {
+        const ref = backend.doc(db, 'schedules', 'K3X9QF');
+        await backend.signOut();
+        await expect(backend.setDoc(ref, { kidName: 'Ada' })).rejects.toMatchObject({ code: 'permission-denied' });
+        await expect(backend.getDoc(ref)).rejects.toMatchObject({ code: 'permission-denied' });
+        const errors = [];
+        backend.onSnapshot(ref, () => errors.push('next'), error => errors.push(error.code));
+        await tick();
+        expect(errors).toEqual(['permission-denied']);
+    });
+
+    it('signs in, reauthenticates, changes email and deletes accounts', async () => {
+        const auth = backend.initialize().auth;
+        await backend.signOut();
+        await expect(backend.signInWithEmailAndPassword(auth, 'parent@example.com', 'wrong-password')).rejects.toMatchObject({ code: 'auth/invalid-credential' });
+        const { user } = await backend.signInWithEmailAndPassword(auth, 'Parent@Example.com ', 'secret123');
+        await expect(backend.createUserWithEmailAndPassword(auth, 'parent@example.com', 'secret123')).rejects.toMatchObject({ code: 'auth/email-already-in-use' });
+        await expect(backend.reauthenticateWithCredential(user, backend.EmailAuthProvider.credential(user.email, 'nope'))).rejects.toMatchObject({ code: 'auth/invalid-credential' });
+        await backend.reauthenticateWithCredential(user, backend.EmailAuthProvider.credential(user.email, 'secret123'));
+        await backend.verifyBeforeUpdateEmail(user, 'new@example.com');
+        expect(auth.currentUser.email).toBe('new@example.com');
+        await backend.deleteUser(auth.currentUser);
+        expect(auth.currentUser).toBe(null);
+        await expect(backend.signInWithEmailAndPassword(auth, 'new@example.com', 'secret123')).rejects.toMatchObject({ code: 'auth/invalid-credential' });
+    });
+
+    it('keeps files until they are deleted', async () => {
+        const ref = backend.storageRef(backend.getStorage(db.app), 'calendars/K3X9QF/feed.ics');
+        await backend.uploadString(ref, 'BEGIN:VCALENDAR', 'raw', { contentType: 'text/calendar' });
+        expect(await backend.getDownloadURL(ref)).toBe(`data:text/calendar,${encodeURIComponent('BEGIN:VCALENDAR')}`);
+        await backend.deleteObject(ref);
+        await expect(backend.getDownloadURL(ref)).rejects.toMatchObject({ code: 'storage/object-not-found' });
+    });
+
+    it('reads back what it saved to storage', async () => {
+        const storage = createMemoryStorage();
+        const first = createLocalBackend({ storage });
+        await signUp(first, 'parent@example.com');
+        await first.setDoc(first.doc(first.initialize().db, 'households', 'h1'), { kids: ['Ada'] });
+        const second = createLocalBackend({ storage });
+        expect(second.initialize().auth.currentUser.email).toBe('parent@example.com');
+        expect((await second.getDoc(second.doc(second.initialize().db, 'households', 'h1'))).data()).toEqual({ kids: ['Ada'] });
+    });
+});
+
+describe('data operations', () => {
+    let backend;
+    let ops;
+    let user;
+
+    const read = async (...path) => {
+        const docSnap = await backend.getDoc(backend.doc(backend.initialize().db, ...path));
+        return docSnap.exists() ? docSnap.data() : null;
+    };
+
+    beforeEach(async () => {
+        backend = createLocalBackend({ storage: null });
+        ops = createDataOperations(backend);
+        user = await signUp(backend, 'parent@example.com');
+    });
+
+    it('creates a household and points the user at it', async () => {
+        await ops.createHousehold(user, { kids: ['Ada'], userFields: { email: user.email, schedules: [] } });
+        const { householdId } = await read('users', user.uid);
+        const seen = [];
+        const unsubscribe = ops.watchHousehold(householdId, household => seen.push(household));
+        await tick();
+        unsubscribe();
+        expect(seen).toEqual([{ id: householdId, members: [user.uid], memberEmails: { [user.uid]: user.email }, kids: ['Ada'], kidProfiles: {}, schedules: [] }]);
+    });
+
+    it("doesn't start a second household for a parent who already has one", async () => {
+        expect(await ops.createHousehold(user, { kids: ['Ada'] })).toBe(true);
+        const { householdId } = await read('users', user.uid);
+        expect(await ops.createHousehold(user, { kids: ['Ada'] })).toBe(false);
+        expect((await read('users', user.uid)).householdId).toBe(householdId);
+    });
+
+    it('starts a household of their own only for a parent still pointed at the old one', async () => {
+        await ops.createHousehold(user, { userFields: { email: user.email, schedules: [] } });
+        const { householdId } = await read('users', user.uid);
+        expect(await ops.startOwnHousehold(user, 'somewhere-else')).toBe(false);
+        expect((await read('users', user.uid)).householdId).toBe(householdId);
+        expect(await ops.startOwnHousehold(user, householdId)).toBe(true);
+        const { householdId: newHouseholdId } = await read('users', user.uid);
+        expect(newHouseholdId).not.toBe(householdId);
+        expect(await read('households', newHouseholdId)).toMatchObject({ members: [user.uid], kids: [] });
+    });
+
+    it('uses up a household invite when joining, and turns down expired ones', async () => {
+        await backend.setDoc(backend.doc(backend.initialize().db, 'households', 'h1'), { members: ['other'], memberEmails: {}, kids: [], schedules: [] });
+        await ops.createHouseholdInvite('GOOD1234', { householdId: 'h1', createdBy: 'other', expiresAt: Date.now() + 60000 });
+        await ops.createHouseholdInvite('OLD12345', { householdId: 'h1', createdBy: 'other', expiresAt: Date.now() - 1 });
+        await expect(ops.joinHousehold(user, 'OLD12345')).rejects.toThrow("isn't valid");
+        expect(await ops.joinHousehold(user, 'GOOD1234')).toBe('h1');
+        expect(await read('householdInvites', 'GOOD1234')).toBe(null);
+        expect((await read('households', 'h1')).members).toEqual(['other', user.uid]);
+    });
+
+    it('creates a schedule on the user and household lists, and lets others join it', async () => {
+        await ops.createHousehold(user);
+        const { householdId } = await read('users', user.uid);
+        const scheduleId = await ops.createSchedule(user, householdId, { kidName: 'Ada', ownerId: user.uid, collaborators: [], joinRole: 'viewer', joinCode: 'JOIN1234' });
+        expect(scheduleId).toMatch(/^[A-Z0-9]{6}$/);
+        expect(await ops.getScheduleInvite('JOIN1234')).toMatchObject({ scheduleId, createdBy: user.uid, joinRole: 'viewer' });
+        expect((await read('users', user.uid)).schedules).toEqual([scheduleId]);
+        expect((await read('households', householdId)).schedules).toEqual([scheduleId]);
+
+        await backend.signOut();
+        const member = await signUp(backend, 'friend@example.com');
+        await ops.saveUser(member.uid, { email: member.email, schedules: [] });
+        await ops.joinSchedule(member, scheduleId, { collaborators: backend.arrayUnion(member.uid), [`roles.${member.uid}`]: 'viewer' });
+        expect(await ops.getSchedule(scheduleId)).toMatchObject({ id: scheduleId, collaborators: [member.uid], roles: { [member.uid]: 'viewer' } });
+        expect((await read('users', member.uid)).schedules).toEqual([scheduleId]);
+    });
+
+    it('replaces the join code and its invite together', async () => {
+        await ops.createHousehold(user);
+        const { householdId } = await read('users', user.uid);
+        const scheduleId = await ops.createSchedule(user, householdId, { kidName: 'Ada', ownerId: user.uid, collaborators: ['other'], roles: { other: 'viewer' }, joinRole: 'viewer', joinCode: 'JOIN1234' });
+        await ops.replaceJoinCode(user, await ops.getSchedule(scheduleId), 'JOIN5678', { collaborators: [] });
+        expect(await ops.getScheduleInvite('JOIN1234')).toBe(null);
+        expect(await ops.getScheduleInvite('JOIN5678')).toMatchObject({ scheduleId, joinRole: 'viewer' });
+        expect(await ops.getSchedule(scheduleId)).toMatchObject({ collaborators: [], joinCode: 'JOIN5678' });
+        await ops.setJoinRole(await ops.getSchedule(scheduleId), 'editor');
+        expect(await ops.getScheduleInvite('JOIN5678')).toMatchObject({ joinRole: 'editor' });
+        expect((await ops.getSchedule(scheduleId)).joinRole).toBe('editor');
+    });
+
+    it('records a schedule change once however often it is written', async () => {
+        await backend.setDoc(backend.doc(backend.initialize().db, 'schedules', 'K3X9QF'), { schedule: {} });
+        const write = ops.prepareScheduleChange('K3X9QF', { 'schedule.a-0': ['Ada'] }, { kind: 'cells', at: 1 });
+        await write();
+        await write();
+        await ops.prepareScheduleChange('K3X9QF', { 'schedule.a-1': ['Ada'] }, { kind: 'cells', at: 2 })();
+        const seen = [];
+        const unsubscribe = ops.watchScheduleHistory('K3X9QF', 10, entries => seen.push(entries.map(entry => entry.at)));
+        await tick();
+        unsubscribe();
+        expect(seen).toEqual([[2, 1]]);
+        expect((await read('schedules', 'K3X9QF')).schedule).toEqual({ 'a-0': ['Ada'], 'a-1': ['Ada'] });
+    });
+
+    it('deletes a schedule for good with its history, feeds and list entries', async () => {
+        await ops.createHousehold(user);
+        const { householdId } = await read('users', user.uid);
+        const scheduleId = await ops.createSchedule(user, householdId, { kidName: 'Ada', ownerId: user.uid, householdId, collaborators: [], joinCode: 'JOIN1234' });
+        const url = await ops.publishCalendarFeed('calendars/feed.ics', 'BEGIN:VCALENDAR');
+        expect(url).toMatch(/^data:text\/calendar/);
+        await expect(ops.uploadCalendarFeed('calendars/feed.ics', 'BEGIN:VCALENDAR\nEND:VCALENDAR')).resolves.toBeUndefined();
+        await ops.updateSchedule(scheduleId, { calendarFeeds: { Ada: { path: 'calendars/feed.ics', url } } });
+        await ops.prepareScheduleChange(scheduleId, { kidName: 'Ada' }, { kind: 'list', at: 1 })();
+        await ops.deleteScheduleForGood(user, await ops.getSchedule(scheduleId));
+        expect(await ops.getSchedule(scheduleId)).toBe(null);
+        expect(await ops.getScheduleInvite('JOIN1234')).toBe(null);
+        expect((await backend.getDocs(backend.collection(backend.initialize().db, 'schedules', scheduleId, 'history'))).empty).toBe(true);
+        expect((await read('users', user.uid)).schedules).toEqual([]);
+        expect((await read('households', householdId)).schedules).toEqual([]);
+        await expect(ops.removeCalendarFeed('calendars/feed.ics')).resolves.toBeUndefined();
+    });
+
+    it('links two families both ways and uses up the invite', async () => {
+        await ops.startFriendSharing('h1', { familyName: 'Ada\'s family', kids: [], links: [] });
+        await ops.startFriendSharing('h2', { familyName: 'Ben\'s family', kids: [], links: [] });
+        await ops.createFriendInvite('LINK1234', { householdId: 'h2', expiresAt: Date.now() + 60000 });
+        expect(await ops.getFriendInvite('LINK1234')).toMatchObject({ householdId: 'h2' });
+        await ops.linkFriend('h1', 'h2', 'LINK1234');
+        expect(await ops.getFriendInvite('LINK1234')).toBe(null);
+        expect((await read('friendShares', 'h1')).links).toEqual(['h2']);
+        expect((await read('friendShares', 'h2'))).toMatchObject({ links: ['h1'], linkCode: 'LINK1234' });
+    });
+
+    it('takes the family out of linked shares when it stops sharing, skipping ones already gone', async () => {
+        await ops.startFriendSharing('h1', { familyName: 'Ada\'s family', kids: [], links: ['h2', 'h3'] });
+        await ops.startFriendSharing('h2', { familyName: 'Ben\'s family', kids: [], links: ['h1'] });
+        await ops.createFriendInvite('MINE1234', { householdId: 'h1', expiresAt: Date.now() + 60000 });
+        await ops.createFriendInvite('THEIRS12', { householdId: 'h2', expiresAt: Date.now() + 60000 });
+        const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+        await ops.stopFriendSharing('h1');
+        expect(consoleError).toHaveBeenCalledWith('Error unlinking from a family:', expect.anything());
+        consoleError.mockRestore();
+        expect(await read('friendShares', 'h1')).toBe(null);
+        expect((await read('friendShares', 'h2')).links).toEqual([]);
+        expect(await ops.getFriendInvite('MINE1234')).toBe(null);
+        expect(await ops.getFriendInvite('THEIRS12')).toMatchObject({ householdId: 'h2' });
+    });
+
+    it('deletes an account and the codes it made, picking up where it stopped after a failure', async () => {
+        const db = backend.initialize().db;
+        const household = { id: 'h1', members: ['other', user.uid], memberEmails: { other: 'other@example.com', [user.uid]: user.email }, kids: [], schedules: [] };
+        await backend.setDoc(backend.doc(db, 'households', 'h1'), household);
+        await ops.saveUser(user.uid, { email: user.email, schedules: ['S1', 'S2'], householdId: 'h1' });
+        await ops.createHouseholdInvite('MINE1234', { householdId: 'h1', createdBy: user.uid, expiresAt: Date.now() + 60000 });
+        await ops.createHouseholdInvite('THEIRS12', { householdId: 'h1', createdBy: 'other', expiresAt: Date.now() + 60000 });
+        await backend.setDoc(backend.doc(db, 'schedules', 'S1'), { collaborators: [user.uid] });
+        const settlements = ['S1', 'S2'].map(id => ({ schedule: { id }, updates: { collaborators: backend.arrayRemove(user.uid) } }));
+        const progress = { settled: 0 };
+
+        await expect(ops.deleteAccount(user, household, settlements, progress)).rejects.toMatchObject({ code: 'not-found' });
+        expect(progress).toEqual({ settled: 1 });
+        expect(await read('users', user.uid)).toMatchObject({ householdId: 'h1', deletingAccount: true });
+
+        await backend.setDoc(backend.doc(db, 'schedules', 'S2'), { collaborators: [user.uid] });
+        await ops.deleteAccount(user, household, settlements, progress);
+        expect(progress).toEqual({ settled: 2, hasLeftHousehold: true });
+        expect(backend.initialize().auth.currentUser).toBe(null);
+        await signUp(backend, 'other@example.com');
+        expect(await read('users', user.uid)).toBe(null);
+        expect((await read('schedules', 'S2')).collaborators).toEqual([]);
+        expect(await read('householdInvites', 'MINE1234')).toBe(null);
+        expect(await read('householdInvites', 'THEIRS12')).not.toBe(null);
+        expect(await read('households', 'h1')).toMatchObject({ members: ['other'], memberEmails: { other: 'other@example.com' } });
+    });
+
+    it("deletes the last parent's household with all its codes and friend sharing", async () => {
+        await ops.createHousehold(user, { userFields: { email: user.email, schedules: [] } });
+        const { householdId } = await read('users', user.uid);
+        await ops.createHouseholdInvite('OLD12345', { householdId, createdBy: 'left-already', expiresAt: Date.now() + 60000 });
+        await ops.startFriendSharing(householdId, { familyName: 'Our family', kids: [], links: [] });
+        await ops.createFriendInvite('LINK1234', { householdId, expiresAt: Date.now() + 60000 });
+        await ops.deleteAccount(user, { id: householdId, members: [user.uid] }, []);
+        await signUp(backend, 'other@example.com');
+        expect(await read('households', householdId)).toBe(null);
+        expect(await read('householdInvites', 'OLD12345')).toBe(null);
+        expect(await read('friendShares', householdId)).toBe(null);
+        expect(await read('friendInvites', 'LINK1234')).toBe(null);
+    });
+
+    it('passes read errors to watchers', async () => {
+        await backend.signOut();
+        const errors = [];
+        ops.watchSchedule('K3X9QF', () => errors.push('next'), error => errors.push(error.code));
+        await tick();
+        expect(errors).toEqual(['permission-denied']);
+    });
+});
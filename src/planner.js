@@ -0,0 +1,1993 @@
+import { arrayUnion, arrayRemove, deleteField, queueMail, isLocalBackend } from './data.js';
+
+// --- Planner ---
+// What the app knows about camps, weeks, kids and schedules, apart from showing and storing
+// them: these take plain schedule, household and user data and return what to show, or the
+// fields to write for data.js to store. The components in App.jsx are built on them.
+
+// --- Schedule Roles ---
+// The owner can do everything, editors can change the plan, viewers can only look.
+// Every parent in the household a schedule belongs to counts as its owner.
+// Firestore enforces the same split in firestore.rules.
+export const ROLE_LABELS = { owner: 'Owner', editor: 'Editor', viewer: 'Viewer' };
+
+export const getScheduleRole = (schedule, uid, householdId) => {
+    if (!schedule || !uid) return null;
+    if (schedule.ownerId === uid || (householdId && schedule.householdId === householdId)) return 'owner';
+    if ((schedule.collaborators || []).includes(uid)) {
+        return (schedule.roles && schedule.roles[uid]) || 'viewer';
+    }
+    return null;
+};
+
+export const canEditSchedule = (role) => role === 'owner' || role === 'editor';
+
+// Anyone with a schedule's join code can add themselves, with the role the owner picked for
+// new members (which the code's invite carries). These are the fields that add them; the
+// code goes along so the security rules can check it. Removing a member gives the schedule a
+// new code, so they can't use the old one to come back.
+export const getMemberJoin = (user, code, invite) => ({
+    collaborators: arrayUnion(user.uid),
+    [`roles.${user.uid}`]: invite.joinRole || 'viewer',
+    [`memberEmails.${user.uid}`]: user.email || '',
+    inviteCode: code,
+});
+
+// The fields to write when someone comes off a schedule, whether the owner removes them or
+// they leave: their role, email, kids and any carpool slots they'd claimed go with them.
+export const getMemberRemoval = (planData, uid) => ({
+    collaborators: arrayRemove(uid),
+    [`roles.${uid}`]: deleteField(),
+    [`memberEmails.${uid}`]: deleteField(),
+    [`memberKids.${uid}`]: deleteField(),
+    [`carpoolClaims.${uid}`]: deleteField(),
+});
+
+// --- Schedule Lifecycle ---
+// Deleting a schedule only stamps it with `deletedAt`. Members stop seeing it straight away,
+// the owner can restore it from the Dashboard during the grace period, and after that it's
+// removed for good. Archiving is per user: it just files the schedule away on their Dashboard.
+export const DELETE_GRACE_PERIOD_DAYS = 7;
+
+export const isScheduleDeleted = (schedule) => Boolean(schedule.deletedAt);
+
+export const getPurgeTime = (schedule) => schedule.deletedAt + DELETE_GRACE_PERIOD_DAYS * 86400000;
+
+export const getDaysUntilPurge = (schedule, now = Date.now()) => Math.max(0, Math.ceil((getPurgeTime(schedule) - now) / 86400000));
+
+// --- Household ---
+// Kids belong to a household rather than to one parent. Its document keeps the kids'
+// names, a profile for each, the parents in `members` and the schedules any of them
+// created. A second parent joins with a one-time code from `householdInvites`, so the
+// household (with its medical notes) can't be read by anyone who merely guesses its ID.
+export const HOUSEHOLD_INVITE_DAYS = 7;
+
+export const TSHIRT_SIZES = ['YXS', 'YS', 'YM', 'YL', 'YXL', 'AS', 'AM', 'AL', 'AXL'];
+
+const EMPTY_KID_PROFILE = { birthdate: '', grade: '', allergies: '', medicalNotes: '', tshirtSize: '', emergencyContacts: [] };
+
+export const getKidProfile = (household, kid) => ({ ...EMPTY_KID_PROFILE, ...((household && household.kidProfiles && household.kidProfiles[kid]) || {}) });
+
+// Both dates are ISO strings, so the birthday check is a plain comparison of "MM-DD".
+export const getKidAge = (birthdate, today = toIsoDate(new Date())) => {
+    if (!birthdate) return null;
+    const age = Number(today.slice(0, 4)) - Number(birthdate.slice(0, 4));
+    return today.slice(5) >= birthdate.slice(5) ? age : age - 1;
+};
+
+export const formatKidSummary = (profile) => [
+    getKidAge(profile.birthdate) !== null && `Age ${getKidAge(profile.birthdate)}`,
+    profile.grade && `Grade ${profile.grade}`,
+    profile.allergies && `Allergies: ${profile.allergies}`,
+].filter(Boolean).join(' · ');
+
+// Codes let someone into a household or schedule, so they come from the browser's
+// cryptographic random numbers. There are no 0/O or 1/I to mix up; 32 characters divide a
+// random 32-bit number evenly, so each is equally likely.
+const INVITE_CODE_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const generateInviteCode = () => Array.from(crypto.getRandomValues(new Uint32Array(8)), value => INVITE_CODE_CHARACTERS[value % INVITE_CODE_CHARACTERS.length]).join('');
+
+// The fields of a schedule that name the kid, rewritten with the new name, or null when the
+// schedule doesn't mention them. History entries are left as they were recorded. Of
+// `memberKids`, only the renaming parent's own entry is written: other members keep theirs
+// up to date themselves.
+export const renameKidInSchedule = (planData, from, to, uid) => {
+    if (!(planData.allKids || []).includes(from) && planData.kidName !== from) return null;
+    const renameIn = (kids) => (kids || []).map(kid => kid === from ? to : kid);
+    const renameKey = (map) => Object.fromEntries(Object.entries(map || {}).map(([key, value]) => [key === from ? to : key, value]));
+    const mapValues = (map, fn) => Object.fromEntries(Object.entries(map || {}).map(([key, value]) => [key, fn(value)]));
+    const updates = {
+        allKids: renameIn(planData.allKids),
+        schedule: mapValues(planData.schedule, renameIn),
+        statuses: mapValues(planData.statuses, renameKey),
+        attendance: mapValues(planData.attendance, renameKey),
+        calendarFeeds: renameKey(planData.calendarFeeds),
+    };
+    const ownKids = (planData.memberKids || {})[uid];
+    if (ownKids && ownKids.includes(from)) updates[`memberKids.${uid}`] = renameIn(ownKids);
+    if (planData.kidName === from) updates.kidName = to;
+    return updates;
+};
+
+// --- Camp Records ---
+// Camps are { id, name } records and `schedule` is keyed by `${campId}-${weekIndex}`,
+// so sorting, renaming or removing camps never moves a kid onto a different camp.
+export const generateId = () => Math.random().toString(36).substring(2, 10);
+
+// Camp IDs end up in cell keys and dotted field paths, so one from a file is only kept when
+// it's made of the characters generateId uses.
+const isGeneratedId = (id) => /^[a-z0-9]+$/.test(id);
+
+export const getCellKey = (campId, weekIndex) => `${campId}-${weekIndex}`;
+
+export const parseCellKey = (key) => {
+    const separator = key.lastIndexOf('-');
+    return { campId: key.substring(0, separator), weekIndex: parseInt(key.substring(separator + 1), 10) };
+};
+
+export const sortCamps = (camps) => [...(camps || [])].sort((a, b) => a.name.localeCompare(b.name));
+
+export const findCamp = (planData, campId) => (planData.camps || []).find(camp => camp.id === campId);
+
+// Which kids, in which weeks, are booked into a camp. Used to warn before a camp is removed.
+export const getCampAssignments = (planData, campId) => {
+    const weeksByKid = {};
+    Object.entries(planData.schedule || {}).forEach(([key, attendees]) => {
+        const cell = parseCellKey(key);
+        if (cell.campId !== campId) return;
+        (attendees || []).forEach(kid => {
+            weeksByKid[kid] = [...(weeksByKid[kid] || []), cell.weekIndex].sort((a, b) => a - b);
+        });
+    });
+    return Object.keys(weeksByKid).sort((a, b) => a.localeCompare(b)).map(kid => ({ kid, weeks: weeksByKid[kid] }));
+};
+
+// Schedules created before camp records stored bare camp names and keyed `schedule` by
+// the camp's position in the array. The generated IDs are derived from that position so
+// two editors migrating the same document at once write identical results.
+export const migrateLegacyCamps = (data) => {
+    const camps = data.camps || [];
+    if (!camps.some(camp => typeof camp === 'string')) return null;
+    const campIds = camps.map((camp, index) => typeof camp === 'string' ? `legacy${index}` : camp.id);
+    const schedule = {};
+    Object.entries(data.schedule || {}).forEach(([key, attendees]) => {
+        const { campId, weekIndex } = parseCellKey(key);
+        const campIndex = parseInt(campId, 10);
+        if (campIds[campIndex]) {
+            schedule[getCellKey(campIds[campIndex], weekIndex)] = attendees;
+        }
+    });
+    return {
+        camps: camps.map((camp, index) => typeof camp === 'string' ? { id: campIds[index], name: camp } : camp),
+        schedule,
+    };
+};
+
+// --- Season Calendar ---
+// A schedule covers one season, from `startDate` to `endDate`, split into weeks that start on
+// the start date's weekday. `blockedWeeks` maps a week index to why nobody attends camp that
+// week (a holiday or a family trip); blocked weeks can't be booked and aren't coverage gaps.
+export const MAX_SEASON_WEEKS = 26;
+
+export const parseIsoDate = (isoDate) => {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+};
+
+export const addDays = (isoDate, days) => {
+    const date = parseIsoDate(isoDate);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().substring(0, 10);
+};
+
+export const daysBetween = (fromIsoDate, toIsoDate) => Math.round((parseIsoDate(toIsoDate) - parseIsoDate(fromIsoDate)) / 86400000);
+
+export const countSeasonWeeks = (startDate, endDate) => Math.floor(daysBetween(startDate, endDate) / 7) + 1;
+
+export const formatShortDate = (isoDate) => parseIsoDate(isoDate).toLocaleString('default', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+export const getWeekStartDate = (planData, weekIndex) => planData.startDate ? addDays(planData.startDate, weekIndex * 7) : null;
+
+export const getWeekLabel = (planData, weekIndex) => {
+    const weekStart = getWeekStartDate(planData, weekIndex);
+    return weekStart ? `Week of ${formatShortDate(weekStart)}` : `Week ${weekIndex + 1}`;
+};
+
+export const getSeasonName = (planData) => planData.seasonName || 'Summer';
+
+// Schedules created before season settings only stored a start date and a week count.
+export const getSeasonEndDate = (planData) => planData.endDate || (planData.startDate ? addDays(planData.startDate, planData.weekCount * 7 - 3) : '');
+
+export const getBlockedWeekReason = (planData, weekIndex) => {
+    const blockedWeeks = planData.blockedWeeks || {};
+    return Object.prototype.hasOwnProperty.call(blockedWeeks, weekIndex) ? blockedWeeks[weekIndex] : null;
+};
+
+export const isWeekBlocked = (planData, weekIndex) => getBlockedWeekReason(planData, weekIndex) !== null;
+
+// Next summer: the first Monday on or after June 16, for eight weeks.
+export const getDefaultSeason = (today = new Date()) => {
+    const year = today.getMonth() >= 7 ? today.getFullYear() + 1 : today.getFullYear();
+    const june16 = `${year}-06-16`;
+    const startDate = addDays(june16, (8 - parseIsoDate(june16).getUTCDay()) % 7);
+    return { seasonName: `Summer ${year}`, startDate, endDate: addDays(startDate, 7 * 7 + 4) };
+};
+
+// --- Camp Details ---
+// Everything a family compares when choosing camps. Numbers are stored as numbers (or null),
+// times as "HH:MM" and dates as "YYYY-MM-DD" so they sort and compare as plain strings.
+export const EMPTY_CAMP = {
+    name: '',
+    weeklyCost: null,
+    startTime: '',
+    endTime: '',
+    address: '',
+    minAge: null,
+    maxAge: null,
+    website: '',
+    registrationDeadline: '',
+    paymentDueDate: '',
+    days: null,
+    dayPart: 'full',
+    deposit: null,
+    siblingDiscount: null,
+    multiWeekDiscount: null,
+    multiWeekMinimum: null,
+    checklist: [],
+};
+
+export const toNumberOrNull = (value) => {
+    if (value === '' || value === null || value === undefined) return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+export const normalizeCamp = ({ packingList, ...camp }) => ({
+    ...EMPTY_CAMP,
+    ...camp,
+    name: (camp.name || '').trim(),
+    weeklyCost: toNumberOrNull(camp.weeklyCost),
+    minAge: toNumberOrNull(camp.minAge),
+    maxAge: toNumberOrNull(camp.maxAge),
+    deposit: toNumberOrNull(camp.deposit),
+    siblingDiscount: toNumberOrNull(camp.siblingDiscount),
+    multiWeekDiscount: toNumberOrNull(camp.multiWeekDiscount),
+    multiWeekMinimum: toNumberOrNull(camp.multiWeekMinimum),
+    days: camp.days && camp.days.length && camp.days.length < WEEKDAYS.length ? WEEKDAYS.map(day => day.key).filter(key => camp.days.includes(key)) : null,
+    dayPart: DAY_PARTS[camp.dayPart] ? camp.dayPart : 'full',
+    address: (camp.address || '').trim(),
+    website: (camp.website || '').trim(),
+    checklist: normalizeChecklist(camp.checklist, packingList),
+});
+
+export const formatCurrency = (amount) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: amount % 1 ? 2 : 0 }).format(amount);
+
+export const formatTime = (time) => {
+    if (!time) return '';
+    const [hours, minutes] = time.split(':').map(Number);
+    const suffix = hours >= 12 ? 'PM' : 'AM';
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+};
+
+export const formatCampHours = (camp) => {
+    if (!camp || !camp.startTime || !camp.endTime) return '';
+    return `${formatTime(camp.startTime)} – ${formatTime(camp.endTime)}`;
+};
+
+export const formatAgeRange = (camp) => {
+    if (!camp) return '';
+    const hasMin = camp.minAge !== null && camp.minAge !== undefined;
+    const hasMax = camp.maxAge !== null && camp.maxAge !== undefined;
+    if (hasMin && hasMax) return `Ages ${camp.minAge}–${camp.maxAge}`;
+    if (hasMin) return `Ages ${camp.minAge}+`;
+    if (hasMax) return `Up to age ${camp.maxAge}`;
+    return '';
+};
+
+export const formatLongDate = (isoDate) => parseIsoDate(isoDate).toLocaleDateString('default', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+
+export const toIsoDate = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+export const getDaysUntil = (isoDate, today = new Date()) => daysBetween(toIsoDate(today), isoDate);
+
+export const getWebsiteUrl = (website) => /^https?:\/\//i.test(website) ? website : `https://${website}`;
+
+// Plain-text summary for a grid cell's tooltip.
+export const getCampTooltip = (camp) => [
+    camp.name,
+    formatCampSession(camp),
+    formatCampHours(camp),
+    camp.weeklyCost !== null && camp.weeklyCost !== undefined ? `${formatCurrency(camp.weeklyCost)} / week` : '',
+    formatAgeRange(camp),
+    camp.address,
+    camp.registrationDeadline ? `Register by ${formatLongDate(camp.registrationDeadline)}` : '',
+].filter(Boolean).join('\n');
+
+// --- Sessions & Conflicts ---
+// A camp runs on `days` (every weekday when unset) for either its hours or, when those
+// aren't known, the `dayPart`. Two camps in the same week only conflict for a kid if
+// they share a day and their times overlap, so a morning camp plus an afternoon camp,
+// or a Mon–Wed camp plus a Thu–Fri one, is a legitimate split.
+export const WEEKDAYS = [
+    { key: 'mon', label: 'Mon' },
+    { key: 'tue', label: 'Tue' },
+    { key: 'wed', label: 'Wed' },
+    { key: 'thu', label: 'Thu' },
+    { key: 'fri', label: 'Fri' },
+];
+
+export const DAY_PARTS = { full: 'Full day', morning: 'Mornings', afternoon: 'Afternoons' };
+
+const DAY_PART_MINUTES = { full: [0, 24 * 60], morning: [0, 12 * 60], afternoon: [12 * 60, 24 * 60] };
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+export const getCampDays = (camp) => Array.isArray(camp.days) ? camp.days : WEEKDAYS.map(day => day.key);
+
+export const getCampTimeRange = (camp) => {
+    if (camp.startTime && camp.endTime) return [toMinutes(camp.startTime), toMinutes(camp.endTime)];
+    return DAY_PART_MINUTES[camp.dayPart] || DAY_PART_MINUTES.full;
+};
+
+export const campSessionsOverlap = (campA, campB) => {
+    const sharesDay = getCampDays(campA).some(day => getCampDays(campB).includes(day));
+    const [startA, endA] = getCampTimeRange(campA);
+    const [startB, endB] = getCampTimeRange(campB);
+    return sharesDay && startA < endB && startB < endA;
+};
+
+// "Mon, Wed, Fri", or a range like "Mon–Wed" when the days are consecutive.
+const formatCampDays = (camp) => {
+    const dayIndexes = getCampDays(camp).map(key => WEEKDAYS.findIndex(day => day.key === key)).sort((a, b) => a - b);
+    const isRange = dayIndexes.every((dayIndex, i) => i === 0 || dayIndex === dayIndexes[i - 1] + 1);
+    if (isRange && dayIndexes.length > 2) return `${WEEKDAYS[dayIndexes[0]].label}–${WEEKDAYS[dayIndexes[dayIndexes.length - 1]].label}`;
+    return dayIndexes.map(dayIndex => WEEKDAYS[dayIndex].label).join(', ');
+};
+
+// Empty for an ordinary full-week, full-day camp.
+export const formatCampSession = (camp) => [
+    getCampDays(camp).length < WEEKDAYS.length ? formatCampDays(camp) : '',
+    !(camp.startTime && camp.endTime) && camp.dayPart && camp.dayPart !== 'full' ? DAY_PARTS[camp.dayPart] : '',
+].filter(Boolean).join(' · ');
+
+// Each camp as the kid goes to it that week: on their days and at their hours, if they have their own.
+export const getKidCampsForWeek = (planData, kid, weekIndex) => sortCamps(planData.camps)
+    .filter(camp => (planData.schedule[getCellKey(camp.id, weekIndex)] || []).includes(kid))
+    .map(camp => applyAttendance(camp, getKidAttendance(planData, getCellKey(camp.id, weekIndex), kid)));
+
+// Every pair of overlapping camps a kid is booked into in the same week.
+export const findDoubleBookings = (planData) => {
+    const doubleBookings = [];
+    (planData.allKids || []).forEach(kid => {
+        for (let weekIndex = 0; weekIndex < planData.weekCount; weekIndex++) {
+            const kidCamps = getKidCampsForWeek(planData, kid, weekIndex);
+            kidCamps.forEach((campA, i) => kidCamps.slice(i + 1).forEach(campB => {
+                if (campSessionsOverlap(campA, campB)) doubleBookings.push({ kid, weekIndex, camps: [campA, campB] });
+            }));
+        }
+    });
+    return doubleBookings;
+};
+
+// --- Childcare Coverage ---
+// Which weekdays each kid has camp, worked out from the same `schedule` the grid shows.
+// A day is covered when the kid's camps that day reach both sides of noon; blocked weeks
+// are family time, not gaps, and days outside the season's dates don't count.
+const NOON = 12 * 60;
+
+const COVERAGE_GAP_LABELS = { all: 'No camp', morning: 'Mornings free', afternoon: 'Afternoons free' };
+
+export const COVERAGE_CELL_STYLES = {
+    covered: 'bg-green-50 text-green-700',
+    partial: 'bg-amber-100 text-amber-800',
+    uncovered: 'bg-red-100 text-red-700',
+    blocked: 'bg-gray-200/70',
+};
+
+const getWeekdayDate = (planData, weekIndex, dayKey) => {
+    const weekStart = getWeekStartDate(planData, weekIndex);
+    if (!weekStart) return null;
+    // getUTCDay() counts Monday as 1, matching WEEKDAYS[0].
+    const dayNumber = WEEKDAYS.findIndex(day => day.key === dayKey) + 1;
+    return addDays(weekStart, (dayNumber - parseIsoDate(weekStart).getUTCDay() + 7) % 7);
+};
+
+// Dates we can't work out (legacy schedules without a start date) count as in season.
+const isDateInSeason = (planData, date) => {
+    const seasonEnd = getSeasonEndDate(planData);
+    return !date || (date >= planData.startDate && (!seasonEnd || date <= seasonEnd));
+};
+
+// The camp's days that fall inside the season, with their dates.
+export const getSessionDays = (planData, camp, weekIndex) => getCampDays(camp)
+    .map(day => ({ day, date: getWeekdayDate(planData, weekIndex, day) }))
+    .filter(({ date }) => date && isDateInSeason(planData, date));
+
+export const getKidCoverage = (planData, kid) => {
+    const weeks = Array.from({ length: planData.weekCount }, (_, weekIndex) => {
+        if (isWeekBlocked(planData, weekIndex)) return { weekIndex, status: 'blocked', gaps: [] };
+        const kidCamps = getKidCampsForWeek(planData, kid, weekIndex);
+        const gaps = [];
+        let seasonDays = 0;
+        WEEKDAYS.forEach(day => {
+            const date = getWeekdayDate(planData, weekIndex, day.key);
+            if (!isDateInSeason(planData, date)) return;
+            seasonDays++;
+            const timeRanges = kidCamps.filter(camp => getCampDays(camp).includes(day.key)).map(getCampTimeRange);
+            const hasMorning = timeRanges.some(([start]) => start < NOON);
+            const hasAfternoon = timeRanges.some(([, end]) => end > NOON);
+            if (!hasMorning || !hasAfternoon) {
+                gaps.push({ day: day.key, date, part: !hasMorning && !hasAfternoon ? 'all' : hasMorning ? 'afternoon' : 'morning' });
+            }
+        });
+        const isUncovered = seasonDays > 0 && gaps.length === seasonDays && gaps.every(gap => gap.part === 'all');
+        return { weekIndex, status: gaps.length === 0 ? 'covered' : isUncovered ? 'uncovered' : 'partial', gaps };
+    });
+    return {
+        kid,
+        weeks,
+        uncoveredWeeks: weeks.filter(week => week.status === 'uncovered').length,
+        partialWeeks: weeks.filter(week => week.status === 'partial').length,
+    };
+};
+
+// "No camp Thu, Fri · Afternoons free Mon–Wed"
+export const formatCoverageGaps = (gaps) => Object.keys(COVERAGE_GAP_LABELS)
+    .map(part => {
+        const days = gaps.filter(gap => gap.part === part).map(gap => gap.day);
+        return days.length ? `${COVERAGE_GAP_LABELS[part]} ${formatCampDays({ days })}` : '';
+    })
+    .filter(Boolean)
+    .join(' · ');
+
+// Plain-text list for grandparents or a sitter.
+export const formatChildcareNeeded = (planData, coverages) => {
+    const lines = [`Childcare needed: ${getSeasonName(planData)}`, ''];
+    coverages.forEach(({ kid, weeks }) => {
+        const gapWeeks = weeks.filter(week => week.gaps.length);
+        lines.push(kid);
+        if (!gapWeeks.length) lines.push('  Every week is covered.');
+        gapWeeks.forEach(({ weekIndex, status, gaps }) => {
+            const dates = gaps.filter(gap => gap.date).map(gap => formatShortDate(gap.date));
+            const detail = status === 'uncovered' ? 'All week' : formatCoverageGaps(gaps);
+            lines.push(`  ${getWeekLabel(planData, weekIndex)}: ${detail}${dates.length ? ` (${dates.join(', ')})` : ''}`);
+        });
+        lines.push('');
+    });
+    return lines.join('\n').trim() + '\n';
+};
+
+// --- Camp Checklists ---
+// A camp's `checklist` holds what to bring and which forms to hand in. Things to pack are
+// needed every camp day unless `days` names some (a swimsuit on Tuesdays); forms are due once,
+// on a kid's first day of a run of weeks at the camp.
+export const CHECKLIST_KINDS = { pack: 'Pack', form: 'Form' };
+
+// Camps saved before checklists had a `packingList` of one item per line instead.
+const normalizeChecklist = (checklist, packingList) => {
+    const items = Array.isArray(checklist) ? checklist : (packingList || '').split('\n').map(text => ({ text }));
+    return items.map((item, i) => ({
+        id: item.id || `item${i}`,
+        text: (item.text || '').trim(),
+        kind: CHECKLIST_KINDS[item.kind] ? item.kind : 'pack',
+        days: WEEKDAYS.map(day => day.key).filter(key => (item.days || []).includes(key)),
+    })).filter(item => item.text);
+};
+
+export const getCampChecklist = (camp) => normalizeChecklist(camp.checklist, camp.packingList);
+
+export const formatWeekdays = (dayKeys) => dayKeys.map(key => WEEKDAYS.find(day => day.key === key).label).join(', ');
+
+export const formatChecklistWhen = (item) => item.kind === 'form' ? 'Form for the first day' : item.days.length ? formatWeekdays(item.days) : 'Every day';
+
+// The week a kid starts at a camp, rather than carrying on from the week before.
+const isFirstWeekAtCamp = (planData, kid, campId, weekIndex) => weekIndex === 0 || !(planData.schedule[getCellKey(campId, weekIndex - 1)] || []).includes(kid);
+
+const getDayChecklist = (planData, kid, camp, weekIndex, dayKey) => {
+    const [firstDay] = getSessionDays(planData, camp, weekIndex);
+    const isFirstDay = isFirstWeekAtCamp(planData, kid, camp.id, weekIndex) && Boolean(firstDay) && firstDay.day === dayKey;
+    return getCampChecklist(camp).filter(item => item.kind === 'form' ? isFirstDay : !item.days.length || item.days.includes(dayKey));
+};
+
+// The items a kid needs at some point in the week, and when: "Every day", "Tue", "Hand in Mon".
+export const getWeekChecklist = (planData, kid, camp, weekIndex) => {
+    const sessionDays = getSessionDays(planData, camp, weekIndex).map(({ day }) => day);
+    return getCampChecklist(camp).map(item => {
+        const neededOn = sessionDays.filter(day => getDayChecklist(planData, kid, camp, weekIndex, day).some(dayItem => dayItem.id === item.id));
+        const when = item.kind === 'form' ? `Hand in ${formatWeekdays(neededOn)}` : item.days.length ? formatWeekdays(neededOn) : 'Every day';
+        return { ...item, neededOn, when };
+    }).filter(item => item.neededOn.length);
+};
+
+// --- Registration ---
+// `schedule[cellKey]` stays the list of kids going, so costs, conflicts and coverage all
+// read it as before. Each kid's registration status lives beside it in
+// `statuses[cellKey][kid]`; a cancelled kid is taken out of the list but keeps a
+// 'cancelled' status so the grid can still show what happened. `sessionNotes[cellKey]`
+// holds the optional capacity and spots remaining for that camp-week. `attendance[cellKey][kid]`
+// is for a kid who isn't there the whole camp-week: which of the camp's days they go (a
+// one-day field trip, or a day off) and, optionally, their own drop-off and pickup times.
+export const REGISTRATION_STATUSES = {
+    interested: { label: 'Interested', chipClass: 'border border-dashed border-current' },
+    registered: { label: 'Registered', chipClass: '' },
+    waitlisted: { label: 'Waitlisted', chipClass: 'ring-2 ring-amber-400' },
+    confirmed: { label: 'Confirmed', chipClass: '' },
+    paid: { label: 'Paid', chipClass: '' },
+    cancelled: { label: 'Cancelled', chipClass: 'line-through opacity-60' },
+};
+
+export const DEFAULT_REGISTRATION_STATUS = 'interested';
+
+export const STATUS_FILTERS = {
+    all: { label: 'All statuses', statuses: Object.keys(REGISTRATION_STATUSES) },
+    notRegistered: { label: 'Not registered yet', statuses: ['interested'] },
+    notConfirmed: { label: 'Not confirmed yet', statuses: ['interested', 'registered', 'waitlisted'] },
+    ...Object.fromEntries(Object.entries(REGISTRATION_STATUSES).map(([status, { label }]) => [status, { label, statuses: [status] }])),
+};
+
+const getCellStatuses = (planData, key) => (planData.statuses || {})[key] || {};
+
+export const getAssignmentStatus = (planData, key, kid) => getCellStatuses(planData, key)[kid] || DEFAULT_REGISTRATION_STATUS;
+
+// Kids still going plus the ones who cancelled, each with their status.
+export const getCellAssignments = (planData, key) => {
+    const attendees = planData.schedule[key] || [];
+    const cancelled = Object.keys(getCellStatuses(planData, key)).filter(kid => !attendees.includes(kid) && getCellStatuses(planData, key)[kid] === 'cancelled');
+    return [
+        ...attendees.map(kid => ({ kid, status: getAssignmentStatus(planData, key, kid) })),
+        ...cancelled.sort((a, b) => a.localeCompare(b)).map(kid => ({ kid, status: 'cancelled' })),
+    ];
+};
+
+export const getCellAttendance = (planData, key) => (planData.attendance || {})[key] || {};
+
+export const getKidAttendance = (planData, key, kid) => getCellAttendance(planData, key)[kid] || null;
+
+// The camp narrowed to a kid's days and hours. No days means all of the camp's.
+export const applyAttendance = (camp, attendance) => {
+    if (!attendance) return camp;
+    const campDays = getCampDays(camp);
+    const hasTimes = Boolean(attendance.startTime && attendance.endTime);
+    return {
+        ...camp,
+        days: attendance.days && attendance.days.length ? campDays.filter(day => attendance.days.includes(day)) : campDays,
+        startTime: hasTimes ? attendance.startTime : camp.startTime,
+        endTime: hasTimes ? attendance.endTime : camp.endTime,
+    };
+};
+
+// What to store for a kid's days and hours, or null when it's just the camp's own.
+export const normalizeAttendance = (camp, { days, startTime, endTime }) => {
+    const campDays = getCampDays(camp);
+    const keptDays = campDays.filter(day => (days && days.length ? days : campDays).includes(day));
+    const hasTimes = Boolean(startTime && endTime) && !(startTime === camp.startTime && endTime === camp.endTime);
+    if (keptDays.length === campDays.length && !hasTimes) return null;
+    return { days: keptDays.length < campDays.length ? keptDays : [], startTime: hasTimes ? startTime : '', endTime: hasTimes ? endTime : '' };
+};
+
+// Why a kid's days and hours can't be saved, or '' when they can. Hours go in pairs: a drop-off
+// without a pickup (or the other way round) would otherwise be dropped without a word.
+export const getAttendanceError = (kid, attendance) => {
+    const startTime = (attendance && attendance.startTime) || '';
+    const endTime = (attendance && attendance.endTime) || '';
+    if (Boolean(startTime) !== Boolean(endTime)) return `Give ${kid} both a drop-off and a pickup time, or neither.`;
+    if (startTime && startTime >= endTime) return `${kid}'s pickup has to be after their drop-off.`;
+    return '';
+};
+
+const isSameAttendance = (attendanceA, attendanceB) => {
+    const attendanceKey = (attendance) => attendance ? `${attendance.days.join(',')}|${attendance.startTime}|${attendance.endTime}` : '';
+    return attendanceKey(attendanceA) === attendanceKey(attendanceB);
+};
+
+// "Tue, Thu · 9:00 AM – 12:00 PM"
+export const formatAttendance = (attendance) => attendance ? [attendance.days.length ? formatWeekdays(attendance.days) : 'Every day', formatCampHours(attendance)].filter(Boolean).join(' · ') : 'Every day';
+
+export const getSessionNote = (planData, key) => (planData.sessionNotes || {})[key] || { capacity: null, spotsLeft: null };
+
+export const formatSessionNote = ({ capacity, spotsLeft }) => {
+    if (spotsLeft === 0) return 'Full';
+    if (spotsLeft !== null && spotsLeft !== undefined) return capacity ? `${spotsLeft} of ${capacity} spots left` : `${spotsLeft} spot${spotsLeft === 1 ? '' : 's'} left`;
+    return capacity ? `${capacity} spots` : '';
+};
+
+// Filling up: full, or at most a fifth of the places (or two) left.
+export const isSessionFillingUp = ({ capacity, spotsLeft }) => spotsLeft !== null && spotsLeft !== undefined && spotsLeft <= Math.max(2, (capacity || 0) / 5);
+
+// --- Change History ---
+// Attendee, status, days and spots-left changes to camp-weeks, and changes to the kids list, are
+// written in one batch with an entry in the schedule's `history` subcollection recording who
+// made them and the values before and after. A bulk edit from the grid is one entry
+// covering every camp-week it touched. Reverting an entry only undoes what that entry
+// changed, so later edits to the same camp-week or list are kept; the revert is recorded as
+// an entry of its own, pointing back with `revertOf`.
+export const HISTORY_LIMIT = 100;
+
+const HISTORY_LIST_LABELS = { allKids: 'kids' };
+
+const getCellSnapshot = (planData, key) => ({
+    attendees: planData.schedule[key] || [],
+    statuses: getCellStatuses(planData, key),
+    attendance: getCellAttendance(planData, key),
+    sessionNote: getSessionNote(planData, key),
+});
+
+// Entries recorded before days within a week have no `attendance`.
+const isSameCellAttendance = (attendanceA = {}, attendanceB = {}) => [...new Set([...Object.keys(attendanceA), ...Object.keys(attendanceB)])]
+    .every(kid => isSameAttendance(attendanceA[kid], attendanceB[kid]));
+
+const isSameSnapshot = (snapshotA, snapshotB) => [...snapshotA.attendees].sort().join('|') === [...snapshotB.attendees].sort().join('|')
+    && JSON.stringify(Object.entries(snapshotA.statuses).sort()) === JSON.stringify(Object.entries(snapshotB.statuses).sort())
+    && isSameCellAttendance(snapshotA.attendance, snapshotB.attendance)
+    && snapshotA.sessionNote.capacity === snapshotB.sessionNote.capacity
+    && snapshotA.sessionNote.spotsLeft === snapshotB.sessionNote.spotsLeft;
+
+// The single write and history entry for new snapshots of any number of camp-weeks,
+// keyed by cell key, or null when none of them actually change. Only the touched camp-weeks
+// are written, so a change queued offline (or retried) doesn't undo other members' edits.
+// The entry also lists the touched `cellKeys` and, in `written`, the values stored for them
+// (fields that are cleared are left out), so the security rules can check that it matches
+// the schedule as the same write leaves it.
+export const buildCellsChange = (planData, snapshotsByKey) => {
+    const fieldUpdates = {};
+    const written = { schedule: {}, statuses: {}, attendance: {}, sessionNotes: {} };
+    const cells = [];
+    Object.entries(snapshotsByKey).forEach(([key, after]) => {
+        const before = getCellSnapshot(planData, key);
+        if (isSameSnapshot(before, after)) return;
+        const { campId, weekIndex } = parseCellKey(key);
+        const camp = findCamp(planData, campId);
+        const hasNote = after.sessionNote.capacity !== null || after.sessionNote.spotsLeft !== null;
+        written.schedule[key] = after.attendees;
+        if (Object.keys(after.statuses).length) written.statuses[key] = after.statuses;
+        if (Object.keys(after.attendance).length) written.attendance[key] = after.attendance;
+        if (hasNote) written.sessionNotes[key] = after.sessionNote;
+        Object.keys(written).forEach(field => {
+            fieldUpdates[`${field}.${key}`] = written[field][key] || deleteField();
+        });
+        cells.push({ campId, campName: camp ? camp.name : '', weekIndex, before, after });
+    });
+    if (!cells.length) return null;
+    return { updates: fieldUpdates, entry: { kind: 'cells', cells, cellKeys: Object.keys(written.schedule), written } };
+};
+
+const EMPTY_CELL_SNAPSHOT = { attendees: [], statuses: {}, attendance: {}, sessionNote: { capacity: null, spotsLeft: null } };
+
+// Every camp-week with attendees, statuses, days or a session note.
+const getRecordedCellKeys = (planData) => [...new Set(['schedule', 'statuses', 'attendance', 'sessionNotes'].flatMap(field => Object.keys(planData[field] || {})))];
+
+// Carpools aren't part of the history; they're cleared (or moved) alongside it. Each
+// member's claims are their own, so only those of the members in `claimUids` are changed.
+const getCarpoolCells = (planData, claimUids) => [
+    ...(planData.carpool ? [{ path: 'carpool', cells: planData.carpool }] : []),
+    ...claimUids.filter(uid => (planData.carpoolClaims || {})[uid]).map(uid => ({ path: `carpoolClaims.${uid}`, cells: planData.carpoolClaims[uid] })),
+];
+
+const getClearedCarpoolUpdates = (planData, isCleared, claimUids) => {
+    const updates = {};
+    getCarpoolCells(planData, claimUids).forEach(({ path, cells }) => Object.keys(cells).forEach(key => {
+        if (isCleared(parseCellKey(key))) updates[`${path}.${key}`] = deleteField();
+    }));
+    return updates;
+};
+
+// Camp-weeks changed from outside the grid say what changed them, in `subject`.
+const HISTORY_SUBJECTS = { camps: 'the camp list', season: 'the season' };
+
+// The write for a new camp list, clearing the camp-weeks of any camp that was removed. Those
+// are recorded as one history entry; `entry` is null when none of them had anything in them.
+export const buildCampsChange = (planData, camps, claimUids = Object.keys(planData.carpoolClaims || {})) => {
+    const keptCampIds = new Set(camps.map(camp => camp.id));
+    const isRemoved = ({ campId }) => !keptCampIds.has(campId);
+    const change = buildCellsChange(planData, Object.fromEntries(getRecordedCellKeys(planData)
+        .filter(key => isRemoved(parseCellKey(key)))
+        .map(key => [key, EMPTY_CELL_SNAPSHOT])));
+    return {
+        updates: { camps: sortCamps(camps), ...getClearedCarpoolUpdates(planData, isRemoved, claimUids), ...(change && change.updates) },
+        entry: change && { ...change.entry, subject: 'camps' },
+    };
+};
+
+// A new season keeps kids on the same calendar weeks: when the start date moves by whole
+// weeks, week `w` of the new season is week `w + weekOffset` of the old one.
+export const getSeasonWeekOffset = (planData, startDate) => planData.startDate && startDate ? Math.round(daysBetween(planData.startDate, startDate) / 7) : 0;
+
+// The write for new season settings, with every camp-week moved to its week in the new
+// season, or cleared when that's outside it or blocked. It's recorded as one history entry
+// that can't be reverted on its own, since the season it was made for has changed.
+export const buildSeasonChange = (planData, season, claimUids = Object.keys(planData.carpoolClaims || {})) => {
+    const weekOffset = getSeasonWeekOffset(planData, season.startDate);
+    const moveKey = (key) => {
+        const { campId, weekIndex } = parseCellKey(key);
+        const newWeekIndex = weekIndex - weekOffset;
+        return newWeekIndex >= 0 && newWeekIndex < season.weekCount && !isWeekBlocked(season, newWeekIndex) ? getCellKey(campId, newWeekIndex) : null;
+    };
+    const snapshots = {};
+    getRecordedCellKeys(planData).forEach(key => {
+        snapshots[key] = snapshots[key] || EMPTY_CELL_SNAPSHOT;
+        const newKey = moveKey(key);
+        if (newKey) snapshots[newKey] = getCellSnapshot(planData, key);
+    });
+    const change = buildCellsChange(planData, snapshots);
+    const updates = { ...season, carpool: deleteField() };
+    getCarpoolCells(planData, claimUids).forEach(({ path, cells }) => {
+        updates[path] = {};
+        Object.entries(cells).forEach(([key, value]) => {
+            const newKey = moveKey(key);
+            if (newKey) updates[path][newKey] = value;
+        });
+    });
+    return { updates: { ...updates, ...(change && change.updates) }, entry: change && { ...change.entry, subject: 'season' } };
+};
+
+const revertCellSnapshot = (current, { before, after }) => {
+    const added = after.attendees.filter(kid => !before.attendees.includes(kid));
+    const removed = before.attendees.filter(kid => !after.attendees.includes(kid));
+    const statuses = { ...current.statuses };
+    new Set([...Object.keys(before.statuses), ...Object.keys(after.statuses)]).forEach(kid => {
+        if (statuses[kid] !== after.statuses[kid]) return;
+        if (before.statuses[kid]) statuses[kid] = before.statuses[kid];
+        else delete statuses[kid];
+    });
+    const attendance = { ...current.attendance };
+    const beforeAttendance = before.attendance || {};
+    const afterAttendance = after.attendance || {};
+    new Set([...Object.keys(beforeAttendance), ...Object.keys(afterAttendance)]).forEach(kid => {
+        if (!isSameAttendance(attendance[kid], afterAttendance[kid])) return;
+        if (beforeAttendance[kid]) attendance[kid] = beforeAttendance[kid];
+        else delete attendance[kid];
+    });
+    const noteField = (field) => current.sessionNote[field] === after.sessionNote[field] ? before.sessionNote[field] : current.sessionNote[field];
+    const attendees = [...current.attendees.filter(kid => !added.includes(kid)), ...removed.filter(kid => !current.attendees.includes(kid))];
+    return {
+        attendees,
+        statuses,
+        attendance: Object.fromEntries(Object.entries(attendance).filter(([kid]) => attendees.includes(kid))),
+        sessionNote: { capacity: noteField('capacity'), spotsLeft: noteField('spotsLeft') },
+    };
+};
+
+const revertList = (current, { before, after }) => [
+    ...current.filter(item => !after.includes(item) || before.includes(item)),
+    ...before.filter(item => !after.includes(item) && !current.includes(item)),
+].sort((a, b) => a.localeCompare(b));
+
+const describeListChange = (before, after) => [
+    ...after.filter(item => !before.includes(item)).map(item => `added ${item}`),
+    ...before.filter(item => !after.includes(item)).map(item => `removed ${item}`),
+];
+
+// "added Ann", "Bob: Interested → Paid", "Ann: Every day → Tue, Thu", "spots left 3 → 1"
+const describeCellChanges = ({ before, after }) => {
+    const beforeAttendance = before.attendance || {};
+    const afterAttendance = after.attendance || {};
+    const statusLabel = (statuses, kid) => REGISTRATION_STATUSES[statuses[kid] || DEFAULT_REGISTRATION_STATUS].label;
+    const kids = [...new Set([...before.attendees, ...after.attendees, ...Object.keys(before.statuses), ...Object.keys(after.statuses)])];
+    const noteValue = (value) => value === null || value === undefined ? 'none' : value;
+    return [
+        ...describeListChange(before.attendees, after.attendees),
+        ...kids.filter(kid => (before.statuses[kid] || DEFAULT_REGISTRATION_STATUS) !== (after.statuses[kid] || DEFAULT_REGISTRATION_STATUS))
+            .map(kid => `${kid}: ${statusLabel(before.statuses, kid)} → ${statusLabel(after.statuses, kid)}`),
+        ...kids.filter(kid => after.attendees.includes(kid) && !isSameAttendance(beforeAttendance[kid], afterAttendance[kid]))
+            .map(kid => `${kid}: ${formatAttendance(beforeAttendance[kid])} → ${formatAttendance(afterAttendance[kid])}`),
+        ...['capacity', 'spotsLeft'].filter(field => before.sessionNote[field] !== after.sessionNote[field])
+            .map(field => `${field === 'capacity' ? 'capacity' : 'spots left'} ${noteValue(before.sessionNote[field])} → ${noteValue(after.sessionNote[field])}`),
+    ];
+};
+
+// Entries from before bulk edits were `kind: 'cell'`, with one camp-week's fields on the
+// entry itself. They're read as a `cells` entry covering that one camp-week.
+export const normalizeHistoryEntry = (entry) => {
+    if (entry.kind !== 'cell') return entry;
+    const { campId, campName, weekIndex, before, after, ...rest } = entry;
+    return { ...rest, kind: 'cells', cells: [{ campId, campName, weekIndex, before, after }] };
+};
+
+const getCellSubject = (planData, { campId, campName, weekIndex }) => {
+    const camp = findCamp(planData, campId);
+    return `${camp ? camp.name : campName}, ${getWeekLabel(planData, weekIndex)}`;
+};
+
+export const getHistorySubject = (planData, entry) => {
+    if (entry.kind === 'list') return `the ${HISTORY_LIST_LABELS[entry.field] || entry.field} list`;
+    if (entry.subject) return HISTORY_SUBJECTS[entry.subject];
+    return entry.cells.length === 1 ? getCellSubject(planData, entry.cells[0]) : `${entry.cells.length} camp-weeks`;
+};
+
+export const describeHistoryChanges = (planData, entry) => {
+    if (entry.kind === 'list') return describeListChange(entry.before, entry.after);
+    if (entry.cells.length === 1) return describeCellChanges(entry.cells[0]);
+    return entry.cells.map(cell => `${getCellSubject(planData, cell)}: ${describeCellChanges(cell).join(', ')}`);
+};
+
+// What reverting the entry would write now, or null when there's nothing left to undo.
+export const getRevertUpdates = (planData, entry) => {
+    if (entry.kind === 'list') {
+        const current = planData[entry.field] || [];
+        const reverted = revertList(current, entry);
+        if (reverted.join('|') === [...current].sort((a, b) => a.localeCompare(b)).join('|')) return null;
+        return { updates: { [entry.field]: reverted }, entry: { kind: 'list', field: entry.field, before: current, after: reverted } };
+    }
+    // A season change can't be reverted on its own, and camp-weeks of camps that have since
+    // been removed aren't brought back.
+    if (entry.subject === 'season') return null;
+    return buildCellsChange(planData, Object.fromEntries(entry.cells.filter(cell => findCamp(planData, cell.campId)).map(cell => {
+        const key = getCellKey(cell.campId, cell.weekIndex);
+        return [key, revertCellSnapshot(getCellSnapshot(planData, key), cell)];
+    })));
+};
+
+// --- Grid Editing ---
+// Quick edits made straight on the grid. Each returns new snapshots for only the camp-weeks
+// it changes, keyed by cell key, for `buildCellsChange` to save as one write. Blocked weeks
+// are never touched. A kid added this way starts out as interested.
+const withKid = (snapshot, kid, status) => {
+    const statuses = { ...snapshot.statuses };
+    if (status && status !== DEFAULT_REGISTRATION_STATUS) statuses[kid] = status;
+    else delete statuses[kid];
+    return { ...snapshot, attendees: snapshot.attendees.includes(kid) ? snapshot.attendees : [...snapshot.attendees, kid], statuses };
+};
+
+const withoutKid = (snapshot, kid) => {
+    const statuses = { ...snapshot.statuses };
+    const attendance = { ...snapshot.attendance };
+    delete statuses[kid];
+    delete attendance[kid];
+    return { ...snapshot, attendees: snapshot.attendees.filter(name => name !== kid), statuses, attendance };
+};
+
+// Takes the kid out of every cell if they're already in all of them, otherwise adds them
+// to the ones they're missing from.
+export const toggleKidInCells = (planData, keys, kid) => {
+    const editableKeys = keys.filter(key => !isWeekBlocked(planData, parseCellKey(key).weekIndex));
+    const isInAll = editableKeys.every(key => (planData.schedule[key] || []).includes(kid));
+    const snapshots = {};
+    editableKeys.forEach(key => {
+        const snapshot = getCellSnapshot(planData, key);
+        if (isInAll) snapshots[key] = withoutKid(snapshot, kid);
+        else if (!snapshot.attendees.includes(kid)) snapshots[key] = withKid(snapshot, kid);
+    });
+    return snapshots;
+};
+
+// The kid keeps their registration status when dragged to another camp-week, but not their
+// days, which were for the camp-week they left.
+export const moveKid = (planData, fromKey, toKey, kid) => {
+    if (fromKey === toKey || isWeekBlocked(planData, parseCellKey(toKey).weekIndex)) return {};
+    return {
+        [fromKey]: withoutKid(getCellSnapshot(planData, fromKey), kid),
+        [toKey]: withKid(getCellSnapshot(planData, toKey), kid, getCellStatuses(planData, fromKey)[kid]),
+    };
+};
+
+// Adds each camp's kids from one week to the same camp in the other weeks; nobody already
+// booked in those weeks is taken out.
+export const copyWeek = (planData, fromWeekIndex, toWeekIndexes) => {
+    const snapshots = {};
+    sortCamps(planData.camps).forEach(camp => {
+        const kids = planData.schedule[getCellKey(camp.id, fromWeekIndex)] || [];
+        toWeekIndexes.filter(weekIndex => !isWeekBlocked(planData, weekIndex)).forEach(weekIndex => {
+            const key = getCellKey(camp.id, weekIndex);
+            const snapshot = kids.reduce((next, kid) => next.attendees.includes(kid) ? next : withKid(next, kid), getCellSnapshot(planData, key));
+            snapshots[key] = snapshot;
+        });
+    });
+    return snapshots;
+};
+
+// --- Plan Suggestions ---
+// "Suggest a plan" fills a season's open weeks from each kid's ranked camp choices, all in the
+// browser. Kid-weeks are decided one at a time, week by week, keeping the best
+// SUGGESTION_BEAM_WIDTH partial plans at each step. A plan scores a point for each step down
+// a kid's list and SUGGESTION_GAP_PENALTY for each week left without camp, so lower is better
+// and filling a week always beats leaving it empty. While searching, the budget is checked
+// against the cheapest each week could be after discounts, so no plan that might fit is
+// dropped early; finished plans are costed with `calculateBudget`.
+const SUGGESTION_BEAM_WIDTH = 200;
+const SUGGESTION_COUNT = 3;
+const SUGGESTION_GAP_PENALTY = 100;
+
+export const campFitsAge = (camp, age) => age === null || age === undefined || (
+    (camp.minAge === null || camp.minAge === undefined || age >= camp.minAge)
+    && (camp.maxAge === null || camp.maxAge === undefined || age <= camp.maxAge)
+);
+
+const getLowestWeeklyCost = (camp) => applyPercentOff(applyPercentOff(camp.weeklyCost || 0, camp.siblingDiscount), camp.multiWeekDiscount);
+
+// Whether this camp alone gives a kid childcare for every in-season weekday of the week.
+const campCoversWeek = (planData, camp, weekIndex) => getKidCoverage({ ...planData, schedule: { [getCellKey(camp.id, weekIndex)]: [''] } }, '').weeks[weekIndex].status === 'covered';
+
+// `preferences` is { kids, choices: { kid: [campId] }, budgetCap, maxWeeksPerCamp, together,
+// ageFit, requireCoverage, keepExisting }; `kidAges` gives each kid's age at the season's start
+// (null when unknown). Returns up to SUGGESTION_COUNT plans, best first.
+export const suggestPlans = (planData, familyKids, preferences, kidAges = {}) => {
+    const { kids, choices, budgetCap = null, maxWeeksPerCamp, together, ageFit, requireCoverage, keepExisting } = preferences;
+    const camps = sortCamps(planData.camps);
+    const openWeeks = Array.from({ length: planData.weekCount }, (_, weekIndex) => weekIndex).filter(weekIndex => !isWeekBlocked(planData, weekIndex));
+
+    // Kept bookings stay as they are; otherwise the planned kids start from an empty grid.
+    const baseSchedule = Object.fromEntries(Object.entries(planData.schedule || {}).map(([key, attendees]) => [
+        key,
+        keepExisting ? attendees : attendees.filter(kid => !kids.includes(kid)),
+    ]));
+    const bookedCamps = (kid, weekIndex) => camps.filter(camp => (baseSchedule[getCellKey(camp.id, weekIndex)] || []).includes(kid)).map(camp => camp.id);
+
+    const covers = {};
+    const getOptions = (kid, weekIndex) => {
+        const ranked = (choices[kid] || []).map(campId => findCamp(planData, campId)).filter(camp => camp && (!ageFit || campFitsAge(camp, kidAges[kid])));
+        const weekOptions = ranked.map((camp, rank) => {
+            const coverKey = getCellKey(camp.id, weekIndex);
+            if (!(coverKey in covers)) covers[coverKey] = campCoversWeek(planData, camp, weekIndex);
+            return { camp, score: rank };
+        }).filter(({ camp }) => !requireCoverage || covers[getCellKey(camp.id, weekIndex)]);
+        return requireCoverage ? weekOptions : [...weekOptions, { camp: null, score: SUGGESTION_GAP_PENALTY }];
+    };
+
+    // Only kid-weeks with nothing booked are planned, in this order. A plan's `picks` holds the
+    // camp ID (or null) chosen for each of them decided so far, by its index here.
+    const slots = openWeeks.flatMap(weekIndex => kids.filter(kid => !bookedCamps(kid, weekIndex).length).map(kid => ({ kid, weekIndex, options: getOptions(kid, weekIndex) })));
+    const slotIndexes = {};
+    slots.forEach(({ kid, weekIndex }, index) => {
+        slotIndexes[kid] = { ...slotIndexes[kid], [weekIndex]: index };
+    });
+    const startingWeeks = {};
+    let startingCost = 0;
+    Object.entries(baseSchedule).forEach(([key, attendees]) => {
+        const { campId } = parseCellKey(key);
+        const camp = findCamp(planData, campId);
+        attendees.forEach(kid => {
+            startingWeeks[`${kid}|${campId}`] = (startingWeeks[`${kid}|${campId}`] || 0) + 1;
+            if (camp && familyKids.includes(kid)) startingCost += getLowestWeeklyCost(camp);
+        });
+    });
+
+    // Null while that kid-week is still to be decided.
+    const campsThatWeek = (state, kid, weekIndex) => {
+        const index = (slotIndexes[kid] || {})[weekIndex];
+        if (index === undefined) return bookedCamps(kid, weekIndex);
+        if (index >= state.picks.length) return null;
+        return state.picks[index] ? [state.picks[index]] : [];
+    };
+    // Kids kept together share a camp in any week they both have one.
+    const keepsTogether = (state, kid, weekIndex, campId) => !campId || !together.includes(kid) || together.every(other => {
+        if (other === kid) return true;
+        const otherCamps = campsThatWeek(state, other, weekIndex);
+        return !otherCamps || !otherCamps.length || otherCamps.includes(campId);
+    });
+
+    let beam = [{ picks: [], score: 0, cost: startingCost, weeksAtCamp: startingWeeks }];
+    slots.forEach(({ kid, weekIndex, options }) => {
+        const next = [];
+        beam.forEach(state => options.forEach(({ camp, score }) => {
+            const weeksKey = camp && `${kid}|${camp.id}`;
+            const cost = state.cost + (camp && familyKids.includes(kid) ? getLowestWeeklyCost(camp) : 0);
+            if (camp && maxWeeksPerCamp && (state.weeksAtCamp[weeksKey] || 0) >= maxWeeksPerCamp) return;
+            if (budgetCap !== null && cost > budgetCap + 0.005) return;
+            if (!keepsTogether(state, kid, weekIndex, camp && camp.id)) return;
+            next.push({
+                picks: [...state.picks, camp ? camp.id : null],
+                score: state.score + score,
+                cost,
+                weeksAtCamp: camp ? { ...state.weeksAtCamp, [weeksKey]: (state.weeksAtCamp[weeksKey] || 0) + 1 } : state.weeksAtCamp,
+            });
+        }));
+        beam = next.sort((a, b) => a.score - b.score || a.cost - b.cost).slice(0, SUGGESTION_BEAM_WIDTH);
+    });
+
+    const plans = [];
+    beam.forEach(state => {
+        if (plans.length >= SUGGESTION_COUNT) return;
+        const schedule = { ...baseSchedule };
+        state.picks.forEach((campId, index) => {
+            if (!campId) return;
+            const { kid, weekIndex } = slots[index];
+            const key = getCellKey(campId, weekIndex);
+            schedule[key] = [...(schedule[key] || []), kid];
+        });
+        const total = calculateBudget({ ...planData, schedule }, familyKids).total;
+        if (budgetCap !== null && total > budgetCap) return;
+        plans.push({
+            schedule,
+            total,
+            score: state.score,
+            plannedWeeks: state.picks.length,
+            firstChoiceWeeks: state.picks.filter((campId, index) => campId && (choices[slots[index].kid] || [])[0] === campId).length,
+            emptyWeeks: state.picks.filter(campId => !campId).length,
+        });
+    });
+    return plans;
+};
+
+// Snapshots for `buildCellsChange` that turn the grid into the plan's schedule.
+export const getPlanSnapshots = (planData, schedule) => {
+    const snapshots = {};
+    new Set([...Object.keys(planData.schedule || {}), ...Object.keys(schedule)]).forEach(key => {
+        const before = planData.schedule[key] || [];
+        const after = schedule[key] || [];
+        if (before.length === after.length && before.every(kid => after.includes(kid))) return;
+        let snapshot = getCellSnapshot(planData, key);
+        before.filter(kid => !after.includes(kid)).forEach(kid => { snapshot = withoutKid(snapshot, kid); });
+        after.filter(kid => !before.includes(kid)).forEach(kid => { snapshot = withKid(snapshot, kid); });
+        snapshots[key] = snapshot;
+    });
+    return snapshots;
+};
+
+// --- Carpools ---
+// Families are the schedule's members. Each member's own kids on the schedule are kept in
+// `memberKids` (written when they open it), which is how a camp-week knows whose kids are
+// going. Once two or more families share a camp-week it's a carpool week, and each family's
+// slots are kept under their own uid, as `carpoolClaims[uid][cellKey][day][slot] = true`, so
+// the security rules can let them change only their own.
+export const CARPOOL_SLOTS = { dropoff: 'Drop-off', pickup: 'Pickup' };
+
+// Only the owner falls back to the schedule's own kid when their household has none listed.
+export const getMemberKids = (planData, userData, uid) => getScheduleRole(planData, uid, userData && userData.householdId) === 'owner'
+    ? getFamilyKids(planData, userData, uid)
+    : (planData.allKids || []).filter(kid => ((userData && userData.kids) || []).includes(kid));
+
+export const formatNameList = (names) => names.length > 1 ? `${names.slice(0, -1).join(', ')} & ${names[names.length - 1]}` : names.join('');
+
+export const getFamilyLabel = (planData, uid) => {
+    const kids = (planData.memberKids || {})[uid] || [];
+    if (kids.length) return `${formatNameList(kids)}'s family`;
+    return (planData.memberEmails || {})[uid] || 'Another family';
+};
+
+export const getCampWeekFamilies = (planData, campId, weekIndex) => {
+    const attendees = planData.schedule[getCellKey(campId, weekIndex)] || [];
+    return [planData.ownerId, ...(planData.collaborators || [])]
+        .map(uid => ({ uid, kids: ((planData.memberKids || {})[uid] || []).filter(kid => attendees.includes(kid)) }))
+        .filter(family => family.kids.length);
+};
+
+export const isCarpoolWeek = (planData, campId, weekIndex) => !isWeekBlocked(planData, weekIndex) && getCampWeekFamilies(planData, campId, weekIndex).length > 1;
+
+// Schedules made before claims were filed by family kept one map of drivers,
+// `carpool[cellKey][day][slot] = uid`. It's still read until the owner migrates it.
+const getCarpoolDrivers = (planData, key) => {
+    const drivers = {};
+    Object.entries(((planData.carpool || {})[key]) || {}).forEach(([day, slots]) => {
+        drivers[day] = { ...slots };
+    });
+    // Two families claiming the same slot at once both keep their claim; the first one shows.
+    Object.entries(planData.carpoolClaims || {}).forEach(([uid, cells]) => {
+        Object.entries(((cells || {})[key]) || {}).forEach(([day, slots]) => Object.keys(slots || {}).forEach(slot => {
+            drivers[day] = drivers[day] || {};
+            drivers[day][slot] = drivers[day][slot] || uid;
+        }));
+    });
+    return drivers;
+};
+
+// Every drop-off and pickup on the camp's days that week, claimed or not.
+export const getCarpoolSlots = (planData, camp, weekIndex) => {
+    const drivers = getCarpoolDrivers(planData, getCellKey(camp.id, weekIndex));
+    return getSessionDays(planData, camp, weekIndex).flatMap(({ day, date }) => Object.keys(CARPOOL_SLOTS).map(slot => ({
+        day,
+        date,
+        slot,
+        driver: (drivers[day] || {})[slot] || null,
+    })));
+};
+
+// Whose claims a member's edits may clear or move: everyone's for the owner, only their own for
+// an editor. Claims left behind in weeks or camps that are gone are never shown.
+export const getEditableClaimUids = (planData, uid, householdId) => getScheduleRole(planData, uid, householdId) === 'owner'
+    ? Object.keys(planData.carpoolClaims || {})
+    : [uid];
+
+export const getCarpoolClaimPath = (uid, campId, weekIndex, day, slot) => `carpoolClaims.${uid}.${getCellKey(campId, weekIndex)}.${day}.${slot}`;
+
+// Moves the legacy `carpool` map into each driver's `carpoolClaims`, a slot at a time so
+// claims made meanwhile are kept. Null when there's nothing to move.
+export const migrateLegacyCarpool = (planData) => {
+    if (!planData.carpool) return null;
+    const updates = { carpool: deleteField() };
+    Object.entries(planData.carpool).forEach(([key, days]) => Object.entries(days || {}).forEach(([day, slots]) => Object.entries(slots || {}).forEach(([slot, uid]) => {
+        if (uid) updates[`carpoolClaims.${uid}.${key}.${day}.${slot}`] = true;
+    })));
+    return updates;
+};
+
+export const countCarpoolGaps = (planData) => sortCamps(planData.camps).reduce((total, camp) => {
+    for (let weekIndex = 0; weekIndex < planData.weekCount; weekIndex++) {
+        if (isCarpoolWeek(planData, camp.id, weekIndex)) total += getCarpoolSlots(planData, camp, weekIndex).filter(slot => !slot.driver).length;
+    }
+    return total;
+}, 0);
+
+// --- Friends ---
+// Families who opt in publish `friendShares/{householdId}`: their kids' first names and, for
+// each, the camps they're booked into by camp name and week start date. Nothing else leaves
+// the household. Two families link with a one-time code from `friendInvites`, after which each
+// can read the other's share. Camps are matched across schedules by name, ignoring case, since
+// every schedule keeps its own camp records.
+export const FRIEND_INVITE_DAYS = 7;
+
+export const getFirstName = (name) => name.trim().split(/\s+/)[0];
+
+const getCampNameKey = (name) => name.trim().toLowerCase();
+
+// What a household shares: each kid's first name, and their camp-weeks in every schedule
+// they're on. Kids are kept apart by full name, so two with the same first name stay two.
+export const buildFriendShareKids = (householdKids, schedules) => {
+    const bookings = {};
+    householdKids.forEach(kid => { bookings[kid] = {}; });
+    schedules.filter(schedule => !isScheduleDeleted(schedule) && schedule.startDate).forEach(schedule => {
+        sortCamps(schedule.camps).forEach(camp => {
+            for (let weekIndex = 0; weekIndex < schedule.weekCount; weekIndex++) {
+                (schedule.schedule[getCellKey(camp.id, weekIndex)] || []).filter(kid => householdKids.includes(kid)).forEach(kid => {
+                    const weekStart = getWeekStartDate(schedule, weekIndex);
+                    bookings[kid][`${weekStart}|${getCampNameKey(camp.name)}`] = { camp: camp.name, weekStart };
+                });
+            }
+        });
+    });
+    return Object.keys(bookings).sort((a, b) => a.localeCompare(b)).map(kid => ({
+        name: getFirstName(kid),
+        bookings: Object.keys(bookings[kid]).sort().map(key => bookings[kid][key]),
+    }));
+};
+
+export const getDefaultFamilyName = (householdKids) => householdKids.length ? `${formatNameList(householdKids.map(getFirstName))}'s family` : 'Our family';
+
+// Linked families' kids at camp in the week starting `weekStart`, with the camp name keys.
+// Each is keyed by their household and place in its share, since names and family names repeat.
+const getFriendsThatWeek = (friendShares, weekStart) => friendShares.flatMap(share => (share.kids || []).map((friend, index) => ({
+    key: `${share.id}|${index}`,
+    name: friend.name,
+    familyName: share.familyName,
+    campKeys: friend.bookings.filter(booking => booking.weekStart === weekStart).map(booking => getCampNameKey(booking.camp)),
+}))).filter(friend => friend.campKeys.length);
+
+export const formatFriend = (friend) => `${friend.name} (${friend.familyName})`;
+
+// Kids from linked families at the same camp in the given week of a schedule.
+export const getLinkedFriendsAtCamp = (friendShares, planData, camp, weekIndex) => getFriendsThatWeek(friendShares, getWeekStartDate(planData, weekIndex))
+    .filter(friend => friend.campKeys.includes(getCampNameKey(camp.name)))
+    .map(formatFriend);
+
+// For each of our schedules: which weeks each of our kids shares a camp with each friend, and
+// weeks where moving to a camp on the same schedule would put them with friends.
+export const findFriendOverlaps = (householdKids, schedules, friendShares) => schedules
+    .filter(schedule => !isScheduleDeleted(schedule) && schedule.startDate)
+    .map(schedule => {
+        const overlaps = {};
+        const switches = [];
+        (schedule.allKids || []).filter(kid => householdKids.includes(kid)).forEach(kid => {
+            for (let weekIndex = 0; weekIndex < schedule.weekCount; weekIndex++) {
+                if (isWeekBlocked(schedule, weekIndex)) continue;
+                const kidCamps = getKidCampsForWeek(schedule, kid, weekIndex);
+                const kidCampKeys = kidCamps.map(camp => getCampNameKey(camp.name));
+                const friends = getFriendsThatWeek(friendShares, getWeekStartDate(schedule, weekIndex));
+                friends.filter(friend => friend.campKeys.some(key => kidCampKeys.includes(key))).forEach(friend => {
+                    const overlapKey = `${kid}|${friend.key}`;
+                    overlaps[overlapKey] = overlaps[overlapKey] || { kid, friend, weeks: [] };
+                    overlaps[overlapKey].weeks.push(weekIndex);
+                });
+                sortCamps(schedule.camps).filter(camp => !kidCampKeys.includes(getCampNameKey(camp.name))).forEach(camp => {
+                    const friendsThere = friends.filter(friend => friend.campKeys.includes(getCampNameKey(camp.name)));
+                    if (friendsThere.length) switches.push({ kid, weekIndex, fromCamps: kidCamps, toCamp: camp, friends: friendsThere });
+                });
+            }
+        });
+        return { schedule, overlaps: Object.values(overlaps), switches };
+    })
+    .filter(result => result.overlaps.length || result.switches.length);
+
+// "Maya and Leo (Leo & Ana's family) overlap in weeks 2, 5, 6"
+export const formatFriendOverlap = ({ kid, friend, weeks }) => `${kid} and ${formatFriend(friend)} overlap in week${weeks.length === 1 ? '' : 's'} ${weeks.map(weekIndex => weekIndex + 1).join(', ')}`;
+
+// --- Family Overview ---
+// Every schedule the user is on, lined up by calendar week, so each kid gets one row whichever
+// schedule their camps are planned in. Weeks start on the season's start weekday, so they're
+// matched by the Monday of the week they fall in. Camps are compared by name, as for friends,
+// since the same camp is often entered separately in each kid's schedule.
+export const KID_COLORS = [
+    'bg-blue-200 text-blue-800', 'bg-green-200 text-green-800', 'bg-yellow-200 text-yellow-800',
+    'bg-purple-200 text-purple-800', 'bg-pink-200 text-pink-800', 'bg-indigo-200 text-indigo-800',
+    'bg-red-200 text-red-800', 'bg-teal-200 text-teal-800'
+];
+
+// The schedules the overview, packets, checklist and timeline are built from: not deleted,
+// and not archived by this user.
+export const getLiveSchedules = (schedules, userData) => {
+    const archivedIds = userData.archivedSchedules || [];
+    return schedules.filter(schedule => !isScheduleDeleted(schedule) && !archivedIds.includes(schedule.id));
+};
+
+export const getMondayOf = (isoDate) => addDays(isoDate, -((parseIsoDate(isoDate).getUTCDay() + 6) % 7));
+
+// The season that's on now, else the next one, else the latest.
+export const pickCurrentSeason = (schedules, today = toIsoDate(new Date())) => {
+    const dated = schedules.filter(schedule => schedule.startDate).sort((a, b) => a.startDate.localeCompare(b.startDate));
+    const current = dated.find(schedule => schedule.startDate <= today && getSeasonEndDate(schedule) >= today)
+        || dated.find(schedule => schedule.startDate > today)
+        || dated[dated.length - 1];
+    return current ? getSeasonName(current) : null;
+};
+
+// Each cell is one kid's week: their camps from every schedule, whether the week is blocked,
+// and the schedule to open when there's nothing booked. Each week's `kind` is 'split' when
+// kids are at different camps (more than one drop-off) and 'same' when they're all together.
+export const buildFamilyOverview = (schedules, userData, uid) => {
+    const cells = {};
+    schedules.filter(schedule => schedule.startDate).forEach(schedule => {
+        getFamilyKids(schedule, userData, uid).forEach(kid => {
+            for (let weekIndex = 0; weekIndex < schedule.weekCount; weekIndex++) {
+                const monday = getMondayOf(getWeekStartDate(schedule, weekIndex));
+                cells[kid] = cells[kid] || {};
+                const cell = cells[kid][monday] = cells[kid][monday] || { bookings: [], blocked: null, scheduleId: schedule.id };
+                if (isWeekBlocked(schedule, weekIndex)) cell.blocked = cell.blocked || getBlockedWeekReason(schedule, weekIndex) || 'Blocked';
+                getKidCampsForWeek(schedule, kid, weekIndex).forEach(camp => cell.bookings.push({ scheduleId: schedule.id, weekIndex, camp, status: getAssignmentStatus(schedule, getCellKey(camp.id, weekIndex), kid) }));
+            }
+        });
+    });
+
+    const kids = Object.keys(cells).sort((a, b) => a.localeCompare(b));
+    const weeks = [...new Set(kids.flatMap(kid => Object.keys(cells[kid])))].sort().map(monday => {
+        const attending = kids.filter(kid => cells[kid][monday] && cells[kid][monday].bookings.length);
+        const campNames = [...new Set(attending.flatMap(kid => cells[kid][monday].bookings.map(booking => getCampNameKey(booking.camp.name))))];
+        const kind = attending.length < 2 ? null : campNames.length > 1 ? 'split' : 'same';
+        return { monday, kind, dropOffs: campNames.length };
+    });
+    return { kids, weeks, cells };
+};
+
+// --- Week Packets ---
+// A week packet is one column of the family overview, printed with each camp's hours, address,
+// friends, carpool and checklist. The morning checklist is one day of that, to tick off on a
+// phone; ticks are kept on the household under `checklistTicks[date]` so both parents see
+// them, and days more than a week old are cleared as new ticks come in.
+const CHECKLIST_TICK_DAYS = 7;
+
+export const isIsoDate = (text) => /^\d{4}-\d{2}-\d{2}$/.test(text) && addDays(text, 0) === text;
+
+// This week's packet, or next week's from Saturday on.
+export const getPacketMonday = (today = toIsoDate(new Date())) => getMondayOf(addDays(today, 2));
+
+// The week of the season `date` falls in, or null outside it.
+const getWeekIndexOn = (planData, date) => {
+    const weekIndex = Math.floor(daysBetween(planData.startDate, date) / 7);
+    return weekIndex >= 0 && weekIndex < planData.weekCount ? weekIndex : null;
+};
+
+// Every camp a family kid has on `date`, earliest first, as they attend it. Blocked weeks have none.
+const getDaySessions = (schedules, userData, uid, date) => schedules.filter(schedule => schedule.startDate).flatMap(schedule => {
+    const weekIndex = getWeekIndexOn(schedule, date);
+    if (weekIndex === null || isWeekBlocked(schedule, weekIndex)) return [];
+    return getFamilyKids(schedule, userData, uid).flatMap(kid => getKidCampsForWeek(schedule, kid, weekIndex).flatMap(camp => {
+        const sessionDay = getSessionDays(schedule, camp, weekIndex).find(({ date: sessionDate }) => sessionDate === date);
+        if (!sessionDay) return [];
+        return [{ kid, schedule, camp, weekIndex, day: sessionDay.day, status: getAssignmentStatus(schedule, getCellKey(camp.id, weekIndex), kid) }];
+    }));
+}).sort((sessionA, sessionB) => getCampTimeRange(sessionA.camp)[0] - getCampTimeRange(sessionB.camp)[0]);
+
+// Each kid with camp on `date`, and what to bring to each camp that day. Waitlisted spots don't count.
+export const buildMorningChecklist = (schedules, userData, uid, date) => {
+    const sessions = getDaySessions(schedules, userData, uid, date).filter(session => session.status !== 'waitlisted');
+    return [...new Set(sessions.map(session => session.kid))].sort((a, b) => a.localeCompare(b)).map(kid => ({
+        kid,
+        camps: sessions.filter(session => session.kid === kid).map(({ schedule, camp, weekIndex, day }) => ({
+            schedule,
+            camp,
+            items: getDayChecklist(schedule, kid, camp, weekIndex, day).map(item => ({ ...item, key: `${schedule.id}|${camp.id}|${kid}|${item.id}` })),
+        })),
+    }));
+};
+
+// Ticks or unticks one item, and clears ticks from days long gone.
+export const getChecklistTickUpdate = (household, date, key, isTicked, today = toIsoDate(new Date())) => {
+    const updates = { [`checklistTicks.${date}`]: isTicked ? arrayUnion(key) : arrayRemove(key) };
+    Object.keys(household.checklistTicks || {})
+        .filter(tickDate => tickDate !== date && tickDate < addDays(today, -CHECKLIST_TICK_DAYS))
+        .forEach(tickDate => { updates[`checklistTicks.${tickDate}`] = deleteField(); });
+    return updates;
+};
+
+// --- Daily Timeline ---
+// Where each kid is, hour by hour, for a day or a week, across every schedule. Camps with
+// hours (the camp's, or the kid's own for that week) are placed at their times; camps without
+// are listed above the hours as all day, mornings or afternoons.
+const TIMELINE_HOURS = [8, 17];
+
+export const TIMELINE_HOUR_HEIGHT = 48;
+
+// Each kid's camps on `date`, split into those with hours and those without, and why there's
+// no camp when their week is blocked.
+export const buildDayTimeline = (schedules, userData, uid, kids, date) => {
+    const sessions = getDaySessions(schedules, userData, uid, date);
+    return kids.map(kid => {
+        const kidSessions = sessions.filter(session => session.kid === kid);
+        const blockedSchedule = schedules.filter(schedule => schedule.startDate && getFamilyKids(schedule, userData, uid).includes(kid))
+            .find(schedule => getWeekIndexOn(schedule, date) !== null && isWeekBlocked(schedule, getWeekIndexOn(schedule, date)));
+        return {
+            kid,
+            timed: kidSessions.filter(({ camp }) => camp.startTime && camp.endTime),
+            untimed: kidSessions.filter(({ camp }) => !(camp.startTime && camp.endTime)),
+            blocked: blockedSchedule ? getBlockedWeekReason(blockedSchedule, getWeekIndexOn(blockedSchedule, date)) || 'Blocked' : null,
+        };
+    });
+};
+
+// The usual working day, widened to fit any camp that starts earlier or ends later.
+export const getTimelineHours = (lanes) => {
+    const ranges = lanes.flatMap(lane => lane.timed.map(({ camp }) => getCampTimeRange(camp)));
+    return [
+        Math.min(TIMELINE_HOURS[0], ...ranges.map(([start]) => Math.floor(start / 60))),
+        Math.max(TIMELINE_HOURS[1], ...ranges.map(([, end]) => Math.ceil(end / 60))),
+    ];
+};
+
+// --- Calendar Export ---
+// Each camp a kid attends in a given week becomes one iCalendar event: a timed event repeating
+// on the camp's days when we know its hours, otherwise an all-day one. UIDs only depend on the
+// schedule, camp, week and kid, so re-importing or refreshing a feed updates events in place.
+// Subscription feeds are the same file published to Cloud Storage, where its download URL
+// stays the same each time the schedule changes and we upload it again.
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+export const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const escapeIcsText = (text) => String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// Lines are limited to 75 octets; continuation lines start with a space.
+const foldIcsLine = (line) => {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let chunk = '';
+    let chunkBytes = 0;
+    for (const char of line) {
+        const charBytes = encoder.encode(char).length;
+        if (chunkBytes + charBytes > (chunks.length ? 74 : 75)) {
+            chunks.push(chunk);
+            chunk = '';
+            chunkBytes = 0;
+        }
+        chunk += char;
+        chunkBytes += charBytes;
+    }
+    chunks.push(chunk);
+    return chunks.join('\r\n ');
+};
+
+const toIcsDate = (isoDate) => isoDate.replace(/-/g, '');
+
+// Floating local time, so 9:00 stays 9:00 on whichever device shows it.
+const toIcsDateTime = (isoDate, time) => `${toIcsDate(isoDate)}T${time.replace(':', '')}00`;
+
+const getSessionDates = (planData, camp, weekIndex) => getSessionDays(planData, camp, weekIndex).map(({ date }) => date).sort();
+
+export const buildKidCalendar = (planData, kid, now = new Date()) => {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Camp Planner 2//Camp Calendar//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(`${kid}'s ${getSeasonName(planData)} camps`)}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+        'X-PUBLISHED-TTL:PT12H',
+    ];
+    for (let weekIndex = 0; weekIndex < planData.weekCount; weekIndex++) {
+        if (isWeekBlocked(planData, weekIndex)) continue;
+        getKidCampsForWeek(planData, kid, weekIndex).forEach(camp => {
+            const dates = getSessionDates(planData, camp, weekIndex);
+            if (!dates.length) return;
+            const firstDate = dates[0];
+            const lastDate = dates[dates.length - 1];
+            const byDay = dates.map(date => ICS_WEEKDAYS[parseIsoDate(date).getUTCDay()]).join(',');
+            const friends = (planData.schedule[getCellKey(camp.id, weekIndex)] || []).filter(friend => friend !== kid);
+            const description = [
+                friends.length ? `Friends: ${friends.join(', ')}` : 'No friends signed up yet',
+                formatCampSession(camp),
+                camp.website ? getWebsiteUrl(camp.website) : '',
+            ].filter(Boolean).join('\n');
+
+            lines.push('BEGIN:VEVENT', `UID:${planData.id}-${camp.id}-${weekIndex}-${slugify(kid)}@camp-planner`, `DTSTAMP:${stamp}`);
+            if (camp.startTime && camp.endTime) {
+                lines.push(`DTSTART:${toIcsDateTime(firstDate, camp.startTime)}`, `DTEND:${toIcsDateTime(firstDate, camp.endTime)}`);
+                if (dates.length > 1) lines.push(`RRULE:FREQ=WEEKLY;BYDAY=${byDay};UNTIL=${toIcsDateTime(lastDate, '23:59')}`);
+            } else if (daysBetween(firstDate, lastDate) === dates.length - 1) {
+                lines.push(`DTSTART;VALUE=DATE:${toIcsDate(firstDate)}`, `DTEND;VALUE=DATE:${toIcsDate(addDays(lastDate, 1))}`);
+            } else {
+                lines.push(`DTSTART;VALUE=DATE:${toIcsDate(firstDate)}`, `DTEND;VALUE=DATE:${toIcsDate(addDays(firstDate, 1))}`, `RRULE:FREQ=WEEKLY;BYDAY=${byDay};UNTIL=${toIcsDate(lastDate)}`);
+            }
+            lines.push(`SUMMARY:${escapeIcsText(`${kid}: ${camp.name}`)}`, `DESCRIPTION:${escapeIcsText(description)}`);
+            if (camp.address) lines.push(`LOCATION:${escapeIcsText(camp.address)}`);
+            if (camp.website) lines.push(`URL:${getWebsiteUrl(camp.website)}`);
+            lines.push('END:VEVENT');
+        });
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+};
+
+export const getCalendarFileName = (planData, kid) => `${slugify(kid)}-${slugify(getSeasonName(planData))}-camps.ics`;
+
+// A cheap fingerprint of the calendar's content (ignoring DTSTAMP) so a feed is only
+// uploaded again when something in it changed.
+export const getCalendarHash = (planData, kid) => {
+    const calendar = buildKidCalendar(planData, kid, new Date(0));
+    let hash = 5381;
+    for (let i = 0; i < calendar.length; i++) hash = ((hash << 5) + hash + calendar.charCodeAt(i)) | 0;
+    return (hash >>> 0).toString(36);
+};
+
+// Calendar apps want webcal:// to offer a subscription instead of a one-off import.
+export const getWebcalUrl = (url) => url.replace(/^https?:\/\//, 'webcal://');
+
+// --- Import & Export ---
+// The JSON file is a full backup of one schedule. `version` goes up whenever its shape
+// changes so older files can still be read. The CSV is the grid a spreadsheet would have:
+// a few "label,value" rows for the season and kids, a header row, then one row per camp
+// with each week's attendees separated by semicolons.
+// Importing merges into the current schedule: every camp-week in the file replaces that
+// cell, and camps or weeks the file doesn't mention are left alone.
+const SCHEDULE_FILE_FORMAT = 'camp-planner-schedule';
+const SCHEDULE_FILE_VERSION = 1;
+
+const CSV_LABELS = { seasonName: 'Season', startDate: 'Start date', endDate: 'End date', kids: 'Kids', blockedWeeks: 'Blocked weeks', camp: 'Camp' };
+
+const getSeasonSettings = (planData) => ({
+    seasonName: getSeasonName(planData),
+    startDate: planData.startDate || '',
+    endDate: getSeasonEndDate(planData),
+    weekCount: planData.weekCount,
+    blockedWeeks: planData.blockedWeeks || {},
+});
+
+export const buildScheduleJson = (planData) => ({
+    format: SCHEDULE_FILE_FORMAT,
+    version: SCHEDULE_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    season: getSeasonSettings(planData),
+    kids: planData.allKids || [],
+    camps: sortCamps(planData.camps).map(camp => ({
+        ...camp,
+        weeks: Array.from({ length: planData.weekCount }, (_, weekIndex) => planData.schedule[getCellKey(camp.id, weekIndex)] || []),
+    })),
+});
+
+const toCsvCell = (value) => /[",\r\n]|^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+// The byte order mark makes Excel read the file as UTF-8.
+export const formatScheduleCsv = (planData) => {
+    const blockedWeeks = Object.keys(planData.blockedWeeks || {}).map(Number).sort((a, b) => a - b)
+        .map(weekIndex => `Week ${weekIndex + 1}${planData.blockedWeeks[weekIndex] ? `: ${planData.blockedWeeks[weekIndex]}` : ''}`);
+    const rows = [
+        [CSV_LABELS.seasonName, getSeasonName(planData)],
+        [CSV_LABELS.startDate, planData.startDate || ''],
+        [CSV_LABELS.endDate, getSeasonEndDate(planData)],
+        [CSV_LABELS.kids, [...(planData.allKids || [])].sort((a, b) => a.localeCompare(b)).join('; ')],
+        [CSV_LABELS.blockedWeeks, blockedWeeks.join('; ')],
+        [],
+        [CSV_LABELS.camp, ...Array.from({ length: planData.weekCount }, (_, weekIndex) => {
+            const weekStart = getWeekStartDate(planData, weekIndex);
+            return `Week ${weekIndex + 1}${weekStart ? ` (${weekStart})` : ''}`;
+        })],
+        ...sortCamps(planData.camps).map(camp => [
+            camp.name,
+            ...Array.from({ length: planData.weekCount }, (_, weekIndex) => (planData.schedule[getCellKey(camp.id, weekIndex)] || []).join('; ')),
+        ]),
+    ];
+    return '\uFEFF' + rows.map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+};
+
+const splitNames = (value) => [...new Set((value || '').split(/[;,\n]/).map(name => name.trim()).filter(Boolean))];
+
+// Files from elsewhere may have any season dates; anything we couldn't use is dropped.
+const toImportedSeason = (season) => {
+    if (!season || !/^\d{4}-\d{2}-\d{2}$/.test(season.startDate || '')) return null;
+    const endDate = /^\d{4}-\d{2}-\d{2}$/.test(season.endDate || '') && season.endDate >= season.startDate ? season.endDate : null;
+    const weekCount = endDate ? countSeasonWeeks(season.startDate, endDate) : Number(season.weekCount);
+    if (!Number.isInteger(weekCount) || weekCount < 1 || weekCount > MAX_SEASON_WEEKS) return null;
+    const blockedWeeks = {};
+    Object.entries(season.blockedWeeks || {}).forEach(([weekIndex, reason]) => {
+        if (Number(weekIndex) < weekCount) blockedWeeks[Number(weekIndex)] = typeof reason === 'string' ? reason : '';
+    });
+    return {
+        seasonName: (typeof season.seasonName === 'string' && season.seasonName.trim()) || 'Summer',
+        startDate: season.startDate,
+        endDate: endDate || addDays(season.startDate, weekCount * 7 - 3),
+        weekCount,
+        blockedWeeks,
+    };
+};
+
+// Both parsers return { season, kids, camps: [{ id, name, details, weeks }] } where `details`
+// is null when the file only names the camp, and `weeks[weekIndex]` lists its attendees.
+const parseScheduleCsv = (text) => {
+    const rows = parseCsv(text.replace(/^\uFEFF/, '')).map(row => row.map(cell => cell.trim()));
+    const headerIndex = rows.findIndex(row => row[0].toLowerCase() === CSV_LABELS.camp.toLowerCase());
+    if (headerIndex === -1) throw new Error(`Couldn't find the "${CSV_LABELS.camp}" header row. The first column of the grid should be headed "${CSV_LABELS.camp}".`);
+
+    const settings = {};
+    rows.slice(0, headerIndex).forEach(([label, value]) => {
+        const field = Object.keys(CSV_LABELS).find(key => CSV_LABELS[key].toLowerCase() === label.toLowerCase());
+        if (field) settings[field] = value || '';
+    });
+    const blockedWeeks = {};
+    (settings.blockedWeeks || '').split(';').forEach(entry => {
+        const match = entry.trim().match(/^week\s*(\d+)\s*:?\s*(.*)$/i);
+        if (match) blockedWeeks[Number(match[1]) - 1] = match[2].trim();
+    });
+
+    // "Week 3 (2026-07-06)" columns are read by their number; anything else by position.
+    const weekColumns = rows[headerIndex].slice(1).map((label, column) => {
+        const match = label.match(/^week\s*(\d+)/i);
+        return match ? Number(match[1]) - 1 : column;
+    });
+    const camps = rows.slice(headerIndex + 1).filter(row => row[0]).map(([name, ...cells]) => {
+        const weeks = [];
+        cells.forEach((cell, column) => {
+            if (weekColumns[column] !== undefined) weeks[weekColumns[column]] = splitNames(cell);
+        });
+        return { id: null, name, details: null, weeks };
+    });
+
+    return {
+        season: toImportedSeason({ ...settings, weekCount: weekColumns.length, blockedWeeks }),
+        kids: splitNames(settings.kids),
+        camps,
+    };
+};
+
+const parseScheduleJson = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error("This file isn't valid JSON.");
+    }
+    if (!data || data.format !== SCHEDULE_FILE_FORMAT) throw new Error("This doesn't look like a Camp Planner schedule file.");
+    if (!(data.version >= 1 && data.version <= SCHEDULE_FILE_VERSION)) throw new Error(`This file uses format version ${data.version}, which this version of Camp Planner can't read.`);
+
+    const toNames = (names) => Array.isArray(names) ? [...new Set(names.filter(name => typeof name === 'string' && name.trim()).map(name => name.trim()))] : [];
+    const camps = (Array.isArray(data.camps) ? data.camps : [])
+        .filter(camp => camp && typeof camp.name === 'string' && camp.name.trim())
+        .map(camp => {
+            const details = Object.fromEntries(Object.keys(EMPTY_CAMP).map(field => [field, camp[field] === undefined || (typeof camp[field] === 'object' && !Array.isArray(camp[field])) ? EMPTY_CAMP[field] : camp[field]]));
+            return {
+                id: typeof camp.id === 'string' && camp.id ? camp.id : null,
+                name: camp.name.trim(),
+                details: normalizeCamp(details),
+                weeks: Array.isArray(camp.weeks) ? camp.weeks.map(toNames) : [],
+            };
+        });
+    return { season: toImportedSeason(data.season), kids: toNames(data.kids), camps };
+};
+
+export const parseScheduleFile = (fileName, text) => /\.json$/i.test(fileName) || text.trim().startsWith('{') ? parseScheduleJson(text) : parseScheduleCsv(text);
+
+export const seasonDiffers = (planData, season) => !!season && ['seasonName', 'startDate', 'endDate', 'weekCount', 'blockedWeeks'].some(field => JSON.stringify(season[field]) !== JSON.stringify(getSeasonSettings(planData)[field]));
+
+// Works out everything an import would change, for the preview, along with the single
+// `updateDoc` payload that applies it and the history entry for the camp-weeks it changes
+// (null when it changes none). Only those camp-weeks are written, by field path, so an
+// import doesn't undo other members' edits to the rest of the schedule.
+export const planScheduleImport = (planData, imported, { addUnknownKids, applySeason, claimUids = Object.keys(planData.carpoolClaims || {}) }) => {
+    const target = { ...planData, ...(applySeason && imported.season) };
+    const currentKids = planData.allKids || [];
+    const importedNames = new Set([...imported.kids, ...imported.camps.flatMap(camp => camp.weeks.flat())]);
+    const unknownKids = [...importedNames].filter(name => !currentKids.includes(name)).sort((a, b) => a.localeCompare(b));
+    const allKids = addUnknownKids && unknownKids.length ? [...currentKids, ...unknownKids].sort((a, b) => a.localeCompare(b)) : currentKids;
+
+    const camps = [...(planData.camps || [])];
+    const newCamps = [];
+    const updatedCamps = [];
+    const schedule = { ...planData.schedule };
+    const snapshots = {};
+    const changedCells = [];
+    const skippedCells = [];
+
+    imported.camps.forEach(({ id, name, details, weeks }) => {
+        const matchIndex = camps.findIndex(camp => camp.id === id || camp.name.trim().toLowerCase() === name.toLowerCase());
+        let camp = camps[matchIndex];
+        if (!camp) {
+            camp = { ...(details || { ...EMPTY_CAMP, name }), id: id && isGeneratedId(id) && !camps.some(other => other.id === id) ? id : generateId() };
+            camps.push(camp);
+            newCamps.push(camp);
+        } else if (details && JSON.stringify({ ...details, id: camp.id }) !== JSON.stringify(normalizeCamp(camp))) {
+            camp = { ...details, id: camp.id };
+            camps[matchIndex] = camp;
+            updatedCamps.push(camp);
+        }
+
+        weeks.forEach((names, weekIndex) => {
+            if (!names) return;
+            const attendees = names.filter(name => allKids.includes(name));
+            const key = getCellKey(camp.id, weekIndex);
+            const before = schedule[key] || [];
+            if (weekIndex >= target.weekCount || isWeekBlocked(target, weekIndex)) {
+                if (attendees.length) skippedCells.push({ camp, weekIndex, names: attendees, reason: weekIndex >= target.weekCount ? 'Outside the season' : 'Blocked week' });
+                return;
+            }
+            if ([...before].sort().join('|') === [...attendees].sort().join('|')) return;
+            changedCells.push({ camp, weekIndex, before, after: attendees });
+            if (attendees.length) schedule[key] = attendees;
+            else delete schedule[key];
+            snapshots[key] = { ...getCellSnapshot(planData, key), attendees };
+        });
+    });
+
+    // A new season can't keep bookings, or anything else about them, in weeks it no longer
+    // has or now blocks.
+    let carpoolUpdates = {};
+    if (applySeason) {
+        const isDropped = ({ weekIndex }) => weekIndex >= target.weekCount || isWeekBlocked(target, weekIndex);
+        Object.keys(schedule).forEach(key => {
+            if (isDropped(parseCellKey(key))) delete schedule[key];
+        });
+        getRecordedCellKeys(planData).filter(key => isDropped(parseCellKey(key))).forEach(key => {
+            snapshots[key] = EMPTY_CELL_SNAPSHOT;
+        });
+        carpoolUpdates = getClearedCarpoolUpdates(planData, isDropped, claimUids);
+    }
+
+    const bookingKey = ({ kid, weekIndex, camps: [campA, campB] }) => `${kid}|${weekIndex}|${campA.id}|${campB.id}`;
+    const existingDoubleBookings = new Set(findDoubleBookings(planData).map(bookingKey));
+    const newDoubleBookings = findDoubleBookings({ ...target, allKids, camps, schedule }).filter(booking => !existingDoubleBookings.has(bookingKey(booking)));
+
+    const change = buildCellsChange(planData, snapshots);
+    const updates = { camps: sortCamps(camps), ...carpoolUpdates, ...(change && change.updates) };
+    if (allKids !== currentKids) updates.allKids = allKids;
+    if (applySeason && imported.season) Object.assign(updates, imported.season);
+
+    return {
+        unknownKids,
+        newCamps,
+        updatedCamps,
+        changedCells,
+        // Cells that already had kids in them and would now have different ones.
+        overwrittenCells: changedCells.filter(cell => cell.before.length),
+        skippedCells,
+        newDoubleBookings,
+        updates,
+        entry: change && change.entry,
+    };
+};
+
+// --- Budget ---
+// Costs are worked out for the viewing family's own kids only. The budget cap and the
+// payments they've made live on their user document, not on the shared schedule.
+export const PAYMENT_KINDS = { deposit: 'Deposit', balance: 'Balance' };
+
+export const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// A cap of 0 is still a cap: only a missing one means "no budget".
+export const getBudgetCap = (budget) => (budget && budget.cap !== null && budget.cap !== undefined ? budget.cap : null);
+
+const applyPercentOff = (amount, percent) => amount * (1 - Math.min(Math.max(percent || 0, 0), 100) / 100);
+
+// The schedule's kids who are in the household. Schedules from before households only name
+// their kid in `kidName`, which is the owner's; other members have none of their own there.
+export const getFamilyKids = (planData, userData, uid) => {
+    const householdKids = (userData && userData.kids) || [];
+    const familyKids = (planData.allKids || []).filter(kid => householdKids.includes(kid));
+    if (familyKids.length) return familyKids;
+    return getScheduleRole(planData, uid, userData && userData.householdId) === 'owner' && planData.kidName ? [planData.kidName] : [];
+};
+
+// Sibling discounts apply to the second and later of the family's kids in the same
+// camp-week; multi-week discounts apply to every week once a kid is booked for at
+// least `multiWeekMinimum` weeks of that camp.
+export const calculateBudget = (planData, familyKids, payments = []) => {
+    const camps = sortCamps(planData.camps);
+    const entries = [];
+    camps.forEach(camp => {
+        for (let weekIndex = 0; weekIndex < planData.weekCount; weekIndex++) {
+            const siblings = (planData.schedule[getCellKey(camp.id, weekIndex)] || []).filter(kid => familyKids.includes(kid)).sort((a, b) => a.localeCompare(b));
+            siblings.forEach((kid, siblingOrder) => entries.push({ kid, camp, weekIndex, siblingOrder }));
+        }
+    });
+
+    const weekCountFor = (kid, campId) => entries.filter(entry => entry.kid === kid && entry.camp.id === campId).length;
+    const weekCosts = {};
+    const kidTotals = Object.fromEntries(familyKids.map(kid => [kid, 0]));
+    const weekTotals = Array.from({ length: planData.weekCount }, () => 0);
+    const bookings = {};
+
+    entries.forEach(({ kid, camp, weekIndex, siblingOrder }) => {
+        let cost = camp.weeklyCost || 0;
+        if (siblingOrder > 0) cost = applyPercentOff(cost, camp.siblingDiscount);
+        if (camp.multiWeekMinimum && weekCountFor(kid, camp.id) >= camp.multiWeekMinimum) cost = applyPercentOff(cost, camp.multiWeekDiscount);
+        cost = roundCents(cost);
+
+        weekCosts[kid] = weekCosts[kid] || {};
+        weekCosts[kid][weekIndex] = roundCents((weekCosts[kid][weekIndex] || 0) + cost);
+        kidTotals[kid] = roundCents((kidTotals[kid] || 0) + cost);
+        weekTotals[weekIndex] = roundCents(weekTotals[weekIndex] + cost);
+
+        const bookingKey = `${kid}|${camp.id}`;
+        bookings[bookingKey] = bookings[bookingKey] || { kid, camp, weeks: [], cost: 0, deposit: 0 };
+        bookings[bookingKey].weeks.push(weekIndex);
+        bookings[bookingKey].cost = roundCents(bookings[bookingKey].cost + cost);
+        bookings[bookingKey].deposit = roundCents(Math.min(bookings[bookingKey].cost, bookings[bookingKey].deposit + (camp.deposit || 0)));
+    });
+
+    const bookingList = Object.values(bookings).map(booking => {
+        const paid = roundCents(payments.filter(payment => payment.kid === booking.kid && payment.campId === booking.camp.id).reduce((sum, payment) => sum + payment.amount, 0));
+        return { ...booking, paid, balance: roundCents(booking.cost - paid) };
+    }).sort((a, b) => a.kid.localeCompare(b.kid) || a.camp.name.localeCompare(b.camp.name));
+
+    const total = roundCents(weekTotals.reduce((sum, cost) => sum + cost, 0));
+    const totalPaid = roundCents(payments.reduce((sum, payment) => sum + payment.amount, 0));
+    return { weekCosts, kidTotals, weekTotals, bookings: bookingList, total, totalPaid, balance: roundCents(total - totalPaid) };
+};
+
+export const getPaymentStatus = (booking) => {
+    if (booking.cost > 0 && booking.paid >= booking.cost) return { label: 'Paid in full', className: 'bg-green-100 text-green-800' };
+    if (booking.deposit > 0 && booking.paid >= booking.deposit) return { label: 'Deposit paid', className: 'bg-blue-100 text-blue-800' };
+    if (booking.paid > 0) return { label: 'Partly paid', className: 'bg-yellow-100 text-yellow-800' };
+    return { label: 'Unpaid', className: 'bg-red-100 text-red-800' };
+};
+
+// --- Reminders ---
+// Reminders aren't stored: they're worked out from the household's schedules whenever those
+// change, so editing a deadline or booking a week updates them too. Each has a stable `id`,
+// and the user document only remembers which ones that parent has read, dismissed or been
+// emailed. A reminder shows from `lead` days before its date until the day itself.
+export const REMINDER_TYPES = {
+    deadline: { label: 'Registration', lead: 14, className: 'bg-red-100 text-red-800' },
+    payment: { label: 'Payment', lead: 7, className: 'bg-amber-100 text-amber-800' },
+    campStart: { label: 'Camp starts', lead: 3, className: 'bg-green-100 text-green-800' },
+    digest: { label: 'Weekly digest', lead: 2, className: 'bg-blue-100 text-blue-800' },
+};
+
+export const formatWeekday = (isoDate) => parseIsoDate(isoDate).toLocaleDateString('default', { weekday: 'long', timeZone: 'UTC' });
+
+// Everything with a date, whether or not it's close enough to show yet.
+const getScheduleEvents = (schedule, userData, uid) => {
+    const familyKids = getFamilyKids(schedule, userData, uid);
+    const payments = ((userData.budgets || {})[schedule.id] || {}).payments || [];
+    const camps = sortCamps(schedule.camps);
+    const events = [];
+
+    // Kids who are only "interested" still need registering.
+    camps.filter(camp => camp.registrationDeadline).forEach(camp => {
+        const kids = familyKids.filter(kid => Array.from({ length: schedule.weekCount }, (_, weekIndex) => getCellKey(camp.id, weekIndex))
+            .some(key => (schedule.schedule[key] || []).includes(kid) && getAssignmentStatus(schedule, key, kid) === 'interested'));
+        if (!kids.length) return;
+        events.push({ id: `deadline:${schedule.id}:${camp.id}`, type: 'deadline', scheduleId: schedule.id, date: camp.registrationDeadline, title: `Register ${formatNameList(kids)} for ${camp.name}`, details: [`Registration closes ${formatLongDate(camp.registrationDeadline)}.`, camp.website ? getWebsiteUrl(camp.website) : ''].filter(Boolean) });
+    });
+
+    // Without a due date the balance is due by the first day of camp.
+    calculateBudget(schedule, familyKids, payments).bookings.filter(booking => booking.balance > 0).forEach(booking => {
+        const date = booking.camp.paymentDueDate || getSessionDates(schedule, booking.camp, booking.weeks[0])[0];
+        if (!date) return;
+        const depositDue = roundCents(booking.deposit - booking.paid);
+        events.push({ id: `payment:${schedule.id}:${booking.camp.id}:${booking.kid}`, type: 'payment', scheduleId: schedule.id, date, title: `Pay ${formatCurrency(booking.balance)} for ${booking.kid} at ${booking.camp.name}`, details: [`${formatCurrency(booking.paid)} of ${formatCurrency(booking.cost)} paid so far.`, depositDue > 0 ? `The deposit of ${formatCurrency(booking.deposit)} isn't covered yet.` : ''].filter(Boolean) });
+    });
+
+    // The first week of each run of weeks at the same camp. Waitlisted kids aren't going yet.
+    familyKids.forEach(kid => {
+        for (let weekIndex = 0; weekIndex < schedule.weekCount; weekIndex++) {
+            getKidCampsForWeek(schedule, kid, weekIndex).forEach(camp => {
+                if (getAssignmentStatus(schedule, getCellKey(camp.id, weekIndex), kid) === 'waitlisted') return;
+                if (!isFirstWeekAtCamp(schedule, kid, camp.id, weekIndex)) return;
+                const [firstDay] = getSessionDays(schedule, camp, weekIndex);
+                if (!firstDay) return;
+                const items = getDayChecklist(schedule, kid, camp, weekIndex, firstDay.day);
+                const formatItems = (kind) => items.filter(item => item.kind === kind).map(item => item.text).join(', ');
+                events.push({ id: `campStart:${schedule.id}:${camp.id}:${kid}:${weekIndex}`, type: 'campStart', scheduleId: schedule.id, date: firstDay.date, title: `${kid} starts ${camp.name} on ${formatWeekday(firstDay.date)}`, details: [formatCampHours(camp), camp.address, formatItems('pack') && `Pack: ${formatItems('pack')}`, formatItems('form') && `Hand in: ${formatItems('form')}`].filter(Boolean) });
+            });
+        }
+    });
+    return events;
+};
+
+// Monday's digest covers that week: who's at which camp, plus anything else that falls due.
+const buildWeeklyDigest = (schedules, userData, uid, events, monday) => {
+    const sunday = addDays(monday, 6);
+    const camps = schedules.flatMap(schedule => {
+        const weekIndex = Math.floor(daysBetween(schedule.startDate, monday) / 7);
+        if (weekIndex < 0 || weekIndex >= schedule.weekCount) return [];
+        return getFamilyKids(schedule, userData, uid).map(kid => {
+            const kidCamps = getKidCampsForWeek(schedule, kid, weekIndex);
+            return kidCamps.length ? `${kid}: ${kidCamps.map(camp => camp.name).join(' and ')}` : '';
+        }).filter(Boolean);
+    });
+    const dueThisWeek = events.filter(event => event.type !== 'campStart' && event.date >= monday && event.date <= sunday).map(event => `${formatShortDate(event.date)}: ${event.title}`);
+    if (!camps.length && !dueThisWeek.length) return null;
+    return { id: `digest:${monday}`, type: 'digest', scheduleId: null, date: monday, title: `Your week of ${formatShortDate(monday)}`, details: [...new Set(camps), ...dueThisWeek] };
+};
+
+export const getReminders = (schedules, userData, uid, today = toIsoDate(new Date())) => {
+    const liveSchedules = schedules.filter(schedule => !isScheduleDeleted(schedule) && schedule.startDate);
+    const events = liveSchedules.flatMap(schedule => getScheduleEvents(schedule, userData, uid));
+    // getUTCDay() counts Monday as 1.
+    const monday = addDays(today, (8 - parseIsoDate(today).getUTCDay()) % 7);
+    const digest = buildWeeklyDigest(liveSchedules, userData, uid, events, monday);
+    return [...events, ...(digest ? [digest] : [])]
+        .map(reminder => ({ ...reminder, daysUntil: daysBetween(today, reminder.date) }))
+        .filter(reminder => reminder.daysUntil >= 0 && reminder.daysUntil <= REMINDER_TYPES[reminder.type].lead)
+        .sort((a, b) => a.date.localeCompare(b.date) || a.title.localeCompare(b.title));
+};
+
+export const formatDaysUntil = (daysUntil) => daysUntil === 0 ? 'Today' : daysUntil === 1 ? 'Tomorrow' : `In ${daysUntil} days`;
+
+// Keeps only the IDs of reminders that are still showing, so the lists don't grow forever.
+export const keepCurrentReminderIds = (ids, reminders) => (ids || []).filter(id => reminders.some(reminder => reminder.id === id));
+
+// The security rules cap what goes into `mail`, so a long title is cut short, and details
+// that don't fit are left for the app to show.
+export const MAX_EMAIL_SUBJECT_LENGTH = 200;
+export const MAX_EMAIL_HTML_LENGTH = 20000;
+
+const escapeHtml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+export const formatReminderEmail = (reminder) => {
+    const subject = `${REMINDER_TYPES[reminder.type].label}: ${reminder.title}`;
+    const heading = `<p><strong>${escapeHtml(reminder.title)}</strong><br>${escapeHtml(`${formatDaysUntil(reminder.daysUntil)} (${formatLongDate(reminder.date)})`)}</p>`;
+    const details = reminder.details.map(escapeHtml);
+    let html = details.length ? `${heading}\n<p>${details.join('<br>')}</p>` : heading;
+    while (html.length > MAX_EMAIL_HTML_LENGTH && details.length) {
+        details.pop();
+        html = `${heading}\n<p>${[...details, 'More in the app.'].join('<br>')}</p>`;
+    }
+    return {
+        subject: subject.length > MAX_EMAIL_SUBJECT_LENGTH ? `${subject.slice(0, MAX_EMAIL_SUBJECT_LENGTH - 1)}…` : subject,
+        html,
+    };
+};
+
+// A transport is anything with `send({ to, subject, html })` returning a promise, and
+// `delivers` saying whether the email really goes out. The local one only keeps what it was
+// given, for development and tests, so nothing it's given counts as emailed. The Firestore one
+// queues a document in `mail` for the Trigger Email extension to deliver, and is the default
+// with Firebase. Pick another with VITE_EMAIL_TRANSPORT.
+const createLocalEmailTransport = () => {
+    const sent = [];
+    return {
+        sent,
+        delivers: false,
+        send: async (message) => { sent.push(message); },
+    };
+};
+
+const createFirestoreEmailTransport = () => ({
+    delivers: true,
+    send: ({ to, subject, html }) => queueMail(to, { subject, html }),
+});
+
+const EMAIL_TRANSPORTS = { local: createLocalEmailTransport, firestore: createFirestoreEmailTransport };
+
+export const getEmailTransport = (name = import.meta.env.VITE_EMAIL_TRANSPORT || (isLocalBackend ? 'local' : 'firestore')) => (EMAIL_TRANSPORTS[name] || EMAIL_TRANSPORTS.local)();
+
+// Resolves with the IDs that were emailed: none from a transport that doesn't deliver.
+// Failures are logged and tried again next time.
+export const sendReminderEmails = async (transport, to, reminders) => {
+    const results = await Promise.allSettled(reminders.map(reminder => transport.send({ to, ...formatReminderEmail(reminder) })));
+    results.filter(result => result.status === 'rejected').forEach(result => console.error("Error sending reminder email:", result.reason));
+    if (!transport.delivers) return [];
+    return reminders.filter((reminder, i) => results[i].status === 'fulfilled').map(reminder => reminder.id);
+};
+
+// --- Account ---
+// A parent can download everything the app keeps for them, and delete their account. Each
+// schedule is settled first: one the household shares goes to another parent in it, one they
+// own alone is handed to a member they pick or deleted for good, and they come off the ones
+// shared with them. Their user document goes next, then the household (which is deleted,
+// with its friend sharing, if they were its last parent) and last of all their sign-in.
+const ACCOUNT_FILE_FORMAT = 'camp-planner-account';
+const ACCOUNT_FILE_VERSION = 1;
+
+// Schedules are in the same shape as a schedule backup, so each one can be imported again.
+export const buildAccountJson = (user, userData, household, schedules) => ({
+    format: ACCOUNT_FILE_FORMAT,
+    version: ACCOUNT_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    email: user.email || '',
+    settings: userData,
+    household: household && { kids: household.kids || [], kidProfiles: household.kidProfiles || {}, parents: Object.values(household.memberEmails || {}) },
+    schedules: schedules.map(schedule => ({ id: schedule.id, ...buildScheduleJson(schedule) })),
+});
+
+export const SIGN_IN_METHODS = { password: 'Email and password', 'google.com': 'Google' };
+
+export const getSignInMethods = (user) => (user.providerData || []).map(provider => provider.providerId);
+
+// What happens to each schedule: 'household' (another parent in it takes over), 'transfer'
+// (to the member in `to`), 'delete' or 'leave'. `handTo` maps schedule IDs to the member
+// picked for them; schedules without one are deleted.
+export const getAccountDeletionPlan = (schedules, user, household, handTo = {}) => {
+    const otherParents = (household.members || []).filter(uid => uid !== user.uid);
+    return schedules.map(schedule => {
+        if (getScheduleRole(schedule, user.uid, household.id) !== 'owner') return { schedule, outcome: 'leave', candidates: [] };
+        if (otherParents.length && schedule.householdId === household.id) return { schedule, outcome: 'household', to: otherParents[0], candidates: [] };
+        const candidates = isScheduleDeleted(schedule) ? [] : (schedule.collaborators || []);
+        const to = candidates.includes(handTo[schedule.id]) ? handTo[schedule.id] : null;
+        return { schedule, outcome: to ? 'transfer' : 'delete', to, candidates };
+    });
+};
+
+// The new owner comes off the members list. A schedule handed to a member leaves the
+// household, and joins theirs the next time they open the app.
+const getOwnershipTransfer = (planData, fromUid, toUid, toEmail, householdId) => ({
+    ...getMemberRemoval(planData, fromUid),
+    collaborators: arrayRemove(toUid),
+    [`roles.${toUid}`]: deleteField(),
+    [`memberEmails.${toUid}`]: toEmail || '',
+    ownerId: toUid,
+    householdId,
+});
+
+// What deleteAccount writes for one step of the plan: the schedule's updates, or null when
+// it's to be deleted for good.
+export const getScheduleSettlement = (user, household, { schedule, outcome, to }) => {
+    switch (outcome) {
+        case 'delete':
+            return null;
+        case 'transfer':
+            return getOwnershipTransfer(schedule, user.uid, to, (schedule.memberEmails || {})[to], '');
+        case 'household':
+            if (schedule.ownerId === user.uid) {
+                return getOwnershipTransfer(schedule, user.uid, to, (household.memberEmails || {})[to], schedule.householdId);
+            }
+            return getMemberRemoval(schedule, user.uid);
+        default:
+            return getMemberRemoval(schedule, user.uid);
+    }
+};
+
+export const describeAccountError = (err) => {
+    switch (err.code) {
+        case 'auth/wrong-password':
+        case 'auth/invalid-credential': return "That password isn't right.";
+        case 'auth/invalid-email': return "Please enter a valid email address.";
+        case 'auth/email-already-in-use': return "Another account already uses that email.";
+        case 'auth/weak-password': return "Password is too weak. It should be at least 6 characters long.";
+        case 'auth/credential-already-in-use': return "That Google account already signs in to a different Camp Planner account.";
+        case 'auth/provider-already-linked': return "That sign-in method is already linked.";
+        case 'auth/requires-recent-login': return "For your security, sign out and back in, then try again.";
+        case 'auth/popup-closed-by-user': return "The Google popup was closed before completion.";
+        case 'auth/user-mismatch': return "That Google account isn't the one linked to this account.";
+        case 'auth/too-many-requests': return "Too many attempts. Wait a few minutes and try again.";
+        default: return err.message || "Something went wrong. Please try again.";
+    }
+};
@@ -0,0 +1,679 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createLocalBackend, createDataOperations, arrayUnion, arrayRemove, deleteField } from './data.js';
+import { buildCellsChange, getRevertUpdates, normalizeHistoryEntry, getHistorySubject, describeHistoryChanges, generateInviteCode, buildFriendShareKids, findFriendOverlaps,
+    getAttendanceError, normalizeAttendance, formatReminderEmail, sendReminderEmails, getEmailTransport, MAX_EMAIL_SUBJECT_LENGTH, MAX_EMAIL_HTML_LENGTH,
+    calculateBudget, getBudgetCap, toNumberOrNull, getDefaultSeason, countSeasonWeeks, getWeekStartDate, getWeekLabel, getSeasonEndDate,
+    getBlockedWeekReason, isWeekBlocked, campSessionsOverlap, findDoubleBookings, getKidCoverage, formatCoverageGaps,
+    buildKidCalendar, parseScheduleFile, formatScheduleCsv, planScheduleImport, suggestPlans, getWeekChecklist, getChecklistTickUpdate, buildFamilyOverview, getLiveSchedules, getFamilyKids, getMemberKids, getEditableClaimUids, buildCampsChange, buildSeasonChange, renameKidInSchedule } from './planner.js';
+
+const planData = {
+    camps: [{ id: 'swim', name: 'Swim' }, { id: 'art', name: 'Art' }],
+    schedule: { 'swim-0': ['Ada'], 'art-1': ['Ben'] },
+    statuses: { 'swim-0': { Ada: 'paid' } },
+    startDate: '2026-06-29',
+    weekCount: 4,
+};
+
+const snapshot = (attendees, statuses = {}) => ({ attendees, statuses, attendance: {}, sessionNote: { capacity: null, spotsLeft: null } });
+
+describe('generateInviteCode', () => {
+    it('makes 8-character codes without look-alike characters', () => {
+        const codes = Array.from({ length: 50 }, generateInviteCode);
+        codes.forEach(code => expect(code).toMatch(/^[A-HJ-NP-Z2-9]{8}$/));
+        expect(new Set(codes).size).toBe(codes.length);
+    });
+});
+
+describe('friends', () => {
+    const schedule = { ...planData, allKids: ['Sam Lee', 'Sam Park'], schedule: { 'swim-0': ['Sam Lee'], 'art-0': ['Sam Park'] } };
+
+    it('shares kids with the same first name separately', () => {
+        expect(buildFriendShareKids(['Sam Lee', 'Sam Park'], [schedule])).toEqual([
+            { name: 'Sam', bookings: [{ camp: 'Swim', weekStart: '2026-06-29' }] },
+            { name: 'Sam', bookings: [{ camp: 'Art', weekStart: '2026-06-29' }] },
+        ]);
+    });
+
+    it('keeps friends from different families apart', () => {
+        const kids = [{ name: 'Leo', bookings: [{ camp: 'swim', weekStart: '2026-06-29' }] }];
+        const shares = [{ id: 'h2', familyName: 'Our family', kids }, { id: 'h3', familyName: 'Our family', kids }];
+        const [result] = findFriendOverlaps(['Sam Lee'], [schedule], shares);
+        expect(result.overlaps).toHaveLength(2);
+        expect(result.overlaps.map(overlap => overlap.weeks)).toEqual([[0], [0]]);
+    });
+});
+
+describe('part-week attendance', () => {
+    const camp = { startTime: '09:00', endTime: '15:00' };
+
+    it('needs both a drop-off and a pickup time, or neither', () => {
+        expect(getAttendanceError('Ada', { days: [], startTime: '10:00', endTime: '' })).toBe('Give Ada both a drop-off and a pickup time, or neither.');
+        expect(getAttendanceError('Ada', { days: [], startTime: '', endTime: '12:00' })).toBe('Give Ada both a drop-off and a pickup time, or neither.');
+        expect(getAttendanceError('Ada', { days: [], startTime: '12:00', endTime: '10:00' })).toBe("Ada's pickup has to be after their drop-off.");
+        expect(getAttendanceError('Ada', { days: [], startTime: '10:00', endTime: '12:00' })).toBe('');
+        expect(getAttendanceError('Ada', undefined)).toBe('');
+    });
+
+    it('stores only what differs from the camp', () => {
+        expect(normalizeAttendance(camp, { days: [], startTime: '09:00', endTime: '15:00' })).toBe(null);
+        expect(normalizeAttendance(camp, { days: [], startTime: '10:00', endTime: '12:00' })).toEqual({ days: [], startTime: '10:00', endTime: '12:00' });
+    });
+});
+
+describe('reminder emails', () => {
+    const reminder = { id: 'campStart:K3X9QF:swim:Ada:0', type: 'campStart', date: '2026-06-29', daysUntil: 1, title: 'Ada starts <Swim> on Monday', details: ['9:00 AM - 3:00 PM', 'Pack: towel & goggles'] };
+
+    it('have a subject and an escaped HTML body', () => {
+        const email = formatReminderEmail(reminder);
+        expect(Object.keys(email)).toEqual(['subject', 'html']);
+        expect(email.subject).toBe('Camp starts: Ada starts <Swim> on Monday');
+        expect(email.html).toContain('<strong>Ada starts &lt;Swim&gt; on Monday</strong><br>Tomorrow');
+        expect(email.html).toContain('9:00 AM - 3:00 PM<br>Pack: towel &amp; goggles');
+    });
+
+    it('fit the sizes the security rules allow', () => {
+        const email = formatReminderEmail({ ...reminder, title: 'A'.repeat(300), details: Array.from({ length: 500 }, (_, i) => `Detail ${i} `.repeat(10)) });
+        expect(email.subject).toHaveLength(MAX_EMAIL_SUBJECT_LENGTH);
+        expect(email.html.length).toBeLessThanOrEqual(MAX_EMAIL_HTML_LENGTH);
+        expect(email.html).toMatch(/More in the app\.<\/p>$/);
+    });
+
+    it('count as emailed only when sent by a transport that delivers', async () => {
+        const send = vi.fn().mockResolvedValueOnce().mockRejectedValueOnce(new Error('offline'));
+        const second = { ...reminder, id: 'digest:2026-06-29', type: 'digest' };
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        expect(await sendReminderEmails({ delivers: true, send }, 'ann@example.com', [reminder, second])).toEqual([reminder.id]);
+        expect(send).toHaveBeenCalledWith({ to: 'ann@example.com', ...formatReminderEmail(reminder) });
+        console.error.mockRestore();
+    });
+
+    it('are only kept by the local transport, never counted as emailed', async () => {
+        const transport = getEmailTransport('local');
+        expect(await sendReminderEmails(transport, 'ann@example.com', [reminder])).toEqual([]);
+        expect(transport.sent).toEqual([{ to: 'ann@example.com', ...formatReminderEmail(reminder) }]);
+    });
+});
+
+describe('buildCellsChange', () => {
+    it('writes only the camp-weeks that change, by field path', () => {
+        const change = buildCellsChange(planData, {
+            'swim-0': snapshot(['Ada'], { Ada: 'paid' }),
+            'art-2': snapshot(['Ada']),
+        });
+        expect(Object.keys(change.updates).sort()).toEqual(['attendance.art-2', 'schedule.art-2', 'sessionNotes.art-2', 'statuses.art-2']);
+        expect(change.updates['schedule.art-2']).toEqual(['Ada']);
+        expect(change.entry.cells).toHaveLength(1);
+    });
+
+    it('returns null when nothing changes', () => {
+        expect(buildCellsChange(planData, { 'swim-0': snapshot(['Ada'], { Ada: 'paid' }) })).toBe(null);
+    });
+
+    it('reverts only the camp-weeks the entry touched', () => {
+        const change = buildCellsChange(planData, { 'art-2': snapshot(['Ada']) });
+        const revert = getRevertUpdates({ ...planData, schedule: { ...planData.schedule, 'art-2': ['Ada'] } }, change.entry);
+        expect(Object.keys(revert.updates).filter(path => path.startsWith('schedule'))).toEqual(['schedule.art-2']);
+        expect(revert.updates['schedule.art-2']).toEqual([]);
+    });
+});
+
+describe('history entries from before bulk edits', () => {
+    const legacyEntry = {
+        kind: 'cell',
+        campId: 'art',
+        campName: 'Art',
+        weekIndex: 1,
+        before: { attendees: [], statuses: {}, sessionNote: { capacity: null, spotsLeft: null } },
+        after: { attendees: ['Ben'], statuses: {}, sessionNote: { capacity: null, spotsLeft: null } },
+        by: 'u1',
+        at: 1,
+    };
+
+    it('are read as a change to one camp-week', () => {
+        const entry = normalizeHistoryEntry(legacyEntry);
+        expect(entry).toMatchObject({ kind: 'cells', by: 'u1', at: 1, cells: [{ campId: 'art', weekIndex: 1 }] });
+        expect(getHistorySubject(planData, entry)).toMatch(/^Art, /);
+        expect(describeHistoryChanges(planData, entry)).toEqual(['added Ben']);
+        expect(getRevertUpdates(planData, entry).updates['schedule.art-1']).toEqual([]);
+    });
+
+    it('leave newer entries alone', () => {
+        const entry = { kind: 'list', field: 'allKids', before: [], after: ['Ada'] };
+        expect(normalizeHistoryEntry(entry)).toBe(entry);
+    });
+});
+
+describe('schedule changes made from an out-of-date copy', () => {
+    let backend;
+    let ops;
+
+    beforeEach(async () => {
+        backend = createLocalBackend({ storage: null });
+        ops = createDataOperations(backend);
+        await backend.createUserWithEmailAndPassword(null, 'parent@example.com', 'secret123');
+        await backend.setDoc(backend.doc(backend.initialize().db, 'schedules', 'K3X9QF'), planData);
+    });
+
+    // What happens when edits are queued offline, or a failed one is retried later: each is
+    // built from the schedule as it was, and they land in any order.
+    it("keep each other's camp-weeks", async () => {
+        const first = buildCellsChange(planData, { 'swim-1': snapshot(['Ada']) });
+        const second = buildCellsChange(planData, { 'art-1': snapshot(['Ben', 'Ada']) });
+        await ops.prepareScheduleChange('K3X9QF', second.updates, { ...second.entry, at: 2 })();
+        await ops.prepareScheduleChange('K3X9QF', first.updates, { ...first.entry, at: 1 })();
+        expect((await ops.getSchedule('K3X9QF')).schedule).toEqual({ 'swim-0': ['Ada'], 'swim-1': ['Ada'], 'art-1': ['Ben', 'Ada'] });
+    });
+});
+
+describe('camp-weeks changed from outside the grid', () => {
+    it('are recorded when a camp is removed', () => {
+        const { updates, entry } = buildCampsChange(planData, [planData.camps[1]]);
+        expect(updates['schedule.swim-0']).toEqual([]);
+        expect(updates['statuses.swim-0']).toEqual(deleteField());
+        expect(entry).toMatchObject({ kind: 'cells', cellKeys: ['swim-0'], subject: 'camps' });
+        expect(getHistorySubject(planData, entry)).toBe('the camp list');
+        expect(buildCampsChange(planData, [...planData.camps, { id: 'judo', name: 'Judo' }]).entry).toBe(null);
+    });
+
+    it("aren't brought back for a camp that's still removed", () => {
+        const { entry } = buildCampsChange(planData, [planData.camps[1]]);
+        const withoutSwim = { ...planData, camps: [planData.camps[1]], schedule: { 'art-1': ['Ben'] }, statuses: {} };
+        expect(getRevertUpdates(withoutSwim, entry)).toBe(null);
+        expect(getRevertUpdates({ ...withoutSwim, camps: planData.camps }, entry).updates['schedule.swim-0']).toEqual(['Ada']);
+    });
+
+    it('are moved with the season, and cleared from the weeks it drops', () => {
+        const season = { startDate: '2026-07-06', endDate: '2026-07-31', weekCount: 3, blockedWeeks: [] };
+        const { updates, entry } = buildSeasonChange(planData, season);
+        expect(updates).toMatchObject({ ...season, 'schedule.swim-0': [], 'statuses.swim-0': deleteField(), 'schedule.art-0': ['Ben'], 'schedule.art-1': [] });
+        expect(entry).toMatchObject({ cellKeys: ['swim-0', 'art-1', 'art-0'], subject: 'season' });
+        expect(getHistorySubject(planData, entry)).toBe('the season');
+        expect(getRevertUpdates(planData, entry)).toBe(null);
+    });
+});
+
+describe('budget', () => {
+    const swim = { id: 'swim', name: 'Swim', weeklyCost: 200, deposit: 50, siblingDiscount: 10, multiWeekDiscount: 20, multiWeekMinimum: 2 };
+    const budgetPlan = (schedule, camp = swim) => ({ ...planData, camps: [camp], schedule });
+
+    it('takes the sibling discount off the second and later kids in a camp-week', () => {
+        const summary = calculateBudget(budgetPlan({ 'swim-0': ['Ben', 'Ada', 'Cy'] }), ['Ada', 'Ben']);
+        expect(summary.kidTotals).toEqual({ Ada: 200, Ben: 180 });
+        expect(summary.weekTotals).toEqual([380, 0, 0, 0]);
+        expect(summary.total).toBe(380);
+    });
+
+    it('takes the multi-week discount off every week once a kid reaches the minimum', () => {
+        expect(calculateBudget(budgetPlan({ 'swim-0': ['Ada'] }), ['Ada']).total).toBe(200);
+        const summary = calculateBudget(budgetPlan({ 'swim-0': ['Ada', 'Ben'], 'swim-1': ['Ada'] }), ['Ada', 'Ben']);
+        expect(summary.weekCosts).toEqual({ Ada: { 0: 160, 1: 160 }, Ben: { 0: 180 } });
+        expect(summary.total).toBe(500);
+    });
+
+    it('keeps discounts between 0 and 100 percent', () => {
+        const schedule = { 'swim-0': ['Ada', 'Ben'] };
+        expect(calculateBudget(budgetPlan(schedule, { ...swim, siblingDiscount: 150 }), ['Ada', 'Ben']).kidTotals).toEqual({ Ada: 200, Ben: 0 });
+        expect(calculateBudget(budgetPlan(schedule, { ...swim, siblingDiscount: -20 }), ['Ada', 'Ben']).kidTotals).toEqual({ Ada: 200, Ben: 200 });
+    });
+
+    it('counts payments against each booking and the season', () => {
+        const payments = [
+            { kid: 'Ada', campId: 'swim', kind: 'deposit', amount: 100 },
+            { kid: 'Ada', campId: 'swim', kind: 'balance', amount: 20.5 },
+        ];
+        const summary = calculateBudget(budgetPlan({ 'swim-0': ['Ada', 'Ben'], 'swim-1': ['Ada'] }), ['Ada', 'Ben'], payments);
+        expect(summary.bookings.map(({ kid, weeks, cost, deposit, paid, balance }) => ({ kid, weeks, cost, deposit, paid, balance }))).toEqual([
+            { kid: 'Ada', weeks: [0, 1], cost: 320, deposit: 100, paid: 120.5, balance: 199.5 },
+            { kid: 'Ben', weeks: [0], cost: 180, deposit: 50, paid: 0, balance: 180 },
+        ]);
+        expect(summary.totalPaid).toBe(120.5);
+        expect(summary.balance).toBe(379.5);
+    });
+
+    it('treats a cap of 0 as a cap', () => {
+        expect(toNumberOrNull('0')).toBe(0);
+        expect(getBudgetCap({ cap: 0 })).toBe(0);
+        expect(getBudgetCap({ cap: null })).toBe(null);
+        expect(getBudgetCap({})).toBe(null);
+        expect(getBudgetCap(null)).toBe(null);
+    });
+});
+
+describe('season weeks', () => {
+    it('default to eight weeks of next summer, from the first Monday on or after June 16', () => {
+        expect(getDefaultSeason(new Date(2026, 2, 1))).toEqual({ seasonName: 'Summer 2026', startDate: '2026-06-22', endDate: '2026-08-14' });
+        expect(getDefaultSeason(new Date(2025, 0, 1)).startDate).toBe('2025-06-16');
+        expect(getDefaultSeason(new Date(2026, 7, 1))).toEqual({ seasonName: 'Summer 2027', startDate: '2027-06-21', endDate: '2027-08-13' });
+        expect(countSeasonWeeks('2026-06-22', '2026-08-14')).toBe(8);
+    });
+
+    it("start on the start date's weekday, so a short last week still counts", () => {
+        expect(countSeasonWeeks('2026-07-01', '2026-07-01')).toBe(1);
+        expect(countSeasonWeeks('2026-07-01', '2026-07-07')).toBe(1);
+        expect(countSeasonWeeks('2026-07-01', '2026-07-08')).toBe(2);
+        expect(countSeasonWeeks('2026-06-29', '2026-09-04')).toBe(10);
+        expect(getWeekStartDate({ startDate: '2026-07-01' }, 1)).toBe('2026-07-08');
+        expect(getWeekStartDate({ startDate: '2026-12-30' }, 1)).toBe('2027-01-06');
+        expect(getWeekLabel({ startDate: '2026-07-01' }, 4)).toBe('Week of Jul 29');
+        expect(getWeekLabel({}, 1)).toBe('Week 2');
+    });
+
+    it('end on the Friday of the last week for schedules saved with only a week count', () => {
+        expect(getSeasonEndDate(planData)).toBe('2026-07-24');
+        expect(getSeasonEndDate({ ...planData, endDate: '2026-07-20' })).toBe('2026-07-20');
+        expect(getSeasonEndDate({ weekCount: 4 })).toBe('');
+    });
+
+    it('can be blocked, with or without a reason', () => {
+        const blocked = { ...planData, blockedWeeks: { 1: 'July 4th', 3: '' } };
+        expect(getBlockedWeekReason(blocked, 1)).toBe('July 4th');
+        expect([0, 1, 2, 3].map(weekIndex => isWeekBlocked(blocked, weekIndex))).toEqual([false, true, false, true]);
+        expect(isWeekBlocked(planData, 1)).toBe(false);
+    });
+});
+
+describe('double bookings', () => {
+    const morning = { id: 'swim', name: 'Swim', startTime: '09:00', endTime: '12:00' };
+    const afternoon = { id: 'art', name: 'Art', startTime: '12:00', endTime: '15:00' };
+    const allDay = { id: 'zoo', name: 'Zoo', dayPart: 'full' };
+
+    it('need the camps to share a day and overlap in hours', () => {
+        expect(campSessionsOverlap(morning, { ...afternoon, startTime: '11:30' })).toBe(true);
+        expect(campSessionsOverlap(morning, afternoon)).toBe(false);
+        expect(campSessionsOverlap(morning, allDay)).toBe(true);
+        expect(campSessionsOverlap({ ...allDay, dayPart: 'morning' }, { ...allDay, dayPart: 'afternoon' })).toBe(false);
+        expect(campSessionsOverlap({ ...morning, days: ['mon', 'tue'] }, { ...allDay, days: ['wed', 'thu', 'fri'] })).toBe(false);
+    });
+
+    const bookings = (schedule, extra = {}) => findDoubleBookings({ ...planData, camps: [morning, afternoon, allDay], allKids: ['Ada', 'Ben'], schedule, ...extra });
+
+    it('are found per kid and week', () => {
+        const found = bookings({ 'swim-0': ['Ada', 'Ben'], 'zoo-0': ['Ada'], 'art-0': ['Ben'], 'zoo-1': ['Ben'] });
+        expect(found.map(({ kid, weekIndex, camps }) => ({ kid, weekIndex, camps: camps.map(camp => camp.id) }))).toEqual([
+            { kid: 'Ada', weekIndex: 0, camps: ['swim', 'zoo'] },
+        ]);
+    });
+
+    it("use the kid's own days and hours when they're only there part of the week", () => {
+        const schedule = { 'swim-0': ['Ada'], 'zoo-0': ['Ada'] };
+        expect(bookings(schedule, { attendance: { 'zoo-0': { Ada: { days: ['mon'], startTime: '12:00', endTime: '16:00' } } } })).toEqual([]);
+        expect(bookings(schedule, { attendance: { 'zoo-0': { Ada: { days: ['mon'], startTime: '11:00', endTime: '16:00' } } } })).toHaveLength(1);
+        expect(bookings(schedule, { attendance: { 'swim-0': { Ada: { days: ['mon', 'tue'] } }, 'zoo-0': { Ada: { days: ['wed'] } } } })).toEqual([]);
+    });
+
+    it('ignore bookings the kid cancelled', () => {
+        expect(bookings({ 'swim-0': [], 'zoo-0': ['Ada'] }, { statuses: { 'swim-0': { Ada: 'cancelled' } } })).toEqual([]);
+    });
+});
+
+describe('childcare coverage', () => {
+    const camps = [
+        { id: 'swim', name: 'Swim', startTime: '09:00', endTime: '12:00' },
+        { id: 'art', name: 'Art', startTime: '12:30', endTime: '15:00', days: ['mon', 'tue', 'wed'] },
+        { id: 'zoo', name: 'Zoo', dayPart: 'full' },
+    ];
+    const coverage = (schedule, extra = {}) => getKidCoverage({ ...planData, camps, schedule, ...extra }, 'Ada');
+    const statuses = (result) => result.weeks.map(week => week.status);
+
+    it('sorts each week into covered, partial, uncovered or blocked', () => {
+        const result = coverage({ 'zoo-0': ['Ada'], 'swim-1': ['Ada'], 'zoo-3': ['Ben'] }, { blockedWeeks: { 3: 'Trip' } });
+        expect(statuses(result)).toEqual(['covered', 'partial', 'uncovered', 'blocked']);
+        expect(result).toMatchObject({ uncoveredWeeks: 1, partialWeeks: 1 });
+        expect(result.weeks[3].gaps).toEqual([]);
+        expect(result.weeks[2].gaps[0]).toEqual({ day: 'mon', date: '2026-07-13', part: 'all' });
+    });
+
+    it('counts a morning camp and an afternoon camp on the same day as covered', () => {
+        const result = coverage({ 'swim-0': ['Ada'], 'art-0': ['Ada'] });
+        expect(result.weeks[0].status).toBe('partial');
+        expect(formatCoverageGaps(result.weeks[0].gaps)).toBe('Afternoons free Thu, Fri');
+    });
+
+    it('leaves out days after the season ends', () => {
+        const result = coverage({ 'zoo-3': ['Ada'], 'art-2': ['Ada'] }, { endDate: '2026-07-22' });
+        expect(result.weeks[3].status).toBe('covered');
+        expect(formatCoverageGaps(result.weeks[2].gaps)).toBe('No camp Thu, Fri · Mornings free Mon–Wed');
+    });
+});
+
+describe('suggested plans', () => {
+    const camps = [
+        { id: 'zoo', name: 'Zoo', dayPart: 'full', weeklyCost: 300, minAge: 6 },
+        { id: 'swim', name: 'Swim', startTime: '09:00', endTime: '12:00', weeklyCost: 100 },
+    ];
+    const season = { camps, schedule: {}, startDate: '2026-06-29', weekCount: 2 };
+    const suggest = (preferences, kidAges) => suggestPlans(season, ['Ada', 'Ben'], {
+        kids: ['Ada'], choices: { Ada: ['zoo', 'swim'] }, budgetCap: null, maxWeeksPerCamp: null, together: [], ageFit: false, requireCoverage: false, keepExisting: true,
+        ...preferences,
+    }, kidAges);
+    const campsFor = (schedule, kid, weekIndex) => camps.filter(camp => (schedule[`${camp.id}-${weekIndex}`] || []).includes(kid)).map(camp => camp.id);
+
+    it("fill each week with a kid's first choice when nothing stops them", () => {
+        const [best] = suggest({});
+        expect(best).toMatchObject({ schedule: { 'zoo-0': ['Ada'], 'zoo-1': ['Ada'] }, total: 600, plannedWeeks: 2, firstChoiceWeeks: 2, emptyWeeks: 0 });
+    });
+
+    it('stay within the budget', () => {
+        const plans = suggest({ budgetCap: 400 });
+        expect(plans[0]).toMatchObject({ total: 400, firstChoiceWeeks: 1, emptyWeeks: 0 });
+        plans.forEach(plan => expect(plan.total).toBeLessThanOrEqual(400));
+    });
+
+    it('leave every week empty with a budget of 0', () => {
+        expect(suggest({ budgetCap: 0 })).toEqual([{ schedule: {}, total: 0, score: 200, plannedWeeks: 2, firstChoiceWeeks: 0, emptyWeeks: 2 }]);
+    });
+
+    it('skip camps a kid is too young or old for, when asked to', () => {
+        expect(suggest({ ageFit: true }, { Ada: 5 })[0].schedule).toEqual({ 'swim-0': ['Ada'], 'swim-1': ['Ada'] });
+        expect(suggest({ ageFit: true }, { Ada: null })[0].schedule).toEqual({ 'zoo-0': ['Ada'], 'zoo-1': ['Ada'] });
+        expect(suggest({ ageFit: false }, { Ada: 5 })[0].schedule).toEqual({ 'zoo-0': ['Ada'], 'zoo-1': ['Ada'] });
+    });
+
+    it('put kids kept together at the same camp', () => {
+        const preferences = { kids: ['Ada', 'Ben'], choices: { Ada: ['zoo', 'swim'], Ben: ['swim', 'zoo'] } };
+        expect(suggest(preferences)[0].schedule).toEqual({ 'zoo-0': ['Ada'], 'zoo-1': ['Ada'], 'swim-0': ['Ben'], 'swim-1': ['Ben'] });
+        suggest({ ...preferences, together: ['Ada', 'Ben'] }).forEach(({ schedule }) => [0, 1].forEach(weekIndex => {
+            expect(campsFor(schedule, 'Ada', weekIndex)).toEqual(campsFor(schedule, 'Ben', weekIndex));
+        }));
+    });
+
+    it('book a kid at a camp for no more than the most weeks allowed', () => {
+        suggest({ maxWeeksPerCamp: 1 }).forEach(({ schedule }) => {
+            expect([0, 1].filter(weekIndex => campsFor(schedule, 'Ada', weekIndex).includes('zoo')).length).toBeLessThanOrEqual(1);
+        });
+        expect(suggest({ maxWeeksPerCamp: 1 })[0]).toMatchObject({ firstChoiceWeeks: 1, emptyWeeks: 0 });
+    });
+
+    it('use only camps that cover the whole day, and leave no week empty, when coverage is required', () => {
+        expect(suggest({ choices: { Ada: ['swim', 'zoo'] }, requireCoverage: true })[0].schedule).toEqual({ 'zoo-0': ['Ada'], 'zoo-1': ['Ada'] });
+        expect(suggest({ choices: { Ada: ['swim'] }, requireCoverage: true })).toEqual([]);
+    });
+});
+
+describe('camp checklists', () => {
+    const camp = {
+        id: 'swim',
+        name: 'Swim',
+        days: ['mon', 'tue', 'wed'],
+        checklist: [{ id: 'towel', text: 'Towel' }, { id: 'suit', text: 'Swimsuit', days: ['tue', 'fri'] }, { id: 'waiver', text: 'Waiver', kind: 'form' }, { id: 'hat', text: 'Hat', days: ['fri'] }],
+    };
+    const season = { camps: [camp], schedule: { 'swim-0': ['Ada'], 'swim-1': ['Ada'], 'swim-3': ['Ada'] }, startDate: '2026-06-29', weekCount: 4 };
+    const when = (checklist) => checklist.map(item => [item.id, item.when]);
+
+    it("list what a kid needs on the camp's days that week, and forms on their first day", () => {
+        expect(when(getWeekChecklist(season, 'Ada', camp, 0))).toEqual([['towel', 'Every day'], ['suit', 'Tue'], ['waiver', 'Hand in Mon']]);
+        expect(getWeekChecklist(season, 'Ada', camp, 0)[0].neededOn).toEqual(['mon', 'tue', 'wed']);
+    });
+
+    it('ask for forms again only when a kid comes back after a week away', () => {
+        expect(when(getWeekChecklist(season, 'Ada', camp, 1))).toEqual([['towel', 'Every day'], ['suit', 'Tue']]);
+        expect(when(getWeekChecklist(season, 'Ada', camp, 3))).toContainEqual(['waiver', 'Hand in Mon']);
+    });
+
+    it('leave out days after the season ends', () => {
+        expect(when(getWeekChecklist({ ...season, endDate: '2026-07-20' }, 'Ada', camp, 3))).toEqual([['towel', 'Every day'], ['waiver', 'Hand in Mon']]);
+    });
+
+    it('read the packing list of camps saved before checklists', () => {
+        expect(getWeekChecklist(season, 'Ada', { id: 'swim', name: 'Swim', packingList: 'Hat\n\nSunscreen' }, 1).map(({ id, text }) => ({ id, text }))).toEqual([{ id: 'item0', text: 'Hat' }, { id: 'item2', text: 'Sunscreen' }]);
+    });
+});
+
+describe('morning checklist ticks', () => {
+    const household = { checklistTicks: { '2026-07-01': ['a'], '2026-06-24': ['b'], '2026-06-20': ['c'] } };
+
+    it('tick and untick one item, clearing days more than a week old', () => {
+        expect(getChecklistTickUpdate(household, '2026-07-01', 'd', true, '2026-07-01')).toEqual({
+            'checklistTicks.2026-07-01': arrayUnion('d'),
+            'checklistTicks.2026-06-20': deleteField(),
+        });
+        expect(getChecklistTickUpdate(household, '2026-06-20', 'c', false, '2026-07-01')).toEqual({ 'checklistTicks.2026-06-20': arrayRemove('c') });
+    });
+
+    it("are kept for both parents' copies of the household", async () => {
+        const backend = createLocalBackend({ storage: null });
+        await backend.createUserWithEmailAndPassword(null, 'parent@example.com', 'secret123');
+        const householdRef = backend.doc(backend.initialize().db, 'households', 'h1');
+        await backend.setDoc(householdRef, household);
+        await backend.updateDoc(householdRef, getChecklistTickUpdate(household, '2026-07-01', 'd', true, '2026-07-01'));
+        expect((await backend.getDoc(householdRef)).data().checklistTicks).toEqual({ '2026-07-01': ['a', 'd'], '2026-06-24': ['b'] });
+    });
+});
+
+describe('family overview', () => {
+    const userData = { householdId: 'H1', kids: ['Ada', 'Ben'], archivedSchedules: ['old'] };
+    const swim = { id: 'swim', name: 'Swim' };
+    const schedules = [
+        { id: 's1', householdId: 'H1', allKids: ['Ada', 'Ben'], startDate: '2026-06-29', weekCount: 2, camps: [swim], schedule: { 'swim-0': ['Ada', 'Ben'], 'swim-1': ['Ada'] } },
+        // Starts on a Wednesday, so its weeks line up by the Monday they fall in.
+        { id: 's2', householdId: 'H1', allKids: ['Ada'], startDate: '2026-07-01', weekCount: 2, camps: [{ id: 'art', name: 'Art' }], schedule: { 'art-0': ['Ada'] }, blockedWeeks: { 1: 'Trip' } },
+        { id: 'old', householdId: 'H1', allKids: ['Ada'], startDate: '2026-06-29', weekCount: 1, camps: [{ id: 'zoo', name: 'Zoo' }], schedule: { 'zoo-0': ['Ada'] } },
+        { id: 'gone', householdId: 'H1', allKids: ['Cy'], startDate: '2026-06-29', weekCount: 1, camps: [swim], schedule: { 'swim-0': ['Cy'] }, deletedAt: 1 },
+        { id: 'undated', householdId: 'H1', allKids: ['Ada'], camps: [swim], schedule: {} },
+    ];
+    const campNames = (cell) => cell.bookings.map(booking => booking.camp.name);
+
+    it("puts each kid's camps from every schedule in one row", () => {
+        const { kids, weeks, cells } = buildFamilyOverview(getLiveSchedules(schedules, userData), userData, 'u1');
+        expect(kids).toEqual(['Ada', 'Ben']);
+        expect(weeks).toEqual([{ monday: '2026-06-29', kind: 'split', dropOffs: 2 }, { monday: '2026-07-06', kind: null, dropOffs: 1 }]);
+        expect(campNames(cells.Ada['2026-06-29'])).toEqual(['Swim', 'Art']);
+        expect(cells.Ada['2026-07-06']).toMatchObject({ blocked: 'Trip', scheduleId: 's1' });
+        expect(campNames(cells.Ada['2026-07-06'])).toEqual(['Swim']);
+        expect(campNames(cells.Ben['2026-07-06'])).toEqual([]);
+    });
+
+    it('counts kids at the same camp as one drop-off', () => {
+        expect(buildFamilyOverview([schedules[0]], userData, 'u1').weeks[0]).toEqual({ monday: '2026-06-29', kind: 'same', dropOffs: 1 });
+    });
+
+    it('leaves out archived and deleted schedules', () => {
+        expect(getLiveSchedules(schedules, userData).map(schedule => schedule.id)).toEqual(['s1', 's2', 'undated']);
+        expect(getLiveSchedules(schedules, {}).map(schedule => schedule.id)).toEqual(['s1', 's2', 'old', 'undated']);
+    });
+});
+
+describe('calendar export', () => {
+    const schedule = {
+        id: 'K3X9QF',
+        seasonName: 'Summer 2026',
+        startDate: '2026-06-29',
+        weekCount: 3,
+        blockedWeeks: { 2: 'Trip' },
+        allKids: ['Ada', 'Ben'],
+        camps: [
+            { id: 'swim', name: 'Swim; Dive, Splash', startTime: '09:00', endTime: '12:00', days: ['mon', 'wed', 'fri'], address: '1 Pool Rd, Springfield', website: 'swim.example.com' },
+            { id: 'art', name: 'Art', dayPart: 'morning', days: ['tue', 'thu'] },
+            { id: 'zoo', name: 'Wildlife Explorers at the Springfield Zoo — Junior Keepers Club', dayPart: 'full', address: 'Springfield Zoo, 4000 Lakeshore Drive, North Entrance by the Penguin House, Springfield, IL 62701, United States' },
+        ],
+        schedule: { 'swim-0': ['Ada', 'Ben'], 'art-1': ['Ada'], 'zoo-1': ['Ada'], 'zoo-2': ['Ada'] },
+    };
+
+    it('writes timed, all-day and repeating events, escaped and folded at 75 octets', () => {
+        expect(buildKidCalendar(schedule, 'Ada', new Date(Date.UTC(2026, 5, 1, 8, 30))).split('\r\n')).toEqual([
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Camp Planner 2//Camp Calendar//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            "X-WR-CALNAME:Ada's Summer 2026 camps",
+            'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+            'X-PUBLISHED-TTL:PT12H',
+            'BEGIN:VEVENT',
+            'UID:K3X9QF-swim-0-ada@camp-planner',
+            'DTSTAMP:20260601T083000Z',
+            'DTSTART:20260629T090000',
+            'DTEND:20260629T120000',
+            'RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20260703T235900',
+            'SUMMARY:Ada: Swim\\; Dive\\, Splash',
+            'DESCRIPTION:Friends: Ben\\nMon\\, Wed\\, Fri\\nhttps://swim.example.com',
+            'LOCATION:1 Pool Rd\\, Springfield',
+            'URL:https://swim.example.com',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:K3X9QF-art-1-ada@camp-planner',
+            'DTSTAMP:20260601T083000Z',
+            'DTSTART;VALUE=DATE:20260707',
+            'DTEND;VALUE=DATE:20260708',
+            'RRULE:FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20260709',
+            'SUMMARY:Ada: Art',
+            'DESCRIPTION:No friends signed up yet\\nTue\\, Thu · Mornings',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:K3X9QF-zoo-1-ada@camp-planner',
+            'DTSTAMP:20260601T083000Z',
+            'DTSTART;VALUE=DATE:20260706',
+            'DTEND;VALUE=DATE:20260711',
+            // The dash is three octets, so this line is 73 characters long.
+            'SUMMARY:Ada: Wildlife Explorers at the Springfield Zoo — Junior Keepers C',
+            ' lub',
+            'DESCRIPTION:No friends signed up yet',
+            'LOCATION:Springfield Zoo\\, 4000 Lakeshore Drive\\, North Entrance by the Pen',
+            ' guin House\\, Springfield\\, IL 62701\\, United States',
+            'END:VEVENT',
+            'END:VCALENDAR',
+            '',
+        ]);
+    });
+});
+
+describe('importing a schedule', () => {
+    const current = {
+        ...planData,
+        allKids: ['Ada', 'Ben'],
+        camps: [{ id: 'swim', name: 'Swim', startTime: '09:00', endTime: '12:00' }, { id: 'art', name: 'Art', startTime: '11:00', endTime: '14:00' }],
+        schedule: { 'swim-0': ['Ada'], 'art-1': ['Ben'], 'art-3': ['Ada'] },
+        statuses: { 'swim-0': { Ada: 'paid' }, 'art-1': { Ben: 'registered' } },
+        attendance: { 'art-3': { Ada: { days: ['mon'] } } },
+        sessionNotes: { 'art-1': { capacity: 10, spotsLeft: 2 } },
+        carpool: { 'swim-1': { mon: { driver: 'u1' } } },
+        carpoolClaims: { u1: { 'art-1': { mon: { dropoff: true } }, 'swim-0': { tue: { pickup: true } } } },
+        blockedWeeks: { 2: 'Trip' },
+    };
+    const file = (camps, kids = []) => ({ season: null, kids, camps: camps.map(camp => ({ id: null, details: null, ...camp })) });
+    // CSV columns the file doesn't have leave gaps in a camp's weeks.
+    const weeks = (byWeek) => Object.assign([], byWeek);
+    const options = { addUnknownKids: true, applySeason: false };
+
+    it('reads quoted CSV cells, with commas, quotes and line breaks in them', () => {
+        const csv = '﻿Season,"Summer, 2026"\r\nStart date,2026-06-29\r\nEnd date,2026-07-24\r\nKids,Ada; Ben\r\nBlocked weeks,Week 3: Trip\r\n\r\n'
+            + 'Camp,Week 1 (2026-06-29),Week 2 (2026-07-06),Week 3,Week 4\r\n"Swim ""Deep End""","Ada,\r\nBen",,Ada,\r\n';
+        expect(parseScheduleFile('plan.csv', csv)).toEqual({
+            season: { seasonName: 'Summer, 2026', startDate: '2026-06-29', endDate: '2026-07-24', weekCount: 4, blockedWeeks: { 2: 'Trip' } },
+            kids: ['Ada', 'Ben'],
+            camps: [{ id: null, name: 'Swim "Deep End"', details: null, weeks: [['Ada', 'Ben'], [], ['Ada'], []] }],
+        });
+    });
+
+    it('reads back the CSV it writes', () => {
+        const parsed = parseScheduleFile('plan.csv', formatScheduleCsv({ ...current, camps: [...current.camps, { id: 'zoo', name: 'Zoo, "big"' }] }));
+        expect(parsed.kids).toEqual(['Ada', 'Ben']);
+        expect(parsed.camps.map(({ name, weeks }) => ({ name, weeks }))).toEqual([
+            { name: 'Art', weeks: [[], ['Ben'], [], ['Ada']] },
+            { name: 'Swim', weeks: [['Ada'], [], [], []] },
+            { name: 'Zoo, "big"', weeks: [[], [], [], []] },
+        ]);
+        expect(() => parseScheduleFile('plan.csv', 'Kids,Ada\r\n')).toThrow(/Couldn't find the "Camp" header row/);
+    });
+
+    it("reads JSON backups, dropping names that aren't names and seasons it can't use", () => {
+        const json = { format: 'camp-planner-schedule', version: 1, season: { startDate: 'soon' }, kids: ['Ada', ' Ada ', 7], camps: [{ id: 'zoo', name: ' Zoo ', weeks: [['Ada', ' '], null], weeklyCost: 250 }, { name: '' }] };
+        const parsed = parseScheduleFile('backup.json', JSON.stringify(json));
+        expect(parsed.season).toBe(null);
+        expect(parsed.kids).toEqual(['Ada']);
+        expect(parsed.camps).toHaveLength(1);
+        expect(parsed.camps[0]).toMatchObject({ id: 'zoo', name: 'Zoo', weeks: [['Ada'], []], details: { weeklyCost: 250 } });
+        expect(() => parseScheduleFile('backup.json', '{')).toThrow("This file isn't valid JSON.");
+        expect(() => parseScheduleFile('backup.json', JSON.stringify({ ...json, format: 'other' }))).toThrow(/doesn't look like a Camp Planner schedule/);
+        expect(() => parseScheduleFile('backup.json', JSON.stringify({ ...json, version: 2 }))).toThrow(/format version 2/);
+    });
+
+    it('adds unknown kids only when asked to', () => {
+        const imported = file([{ name: 'swim', weeks: [['Ada', 'Cy']] }], ['Ada', 'Dee']);
+        const added = planScheduleImport(current, imported, options);
+        expect(added.unknownKids).toEqual(['Cy', 'Dee']);
+        expect(added.updates.allKids).toEqual(['Ada', 'Ben', 'Cy', 'Dee']);
+        expect(added.updates['schedule.swim-0']).toEqual(['Ada', 'Cy']);
+        const left = planScheduleImport(current, imported, { ...options, addUnknownKids: false });
+        expect(left.updates.allKids).toBe(undefined);
+        expect(left.changedCells).toEqual([]);
+    });
+
+    it('skips weeks that are blocked or outside the season', () => {
+        const preview = planScheduleImport(current, file([{ name: 'Swim', weeks: weeks({ 2: ['Ada'], 3: [], 4: ['Ben'] }) }]), options);
+        expect(preview.skippedCells.map(({ weekIndex, reason }) => ({ weekIndex, reason }))).toEqual([
+            { weekIndex: 2, reason: 'Blocked week' },
+            { weekIndex: 4, reason: 'Outside the season' },
+        ]);
+        expect(preview.changedCells).toEqual([]);
+    });
+
+    it('writes only the camp-weeks that change, and flags overwrites and new double bookings', () => {
+        const preview = planScheduleImport(current, file([{ name: 'Swim', weeks: [['Ben'], ['Ada']] }, { name: 'Art', weeks: weeks({ 0: ['Ben'], 1: ['Ben'], 3: [] }) }]), options);
+        expect(preview.overwrittenCells.map(({ camp, weekIndex, before, after }) => [camp.id, weekIndex, before, after])).toEqual([
+            ['swim', 0, ['Ada'], ['Ben']],
+            ['art', 3, ['Ada'], []],
+        ]);
+        expect(preview.entry.cellKeys).toEqual(['swim-0', 'swim-1', 'art-0', 'art-3']);
+        expect(Object.keys(preview.updates).filter(path => !/^(schedule|statuses|attendance|sessionNotes)\./.test(path))).toEqual(['camps']);
+        expect(preview.updates['schedule.art-3']).toEqual([]);
+        expect(preview.updates['attendance.art-3']).toEqual(current.attendance['art-3']);
+        expect(preview.updates['statuses.swim-0']).toEqual({ Ada: 'paid' });
+        expect(preview.newDoubleBookings.map(({ kid, weekIndex }) => [kid, weekIndex])).toEqual([['Ben', 0]]);
+    });
+
+    it('only keeps camp IDs that are safe in cell keys and field paths', () => {
+        const [zoo, farm] = planScheduleImport(current, file([{ id: 'zoo1', name: 'Zoo', weeks: [['Ada']] }, { id: 'a.b-c', name: 'Farm', weeks: [['Ada']] }]), options).newCamps;
+        expect(zoo.id).toBe('zoo1');
+        expect(farm.id).not.toBe('a.b-c');
+        expect(farm.id).toMatch(/^[a-z0-9]+$/);
+    });
+
+    it('clears everything kept for the weeks a new season drops', () => {
+        const season = { seasonName: 'Summer', startDate: '2026-06-29', endDate: '2026-07-10', weekCount: 2, blockedWeeks: { 1: 'Trip' } };
+        const { updates, entry } = planScheduleImport(current, { season, kids: [], camps: [] }, { addUnknownKids: false, applySeason: true });
+        expect(entry.cellKeys).toEqual(['art-1', 'art-3']);
+        const cleared = (key) => ({ [`schedule.${key}`]: [], [`statuses.${key}`]: deleteField(), [`attendance.${key}`]: deleteField(), [`sessionNotes.${key}`]: deleteField() });
+        expect(updates).toEqual({
+            camps: [current.camps[1], current.camps[0]],
+            ...season,
+            ...cleared('art-1'),
+            ...cleared('art-3'),
+            'carpool.swim-1': deleteField(),
+            'carpoolClaims.u1.art-1': deleteField(),
+        });
+    });
+});
+
+describe("other families' carpool claims and kids", () => {
+    const schedule = {
+        ...planData,
+        ownerId: 'owner',
+        collaborators: ['editor', 'other'],
+        roles: { editor: 'editor', other: 'editor' },
+        allKids: ['Ada', 'Ben'],
+        carpoolClaims: { owner: { 'swim-0': { mon: { pickup: true } } }, other: { 'swim-0': { tue: { pickup: true } } }, editor: { 'swim-0': { wed: { dropoff: true } } } },
+        memberKids: { owner: ['Ada'], editor: ['Ada', 'Ben'], other: ['Ada'] },
+    };
+
+    it('are only cleared by the owner', () => {
+        expect(getEditableClaimUids(schedule, 'owner')).toEqual(['owner', 'other', 'editor']);
+        expect(getEditableClaimUids(schedule, 'editor')).toEqual(['editor']);
+        const { updates } = buildCampsChange(schedule, [schedule.camps[1]], ['editor']);
+        expect(Object.keys(updates).filter(path => path.startsWith('carpoolClaims'))).toEqual(['carpoolClaims.editor.swim-0']);
+    });
+
+    it("don't make the schedule's kid a collaborator's own", () => {
+        const legacy = { ...schedule, allKids: [], kidName: 'Ada' };
+        expect(getFamilyKids(legacy, { kids: ['Cy'] }, 'editor')).toEqual([]);
+        expect(getMemberKids(legacy, { kids: ['Cy'] }, 'editor')).toEqual([]);
+        expect(getFamilyKids(legacy, { kids: [] }, 'owner')).toEqual(['Ada']);
+        expect(getFamilyKids(schedule, { kids: ['Ben'] }, 'editor')).toEqual(['Ben']);
+    });
+
+    it("aren't renamed by another family", () => {
+        const updates = renameKidInSchedule(schedule, 'Ada', 'Ada Lee', 'editor');
+        expect(updates['memberKids.editor']).toEqual(['Ada Lee', 'Ben']);
+        expect(Object.keys(updates).filter(path => path.startsWith('memberKids'))).toEqual(['memberKids.editor']);
+    });
+});
@@ -0,0 +1,52 @@
+// --- Routes ---
+// Each screen has its own path, so a reload stays put, links can be bookmarked or sent, and
+// the browser's back and forward buttons work. These turn paths into routes and back; App.jsx
+// keeps the current one in step with the address bar. Paths are relative to Vite's base URL,
+// and the host has to serve index.html for all of them.
+export const ROUTES = {
+    dashboard: [],
+    friends: ['friends'],
+    household: ['household'],
+    account: ['account'],
+    family: ['family'],
+    packet: ['packet', ':week'],
+    kidPacket: ['packet', ':week', ':kid'],
+    checklist: ['checklist'],
+    checklistDay: ['checklist', ':date'],
+    timeline: ['timeline'],
+    timelineDay: ['timeline', ':date'],
+    timelineWeek: ['timeline', ':date', 'week'],
+    schedule: ['schedules', ':scheduleId'],
+    season: ['schedules', ':scheduleId', 'season'],
+    print: ['schedules', ':scheduleId', 'print', ':kid'],
+    cell: ['schedules', ':scheduleId', 'cells', ':campId', ':week'],
+};
+
+const getBasePath = () => import.meta.env.BASE_URL.replace(/\/$/, '');
+
+// Paths that match no route, or have a part that can't be decoded, are 'notFound'.
+export const parseRoute = (pathname) => {
+    const segments = pathname.slice(getBasePath().length).split('/').filter(Boolean);
+    for (const [name, pattern] of Object.entries(ROUTES)) {
+        if (pattern.length !== segments.length) continue;
+        const params = {};
+        const matches = pattern.every((part, i) => {
+            if (!part.startsWith(':')) return part === segments[i];
+            try {
+                params[part.slice(1)] = decodeURIComponent(segments[i]);
+                return true;
+            } catch {
+                return false;
+            }
+        });
+        if (matches) return { name, params };
+    }
+    return { name: 'notFound', params: {} };
+};
+
+export const getRoutePath = (name, params = {}) => `${getBasePath()}/${ROUTES[name].map(part => part.startsWith(':') ? encodeURIComponent(params[part.slice(1)]) : part).join('/')}`;
+
+// A schedule's join link opens the dashboard with its code filled in.
+export const getJoinLink = (origin, joinCode) => `${origin}${getRoutePath('dashboard')}?join=${joinCode}`;
+
+export const getJoinCode = (search) => new URLSearchParams(search).get('join') || '';
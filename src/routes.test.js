@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { parseRoute, getRoutePath, getJoinLink, getJoinCode } from './routes.js';
+
+describe('routes', () => {
+    it('read a schedule and its pages from the path', () => {
+        expect(parseRoute('/schedules/K3X9QF')).toEqual({ name: 'schedule', params: { scheduleId: 'K3X9QF' } });
+        expect(parseRoute('/schedules/K3X9QF/season/')).toEqual({ name: 'season', params: { scheduleId: 'K3X9QF' } });
+        expect(parseRoute('/')).toEqual({ name: 'dashboard', params: {} });
+    });
+
+    it('read a camp-week, decoding its parts', () => {
+        const path = getRoutePath('cell', { scheduleId: 'K3X9QF', campId: 'swim & dive', week: 2 });
+        expect(path).toBe('/schedules/K3X9QF/cells/swim%20%26%20dive/2');
+        expect(parseRoute(path)).toEqual({ name: 'cell', params: { scheduleId: 'K3X9QF', campId: 'swim & dive', week: '2' } });
+    });
+
+    it('open the dashboard with the code from a join link', () => {
+        const url = new URL(getJoinLink('https://camps.example.com', 'JOIN1234'));
+        expect(url.href).toBe('https://camps.example.com/?join=JOIN1234');
+        expect(parseRoute(url.pathname).name).toBe('dashboard');
+        expect(getJoinCode(url.search)).toBe('JOIN1234');
+        expect(getJoinCode('')).toBe('');
+    });
+
+    it("don't match paths they don't know, or can't decode", () => {
+        expect(parseRoute('/schedules')).toEqual({ name: 'notFound', params: {} });
+        expect(parseRoute('/schedules/K3X9QF/cells/swim')).toEqual({ name: 'notFound', params: {} });
+        expect(parseRoute('/somewhere/else')).toEqual({ name: 'notFound', params: {} });
+        expect(parseRoute('/schedules/%E0%A4%A')).toEqual({ name: 'notFound', params: {} });
+    });
+});
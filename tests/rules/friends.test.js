@@ -0,0 +1,60 @@
+import { describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { arrayRemove, arrayUnion, collection, deleteDoc, doc, getDoc, getDocs, query, updateDoc, where, writeBatch } from 'firebase/firestore';
+import { setUpRulesEnvironment } from './setup.js';
+
+const env = setUpRulesEnvironment({
+    'users/ann': { householdId: 'H1' },
+    'users/cat': { householdId: 'H2' },
+    'users/dan': { householdId: 'H3' },
+    'households/H1': { members: ['ann'], kids: ['Ada'] },
+    'households/H2': { members: ['cat'], kids: ['Cy'] },
+    'households/H3': { members: ['dan'], kids: ['Dee'] },
+    'friendShares/H1': { familyName: "Ada's family", kids: [], links: ['H3'] },
+    'friendShares/H2': { familyName: "Cy's family", kids: [], links: [] },
+    'friendShares/H3': { familyName: "Dee's family", kids: [], links: ['H1', 'H2'] },
+    'friendInvites/LINK0001': { householdId: 'H2', expiresAt: Date.now() + 86400000 },
+});
+
+// What linkFriend writes when a family enters the code another family made.
+const link = (uid, mine, theirs, { useUpInvite = true } = {}) => {
+    const db = env.as(uid);
+    const batch = writeBatch(db);
+    batch.update(doc(db, `friendShares/${theirs}`), { links: arrayUnion(mine), linkCode: 'LINK0001' });
+    batch.update(doc(db, `friendShares/${mine}`), { links: arrayUnion(theirs) });
+    if (useUpInvite) batch.delete(doc(db, 'friendInvites/LINK0001'));
+    return batch.commit();
+};
+
+describe('linking with a friend code', () => {
+    it('works only when the code is used up in the same write', async () => {
+        await assertFails(link('ann', 'H1', 'H2', { useUpInvite: false }));
+        await assertSucceeds(link('ann', 'H1', 'H2'));
+        await assertSucceeds(getDoc(doc(env.as('ann'), 'friendShares/H2')));
+    });
+});
+
+describe('stopping sharing', () => {
+    it('takes us out of linked families\' links, so we lose access to their shares', async () => {
+        const ann = env.as('ann');
+        await assertSucceeds(updateDoc(doc(ann, 'friendShares/H3'), { links: arrayRemove('H1') }));
+        await assertSucceeds(deleteDoc(doc(ann, 'friendShares/H1')));
+        await assertFails(getDoc(doc(ann, 'friendShares/H3')));
+        await assertFails(getDoc(doc(env.as('dan'), 'friendShares/H1')));
+    });
+
+    it("can't touch anything else in another family's share", async () => {
+        await assertFails(updateDoc(doc(env.as('ann'), 'friendShares/H3'), { links: [] }));
+        await assertFails(updateDoc(doc(env.as('ann'), 'friendShares/H3'), { familyName: 'Ours now' }));
+    });
+});
+
+describe('friend codes', () => {
+    it('can be listed and deleted by the family that made them', async () => {
+        const codes = (uid) => getDocs(query(collection(env.as(uid), 'friendInvites'), where('householdId', '==', 'H2')));
+        await assertSucceeds(codes('cat'));
+        await assertFails(codes('ann'));
+        await assertFails(deleteDoc(doc(env.as('dan'), 'friendInvites/LINK0001')));
+        await assertSucceeds(deleteDoc(doc(env.as('cat'), 'friendInvites/LINK0001')));
+    });
+});
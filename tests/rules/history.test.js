@@ -0,0 +1,62 @@
+import { describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, writeBatch } from 'firebase/firestore';
+import { buildCellsChange } from '../../src/planner.js';
+import { setUpRulesEnvironment } from './setup.js';
+
+const planData = {
+    kidName: 'Ada',
+    ownerId: 'owner',
+    collaborators: ['editor', 'viewer'],
+    roles: { editor: 'editor', viewer: 'viewer' },
+    allKids: ['Ada'],
+    camps: [{ id: 'swim', name: 'Swim' }],
+    schedule: { 'swim-0': ['Ada'] },
+    statuses: { 'swim-0': { Ada: 'paid' } },
+    startDate: '2026-06-29',
+    weekCount: 4,
+};
+
+const env = setUpRulesEnvironment({ 'schedules/S1': planData });
+
+const snapshot = (attendees, statuses = {}) => ({ attendees, statuses, attendance: {}, sessionNote: { capacity: null, spotsLeft: null } });
+
+// What prepareScheduleChange writes: the schedule and its history entry in one batch.
+const commit = (uid, updates, entry) => {
+    const db = env.as(uid);
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'schedules/S1'), updates);
+    batch.set(doc(db, 'schedules/S1/history/e1'), { by: uid, byEmail: `${uid}@example.com`, at: Date.now(), ...entry });
+    return batch.commit();
+};
+
+describe('history entries', () => {
+    it('are recorded with the change they describe', async () => {
+        const change = buildCellsChange(planData, { 'swim-1': snapshot(['Ada'], { Ada: 'registered' }), 'swim-0': snapshot([]) });
+        await assertSucceeds(commit('editor', change.updates, change.entry));
+    });
+
+    it("can't describe something the write doesn't do", async () => {
+        const change = buildCellsChange(planData, { 'swim-1': snapshot(['Ada']) });
+        await assertFails(commit('editor', { ...change.updates, 'schedule.swim-1': ['Ada', 'Ben'] }, change.entry));
+        await assertFails(commit('editor', { ...change.updates, 'schedule.swim-2': ['Ada'] }, change.entry));
+        await assertFails(commit('editor', { ...change.updates, 'statuses.swim-1': { Ada: 'paid' } }, change.entry));
+        await assertFails(commit('editor', {}, change.entry));
+    });
+
+    it('go under the name of whoever made the change', async () => {
+        const change = buildCellsChange(planData, { 'swim-1': snapshot(['Ada']) });
+        await assertFails(commit('editor', change.updates, { ...change.entry, by: 'owner' }));
+        await assertFails(commit('editor', change.updates, { ...change.entry, byEmail: 'owner@example.com' }));
+    });
+
+    it('record list changes as they are saved', async () => {
+        await assertSucceeds(commit('owner', { allKids: ['Ada', 'Ben'] }, { kind: 'list', field: 'allKids', before: ['Ada'], after: ['Ada', 'Ben'] }));
+        await assertFails(commit('owner', { allKids: ['Ada', 'Ben'] }, { kind: 'list', field: 'allKids', before: ['Ada'], after: ['Ada'] }));
+    });
+
+    it("can't be written by viewers", async () => {
+        const change = buildCellsChange(planData, { 'swim-1': snapshot(['Ada']) });
+        await assertFails(commit('viewer', change.updates, change.entry));
+    });
+});
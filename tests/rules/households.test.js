@@ -0,0 +1,57 @@
+import { describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { arrayRemove, arrayUnion, collection, deleteDoc, deleteField, doc, getDocs, query, updateDoc, where, writeBatch } from 'firebase/firestore';
+import { setUpRulesEnvironment } from './setup.js';
+
+const env = setUpRulesEnvironment({
+    'households/H1': {
+        members: ['ann', 'bob'],
+        memberEmails: { ann: 'ann@example.com', bob: 'bob@example.com' },
+        kids: ['Ada'],
+        kidProfiles: {},
+        schedules: [],
+    },
+    'householdInvites/JOIN0001': { householdId: 'H1', createdBy: 'ann', expiresAt: Date.now() + 86400000 },
+});
+
+// What joinHousehold writes.
+const join = (uid, { useUpInvite = true } = {}) => {
+    const db = env.as(uid);
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'households/H1'), { members: arrayUnion(uid), [`memberEmails.${uid}`]: `${uid}@example.com`, inviteCode: 'JOIN0001' });
+    if (useUpInvite) batch.delete(doc(db, 'householdInvites/JOIN0001'));
+    return batch.commit();
+};
+
+describe('joining a household', () => {
+    it('works with an invite that is used up in the same write', async () => {
+        await assertFails(join('cat', { useUpInvite: false }));
+        await assertSucceeds(join('cat'));
+    });
+});
+
+describe('household members', () => {
+    it('look after the kids and their own email', async () => {
+        const ann = doc(env.as('ann'), 'households/H1');
+        await assertSucceeds(updateDoc(ann, { kids: arrayUnion('Ben'), 'kidProfiles.Ben': { grade: '2' } }));
+        await assertSucceeds(updateDoc(ann, { 'memberEmails.ann': 'ann@example.org' }));
+        await assertFails(updateDoc(ann, { 'memberEmails.bob': 'someone@example.com' }));
+        await assertFails(updateDoc(ann, { inviteCode: 'JOIN0001' }));
+    });
+
+    it('can leave, but not take someone else out', async () => {
+        await assertFails(updateDoc(doc(env.as('ann'), 'households/H1'), { members: arrayRemove('bob'), 'memberEmails.bob': deleteField() }));
+        await assertFails(updateDoc(doc(env.as('ann'), 'households/H1'), { members: arrayUnion('cat') }));
+        await assertSucceeds(updateDoc(doc(env.as('bob'), 'households/H1'), { members: arrayRemove('bob'), 'memberEmails.bob': deleteField() }));
+    });
+});
+
+describe('household codes', () => {
+    it('can be listed and deleted by the household, to tidy them away', async () => {
+        const codes = (uid) => getDocs(query(collection(env.as(uid), 'householdInvites'), where('householdId', '==', 'H1')));
+        await assertSucceeds(codes('ann'));
+        await assertFails(codes('cat'));
+        await assertFails(deleteDoc(doc(env.as('cat'), 'householdInvites/JOIN0001')));
+        await assertSucceeds(deleteDoc(doc(env.as('bob'), 'householdInvites/JOIN0001')));
+    });
+});
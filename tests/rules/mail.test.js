@@ -0,0 +1,26 @@
+import { describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { addDoc, collection } from 'firebase/firestore';
+import { setUpRulesEnvironment } from './setup.js';
+
+const env = setUpRulesEnvironment();
+
+const message = { subject: 'Camp starts: Ada starts Swim on Monday', html: '<p><strong>Ada starts Swim on Monday</strong></p>' };
+const queue = (uid, mail, token) => addDoc(collection(env.as(uid, token), 'mail'), mail);
+
+describe('queued mail', () => {
+    it('goes only to the sender, once their address is verified', async () => {
+        await assertSucceeds(queue('ann', { to: 'ann@example.com', message }));
+        await assertFails(queue('ann', { to: 'bob@example.com', message }));
+        await assertFails(queue('ann', { to: 'ann@example.com', message }, { email_verified: false }));
+    });
+
+    it('carries only a subject and HTML body of a capped size', async () => {
+        await assertFails(queue('ann', { to: 'ann@example.com', cc: 'bob@example.com', message }));
+        await assertFails(queue('ann', { to: 'ann@example.com', message: { ...message, text: 'Hi' } }));
+        await assertFails(queue('ann', { to: 'ann@example.com', message: { ...message, attachments: [] } }));
+        await assertFails(queue('ann', { to: 'ann@example.com', message: { html: message.html } }));
+        await assertFails(queue('ann', { to: 'ann@example.com', message: { ...message, subject: 'A'.repeat(201) } }));
+        await assertFails(queue('ann', { to: 'ann@example.com', message: { ...message, html: 'A'.repeat(20001) } }));
+    });
+});
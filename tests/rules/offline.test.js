@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { assertSucceeds } from '@firebase/rules-unit-testing';
+import { disableNetwork, doc, enableNetwork, getDoc, updateDoc } from 'firebase/firestore';
+import { buildCellsChange } from '../../src/planner.js';
+import { setUpRulesEnvironment } from './setup.js';
+
+const planData = {
+    kidName: 'Ada',
+    ownerId: 'owner',
+    collaborators: ['editor'],
+    roles: { editor: 'editor' },
+    camps: [{ id: 'swim', name: 'Swim' }, { id: 'art', name: 'Art' }],
+    schedule: { 'swim-0': ['Ada'] },
+    startDate: '2026-06-29',
+    weekCount: 4,
+};
+
+const env = setUpRulesEnvironment({ 'schedules/S1': planData });
+
+const snapshot = (attendees) => ({ attendees, statuses: {}, attendance: {}, sessionNote: { capacity: null, spotsLeft: null } });
+
+describe('edits made offline', () => {
+    it("are sent when the network is back, without undoing what others changed meanwhile", async () => {
+        const owner = env.as('owner');
+        await getDoc(doc(owner, 'schedules/S1'));
+        await disableNetwork(owner);
+
+        const queued = [
+            buildCellsChange(planData, { 'swim-1': snapshot(['Ada']) }),
+            buildCellsChange(planData, { 'art-2': snapshot(['Ada']) }),
+        ].map(change => updateDoc(doc(owner, 'schedules/S1'), change.updates));
+        expect((await getDoc(doc(owner, 'schedules/S1'))).data().schedule).toEqual({ 'swim-0': ['Ada'], 'swim-1': ['Ada'], 'art-2': ['Ada'] });
+
+        const editor = env.as('editor');
+        await assertSucceeds(updateDoc(doc(editor, 'schedules/S1'), buildCellsChange(planData, { 'art-3': snapshot(['Ada']) }).updates));
+
+        await enableNetwork(owner);
+        await Promise.all(queued);
+        const saved = await getDoc(doc(editor, 'schedules/S1'));
+        expect(saved.data().schedule).toEqual({ 'swim-0': ['Ada'], 'swim-1': ['Ada'], 'art-2': ['Ada'], 'art-3': ['Ada'] });
+    });
+});
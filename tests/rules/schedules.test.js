@@ -0,0 +1,178 @@
+import { describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { arrayRemove, arrayUnion, deleteField, doc, getDoc, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+import { setUpRulesEnvironment } from './setup.js';
+
+const env = setUpRulesEnvironment({
+    'schedules/S1': {
+        kidName: 'Ada',
+        ownerId: 'owner',
+        collaborators: ['member'],
+        roles: { member: 'viewer' },
+        joinRole: 'viewer',
+        joinCode: 'CODE0001',
+        memberEmails: { owner: 'owner@example.com', member: 'member@example.com' },
+        schedule: {},
+    },
+    'scheduleInvites/CODE0001': { scheduleId: 'S1', createdBy: 'owner', joinRole: 'viewer' },
+    'users/owner': { schedules: ['S1'] },
+});
+
+const join = (uid, code, role = 'viewer') => updateDoc(doc(env.as(uid), 'schedules/S1'), {
+    collaborators: arrayUnion(uid),
+    [`roles.${uid}`]: role,
+    [`memberEmails.${uid}`]: `${uid}@example.com`,
+    inviteCode: code,
+});
+
+// What the Share panel writes when the owner removes someone.
+const removeMember = (uid, newCode) => {
+    const db = env.as('owner');
+    const batch = writeBatch(db);
+    batch.delete(doc(db, 'scheduleInvites/CODE0001'));
+    batch.set(doc(db, `scheduleInvites/${newCode}`), { scheduleId: 'S1', createdBy: 'owner', joinRole: 'viewer' });
+    batch.update(doc(db, 'schedules/S1'), {
+        collaborators: arrayRemove(uid),
+        [`roles.${uid}`]: deleteField(),
+        [`memberEmails.${uid}`]: deleteField(),
+        joinCode: newCode,
+    });
+    return batch.commit();
+};
+
+describe('reading schedules', () => {
+    it('lets members read a schedule and nobody else', async () => {
+        await assertSucceeds(getDoc(doc(env.as('owner'), 'schedules/S1')));
+        await assertSucceeds(getDoc(doc(env.as('member'), 'schedules/S1')));
+        await assertFails(getDoc(doc(env.as('stranger'), 'schedules/S1')));
+    });
+
+    it('lets anyone signed in look up a join code', async () => {
+        await assertSucceeds(getDoc(doc(env.as('stranger'), 'scheduleInvites/CODE0001')));
+        await assertFails(getDoc(doc(env.testEnv.unauthenticatedContext().firestore(), 'scheduleInvites/CODE0001')));
+    });
+});
+
+describe('joining schedules', () => {
+    it('lets someone join with the current code and the role for new members', async () => {
+        await assertSucceeds(join('stranger', 'CODE0001'));
+    });
+
+    it('turns down a wrong code, a missing code or a better role', async () => {
+        await assertFails(join('stranger', 'CODE9999'));
+        await assertFails(updateDoc(doc(env.as('stranger'), 'schedules/S1'), { collaborators: arrayUnion('stranger'), 'roles.stranger': 'viewer' }));
+        await assertFails(join('stranger', 'CODE0001', 'editor'));
+    });
+
+    it("doesn't let anyone else make or change join codes", async () => {
+        const member = env.as('member');
+        await assertFails(updateDoc(doc(member, 'schedules/S1'), { joinCode: 'MINE0001' }));
+        const batch = writeBatch(member);
+        batch.set(doc(member, 'scheduleInvites/MINE0001'), { scheduleId: 'S1', createdBy: 'member', joinRole: 'viewer' });
+        await assertFails(batch.commit());
+    });
+});
+
+describe('removing members', () => {
+    it("doesn't let a removed member rejoin with the old code", async () => {
+        await assertSucceeds(removeMember('member', 'CODE0002'));
+        await assertFails(getDoc(doc(env.as('member'), 'schedules/S1')));
+        await assertFails(join('member', 'CODE0001'));
+        await assertSucceeds(getDoc(doc(env.as('member'), 'scheduleInvites/CODE0002')));
+        await assertSucceeds(join('member', 'CODE0002'));
+    });
+
+    it("only lets the owner replace the code", async () => {
+        const member = env.as('member');
+        const batch = writeBatch(member);
+        batch.delete(doc(member, 'scheduleInvites/CODE0001'));
+        await assertFails(batch.commit());
+    });
+});
+
+describe('handing a schedule on', () => {
+    // What deleteAccount writes to give the schedule to its member.
+    const handOn = () => updateDoc(doc(env.as('owner'), 'schedules/S1'), {
+        collaborators: arrayRemove('member'),
+        'roles.member': deleteField(),
+        ownerId: 'member',
+        householdId: '',
+    });
+
+    it('is only for an owner deleting their account', async () => {
+        await assertFails(handOn());
+        await assertSucceeds(updateDoc(doc(env.as('owner'), 'users/owner'), { deletingAccount: true }));
+        await assertSucceeds(handOn());
+    });
+
+    it("isn't for a member, even one deleting their account", async () => {
+        await env.testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), 'users/member'), { deletingAccount: true }));
+        await assertFails(updateDoc(doc(env.as('member'), 'schedules/S1'), { ownerId: 'member', collaborators: [] }));
+    });
+});
+
+describe('deleted schedules', () => {
+    const deleteSchedule = () => updateDoc(doc(env.as('owner'), 'schedules/S1'), { deletedAt: Date.now() });
+
+    it('shuts members out until the owner restores it', async () => {
+        await assertSucceeds(deleteSchedule());
+        await assertFails(getDoc(doc(env.as('member'), 'schedules/S1')));
+        await assertFails(getDoc(doc(env.as('member'), 'schedules/S1/history/e1')));
+        await assertFails(updateDoc(doc(env.as('member'), 'schedules/S1'), { 'memberKids.member': ['Ada'] }));
+        await assertFails(join('stranger', 'CODE0001'));
+        await assertSucceeds(getDoc(doc(env.as('owner'), 'schedules/S1')));
+        await assertFails(updateDoc(doc(env.as('owner'), 'schedules/S1'), { kidName: 'Ben' }));
+        await assertSucceeds(updateDoc(doc(env.as('owner'), 'schedules/S1'), { deletedAt: deleteField() }));
+        await assertSucceeds(getDoc(doc(env.as('member'), 'schedules/S1')));
+    });
+
+    it("doesn't let editors change it", async () => {
+        await env.testEnv.withSecurityRulesDisabled(context => updateDoc(doc(context.firestore(), 'schedules/S1'), { 'roles.member': 'editor', deletedAt: Date.now() }));
+        await assertFails(updateDoc(doc(env.as('member'), 'schedules/S1'), { kidName: 'Ben' }));
+        await assertFails(updateDoc(doc(env.as('member'), 'schedules/S1'), { deletedAt: deleteField() }));
+    });
+});
+
+describe('carpools', () => {
+    it('lets members claim and release only their own slots', async () => {
+        const member = doc(env.as('member'), 'schedules/S1');
+        await assertSucceeds(updateDoc(member, { 'carpoolClaims.member.c1-0.mon.dropoff': true }));
+        await assertSucceeds(updateDoc(member, { 'carpoolClaims.member.c1-0.mon.dropoff': deleteField() }));
+        await assertFails(updateDoc(member, { 'carpoolClaims.owner.c1-0.mon.dropoff': true }));
+        await assertFails(updateDoc(member, { carpool: { 'c1-0': { mon: { dropoff: 'member' } } } }));
+    });
+
+    it("doesn't let members release someone else's claim", async () => {
+        await assertSucceeds(updateDoc(doc(env.as('owner'), 'schedules/S1'), { 'carpoolClaims.owner.c1-0.mon.pickup': true }));
+        await assertFails(updateDoc(doc(env.as('member'), 'schedules/S1'), { 'carpoolClaims.owner': deleteField() }));
+    });
+
+    it("doesn't let an editor change another family's claims or kids", async () => {
+        await env.testEnv.withSecurityRulesDisabled(context => updateDoc(doc(context.firestore(), 'schedules/S1'), {
+            collaborators: ['member', 'editor'],
+            roles: { member: 'editor', editor: 'editor' },
+            'carpoolClaims.member.c1-0.mon.pickup': true,
+            'memberKids.member': ['Ada'],
+        }));
+        const editor = doc(env.as('editor'), 'schedules/S1');
+        await assertFails(updateDoc(editor, { 'carpoolClaims.member.c1-0': deleteField() }));
+        await assertFails(updateDoc(editor, { carpoolClaims: {} }));
+        await assertFails(updateDoc(editor, { 'memberKids.member': [] }));
+        await assertSucceeds(updateDoc(editor, { 'carpoolClaims.editor.c1-0.mon.dropoff': true, 'memberKids.editor': ['Ada'], kidName: 'Ben' }));
+        await assertSucceeds(updateDoc(doc(env.as('owner'), 'schedules/S1'), { 'carpoolClaims.member.c1-0': deleteField() }));
+    });
+
+    it('lets a member leave with their own claims and nobody else\'s', async () => {
+        await assertSucceeds(updateDoc(doc(env.as('owner'), 'schedules/S1'), { 'carpoolClaims.owner.c1-0.mon.pickup': true }));
+        await assertSucceeds(updateDoc(doc(env.as('member'), 'schedules/S1'), { 'carpoolClaims.member.c1-0.tue.pickup': true }));
+        const leave = (extra) => updateDoc(doc(env.as('member'), 'schedules/S1'), {
+            collaborators: arrayRemove('member'),
+            'roles.member': deleteField(),
+            'memberEmails.member': deleteField(),
+            'carpoolClaims.member': deleteField(),
+            ...extra,
+        });
+        await assertFails(leave({ 'carpoolClaims.owner': deleteField() }));
+        await assertSucceeds(leave());
+    });
+});
@@ -0,0 +1,32 @@
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach } from 'vitest';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+
+// Each test file gets its own test environment against the emulator started by
+// `npm run test:rules`, cleared before every test and then filled with `seed`, a map of
+// document paths to their data, written with the rules turned off.
+export const setUpRulesEnvironment = (seed = {}) => {
+    const environment = {};
+
+    beforeAll(async () => {
+        environment.testEnv = await initializeTestEnvironment({
+            projectId: 'demo-camp-planner',
+            firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') },
+        });
+    });
+
+    beforeEach(async () => {
+        await environment.testEnv.clearFirestore();
+        await environment.testEnv.withSecurityRulesDisabled(context => Promise.all(
+            Object.entries(seed).map(([path, data]) => setDoc(doc(context.firestore(), path), data)),
+        ));
+    });
+
+    afterAll(() => environment.testEnv.cleanup());
+
+    // The Firestore of a signed-in user, whose email is `${uid}@example.com`.
+    environment.as = (uid, token = {}) => environment.testEnv.authenticatedContext(uid, { email: `${uid}@example.com`, email_verified: true, ...token }).firestore();
+
+    return environment;
+};
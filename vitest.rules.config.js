@@ -0,0 +1,16 @@
+import { defineConfig } from 'vitest/config'
+
+// The security rules tests need the Firestore emulator, so they run on their own with
+// `npm run test:rules`, which starts it. The Firebase config makes src/ use the Firebase
+// backend's field operations; nothing there connects to it.
+export default defineConfig({
+  test: {
+    include: ['tests/rules/**/*.test.js'],
+    env: {
+      VITE_FIREBASE_CONFIG: JSON.stringify({ apiKey: 'demo', projectId: 'demo-camp-planner' }),
+    },
+    fileParallelism: false,
+    testTimeout: 20000,
+    hookTimeout: 20000,
+  },
+})